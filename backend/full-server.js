@@ -10,14 +10,23 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import axios from 'axios';
 import { ApifyClient } from 'apify-client';
 import { PrometheusService } from './src/services/prometheusService.js';
 import { DatabaseService } from './src/services/databaseService.js';
 import { OpenRouterService } from './src/services/openRouterService.js';
 import { SemanticSearchService } from './src/services/semanticSearchService.js';
+import { AnswerService } from './src/services/answerService.js';
+import { ComparisonService } from './src/services/comparisonService.js';
+import { HealthQueryProcessor } from './src/services/healthQueryProcessor.js';
+import { ConversationService } from './src/services/conversationService.js';
+import { TriageService } from './src/services/triageService.js';
+import { extractGuests, slugify } from './src/services/guestExtractor.js';
+import { parseChapters } from './src/services/chapterParser.js';
+import { extractCitations } from './src/services/citationExtractor.js';
 import { createLogger } from './src/utils/logger.js';
 import transcriptRoutes from './src/routes/transcripts.js';
+import { createHealthRoutes } from './src/routes/health.js';
+import { createQueryStreamRoutes, invalidGuest, guestNotFound, sessionNotFound } from './src/routes/queryStream.js';
 
 // Load environment variables
 dotenv.config();
@@ -29,18 +38,13 @@ const logger = createLogger('MainServer');
 // Initialize services
 const prometheus = new PrometheusService();
 const database = new DatabaseService();
-const openRouterService = new OpenRouterService();
-const semanticSearch = new SemanticSearchService();
-
-const openRouterClient = axios.create({
-    baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
-    headers: {
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'http://localhost:3001',
-        'X-Title': 'Huberman Health AI Assistant'
-    }
-});
+const openRouterService = new OpenRouterService({ db: database, metrics: prometheus });
+const semanticSearch = new SemanticSearchService({ db: database, openRouter: openRouterService });
+const answerService = new AnswerService({ db: database, openRouter: openRouterService });
+const comparisons = new ComparisonService({ db: database, openRouter: openRouterService });
+const queryProcessor = new HealthQueryProcessor();
+const conversations = new ConversationService({ db: database, openRouter: openRouterService });
+const triage = new TriageService();
 
 const apifyClient = new ApifyClient({
     token: process.env.APIFY_API_TOKEN
@@ -254,9 +258,10 @@ app.get('/api/health', async (req, res) => {
                     status: database.isConnected ? 'connected' : 'in_memory',
                     message: database.isConnected ? 'PostgreSQL connected' : 'Using in-memory storage'
                 },
-                openrouter: {
-                    status: process.env.OPENROUTER_API_KEY ? 'configured' : 'not_configured',
-                    model: 'gpt-3.5-turbo',
+                llm: {
+                    status: openRouterService.isConfigured ? 'configured' : 'not_configured',
+                    provider: openRouterService.provider.name,
+                    models: openRouterService.models,
                     usage: openRouterService.getUsageStats()
                 },
                 apify: {
@@ -314,12 +319,214 @@ app.get('/api/metrics/json', async (req, res) => {
     }
 });
 
+// 'degraded' while an AI budget is exhausted and queries run without the LLM
+function aiProcessingStatus() {
+    if (!openRouterService.isConfigured) {
+        return 'disabled';
+    }
+    return openRouterService.isDegraded ? 'degraded' : 'enabled';
+}
+
+// Query pipeline stages shared by /api/query and /api/query/stream
+
+// Stage 1: LLM analysis of the query, with keyword fallback
+async function analyzeQuery(query) {
+    try {
+        const processedQuery = await openRouterService.processHealthQuery(query);
+        const aiCost = processedQuery.processingCost || 0;
+
+        // Record AI API metrics
+        prometheus.recordAIApiCall(openRouterService.getModel('analysis'), 'chat/completions', 'success', aiCost);
+
+        logger.info(`AI processing successful, cost: $${aiCost.toFixed(6)}`);
+        return { processedQuery, aiCost };
+    } catch (aiError) {
+        logger.error('AI processing failed:', aiError.message);
+        prometheus.recordAIApiCall(openRouterService.getModel('analysis'), 'chat/completions', 'error');
+
+        // Use fallback processing
+        return {
+            processedQuery: {
+                healthTopics: [query.toLowerCase().includes('sleep') ? 'sleep' : 'general health'],
+                intent: 'information_seeking',
+                error: 'AI processing failed, using fallback'
+            },
+            aiCost: 0
+        };
+    }
+}
+
+// Stage 2: semantic search (candidates, re-rank, timestamps) with in-memory fallback.
+// onProgress receives ('candidates' | 'results' | 'timestamps', payload) as stages complete;
+// boostVideoIds biases ranking toward videos already cited in the conversation;
+// videoIds (e.g. a guest's episodes) restricts results to those videos;
+// sponsor reads are skipped unless includeSponsored is set.
+async function searchForQuery(query, processedQuery, { onProgress, boostVideoIds = [], videoIds = null, includeSponsored = false } = {}) {
+    let searchResults = [];
+
+    try {
+        if (database.isConnected) {
+            // Use database-powered semantic search
+            searchResults = await semanticSearch.searchTranscripts(query, {
+                limit: 5,
+                minRelevanceScore: 0.1,
+                includeTimestamps: true,
+                boostVideoIds,
+                videoIds,
+                includeSponsored,
+                onProgress
+            });
+
+            logger.info(`Semantic search found ${searchResults.length} results`);
+        } else {
+            // Fallback to in-memory search
+            logger.warn('Database not connected, using fallback search');
+            searchResults = performFallbackSearch(query, processedQuery, boostVideoIds, videoIds);
+        }
+
+        // Record search metrics
+        const avgRelevance = searchResults.length > 0
+            ? searchResults.reduce((sum, r) => sum + (r.relevanceScore || 0), 0) / searchResults.length
+            : 0;
+        prometheus.recordSearchResults(searchResults.length, avgRelevance);
+
+    } catch (searchError) {
+        logger.error('Semantic search failed:', searchError.message);
+        prometheus.recordError('search', '/api/query', 'SEARCH_ERROR');
+
+        // Use fallback search
+        searchResults = performFallbackSearch(query, processedQuery, boostVideoIds, videoIds);
+    }
+
+    // If no results from semantic search, use fallback
+    if (searchResults.length === 0) {
+        logger.info('No semantic search results, using fallback');
+        searchResults = performFallbackSearch(query, processedQuery, boostVideoIds, videoIds);
+    }
+
+    return searchResults;
+}
+
+// Stage 3: grounded answer with timestamp citations; onToken streams the text
+async function generateAnswer(query, searchResults, { onToken, videoIds = null, includeSponsored = false } = {}) {
+    const answer = await answerService.answer(query, {
+        passages: database.isConnected ? undefined : getFallbackPassages(searchResults),
+        onToken,
+        videoIds,
+        includeSponsored
+    });
+
+    if (answer.method === 'llm') {
+        prometheus.recordAIApiCall(openRouterService.getModel('answer'), 'chat/completions', 'success', answer.cost);
+    }
+    logger.info(`Answer generated (${answer.method}) with ${answer.citations.length} citations`);
+
+    return answer;
+}
+
+// Comparison intent ("cold vs heat exposure"): { type, confidence, concepts, aspect } or null
+function detectComparison(query) {
+    const analysis = queryProcessor.analyzeQueryType(queryProcessor.cleanQuery(query), [], query);
+    return analysis.type === 'comparison' ? analysis : null;
+}
+
+// Stage 3 for comparisons: top passages per concept, side by side with agreements and differences
+async function generateComparison(query, { concepts, aspect }, { videoIds = null, includeSponsored = false } = {}) {
+    const comparison = await comparisons.compare(query, concepts, {
+        aspect,
+        videoIds,
+        includeSponsored,
+        passagesByConcept: database.isConnected
+            ? undefined
+            : concepts.map(concept => getFallbackPassages(performFallbackSearch(aspect ? `${concept} ${aspect}` : concept, {}, [], videoIds)))
+    });
+
+    if (comparison.method === 'llm') {
+        prometheus.recordAIApiCall(openRouterService.getModel('answer'), 'chat/completions', 'success', comparison.cost);
+    }
+    logger.info(`Comparison generated (${comparison.method}) for ${concepts.length} concepts with ${comparison.citations.length} citations`);
+
+    return comparison;
+}
+
+// Conversation context: resolves follow-ups against earlier turns of a session.
+// Returns null when the session does not exist.
+async function resolveConversation(sessionId, query) {
+    if (!sessionId) {
+        return { session: null, searchQuery: query, rewritten: false, boostVideoIds: [] };
+    }
+
+    const session = await conversations.getSession(sessionId);
+    if (!session) {
+        return null;
+    }
+
+    const { query: searchQuery, rewritten } = await conversations.rewriteQuery(query, session.turns);
+    if (rewritten) {
+        logger.info(`Rewrote follow-up "${query}" as "${searchQuery}"`);
+    }
+
+    return {
+        session,
+        searchQuery,
+        rewritten,
+        boostVideoIds: conversations.getCitedVideoIds(session.turns)
+    };
+}
+
+async function recordConversationTurn(context, query, searchResults, answer) {
+    if (!context.session) {
+        return;
+    }
+
+    // Cited videos are the answer's sources, or the top results in search mode
+    const citedVideoIds = answer
+        ? [...new Set(answer.citations.map(citation => citation.videoId).filter(Boolean))]
+        : searchResults.slice(0, 3).map(result => result.id);
+
+    // The answer is already computed, so a failed write only costs the follow-up context
+    try {
+        await conversations.recordTurn(context.session.id, {
+            query,
+            rewrittenQuery: context.searchQuery,
+            answer: answer ? answer.text : null,
+            citedVideoIds
+        });
+    } catch (error) {
+        logger.error('Failed to record conversation turn:', error);
+    }
+}
+
+// Guest filter: resolves a guest name or slug to the videos they appear in.
+// Returns null when the guest is unknown.
+async function resolveGuest(guest) {
+    if (!guest) {
+        return { guest: null, videoIds: null };
+    }
+
+    const slug = slugify(guest);
+
+    if (database.isConnected) {
+        const stored = await database.getGuestBySlug(slug);
+        return stored ? { guest: stored.name, videoIds: stored.episodes.map(episode => episode.id) } : null;
+    }
+
+    const guestVideos = videoDatabase.filter(video => extractGuests(video).some(g => g.slug === slug));
+    if (guestVideos.length === 0) {
+        return null;
+    }
+    return {
+        guest: extractGuests(guestVideos[0]).find(g => g.slug === slug).name,
+        videoIds: guestVideos.map(video => video.id)
+    };
+}
+
 // Real AI-powered query processing with MCP integration
 app.post('/api/query', async (req, res) => {
     const startTime = Date.now();
 
     try {
-        const { query, userId } = req.body;
+        const { query, userId, sessionId, guest, includeSponsored = false, mode = 'search' } = req.body;
 
         if (!query || typeof query !== 'string') {
             prometheus.recordError('validation', '/api/query', 'VALIDATION_ERROR');
@@ -332,75 +539,109 @@ app.post('/api/query', async (req, res) => {
             });
         }
 
-        logger.info(`Processing query: "${query}"`);
+        if (!['search', 'answer'].includes(mode)) {
+            prometheus.recordError('validation', '/api/query', 'VALIDATION_ERROR');
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Mode must be either "search" or "answer"'
+                }
+            });
+        }
 
-        // Record user session
-        prometheus.recordUserSession();
+        if (invalidGuest(guest)) {
+            prometheus.recordError('validation', '/api/query', 'VALIDATION_ERROR');
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Guest must be a non-empty string of at most 100 characters'
+                }
+            });
+        }
 
-        // Use integrated OpenRouter service for AI processing
-        let processedQuery = null;
-        let aiCost = 0;
+        if (typeof includeSponsored !== 'boolean') {
+            prometheus.recordError('validation', '/api/query', 'VALIDATION_ERROR');
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'includeSponsored must be a boolean'
+                }
+            });
+        }
 
-        try {
-            processedQuery = await openRouterService.processHealthQuery(query);
-            aiCost = processedQuery.processingCost || 0;
+        const context = await resolveConversation(sessionId, query);
+        if (!context) {
+            return sessionNotFound(res, sessionId);
+        }
+        const { searchQuery } = context;
 
-            // Record AI API metrics
-            prometheus.recordAIApiCall('gpt-3.5-turbo', 'chat/completions', 'success', aiCost);
+        const guestFilter = await resolveGuest(guest);
+        if (!guestFilter) {
+            return guestNotFound(res, guest);
+        }
 
-            logger.info(`AI processing successful, cost: $${aiCost.toFixed(6)}`);
-        } catch (aiError) {
-            logger.error('AI processing failed:', aiError.message);
-            prometheus.recordAIApiCall('gpt-3.5-turbo', 'chat/completions', 'error');
+        // Stage 0: red-flag symptoms get emergency guidance instead of podcast protocols
+        const emergency = triage.assess(query, context.rewritten ? searchQuery : null);
+        if (emergency) {
+            const processingTime = Date.now() - startTime;
+            prometheus.recordQueryProcessing('triage', processingTime, true);
 
-            // Use fallback processing
-            processedQuery = {
-                healthTopics: [query.toLowerCase().includes('sleep') ? 'sleep' : 'general health'],
-                intent: 'information_seeking',
-                error: 'AI processing failed, using fallback'
-            };
+            return res.json({
+                success: true,
+                data: {
+                    query: query,
+                    rewrittenQuery: context.rewritten ? searchQuery : null,
+                    sessionId: context.session ? context.session.id : null,
+                    processedQuery: null,
+                    triage: emergency,
+                    results: [],
+                    answer: null,
+                    totalResults: 0,
+                    processingTime: processingTime,
+                    cost: 0,
+                    mode: 'full_functionality_with_mcp',
+                    aiProcessing: aiProcessingStatus(),
+                    databaseConnected: database.isConnected,
+                    userId: userId
+                }
+            });
         }
 
-        // Use semantic search service for better results
-        let searchResults = [];
+        logger.info(`Processing query: "${searchQuery}"`);
 
-        try {
-            if (database.isConnected) {
-                // Use database-powered semantic search
-                searchResults = await semanticSearch.searchTranscripts(query, {
-                    limit: 5,
-                    minRelevanceScore: 0.1,
-                    includeTimestamps: true
-                });
+        // Record user session
+        prometheus.recordUserSession();
 
-                logger.info(`Semantic search found ${searchResults.length} results`);
-            } else {
-                // Fallback to in-memory search
-                logger.warn('Database not connected, using fallback search');
-                searchResults = performFallbackSearch(query, processedQuery);
-            }
+        const { processedQuery, aiCost: analysisCost } = await analyzeQuery(searchQuery);
+        let aiCost = analysisCost;
 
-            // Record search metrics
-            const avgRelevance = searchResults.length > 0
-                ? searchResults.reduce((sum, r) => sum + (r.relevanceScore || 0), 0) / searchResults.length
-                : 0;
-            prometheus.recordSearchResults(searchResults.length, avgRelevance);
+        const searchResults = await searchForQuery(searchQuery, processedQuery, {
+            boostVideoIds: context.boostVideoIds,
+            videoIds: guestFilter.videoIds,
+            includeSponsored
+        });
 
-        } catch (searchError) {
-            logger.error('Semantic search failed:', searchError.message);
-            prometheus.recordError('search', '/api/query', 'SEARCH_ERROR');
+        // Results are already processed by semantic search service
 
-            // Use fallback search
-            searchResults = performFallbackSearch(query, processedQuery);
+        // Answer mode: comparison queries get per-concept passages side by side instead of an answer
+        const comparisonIntent = mode === 'answer' ? detectComparison(searchQuery) : null;
+        let comparison = null;
+        if (comparisonIntent) {
+            comparison = await generateComparison(searchQuery, comparisonIntent, { videoIds: guestFilter.videoIds, includeSponsored });
+            aiCost += comparison.cost;
         }
 
-        // If no results from semantic search, use fallback
-        if (searchResults.length === 0) {
-            logger.info('No semantic search results, using fallback');
-            searchResults = performFallbackSearch(query, processedQuery);
+        // Answer mode: synthesize a cited answer from the top transcript passages
+        let answer = null;
+        if (mode === 'answer' && !comparison) {
+            answer = await generateAnswer(searchQuery, searchResults, { videoIds: guestFilter.videoIds, includeSponsored });
+            aiCost += answer.cost;
         }
 
-        // Results are already processed by semantic search service
+        await recordConversationTurn(context, query, searchResults, answer);
 
         const processingTime = Date.now() - startTime;
 
@@ -409,13 +650,19 @@ app.post('/api/query', async (req, res) => {
 
         const responseData = {
             query: query,
+            rewrittenQuery: context.rewritten ? searchQuery : null,
+            sessionId: context.session ? context.session.id : null,
+            guest: guestFilter.guest,
             processedQuery: processedQuery,
+            triage: triage.fromAnalysis(processedQuery),
             results: searchResults.slice(0, 5), // Return top 5 results
+            answer: answer,
+            comparison: comparison,
             totalResults: searchResults.length,
             processingTime: processingTime,
             cost: aiCost,
             mode: 'full_functionality_with_mcp',
-            aiProcessing: process.env.OPENROUTER_API_KEY ? 'enabled' : 'disabled',
+            aiProcessing: aiProcessingStatus(),
             databaseConnected: database.isConnected,
             userId: userId
         };
@@ -443,9 +690,141 @@ app.post('/api/query', async (req, res) => {
     }
 });
 
+// Streaming variant of /api/query over Server-Sent Events, on the same pipeline stages
+app.use('/api/query/stream', createQueryStreamRoutes({
+    pipeline: {
+        resolveConversation,
+        resolveGuest,
+        analyzeQuery,
+        searchForQuery,
+        generateAnswer,
+        recordConversationTurn
+    },
+    triage,
+    prometheus,
+    database
+}));
+
+// Conversation sessions: pass the returned id as `sessionId` to /api/query
+// (or /api/query/stream) to ask follow-up questions in context.
+app.post('/api/sessions', async (req, res) => {
+    try {
+        const { userId, title } = req.body || {};
+        const session = await conversations.createSession({ userId, title });
+
+        res.status(201).json({
+            success: true,
+            data: session
+        });
+    } catch (error) {
+        logger.error('Failed to create session:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'SESSION_ERROR',
+                message: 'Failed to create session',
+                details: error.message
+            }
+        });
+    }
+});
+
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const { userId, limit = 20 } = req.query;
+        const sessions = await conversations.listSessions({
+            userId: userId || null,
+            limit: Math.min(parseInt(limit) || 20, 100)
+        });
+
+        res.json({
+            success: true,
+            data: { sessions }
+        });
+    } catch (error) {
+        logger.error('Failed to list sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'SESSION_ERROR',
+                message: 'Failed to list sessions',
+                details: error.message
+            }
+        });
+    }
+});
+
+// Resume a session: returns its metadata and full turn history
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const session = await conversations.getSession(req.params.id);
+        if (!session) {
+            return sessionNotFound(res, req.params.id);
+        }
+
+        res.json({
+            success: true,
+            data: session
+        });
+    } catch (error) {
+        logger.error('Failed to get session:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'SESSION_ERROR',
+                message: 'Failed to get session',
+                details: error.message
+            }
+        });
+    }
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const deleted = await conversations.deleteSession(req.params.id);
+        if (!deleted) {
+            return sessionNotFound(res, req.params.id);
+        }
+
+        res.json({
+            success: true,
+            data: { id: req.params.id, deleted: true }
+        });
+    } catch (error) {
+        logger.error('Failed to delete session:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'SESSION_ERROR',
+                message: 'Failed to delete session',
+                details: error.message
+            }
+        });
+    }
+});
+
+// Turn the in-memory segments of fallback results into answer passages
+function getFallbackPassages(searchResults) {
+    return searchResults.flatMap(result => {
+        const video = videoDatabase.find(v => v.id === result.id);
+        return (video?.segments || []).map(segment => ({
+            videoId: video.id,
+            youtube_id: video.youtube_id,
+            title: video.title,
+            startTime: segment.startTime,
+            endTime: segment.endTime,
+            text: segment.text
+        }));
+    });
+}
+
 // Fallback search method for when database is not available
-function performFallbackSearch(query, processedQuery) {
+function performFallbackSearch(query, processedQuery, boostVideoIds = [], videoIds = null) {
     const relevantVideos = videoDatabase.filter(video => {
+        if (videoIds && !videoIds.includes(video.id)) {
+            return false;
+        }
+
         const queryLower = query.toLowerCase();
         const queryWords = queryLower.split(' ').filter(word => word.length > 2);
 
@@ -540,6 +919,9 @@ function performFallbackSearch(query, processedQuery) {
 
         relevanceScore += relevantSegments.length * 0.2;
 
+        // Boost videos already cited earlier in the conversation
+        if (boostVideoIds.includes(video.id)) relevanceScore += 0.15;
+
         // Boost score for exact phrase matches
         if (video.title.toLowerCase().includes(queryLower)) relevanceScore += 0.2;
         if (video.description.toLowerCase().includes(queryLower)) relevanceScore += 0.15;
@@ -560,7 +942,8 @@ function performFallbackSearch(query, processedQuery) {
                 time: segment.startTime,
                 label: segment.label,
                 description: segment.text.substring(0, 120) + '...'
-            }))
+            })),
+            chapters: parseChapters(video.description, video.durationSeconds)
         };
     });
 
@@ -685,9 +1068,379 @@ app.get('/api/videos', (req, res) => {
     });
 });
 
+// Video details with its description chapters and the stored episode summary
+// (written by the summary job; no LLM calls happen here)
+app.get('/api/videos/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (database.isConnected) {
+            const video = await database.getVideoById(id);
+            if (video) {
+                return res.json({
+                    success: true,
+                    data: {
+                        ...video,
+                        url: `https://www.youtube.com/watch?v=${video.youtube_id}`,
+                        chapters: await database.getVideoChapters(video.id),
+                        citations: await database.getVideoCitations(video.id),
+                        summary: await database.getEpisodeSummary(video.id)
+                    }
+                });
+            }
+        }
+
+        const video = videoDatabase.find(v => v.id === id || v.youtube_id === id);
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'VIDEO_NOT_FOUND',
+                    message: 'Video not found'
+                }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: video.id,
+                youtube_id: video.youtube_id,
+                title: video.title,
+                description: video.description,
+                duration_seconds: video.durationSeconds,
+                view_count: video.viewCount,
+                published_at: video.publishedAt,
+                thumbnail_url: video.thumbnailUrl,
+                url: `https://www.youtube.com/watch?v=${video.youtube_id}`,
+                chapters: parseChapters(video.description, video.durationSeconds),
+                citations: getFallbackCitations(video),
+                summary: null
+            }
+        });
+    } catch (error) {
+        logger.error('Video lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'VIDEO_ERROR',
+                message: 'Failed to load video'
+            }
+        });
+    }
+});
+
+// Protocols extracted from transcripts by the protocol job, filtered by topic
+app.get('/api/protocols', async (req, res) => {
+    try {
+        const { topic, limit = 20 } = req.query;
+
+        if (topic !== undefined && (typeof topic !== 'string' || topic.trim().length === 0 || topic.length > 100)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Topic must be a non-empty string of at most 100 characters'
+                }
+            });
+        }
+
+        const protocols = await database.searchProtocols({
+            topic: topic ? topic.trim() : null,
+            limit: Math.min(parseInt(limit) || 20, 100)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                protocols,
+                totalResults: protocols.length,
+                topic: topic || 'all',
+                databaseConnected: database.isConnected
+            }
+        });
+    } catch (error) {
+        logger.error('Failed to search protocols:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'PROTOCOLS_ERROR',
+                message: 'Failed to search protocols',
+                details: error.message
+            }
+        });
+    }
+});
+
+// Citations for an in-memory video, extracted from its sample segments
+function getFallbackCitations(video) {
+    const passages = video.segments.map((segment, index) => ({ ...segment, id: `${video.id}_${index}` }));
+
+    return extractCitations({ description: video.description, passages }).map(citation => ({
+        videoId: video.id,
+        youtube_id: video.youtube_id,
+        title: video.title,
+        source: citation.source,
+        rawText: citation.rawText,
+        url: citation.url,
+        year: citation.year,
+        confidence: citation.confidence,
+        startTime: citation.startTime,
+        endTime: citation.endTime,
+        videoUrl: citation.startTime === null
+            ? `https://www.youtube.com/watch?v=${video.youtube_id}`
+            : `https://www.youtube.com/watch?v=${video.youtube_id}&t=${Math.floor(citation.startTime)}s`
+    }));
+}
+
+// Studies cited across episodes (built by the citation job), searchable by text
+app.get('/api/citations', async (req, res) => {
+    try {
+        const { q, year, minConfidence = 0, limit = 20, offset = 0 } = req.query;
+
+        if (q !== undefined && (typeof q !== 'string' || q.trim().length === 0 || q.length > 200)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Search must be a non-empty string of at most 200 characters'
+                }
+            });
+        }
+
+        const citationYear = year === undefined ? null : parseInt(year);
+        const confidence = parseFloat(minConfidence);
+        if (Number.isNaN(citationYear) || Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Year must be a number and minConfidence between 0 and 1'
+                }
+            });
+        }
+
+        const searchTerm = q ? q.trim() : null;
+        const pageLimit = Math.min(parseInt(limit) || 20, 100);
+        const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+        let citations;
+        if (database.isConnected) {
+            citations = await database.searchCitations({
+                query: searchTerm,
+                year: citationYear,
+                minConfidence: confidence,
+                limit: pageLimit,
+                offset: pageOffset
+            });
+        } else {
+            citations = videoDatabase
+                .flatMap(getFallbackCitations)
+                .filter(citation =>
+                    (!searchTerm || `${citation.rawText} ${citation.url || ''}`.toLowerCase().includes(searchTerm.toLowerCase())) &&
+                    (citationYear === null || citation.year === citationYear) &&
+                    citation.confidence >= confidence
+                )
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(pageOffset, pageOffset + pageLimit);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                citations,
+                totalResults: citations.length,
+                query: searchTerm || 'all',
+                limit: pageLimit,
+                offset: pageOffset,
+                databaseConnected: database.isConnected
+            }
+        });
+    } catch (error) {
+        logger.error('Failed to search citations:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'CITATIONS_ERROR',
+                message: 'Failed to search citations',
+                details: error.message
+            }
+        });
+    }
+});
+
+// Guest directory for the in-memory videos, shaped like DatabaseService.listGuests
+function getFallbackGuests() {
+    const guests = new Map();
+
+    for (const video of videoDatabase) {
+        for (const { name, slug, credentials } of extractGuests(video)) {
+            if (!guests.has(slug)) {
+                guests.set(slug, { id: slug, name, slug, credentials, episodes: [] });
+            }
+            guests.get(slug).episodes.push({
+                id: video.id,
+                youtube_id: video.youtube_id,
+                title: video.title,
+                published_at: video.publishedAt
+            });
+        }
+    }
+
+    return [...guests.values()]
+        .map(guest => ({ ...guest, episodeCount: guest.episodes.length }))
+        .sort((a, b) => b.episodeCount - a.episodeCount || a.name.localeCompare(b.name));
+}
+
+// Guest directory: podcast guests detected at ingest, with their episodes
+app.get('/api/guests', async (req, res) => {
+    try {
+        const { search, limit = 50, offset = 0 } = req.query;
+
+        if (search !== undefined && (typeof search !== 'string' || search.length > 100)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Search must be a string of at most 100 characters'
+                }
+            });
+        }
+
+        const pageLimit = Math.min(parseInt(limit) || 50, 100);
+        const pageOffset = Math.max(parseInt(offset) || 0, 0);
+        const searchTerm = search && search.trim() ? search.trim() : null;
+
+        let guests;
+        if (database.isConnected) {
+            guests = await database.listGuests({ search: searchTerm, limit: pageLimit, offset: pageOffset });
+        } else {
+            guests = getFallbackGuests()
+                .filter(guest => !searchTerm || guest.name.toLowerCase().includes(searchTerm.toLowerCase()))
+                .slice(pageOffset, pageOffset + pageLimit);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                guests,
+                totalResults: guests.length,
+                limit: pageLimit,
+                offset: pageOffset,
+                databaseConnected: database.isConnected
+            }
+        });
+    } catch (error) {
+        logger.error('Failed to list guests:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'GUESTS_ERROR',
+                message: 'Failed to list guests',
+                details: error.message
+            }
+        });
+    }
+});
+
+app.get('/api/guests/:slug', async (req, res) => {
+    try {
+        const slug = slugify(req.params.slug);
+        const guest = database.isConnected
+            ? await database.getGuestBySlug(slug)
+            : getFallbackGuests().find(g => g.slug === slug);
+
+        if (!guest) {
+            return guestNotFound(res, req.params.slug);
+        }
+
+        res.json({
+            success: true,
+            data: guest
+        });
+    } catch (error) {
+        logger.error('Guest lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'GUESTS_ERROR',
+                message: 'Failed to load guest'
+            }
+        });
+    }
+});
+
+// Entity graph: a compound, supplement, hormone or brain region with the
+// episodes and timestamps that mention it (built by the pipeline's extract:entities)
+app.get('/api/entities/:name', async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { limit = 20 } = req.query;
+
+        if (!name.trim() || name.length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Entity name must be 1-100 characters'
+                }
+            });
+        }
+
+        // The graph is built from stored passages, so there is no in-memory copy to serve
+        if (!database.isConnected) {
+            return res.status(503).json({
+                success: false,
+                error: {
+                    code: 'ENTITY_GRAPH_UNAVAILABLE',
+                    message: 'The entity graph needs the database; build it with the pipeline\'s extract:entities'
+                }
+            });
+        }
+
+        const entity = await database.getEntity(name);
+        if (!entity) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'ENTITY_NOT_FOUND',
+                    message: `No entity found matching "${name}"`
+                }
+            });
+        }
+
+        const pageLimit = Math.min(parseInt(limit) || 20, 100);
+        const [mentions, coMentioned] = await Promise.all([
+            database.getEntityMentions(entity.id, { limit: pageLimit }),
+            database.getCoMentionedEntities(entity.id, { limit: 10 })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...entity,
+                mentions,
+                coMentioned
+            }
+        });
+    } catch (error) {
+        logger.error('Entity lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'ENTITIES_ERROR',
+                message: 'Failed to load entity'
+            }
+        });
+    }
+});
+
 // Register transcript routes
 app.use('/api/transcripts', transcriptRoutes);
 
+// Health topics and the videos tagged with them (tags come from the topic tagging job)
+app.use('/api/health', createHealthRoutes(database));
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -695,15 +1448,23 @@ app.get('/', (req, res) => {
         message: 'Huberman Health AI Assistant API - Full Functionality',
         version: '1.0.0',
         features: {
-            aiProcessing: process.env.OPENROUTER_API_KEY ? 'enabled' : 'disabled',
+            aiProcessing: aiProcessingStatus(),
             apifyScraping: process.env.APIFY_API_TOKEN ? 'enabled' : 'disabled',
             database: 'in_memory',
             realTimeSearch: 'enabled'
         },
         endpoints: {
             health: '/api/health',
-            query: 'POST /api/query (with real AI)',
+            query: 'POST /api/query (with real AI; mode: "search" | "answer"; comparison queries such as "cold vs heat exposure" return a side-by-side comparison; optional guest filter; includeSponsored to keep sponsor reads)',
+            queryStream: 'GET /api/query/stream?query=...&mode=answer (Server-Sent Events)',
+            sessions: '/api/sessions (POST create, GET list; GET/DELETE /api/sessions/:id)',
             videos: '/api/videos',
+            video: '/api/videos/:id (details with description chapters, cited studies and stored episode summary)',
+            protocols: '/api/protocols?topic=sleep (extracted protocols with source timestamps)',
+            citations: '/api/citations?q=stanford&year=2017 (studies cited across episodes with timestamps)',
+            guests: '/api/guests?search=walker (GET /api/guests/:slug for a guest and their episodes)',
+            entities: '/api/entities/:name (compound, supplement, hormone or brain region with co-mentions and timestamps)',
+            topics: '/api/health/topics (GET /api/health/topics/:id/videos for tagged videos)',
             scrapeTranscripts: 'POST /api/scrape/transcripts (real Apify)'
         },
         mode: 'full_functionality'
@@ -739,7 +1500,7 @@ app.listen(PORT, () => {
     console.log(`📡 Server running on http://localhost:${PORT}`);
     console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
     console.log(`📚 API docs: http://localhost:${PORT}/`);
-    console.log(`🤖 AI Processing: ${process.env.OPENROUTER_API_KEY ? '✅ ENABLED' : '❌ DISABLED'}`);
+    console.log(`🤖 AI Processing: ${openRouterService.isConfigured ? `✅ ENABLED (${openRouterService.provider.name})` : '❌ DISABLED'}`);
     console.log(`🕷️  Apify Scraping: ${process.env.APIFY_API_TOKEN ? '✅ ENABLED' : '❌ DISABLED'}`);
     console.log(`💾 Database: In-Memory Storage`);
     console.log(`⏰ Started at: ${new Date().toISOString()}`);
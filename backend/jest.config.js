@@ -15,5 +15,6 @@ export default {
   setupFilesAfterEnv: [],
   testTimeout: 10000,
   moduleFileExtensions: ['js', 'json'],
-  testPathIgnorePatterns: ['/node_modules/']
+  // mcp-server.test.js is a standalone script, run with npm run test:server
+  testPathIgnorePatterns: ['/node_modules/', '/tests/mcp-server.test.js']
 };
\ No newline at end of file
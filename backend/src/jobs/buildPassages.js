@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill job that merges stored caption segments into transcript passages
+ * for videos ingested before passages were built at storage time.
+ *
+ * Usage: node src/jobs/buildPassages.js [maxVideos]
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { buildPassages } from '../services/passageChunker.js';
+
+dotenv.config();
+
+const logger = createLogger('BuildPassagesJob');
+
+class PassageBuildJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.chunkOptions = options.chunkOptions || {};
+  }
+
+  async run({ maxVideos = Infinity } = {}) {
+    let videosProcessed = 0;
+    let passagesStored = 0;
+    const skipped = new Set();
+
+    while (videosProcessed + skipped.size < maxVideos) {
+      const batchSize = Math.min(50, maxVideos - videosProcessed - skipped.size);
+      // Skipped videos stay "missing", so over-fetch to see past them
+      const videos = (await this.db.getVideosMissingPassages(batchSize + skipped.size))
+        .filter(video => !skipped.has(video.id))
+        .slice(0, batchSize);
+
+      if (videos.length === 0) {
+        break;
+      }
+
+      for (const video of videos) {
+        const segments = await this.db.getVideoSegments(video.id);
+        const passages = buildPassages(segments, this.chunkOptions);
+
+        // e.g. every caption is blank: nothing to store, and nothing to retry
+        if (passages.length === 0) {
+          skipped.add(video.id);
+          logger.warn(`Skipping ${video.youtube_id}: no passages could be built from ${segments.length} segments`);
+          continue;
+        }
+
+        const stored = await this.db.storePassages(video.id, passages);
+        if (stored.length === 0) {
+          throw new Error(`Failed to store passages for video ${video.youtube_id}, aborting`);
+        }
+
+        passagesStored += stored.length;
+        videosProcessed++;
+        logger.info(`Built ${stored.length} passages for ${video.youtube_id}`);
+      }
+    }
+
+    logger.info(`Passage job finished: ${passagesStored} passages across ${videosProcessed} videos, ${skipped.size} skipped`);
+    return { videosProcessed, passagesStored, videosSkipped: skipped.size };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const job = new PassageBuildJob();
+  const maxVideos = parseInt(process.argv[2]) || Infinity;
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to build passages');
+      }
+      return job.run({ maxVideos });
+    })
+    .then(({ videosProcessed, passagesStored, videosSkipped }) => {
+      console.log(`✅ Built ${passagesStored} passages for ${videosProcessed} videos (${videosSkipped} skipped)`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Passage job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { PassageBuildJob };
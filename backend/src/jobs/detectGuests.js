@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill job for videos ingested before guest detection: extracts the
+ * guests of every video from its title and description (guests,
+ * video_guests) and attributes a speaker to each transcript segment. New
+ * videos get both at ingest. Ingest strips the ">>" speaker-change markers
+ * from the stored text, so a re-run can only attribute cued segments: it
+ * fills in and corrects speakers but never replaces a known one with Unknown.
+ *
+ * Usage: node src/jobs/detectGuests.js
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { extractGuests } from '../services/guestExtractor.js';
+import { attributeSpeakers, UNKNOWN_SPEAKER } from '../services/speakerAttribution.js';
+
+dotenv.config();
+
+const logger = createLogger('DetectGuestsJob');
+
+class GuestDetectionJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+  }
+
+  async run() {
+    let videosProcessed = 0;
+    let guestLinks = 0;
+    let segmentsAttributed = 0;
+
+    for (let offset = 0; ; offset += 50) {
+      const videos = await this.db.listVideoMetadata(50, offset);
+      if (videos.length === 0) {
+        break;
+      }
+
+      for (const video of videos) {
+        const guests = await this.db.storeVideoGuests(video.id, extractGuests(video));
+
+        const segments = await this.db.getVideoSegments(video.id);
+        const updates = attributeSpeakers(segments, guests)
+          .filter((segment, index) => segment.speaker !== segments[index].speaker &&
+            !(segment.speaker === UNKNOWN_SPEAKER && segments[index].speaker))
+          .map(({ id, speaker }) => ({ id, speaker }));
+        if (updates.length > 0) {
+          await this.db.updateSegmentSpeakers(updates);
+        }
+
+        videosProcessed++;
+        guestLinks += guests.length;
+        segmentsAttributed += updates.length;
+        logger.info(`Detected ${guests.length} guests for ${video.youtube_id}, updated ${updates.length} segment speakers`);
+      }
+    }
+
+    logger.info(`Guest job finished: ${guestLinks} guest links and ${segmentsAttributed} speaker updates across ${videosProcessed} videos`);
+    return { videosProcessed, guestLinks, segmentsAttributed };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const job = new GuestDetectionJob();
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to detect guests');
+      }
+      return job.run();
+    })
+    .then(({ videosProcessed, guestLinks }) => {
+      console.log(`✅ Detected ${guestLinks} guest appearances across ${videosProcessed} videos`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Guest detection job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { GuestDetectionJob };
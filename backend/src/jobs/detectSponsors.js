@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill job that flags sponsor reads in transcripts stored before sponsor
+ * detection ran at ingest (transcript_segments.is_sponsored, and passages
+ * whose caption time is mostly sponsored). Re-running applies rule changes to
+ * every video.
+ *
+ * Usage: node src/jobs/detectSponsors.js
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { markSponsoredSegments } from '../services/sponsorDetector.js';
+
+dotenv.config();
+
+const logger = createLogger('DetectSponsorsJob');
+
+class SponsorDetectionJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+  }
+
+  async run() {
+    let videosProcessed = 0;
+    let segmentsFlagged = 0;
+    let segmentsUpdated = 0;
+
+    for (let offset = 0; ; offset += 50) {
+      const videos = await this.db.listVideoMetadata(50, offset);
+      if (videos.length === 0) {
+        break;
+      }
+
+      for (const video of videos) {
+        const segments = await this.db.getVideoSegments(video.id);
+        const marked = markSponsoredSegments(segments, {
+          description: video.description,
+          chapters: await this.db.getVideoChapters(video.id)
+        });
+
+        const updates = marked
+          .filter((segment, index) => segment.isSponsored !== Boolean(segments[index].isSponsored))
+          .map(({ id, isSponsored }) => ({ id, isSponsored }));
+        if (updates.length > 0) {
+          await this.db.updateSegmentSponsorFlags(video.id, updates);
+        }
+
+        const flagged = marked.filter(segment => segment.isSponsored).length;
+        videosProcessed++;
+        segmentsFlagged += flagged;
+        segmentsUpdated += updates.length;
+        logger.info(`Flagged ${flagged} of ${segments.length} segments as sponsored for ${video.youtube_id}`);
+      }
+    }
+
+    logger.info(`Sponsor job finished: ${segmentsFlagged} sponsored segments (${segmentsUpdated} changed) across ${videosProcessed} videos`);
+    return { videosProcessed, segmentsFlagged, segmentsUpdated };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const job = new SponsorDetectionJob();
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to detect sponsors');
+      }
+      return job.run();
+    })
+    .then(({ videosProcessed, segmentsFlagged }) => {
+      console.log(`✅ Flagged ${segmentsFlagged} sponsored segments across ${videosProcessed} videos`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Sponsor detection job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { SponsorDetectionJob };
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Batch job that fills the embedding column of transcript passages (default)
+ * or raw caption segments for every row that does not have one yet, then
+ * builds the ivfflat similarity index for that table.
+ *
+ * Usage: node src/jobs/embedTranscripts.js [passages|segments] [maxRows]
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { EmbeddingService } from '../services/embeddingService.js';
+
+dotenv.config();
+
+const logger = createLogger('EmbedTranscriptsJob');
+
+class TranscriptEmbeddingJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.embeddings = options.embeddings || new EmbeddingService();
+    this.batchSize = options.batchSize || 100;
+  }
+
+  async run({ target = 'passages', maxRows = Infinity } = {}) {
+    let processed = 0;
+
+    while (processed < maxRows) {
+      const rows = await this.db.getRowsMissingEmbeddings(
+        target,
+        Math.min(this.batchSize, maxRows - processed)
+      );
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      const vectors = await this.embeddings.embedTexts(rows.map(row => row.text));
+      const stored = await this.db.updateEmbeddings(
+        target,
+        rows.map((row, index) => ({ id: row.id, embedding: vectors[index] }))
+      );
+
+      if (stored === 0) {
+        throw new Error('Failed to store embeddings, aborting');
+      }
+
+      processed += stored;
+      logger.info(`Embedded ${processed} ${target} so far`);
+    }
+
+    if (processed > 0) {
+      await this.db.ensureEmbeddingIndex(target);
+    }
+
+    logger.info(`Embedding job finished: ${processed} ${target} embedded`);
+    return { target, processed };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const job = new TranscriptEmbeddingJob();
+  const target = process.argv[2] || 'passages';
+  const maxRows = parseInt(process.argv[3]) || Infinity;
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to embed transcripts');
+      }
+      return job.run({ target, maxRows });
+    })
+    .then(({ processed }) => {
+      console.log(`✅ Embedded ${processed} transcript ${target}`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Embedding job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { TranscriptEmbeddingJob };
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Batch job that extracts the studies each episode cites (transcript mentions
+ * such as "a 2017 study from Stanford" and paper links in the description)
+ * into the citations table, with the timestamp where each is discussed.
+ * Heuristic only, no LLM calls; every run rebuilds all citations, so rule
+ * changes apply to every video.
+ *
+ * Usage: node src/jobs/extractCitations.js
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { extractCitations } from '../services/citationExtractor.js';
+
+dotenv.config();
+
+const logger = createLogger('ExtractCitationsJob');
+
+class CitationExtractionJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+  }
+
+  async extractFromVideo(video) {
+    // Sponsor reads cite "studies" too, but they are ads
+    const passages = (await this.db.getVideoPassages(video.id)).filter(passage => !passage.isSponsored);
+    return extractCitations({ description: video.description, passages });
+  }
+
+  async run() {
+    let videosProcessed = 0;
+    let citationsStored = 0;
+
+    for (let offset = 0; ; offset += 50) {
+      const videos = await this.db.listVideoMetadata(50, offset);
+      if (videos.length === 0) {
+        break;
+      }
+
+      for (const video of videos) {
+        const citations = await this.extractFromVideo(video);
+        const stored = await this.db.storeCitations(video.id, citations);
+        if (stored === null) {
+          throw new Error(`Failed to store citations for video ${video.youtube_id}, aborting`);
+        }
+
+        videosProcessed++;
+        citationsStored += stored;
+        logger.info(`Extracted ${stored} citations from ${video.youtube_id}`);
+      }
+    }
+
+    logger.info(`Citation job finished: ${citationsStored} citations across ${videosProcessed} videos`);
+    return { videosProcessed, citationsStored };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const job = new CitationExtractionJob();
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to extract citations');
+      }
+      return job.run();
+    })
+    .then(({ videosProcessed, citationsStored }) => {
+      console.log(`✅ Extracted ${citationsStored} citations from ${videosProcessed} videos`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Citation job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { CitationExtractionJob };
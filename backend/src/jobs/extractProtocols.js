@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Batch job that extracts actionable protocols (action, dose or duration,
+ * timing, caveats) from transcript passages into the protocols table. Only
+ * passages that look actionable are sent to the LLM, a few at a time; each
+ * protocol keeps the start time of the passage it came from.
+ *
+ * Usage: node src/jobs/extractProtocols.js [maxVideos]
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { OpenRouterService } from '../services/openRouterService.js';
+import { BudgetExceededError } from '../services/costLedger.js';
+
+dotenv.config();
+
+const logger = createLogger('ExtractProtocolsJob');
+
+const DEFAULT_BATCH_SIZE = 8;
+
+// Cheap pre-filter: amounts, durations, frequencies or instructions
+const PROTOCOL_HINT = /\b\d+(\.\d+)?\s*(-\s*\d+\s*)?(seconds?|minutes?|min|hours?|hrs?|days?|weeks?|times|mg|milligrams?|grams?|g|mcg|iu|degrees?|percent|%|reps?|sets?)\b|\b(per (day|week)|each (day|morning|night)|every (day|morning|night)|daily|weekly|morning|before bed|protocol|I recommend|try to|you want to|you should)\b/i;
+
+function isCandidatePassage(passage) {
+  return PROTOCOL_HINT.test(passage.text);
+}
+
+class ProtocolExtractionJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.openRouter = options.openRouter || new OpenRouterService({ db: this.db });
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  }
+
+  async extractFromVideo(video) {
+    // Sponsor reads ("one scoop of AG1 a day") are not protocols
+    const candidates = (await this.db.getVideoPassages(video.id))
+      .filter(passage => !passage.isSponsored && isCandidatePassage(passage));
+    const protocols = [];
+    const seen = new Set();
+
+    for (let i = 0; i < candidates.length; i += this.batchSize) {
+      const batch = candidates.slice(i, i + this.batchSize);
+      const { protocols: extracted } = await this.openRouter.extractProtocols(video.title, batch);
+
+      for (const protocol of extracted) {
+        // Overlapping passages often repeat the same protocol
+        const key = protocol.action.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const passage = batch[protocol.passage - 1];
+        protocols.push({
+          passageId: passage.id,
+          topic: protocol.topic.toLowerCase(),
+          action: protocol.action,
+          dose: protocol.dose,
+          timing: protocol.timing,
+          caveats: protocol.caveats,
+          startTime: passage.startTime,
+          endTime: passage.endTime
+        });
+      }
+    }
+
+    return protocols;
+  }
+
+  async run({ maxVideos = Infinity } = {}) {
+    let videosProcessed = 0;
+    let protocolsStored = 0;
+    const failed = new Set();
+
+    while (videosProcessed + failed.size < maxVideos) {
+      const batchSize = Math.min(50, maxVideos - videosProcessed - failed.size);
+      // Failed videos stay unprocessed, so over-fetch to see past them
+      const videos = (await this.db.getVideosMissingProtocols(batchSize + failed.size))
+        .filter(video => !failed.has(video.id))
+        .slice(0, batchSize);
+
+      if (videos.length === 0) {
+        break;
+      }
+
+      for (const video of videos) {
+        let protocols;
+        try {
+          protocols = await this.extractFromVideo(video);
+        } catch (error) {
+          // Out of budget: stop here, a later run resumes with the remaining videos
+          if (error instanceof BudgetExceededError) {
+            throw error;
+          }
+          failed.add(video.id);
+          logger.warn(`Skipping ${video.youtube_id}: ${error.message}`);
+          continue;
+        }
+
+        const stored = await this.db.storeProtocols(video.id, protocols, { model: this.openRouter.getModel('extraction') });
+        if (stored === null) {
+          throw new Error(`Failed to store protocols for video ${video.youtube_id}, aborting`);
+        }
+
+        protocolsStored += stored;
+        videosProcessed++;
+        logger.info(`Extracted ${stored} protocols from ${video.youtube_id}`);
+      }
+    }
+
+    logger.info(`Protocol job finished: ${protocolsStored} protocols across ${videosProcessed} videos, ${failed.size} failed`);
+    return { videosProcessed, protocolsStored, videosFailed: failed.size };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const job = new ProtocolExtractionJob();
+  const maxVideos = parseInt(process.argv[2]) || Infinity;
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to extract protocols');
+      }
+      if (!job.openRouter.isConfigured) {
+        throw new Error('An LLM provider is required to extract protocols (see LLM_PROVIDER)');
+      }
+      return job.run({ maxVideos });
+    })
+    .then(({ videosProcessed, protocolsStored, videosFailed }) => {
+      console.log(`✅ Extracted ${protocolsStored} protocols from ${videosProcessed} videos (${videosFailed} failed)`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Protocol job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { ProtocolExtractionJob, isCandidatePassage };
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Batch job that writes a stored summary, key takeaways and chapter outline
+ * for every episode with transcript passages. Long transcripts are split into
+ * sections that are summarized one by one (map) and then combined (reduce),
+ * so no single prompt has to hold a multi-hour transcript.
+ *
+ * Usage: node src/jobs/summarizeEpisodes.js [maxVideos]
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { OpenRouterService } from '../services/openRouterService.js';
+import { BudgetExceededError } from '../services/costLedger.js';
+
+dotenv.config();
+
+const logger = createLogger('SummarizeEpisodesJob');
+
+// Roughly 10-15 minutes of speech per section
+const DEFAULT_SECTION_TOKENS = 1500;
+
+/**
+ * Groups consecutive passages into sections of about maxTokens. Passages
+ * overlap their predecessor slightly, which is harmless for summarization.
+ */
+function groupPassagesIntoSections(passages, maxTokens = DEFAULT_SECTION_TOKENS) {
+  const sections = [];
+  let current = null;
+
+  for (const passage of passages) {
+    if (current && current.tokenCount + passage.tokenCount > maxTokens) {
+      sections.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { startTime: passage.startTime, endTime: passage.endTime, text: '', tokenCount: 0 };
+    }
+
+    current.text = current.text ? `${current.text} ${passage.text}` : passage.text;
+    current.endTime = passage.endTime;
+    current.tokenCount += passage.tokenCount;
+  }
+
+  if (current) {
+    sections.push(current);
+  }
+
+  return sections;
+}
+
+class EpisodeSummaryJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.openRouter = options.openRouter || new OpenRouterService({ db: this.db });
+    this.sectionTokens = options.sectionTokens || DEFAULT_SECTION_TOKENS;
+  }
+
+  async summarizeVideo(video) {
+    // Sponsor reads are left out of summaries
+    const passages = (await this.db.getVideoPassages(video.id)).filter(passage => !passage.isSponsored);
+    const sections = groupPassagesIntoSections(passages, this.sectionTokens);
+
+    if (sections.length === 0) {
+      throw new Error('video has no transcript passages');
+    }
+
+    // Map: sections run one at a time to keep within provider rate limits
+    const sectionSummaries = [];
+    for (const section of sections) {
+      sectionSummaries.push(await this.openRouter.summarizeTranscriptSection(video.title, section));
+    }
+
+    // Reduce
+    const episode = await this.openRouter.combineSectionSummaries(video.title, sectionSummaries);
+
+    const seenSections = new Set();
+    const chapters = episode.chapters
+      .filter(chapter => !seenSections.has(chapter.section) && seenSections.add(chapter.section))
+      .sort((a, b) => a.section - b.section)
+      .map(chapter => ({ title: chapter.title, startTime: Math.floor(sections[chapter.section - 1].startTime) }));
+
+    return {
+      summary: episode.summary,
+      takeaways: episode.takeaways,
+      chapters,
+      model: this.openRouter.getModel('summary'),
+      sectionCount: sections.length
+    };
+  }
+
+  async run({ maxVideos = Infinity } = {}) {
+    let videosSummarized = 0;
+    const failed = new Set();
+
+    while (videosSummarized + failed.size < maxVideos) {
+      const batchSize = Math.min(50, maxVideos - videosSummarized - failed.size);
+      // Failed videos stay "missing", so over-fetch to see past them
+      const videos = (await this.db.getVideosMissingSummaries(batchSize + failed.size))
+        .filter(video => !failed.has(video.id))
+        .slice(0, batchSize);
+
+      if (videos.length === 0) {
+        break;
+      }
+
+      for (const video of videos) {
+        let summary;
+        try {
+          summary = await this.summarizeVideo(video);
+        } catch (error) {
+          // Out of budget: stop here, a later run resumes with the remaining videos
+          if (error instanceof BudgetExceededError) {
+            throw error;
+          }
+          failed.add(video.id);
+          logger.warn(`Skipping ${video.youtube_id}: ${error.message}`);
+          continue;
+        }
+
+        const stored = await this.db.storeEpisodeSummary(video.id, summary);
+        if (!stored) {
+          throw new Error(`Failed to store summary for video ${video.youtube_id}, aborting`);
+        }
+
+        videosSummarized++;
+        logger.info(`Summarized ${video.youtube_id} (${summary.sectionCount} sections, ${summary.chapters.length} chapters)`);
+      }
+    }
+
+    logger.info(`Summary job finished: ${videosSummarized} summarized, ${failed.size} failed`);
+    return { videosSummarized, videosFailed: failed.size };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const job = new EpisodeSummaryJob();
+  const maxVideos = parseInt(process.argv[2]) || Infinity;
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to summarize episodes');
+      }
+      if (!job.openRouter.isConfigured) {
+        throw new Error('An LLM provider is required to summarize episodes (see LLM_PROVIDER)');
+      }
+      return job.run({ maxVideos });
+    })
+    .then(({ videosSummarized, videosFailed }) => {
+      console.log(`✅ Summarized ${videosSummarized} episodes (${videosFailed} failed)`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Summary job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { EpisodeSummaryJob, groupPassagesIntoSections };
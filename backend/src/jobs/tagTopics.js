@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Batch job that tags every video and transcript passage with the
+ * health_topics it covers (video_topics, passage_topics) and refreshes
+ * health_topics.video_count. Scores come from topic keywords; pass
+ * `embeddings` to blend in similarity between passage embeddings and the
+ * topic descriptions. Tags are rewritten on every run, so keyword edits apply
+ * to all videos.
+ *
+ * Usage: node src/jobs/tagTopics.js [keywords|embeddings]
+ */
+
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { EmbeddingService } from '../services/embeddingService.js';
+import { tagVideo, topicEmbeddingText } from '../services/topicTagger.js';
+
+dotenv.config();
+
+const logger = createLogger('TagTopicsJob');
+
+class TopicTaggingJob {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.useEmbeddings = options.useEmbeddings || false;
+    this.embeddings = this.useEmbeddings ? (options.embeddings || new EmbeddingService()) : null;
+    this.taggerOptions = options.taggerOptions || {};
+  }
+
+  async run() {
+    const topics = await this.db.getHealthTopics();
+    if (topics.length === 0) {
+      throw new Error('No health topics to tag against');
+    }
+
+    const topicEmbeddings = this.useEmbeddings
+      ? await this.embeddings.embedTexts(topics.map(topicEmbeddingText))
+      : [];
+
+    let videosTagged = 0;
+    let videoTags = 0;
+    let passageTags = 0;
+
+    for (let offset = 0; ; offset += 50) {
+      const videos = await this.db.listVideoMetadata(50, offset);
+      if (videos.length === 0) {
+        break;
+      }
+
+      for (const video of videos) {
+        const passages = (await this.db.getVideoPassages(video.id)).filter(passage => !passage.isSponsored);
+
+        let similarities = null;
+        if (this.useEmbeddings && passages.length > 0) {
+          similarities = new Map();
+          for (const [index, topic] of topics.entries()) {
+            similarities.set(topic.id, await this.db.getPassageSimilarities(video.id, topicEmbeddings[index]));
+          }
+        }
+
+        const tags = tagVideo(video, passages, topics, { ...this.taggerOptions, similarities });
+        if (!await this.db.storeVideoTopics(video.id, tags)) {
+          throw new Error(`Failed to store topics for video ${video.youtube_id}, aborting`);
+        }
+
+        videosTagged++;
+        videoTags += tags.videoTopics.length;
+        passageTags += tags.passageTopics.length;
+        logger.info(`Tagged ${video.youtube_id} with ${tags.videoTopics.length} topics`);
+      }
+    }
+
+    const topicsCounted = await this.db.refreshTopicVideoCounts();
+
+    logger.info(`Topic job finished: ${videoTags} video tags and ${passageTags} passage tags across ${videosTagged} videos; counts refreshed for ${topicsCounted} topics`);
+    return { videosTagged, videoTags, passageTags };
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const mode = process.argv[2] || 'keywords';
+  const job = new TopicTaggingJob({ useEmbeddings: mode === 'embeddings' });
+
+  job.db.connect()
+    .then(() => {
+      if (!job.db.isConnected) {
+        throw new Error('Database connection required to tag topics');
+      }
+      return job.run();
+    })
+    .then(({ videosTagged, videoTags }) => {
+      console.log(`✅ Tagged ${videosTagged} videos with ${videoTags} topics (${mode})`);
+      return job.db.close();
+    })
+    .catch(async (error) => {
+      console.error('❌ Topic tagging job failed:', error.message);
+      await job.db.close();
+      process.exit(1);
+    });
+}
+
+export { TopicTaggingJob };
@@ -7,29 +7,151 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { z } from 'zod';
+import { createHash, timingSafeEqual } from 'node:crypto';
 import dotenv from 'dotenv';
 import axios from 'axios';
+import express from 'express';
 import { ApifyClient } from 'apify-client';
 import { createLogger } from './utils/logger.js';
 import { DatabaseService } from './services/databaseService.js';
 import { OpenRouterService } from './services/openRouterService.js';
 import { SemanticSearchService } from './services/semanticSearchService.js';
+import { ComparisonService } from './services/comparisonService.js';
+import { findChapter } from './services/chapterParser.js';
+import { listTools, validateToolArguments } from './services/mcpToolSchemas.js';
+import { ConversationService } from './services/conversationService.js';
+import { TriageService } from './services/triageService.js';
 
 // Load environment variables
 dotenv.config();
 
 const logger = createLogger('MCPServer');
 
+// Topics and videos per resources/list page; each video lists its metadata and transcript
+const RESOURCE_PAGE_SIZE = 50;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'huberman://video/{youtubeId}',
+    name: 'Huberman Lab episode',
+    description: 'Episode metadata with chapters, summary, guests and cited studies',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'huberman://transcript/{youtubeId}',
+    name: 'Episode transcript',
+    description: 'Full timestamped transcript of an episode, with chapter headings and sponsor reads marked',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'huberman://topic/{name}',
+    name: 'Health topic',
+    description: 'A health topic and the episodes tagged with it, most relevant first',
+    mimeType: 'application/json'
+  }
+];
+
+// Prompt templates; arguments arrive as strings
+const PROMPTS = [
+  {
+    name: 'build_protocol',
+    description: 'Build a step-by-step protocol for a health goal from the protocols and transcript passages of Huberman Lab episodes',
+    arguments: [
+      { name: 'goal', description: 'The goal, e.g. "fall asleep faster" or "improve focus"', required: true }
+    ]
+  },
+  {
+    name: 'summarize_episode',
+    description: 'Summarize one episode from its transcript, with a timestamp for each key point',
+    arguments: [
+      { name: 'youtubeId', description: 'YouTube ID of the episode, e.g. "SwQhKFMxmDY"', required: true }
+    ]
+  },
+  {
+    name: 'compare',
+    description: 'Compare two concepts (e.g. cold vs heat exposure) from what the podcast says about each',
+    arguments: [
+      { name: 'a', description: 'First concept', required: true },
+      { name: 'b', description: 'Second concept', required: true },
+      { name: 'aspect', description: 'Optional aspect to compare them on, e.g. "recovery"', required: false }
+    ]
+  }
+];
+
+// Transcript passages quoted per search in an expanded prompt
+const PROMPT_EXCERPTS = 5;
+// Longer transcripts are cut; the message points at the full resource
+const PROMPT_TRANSCRIPT_CHARS = 40000;
+
+const RESOURCE_URI = /^huberman:\/\/(video|transcript|topic)\/(.+)$/;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// find_similar_videos pages through at most this many similar videos
+const SIMILAR_VIDEOS_MAX = 50;
+
+// The HTTP transport may run without a token only on these
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+// Cursors are opaque to clients; they hold an offset into the listing
+// (for resources/list, into topics followed by videos)
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new McpError(ErrorCode.InvalidParams, `Invalid cursor: ${cursor}`);
+}
+
 class HubermanHealthMCPServer {
   constructor() {
-    this.server = new Server(
+    // Server for the stdio transport; HTTP sessions each get their own from createServer()
+    this.server = this.createServer();
+    // HTTP transport sessions by session ID: { transport, server }
+    this.sessions = new Map();
+    this.httpServer = null;
+
+    // Initialize services
+    this.db = new DatabaseService();
+    this.openRouter = new OpenRouterService({ db: this.db });
+    this.semanticSearch = new SemanticSearchService({ db: this.db, openRouter: this.openRouter });
+    this.comparisons = new ComparisonService({ db: this.db, openRouter: this.openRouter });
+    this.conversations = new ConversationService({ db: this.db, openRouter: this.openRouter });
+    this.triage = new TriageService();
+    this.apifyClient = new ApifyClient({
+      token: process.env.APIFY_API_TOKEN
+    });
+
+    this.setupErrorHandling();
+  }
+
+  // An MCP server has one transport at a time, so every connection needs its own
+  createServer() {
+    const server = new Server(
       {
         name: 'huberman-health-ai',
         version: '1.0.0',
@@ -37,139 +159,46 @@ class HubermanHealthMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    // Initialize services
-    this.db = new DatabaseService();
-    this.openRouter = new OpenRouterService();
-    this.semanticSearch = new SemanticSearchService();
-    this.apifyClient = new ApifyClient({
-      token: process.env.APIFY_API_TOKEN
-    });
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    server.onerror = (error) => {
+      logger.error('MCP Server error:', error);
+    };
 
-    this.setupToolHandlers();
-    this.setupErrorHandling();
+    return server;
   }
 
-  setupToolHandlers() {
+  setupToolHandlers(server) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: 'process_health_query',
-            description: 'Process a health-related query and find relevant Huberman Lab content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'The health query to process'
-                },
-                userId: {
-                  type: 'string',
-                  description: 'Optional user ID for tracking',
-                  optional: true
-                }
-              },
-              required: ['query']
-            }
-          },
-          {
-            name: 'semantic_search',
-            description: 'Perform semantic search across video transcripts',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'Search query'
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of results',
-                  default: 10
-                },
-                minRelevanceScore: {
-                  type: 'number',
-                  description: 'Minimum relevance score (0-1)',
-                  default: 0.1
-                }
-              },
-              required: ['query']
-            }
-          },
-          {
-            name: 'extract_timestamps',
-            description: 'Extract relevant timestamps from a video based on query',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                videoId: {
-                  type: 'string',
-                  description: 'Video ID to extract timestamps from'
-                },
-                query: {
-                  type: 'string',
-                  description: 'Query to find relevant timestamps for'
-                }
-              },
-              required: ['videoId', 'query']
-            }
-          },
-          {
-            name: 'get_video_stats',
-            description: 'Get statistics about videos in the database',
-            inputSchema: {
-              type: 'object',
-              properties: {},
-              required: []
-            }
-          },
-          {
-            name: 'scrape_huberman_videos',
-            description: 'Scrape videos from Huberman Lab YouTube channel',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of videos to scrape',
-                  default: 50
-                },
-                includeTranscripts: {
-                  type: 'boolean',
-                  description: 'Whether to scrape transcripts as well',
-                  default: true
-                }
-              },
-              required: []
-            }
-          },
-          {
-            name: 'get_health_topics',
-            description: 'Get available health topics from the database',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                category: {
-                  type: 'string',
-                  description: 'Optional category filter',
-                  optional: true
-                }
-              },
-              required: []
-            }
-          }
-        ]
-      };
-    });
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: listTools()
+    }));
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name } = request.params;
+
+      const validation = validateToolArguments(name, request.params.arguments);
+      if (!validation) {
+        throw new McpError(
+          ErrorCode.MethodNotFound,
+          `Unknown tool: ${name}`
+        );
+      }
+      if (!validation.success) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid arguments for ${name}: ${validation.message}`
+        );
+      }
+      const args = validation.data;
 
       try {
         switch (name) {
@@ -191,6 +220,24 @@ class HubermanHealthMCPServer {
           case 'get_health_topics':
             return await this.getHealthTopics(args);
           
+          case 'get_protocols':
+            return await this.getProtocols(args);
+          
+          case 'compare_concepts':
+            return await this.compareConcepts(args);
+          
+          case 'get_transcript':
+            return await this.getTranscript(args);
+          
+          case 'find_similar_videos':
+            return await this.findSimilarVideos(args);
+          
+          case 'get_video_details':
+            return await this.getVideoDetails(args);
+          
+          case 'get_topic_videos':
+            return await this.getTopicVideos(args);
+          
           default:
             throw new McpError(
               ErrorCode.MethodNotFound,
@@ -198,6 +245,9 @@ class HubermanHealthMCPServer {
             );
         }
       } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
         logger.error(`Tool ${name} failed:`, error);
         throw new McpError(
           ErrorCode.InternalError,
@@ -207,34 +257,431 @@ class HubermanHealthMCPServer {
     });
   }
 
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES
+    }));
+
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      return await this.listResources(request.params?.cursor);
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+
+      try {
+        return await this.readResource(uri);
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        logger.error(`Resource ${uri} failed:`, error);
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Resource read failed: ${error.message}`
+        );
+      }
+    });
+  }
+
+  /**
+   * One page of topics, then videos (each as a video and a transcript
+   * resource), with a nextCursor while more remain
+   */
+  async listResources(cursor) {
+    const offset = decodeCursor(cursor);
+    const topics = await this.db.getHealthTopics();
+    const resources = topics.slice(offset, offset + RESOURCE_PAGE_SIZE).map(topic => ({
+      uri: `huberman://topic/${encodeURIComponent(topic.name)}`,
+      name: `Topic: ${topic.name}`,
+      description: topic.description || undefined,
+      mimeType: 'application/json'
+    }));
+
+    const videoOffset = Math.max(0, offset - topics.length);
+    const videoLimit = RESOURCE_PAGE_SIZE - resources.length;
+    // One extra row tells whether another page exists
+    const videos = await this.db.listVideoMetadata(videoLimit + 1, videoOffset);
+
+    for (const video of videos.slice(0, videoLimit)) {
+      resources.push(
+        {
+          uri: `huberman://video/${video.youtube_id}`,
+          name: video.title,
+          mimeType: 'application/json'
+        },
+        {
+          uri: `huberman://transcript/${video.youtube_id}`,
+          name: `Transcript: ${video.title}`,
+          mimeType: 'text/plain'
+        }
+      );
+    }
+
+    const hasMore = offset + RESOURCE_PAGE_SIZE < topics.length || videos.length > videoLimit;
+    return hasMore
+      ? { resources, nextCursor: encodeCursor(offset + RESOURCE_PAGE_SIZE) }
+      : { resources };
+  }
+
+  async readResource(uri) {
+    const match = uri.match(RESOURCE_URI);
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+    }
+
+    const [, type, id] = match;
+    logger.info(`Reading ${type} resource: ${id}`);
+
+    let content = null;
+    switch (type) {
+      case 'video':
+        content = await this.readVideoResource(id);
+        break;
+      case 'transcript':
+        content = await this.readTranscriptResource(id);
+        break;
+      case 'topic':
+        content = await this.readTopicResource(decodeURIComponent(id));
+        break;
+    }
+
+    if (!content) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+
+    return {
+      contents: [{ uri, ...content }]
+    };
+  }
+
+  async readVideoResource(youtubeId) {
+    const video = await this.db.getVideoByYoutubeId(youtubeId);
+    if (!video) {
+      return null;
+    }
+
+    return {
+      mimeType: 'application/json',
+      text: JSON.stringify(await this.describeVideo(video), null, 2)
+    };
+  }
+
+  // A video with its chapters, summary, guests and citations, as served by
+  // the video resource and the get_video_details tool
+  async describeVideo(video) {
+    const [chapters, summary, guests, citations] = await Promise.all([
+      this.db.getVideoChapters(video.id),
+      this.db.getEpisodeSummary(video.id),
+      this.db.getVideoGuests(video.id),
+      this.db.getVideoCitations(video.id)
+    ]);
+
+    return {
+      ...video,
+      url: `https://www.youtube.com/watch?v=${video.youtube_id}`,
+      transcriptUri: `huberman://transcript/${video.youtube_id}`,
+      chapters,
+      summary,
+      guests,
+      citations
+    };
+  }
+
+  async readTranscriptResource(youtubeId) {
+    const video = await this.db.getVideoByYoutubeId(youtubeId);
+    if (!video) {
+      return null;
+    }
+
+    const [segments, chapters] = await Promise.all([
+      this.db.getVideoSegments(video.id),
+      this.db.getVideoChapters(video.id)
+    ]);
+
+    const lines = [video.title, `https://www.youtube.com/watch?v=${video.youtube_id}`];
+    let chapterIndex = 0;
+    for (const segment of segments) {
+      while (chapterIndex < chapters.length && chapters[chapterIndex].startTime <= segment.startTime) {
+        lines.push('', `## ${chapters[chapterIndex].title}`);
+        chapterIndex++;
+      }
+      const speaker = segment.speaker ? `${segment.speaker}: ` : '';
+      const sponsor = segment.isSponsored ? '[sponsor read] ' : '';
+      lines.push(`[${this.semanticSearch.formatTime(Math.floor(segment.startTime))}] ${sponsor}${speaker}${segment.text}`);
+    }
+
+    return {
+      mimeType: 'text/plain',
+      text: lines.join('\n')
+    };
+  }
+
+  async readTopicResource(name) {
+    const topic = await this.db.getHealthTopicByName(name);
+    if (!topic) {
+      return null;
+    }
+
+    const videos = topic.id ? await this.db.getTopicVideos(topic.id) : [];
+
+    return {
+      mimeType: 'application/json',
+      text: JSON.stringify({
+        topic,
+        videos: videos.map(video => ({
+          ...video,
+          uri: `huberman://video/${video.youtube_id}`
+        }))
+      }, null, 2)
+    };
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: PROMPTS
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+
+      try {
+        return await this.getPrompt(name, args);
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        logger.error(`Prompt ${name} failed:`, error);
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Prompt expansion failed: ${error.message}`
+        );
+      }
+    });
+  }
+
+  async getPrompt(name, args) {
+    const prompt = PROMPTS.find(candidate => candidate.name === name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]?.trim());
+    if (missing.length > 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Missing required argument${missing.length > 1 ? 's' : ''}: ${missing.map(argument => argument.name).join(', ')}`
+      );
+    }
+
+    logger.info(`Expanding prompt ${name}`);
+
+    switch (name) {
+      case 'build_protocol':
+        return await this.buildProtocolPrompt(args.goal.trim());
+      case 'summarize_episode':
+        return await this.summarizeEpisodePrompt(args.youtubeId.trim());
+      case 'compare':
+        return await this.comparePrompt(args.a.trim(), args.b.trim(), args.aspect?.trim() || null);
+    }
+  }
+
+  async buildProtocolPrompt(goal) {
+    const [protocols, passages] = await Promise.all([
+      this.db.searchProtocols({ topic: goal, limit: 10 }),
+      this.db.searchPassagesByText(goal, PROMPT_EXCERPTS)
+    ]);
+
+    return {
+      description: `Protocol for ${goal}`,
+      messages: [
+        this.promptMessage(`Build a protocol for: ${goal}
+
+Use only what Dr. Andrew Huberman says on the Huberman Lab podcast. For each step give the action, the dose or duration, the timing and any caveats, and cite the episode link with its timestamp. Say so when the podcast does not cover part of the goal. This is educational content, not medical advice.
+
+Gather more evidence with these tool calls before answering:
+- get_protocols ${JSON.stringify({ topic: goal, limit: 20 })}
+- process_health_query ${JSON.stringify({ query: `protocol for ${goal}` })}
+- extract_timestamps {"videoId": "<id of a relevant episode>", "query": ${JSON.stringify(goal)}} for the exact moments in an episode`),
+        this.promptMessage(`Protocols already extracted from transcripts:\n${this.formatProtocols(protocols)}`),
+        this.promptMessage(`Transcript excerpts about "${goal}":\n${this.formatExcerpts(passages)}`)
+      ]
+    };
+  }
+
+  async summarizeEpisodePrompt(youtubeId) {
+    const video = await this.db.getVideoByYoutubeId(youtubeId);
+    if (!video) {
+      throw new McpError(ErrorCode.InvalidParams, `Episode not found: ${youtubeId}`);
+    }
+
+    const uri = `huberman://transcript/${youtubeId}`;
+    const transcript = await this.readTranscriptResource(youtubeId);
+    const text = transcript.text.length > PROMPT_TRANSCRIPT_CHARS
+      ? `${transcript.text.substring(0, PROMPT_TRANSCRIPT_CHARS)}\n\n[Transcript truncated; read ${uri} for the rest]`
+      : transcript.text;
+
+    return {
+      description: `Summary of "${video.title}"`,
+      messages: [
+        this.promptMessage(`Summarize the Huberman Lab episode "${video.title}" (https://www.youtube.com/watch?v=${youtubeId}).
+
+Write a short overview, then the key points in order. Give each key point the [m:ss] timestamp where it is discussed, taken from the transcript below. Skip lines marked [sponsor read]. List any protocols (action, dose, timing) separately.
+
+For metadata, chapters and cited studies, read the resource huberman://video/${youtubeId}. To find the moments on one subtopic, call extract_timestamps ${JSON.stringify({ videoId: video.id, query: '<subtopic>' })}.`),
+        {
+          role: 'user',
+          content: {
+            type: 'resource',
+            resource: { uri, mimeType: transcript.mimeType, text }
+          }
+        }
+      ]
+    };
+  }
+
+  async comparePrompt(a, b, aspect) {
+    const searchFor = (concept) => (aspect ? `${concept} ${aspect}` : concept);
+    const [passagesA, passagesB] = await Promise.all([
+      this.db.searchPassagesByText(searchFor(a), PROMPT_EXCERPTS),
+      this.db.searchPassagesByText(searchFor(b), PROMPT_EXCERPTS)
+    ]);
+    const toolArgs = aspect ? { concepts: [a, b], aspect } : { concepts: [a, b] };
+
+    return {
+      description: `Compare ${a} vs ${b}${aspect ? ` for ${aspect}` : ''}`,
+      messages: [
+        this.promptMessage(`Compare ${a} vs ${b}${aspect ? ` for ${aspect}` : ''}, using what Dr. Andrew Huberman says on the Huberman Lab podcast.
+
+Summarize each side, then list where they agree and where they differ (effects, mechanisms, dose and timing). Cite the episode link with its timestamp for every point, and say when the podcast only covers one side.
+
+Start with the tool call compare_concepts ${JSON.stringify(toolArgs)}, then use semantic_search ${JSON.stringify({ query: searchFor(a) })} and semantic_search ${JSON.stringify({ query: searchFor(b) })} for more context.`),
+        this.promptMessage(`Transcript excerpts about ${a}:\n${this.formatExcerpts(passagesA)}`),
+        this.promptMessage(`Transcript excerpts about ${b}:\n${this.formatExcerpts(passagesB)}`)
+      ]
+    };
+  }
+
+  promptMessage(text) {
+    return {
+      role: 'user',
+      content: { type: 'text', text }
+    };
+  }
+
+  formatExcerpts(passages) {
+    if (passages.length === 0) {
+      return '(No matching transcript passages in the database; use the tools above.)';
+    }
+
+    return passages
+      .map(passage => {
+        const startTime = Math.floor(passage.startTime);
+        return `- "${passage.title}" at ${this.semanticSearch.formatTime(startTime)} (https://www.youtube.com/watch?v=${passage.youtube_id}&t=${startTime}s): ${passage.text}`;
+      })
+      .join('\n');
+  }
+
+  formatProtocols(protocols) {
+    if (protocols.length === 0) {
+      return '(None found; use get_protocols with a broader topic.)';
+    }
+
+    return protocols
+      .map(protocol => {
+        const details = [protocol.dose, protocol.timing].filter(Boolean).join(', ');
+        const caveats = protocol.caveats.length > 0 ? ` Caveats: ${protocol.caveats.join('; ')}.` : '';
+        return `- ${protocol.action.replace(/[.\s]+$/, '')}${details ? ` (${details})` : ''}.${caveats} Source: "${protocol.title}" ${protocol.url}`;
+      })
+      .join('\n');
+  }
+
   async processHealthQuery(args) {
-    const { query, userId } = args;
+    const { query, userId, sessionId, includeSponsored = false } = args;
     const startTime = Date.now();
 
     logger.info(`Processing health query: "${query}"`);
 
     try {
+      // Step 0: Load the conversation and resolve follow-ups against earlier turns
+      const session = sessionId
+        ? await this.conversations.getSession(sessionId)
+        : { ...(await this.conversations.createSession({ userId })), turns: [] };
+
+      if (!session) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: {
+                  code: 'SESSION_NOT_FOUND',
+                  message: `Session ${sessionId} not found`
+                }
+              }, null, 2)
+            }
+          ]
+        };
+      }
+
+      const { query: searchQuery, rewritten } = await this.conversations.rewriteQuery(query, session.turns);
+
+      // Red-flag symptoms get emergency guidance instead of podcast protocols
+      const emergency = this.triage.assess(query, rewritten ? searchQuery : null);
+      if (emergency) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                data: {
+                  query,
+                  rewrittenQuery: rewritten ? searchQuery : null,
+                  sessionId: session.id,
+                  triage: emergency,
+                  results: [],
+                  totalResults: 0,
+                  processingTime: Date.now() - startTime,
+                  userId,
+                  timestamp: new Date().toISOString()
+                }
+              }, null, 2)
+            }
+          ]
+        };
+      }
+
       // Step 1: AI-powered query analysis
-      const processedQuery = await this.openRouter.processHealthQuery(query);
+      const processedQuery = await this.openRouter.processHealthQuery(searchQuery);
       
-      // Step 2: Semantic search across video database
-      const searchResults = await this.semanticSearch.searchTranscripts(query, {
+      // Step 2: Semantic search across video database, biased toward videos already discussed
+      const searchResults = await this.semanticSearch.searchTranscripts(searchQuery, {
         limit: 10,
-        minRelevanceScore: 0.1
+        minRelevanceScore: 0.1,
+        boostVideoIds: this.conversations.getCitedVideoIds(session.turns),
+        includeSponsored
       });
 
       // Step 3: Enhance results with AI insights
       const enhancedResults = await Promise.all(
         searchResults.map(async (result) => {
-          const timestamps = await this.extractRelevantTimestamps(result.id, query);
+          const timestamps = await this.extractRelevantTimestamps(result.id, searchQuery, { includeSponsored });
           return {
             ...result,
             timestamps,
-            aiInsight: await this.generateHealthInsight(result, query)
+            aiInsight: await this.generateHealthInsight(result, searchQuery)
           };
         })
       );
 
+      await this.conversations.recordTurn(session.id, {
+        query,
+        rewrittenQuery: searchQuery,
+        citedVideoIds: enhancedResults.slice(0, 3).map(result => result.id)
+      });
+
       const processingTime = Date.now() - startTime;
 
       return {
@@ -245,7 +692,10 @@ class HubermanHealthMCPServer {
               success: true,
               data: {
                 query,
+                rewrittenQuery: rewritten ? searchQuery : null,
+                sessionId: session.id,
                 processedQuery,
+                triage: this.triage.fromAnalysis(processedQuery),
                 results: enhancedResults,
                 totalResults: enhancedResults.length,
                 processingTime,
@@ -276,14 +726,15 @@ class HubermanHealthMCPServer {
   }
 
   async performSemanticSearch(args) {
-    const { query, limit = 10, minRelevanceScore = 0.1 } = args;
+    const { query, limit = 10, minRelevanceScore = 0.1, includeSponsored = false } = args;
 
     logger.info(`Performing semantic search: "${query}"`);
 
     try {
       const results = await this.semanticSearch.searchTranscripts(query, {
         limit,
-        minRelevanceScore
+        minRelevanceScore,
+        includeSponsored
       });
 
       return {
@@ -322,12 +773,12 @@ class HubermanHealthMCPServer {
   }
 
   async extractTimestamps(args) {
-    const { videoId, query } = args;
+    const { videoId, query, includeSponsored = false } = args;
 
     logger.info(`Extracting timestamps for video ${videoId} with query: "${query}"`);
 
     try {
-      const timestamps = await this.extractRelevantTimestamps(videoId, query);
+      const timestamps = await this.extractRelevantTimestamps(videoId, query, { includeSponsored });
 
       return {
         content: [
@@ -528,29 +979,370 @@ class HubermanHealthMCPServer {
     }
   }
 
-  // Helper methods
-  async extractRelevantTimestamps(videoId, query) {
+  async getProtocols(args) {
+    const { topic, limit = 20 } = args || {};
+
+    logger.info(`Getting protocols${topic ? ` for topic: ${topic}` : ''}`);
+
     try {
-      const segments = await this.db.getVideoSegments(videoId);
-      const relevantSegments = segments.filter(segment => {
-        const queryWords = query.toLowerCase().split(' ');
-        return queryWords.some(word => 
-          segment.text.toLowerCase().includes(word) ||
-          segment.label?.toLowerCase().includes(word)
-        );
+      const protocols = await this.db.searchProtocols({
+        topic: topic || null,
+        limit: Math.min(limit, 100)
       });
 
-      return relevantSegments.map(segment => ({
-        time: segment.startTime,
-        label: segment.label || 'Relevant Content',
-        description: segment.text.substring(0, 120) + '...'
-      }));
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              data: {
+                protocols,
+                totalResults: protocols.length,
+                topic: topic || 'all'
+              }
+            }, null, 2)
+          }
+        ]
+      };
     } catch (error) {
-      logger.error('Failed to extract timestamps:', error);
-      return [];
+      logger.error('Failed to get protocols:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: {
+                code: 'PROTOCOLS_ERROR',
+                message: error.message
+              }
+            }, null, 2)
+          }
+        ]
+      };
     }
   }
 
+  async compareConcepts(args) {
+    const { concepts, aspect = null, query, includeSponsored = false } = args;
+    const question = query || concepts.join(' vs ');
+
+    logger.info(`Comparing concepts: ${concepts.join(', ')}${aspect ? ` for ${aspect}` : ''}`);
+
+    try {
+      const comparison = await this.comparisons.compare(question, concepts, { aspect, includeSponsored });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              data: {
+                query: question,
+                aspect,
+                ...comparison
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logger.error('Failed to compare concepts:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: {
+                code: 'COMPARISON_ERROR',
+                message: error.message
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    }
+  }
+
+  async getTranscript(args) {
+    const { videoId, startTime = 0, endTime, padding = 0, limit = 100, includeSponsored = false } = args;
+    const offset = decodeCursor(args.cursor);
+
+    logger.info(`Getting transcript of video ${videoId} from ${startTime}s${endTime !== undefined ? ` to ${endTime}s` : ''}`);
+
+    try {
+      const video = await this.findVideo(videoId);
+      if (!video) {
+        return this.videoNotFound(videoId);
+      }
+
+      const [segments, chapters] = await Promise.all([
+        this.db.getVideoSegments(video.id),
+        this.db.getVideoChapters(video.id)
+      ]);
+
+      // Segments overlapping the padded range
+      const from = Math.max(0, startTime - padding);
+      const to = endTime !== undefined ? endTime + padding : null;
+      const inRange = segments.filter(segment =>
+        (includeSponsored || !segment.isSponsored) &&
+        (segment.endTime ?? segment.startTime) >= from &&
+        (to === null || segment.startTime < to)
+      );
+      const page = inRange.slice(offset, offset + limit);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              data: {
+                videoId: video.id,
+                youtubeId: video.youtube_id,
+                title: video.title,
+                range: { startTime: from, endTime: to },
+                segments: page.map(segment => {
+                  const chapter = findChapter(chapters, segment.startTime);
+                  return {
+                    startTime: segment.startTime,
+                    endTime: segment.endTime,
+                    label: this.semanticSearch.formatTime(Math.floor(segment.startTime)),
+                    speaker: segment.speaker || null,
+                    chapter: chapter ? chapter.title : null,
+                    isSponsored: Boolean(segment.isSponsored),
+                    text: segment.text,
+                    url: `https://www.youtube.com/watch?v=${video.youtube_id}&t=${Math.floor(segment.startTime)}s`
+                  };
+                }),
+                totalSegments: inRange.length,
+                nextCursor: offset + limit < inRange.length ? encodeCursor(offset + limit) : null
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logger.error('Failed to get transcript:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: {
+                code: 'TRANSCRIPT_ERROR',
+                message: error.message
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    }
+  }
+
+  async findSimilarVideos(args) {
+    const { videoId, limit = 5 } = args;
+    const offset = decodeCursor(args.cursor);
+
+    logger.info(`Finding videos similar to ${videoId}`);
+
+    try {
+      const video = await this.findVideo(videoId);
+      if (!video) {
+        return this.videoNotFound(videoId);
+      }
+
+      // The same fixed-size ranking on every call, so pages do not shift
+      const similar = await this.semanticSearch.findSimilarContent(video.id, { limit: SIMILAR_VIDEOS_MAX, includeTimestamps: false });
+      const end = offset + limit;
+      const videos = similar.slice(offset, end);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              data: {
+                videoId: video.id,
+                youtubeId: video.youtube_id,
+                title: video.title,
+                videos,
+                totalResults: videos.length,
+                nextCursor: similar.length > end ? encodeCursor(end) : null
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logger.error('Failed to find similar videos:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: {
+                code: 'SIMILAR_VIDEOS_ERROR',
+                message: error.message
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    }
+  }
+
+  async getVideoDetails(args) {
+    const { videoId } = args;
+
+    logger.info(`Getting details of video ${videoId}`);
+
+    try {
+      const video = await this.findVideo(videoId);
+      if (!video) {
+        return this.videoNotFound(videoId);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              data: await this.describeVideo(video)
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logger.error('Failed to get video details:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: {
+                code: 'VIDEO_DETAILS_ERROR',
+                message: error.message
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    }
+  }
+
+  async getTopicVideos(args) {
+    const { topic: name, limit = 10 } = args;
+    const offset = decodeCursor(args.cursor);
+
+    logger.info(`Getting videos for topic: ${name}`);
+
+    try {
+      // An exact name wins; otherwise the best keyword suggestion stands in for it
+      const suggestions = await this.semanticSearch.getTopicSuggestions(name);
+      const topic = await this.db.getHealthTopicByName(name) || suggestions[0];
+
+      if (!topic) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: {
+                  code: 'TOPIC_NOT_FOUND',
+                  message: `No health topic matches "${name}"`
+                }
+              }, null, 2)
+            }
+          ]
+        };
+      }
+
+      // One extra row tells whether another page exists
+      const videos = topic.id ? await this.db.getTopicVideos(topic.id, { limit: limit + 1, offset }) : [];
+      const page = videos.slice(0, limit);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              data: {
+                topic,
+                suggestions: suggestions
+                  .filter(suggestion => suggestion.name !== topic.name)
+                  .map(suggestion => ({ name: suggestion.name, relevanceScore: suggestion.relevanceScore })),
+                videos: page.map(video => ({
+                  ...video,
+                  url: `https://www.youtube.com/watch?v=${video.youtube_id}`,
+                  uri: `huberman://video/${video.youtube_id}`
+                })),
+                totalResults: page.length,
+                nextCursor: videos.length > limit ? encodeCursor(offset + limit) : null
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logger.error('Failed to get topic videos:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: {
+                code: 'TOPIC_VIDEOS_ERROR',
+                message: error.message
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    }
+  }
+
+  // Helper methods
+
+  // Tools take either the database ID or the YouTube ID of a video
+  async findVideo(videoId) {
+    return UUID.test(videoId)
+      ? this.db.getVideoById(videoId)
+      : this.db.getVideoByYoutubeId(videoId);
+  }
+
+  videoNotFound(videoId) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: {
+              code: 'VIDEO_NOT_FOUND',
+              message: `Video not found: ${videoId}`
+            }
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  async extractRelevantTimestamps(videoId, query, options = {}) {
+    return this.semanticSearch.extractRelevantTimestamps(videoId, query, null, options);
+  }
+
   async generateHealthInsight(result, query) {
     try {
       const insight = await this.openRouter.generateHealthInsight(result, query);
@@ -562,10 +1354,6 @@ class HubermanHealthMCPServer {
   }
 
   setupErrorHandling() {
-    this.server.onerror = (error) => {
-      logger.error('MCP Server error:', error);
-    };
-
     process.on('SIGINT', async () => {
       logger.info('Shutting down MCP server...');
       await this.cleanup();
@@ -575,6 +1363,13 @@ class HubermanHealthMCPServer {
 
   async cleanup() {
     try {
+      for (const { transport } of this.sessions.values()) {
+        await transport.close();
+      }
+      if (this.httpServer) {
+        await new Promise(resolve => this.httpServer.close(resolve));
+        this.httpServer = null;
+      }
       await this.db.close();
       logger.info('MCP server cleanup completed');
     } catch (error) {
@@ -582,16 +1377,124 @@ class HubermanHealthMCPServer {
     }
   }
 
-  async start() {
+  /**
+   * HTTP transport (MCP over SSE): each client opens GET /sse, receives its
+   * session's POST endpoint (/messages?sessionId=...) and gets its own server
+   * instance; all sessions share the database and AI services.
+   */
+  createHttpApp({ maxSessions = parseInt(process.env.MCP_MAX_SESSIONS) || 100, authToken = process.env.MCP_AUTH_TOKEN } = {}) {
+    const app = express();
+
+    // Sessions run tools that spend LLM credits, so with a token set every
+    // session and message must carry it; /health stays open for probes
+    const digest = value => createHash('sha256').update(value).digest();
+    const requireToken = (req, res, next) => {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      if (!authToken || (scheme === 'Bearer' && token && timingSafeEqual(digest(token), digest(authToken)))) {
+        return next();
+      }
+      res.status(401).set('WWW-Authenticate', 'Bearer').json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Send the MCP_AUTH_TOKEN as "Authorization: Bearer <token>"'
+        }
+      });
+    };
+
+    app.get('/health', (req, res) => {
+      res.json({ status: 'healthy', transport: 'http', sessions: this.sessions.size });
+    });
+
+    app.get('/sse', requireToken, async (req, res) => {
+      if (this.sessions.size >= maxSessions) {
+        logger.warn(`Rejecting MCP session: ${this.sessions.size} sessions open`);
+        return res.status(503).json({
+          success: false,
+          error: {
+            code: 'TOO_MANY_SESSIONS',
+            message: `At most ${maxSessions} MCP sessions can be open at once`
+          }
+        });
+      }
+
+      const transport = new SSEServerTransport('/messages', res);
+      const server = this.createServer();
+      const { sessionId } = transport;
+
+      this.sessions.set(sessionId, { transport, server });
+      // connect() takes over transport.onclose and calls server.onclose in turn
+      server.onclose = () => {
+        this.sessions.delete(sessionId);
+        logger.info(`MCP session ${sessionId} closed (${this.sessions.size} open)`);
+      };
+
+      try {
+        await server.connect(transport);
+        logger.info(`MCP session ${sessionId} opened (${this.sessions.size} open)`);
+      } catch (error) {
+        this.sessions.delete(sessionId);
+        logger.error('Failed to open MCP session:', error);
+      }
+    });
+
+    // The transport reads the raw body itself, so no JSON body parser here
+    app.post('/messages', requireToken, async (req, res) => {
+      const session = this.sessions.get(req.query.sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'SESSION_NOT_FOUND',
+            message: `MCP session ${req.query.sessionId} not found; open a new one with GET /sse`
+          }
+        });
+      }
+
+      try {
+        await session.transport.handlePostMessage(req, res);
+      } catch (error) {
+        logger.error(`MCP message for session ${req.query.sessionId} failed:`, error);
+      }
+    });
+
+    return app;
+  }
+
+  async listen(port, { host = process.env.MCP_SERVER_HOST || '127.0.0.1', authToken = process.env.MCP_AUTH_TOKEN, ...options } = {}) {
+    if (!authToken && !LOOPBACK_HOSTS.has(host)) {
+      throw new Error(`MCP_AUTH_TOKEN is required to serve MCP over HTTP on ${host}; set it or bind to 127.0.0.1`);
+    }
+    const app = this.createHttpApp({ ...options, authToken });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer = app.listen(port, host, resolve).on('error', reject);
+    });
+    logger.info(`📡 MCP HTTP transport listening on port ${this.httpServer.address().port} (GET /sse, POST /messages)`);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {'stdio'|'http'} [options.transport] - stdio for a local client, http for remote clients
+   * @param {number} [options.port] - HTTP port (MCP_SERVER_PORT, default 3002)
+   */
+  async start({ transport = process.env.MCP_TRANSPORT || 'stdio', port = parseInt(process.env.MCP_SERVER_PORT) || 3002 } = {}) {
     logger.info('Starting Huberman Health MCP Server...');
     
     try {
+      if (!['stdio', 'http'].includes(transport)) {
+        throw new Error(`Unknown transport "${transport}"; use "stdio" or "http"`);
+      }
+
       // Initialize database connection
       await this.db.connect();
       
       // Start MCP server
-      const transport = new StdioServerTransport();
-      await this.server.connect(transport);
+      if (transport === 'http') {
+        await this.listen(port);
+      } else {
+        await this.server.connect(new StdioServerTransport());
+      }
       
       logger.info('🚀 Huberman Health MCP Server started successfully');
       logger.info('📡 Server ready to handle MCP requests');
@@ -0,0 +1,214 @@
+import express from 'express';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('QueryStreamRoutes');
+
+export function invalidGuest(guest) {
+    return guest !== undefined && (typeof guest !== 'string' || guest.trim().length === 0 || guest.length > 100);
+}
+
+export function guestNotFound(res, guest) {
+    return res.status(404).json({
+        success: false,
+        error: {
+            code: 'GUEST_NOT_FOUND',
+            message: `Guest ${guest} not found`
+        }
+    });
+}
+
+export function sessionNotFound(res, sessionId) {
+    return res.status(404).json({
+        success: false,
+        error: {
+            code: 'SESSION_NOT_FOUND',
+            message: `Session ${sessionId} not found`
+        }
+    });
+}
+
+/**
+ * Streaming variant of /api/query over Server-Sent Events. Emits:
+ * processed_query, triage (when flagged), candidates, results, timestamps
+ * (one per result), answer_token (answer mode), answer, done, and error on
+ * failure. Red-flag queries emit only triage and done. Comparison queries get
+ * a regular answer here; the side-by-side comparison is only on POST /api/query.
+ *
+ * `pipeline` holds the stages shared with POST /api/query: resolveConversation,
+ * resolveGuest, analyzeQuery, searchForQuery, generateAnswer and
+ * recordConversationTurn.
+ */
+export function createQueryStreamRoutes({ pipeline, triage, prometheus, database }) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const startTime = Date.now();
+        const { query, sessionId, guest, mode = 'answer' } = req.query;
+        const includeSponsored = req.query.includeSponsored === 'true';
+
+        if (!query || typeof query !== 'string') {
+            prometheus.recordError('validation', '/api/query/stream', 'VALIDATION_ERROR');
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Query is required and must be a string'
+                }
+            });
+        }
+
+        if (!['search', 'answer'].includes(mode)) {
+            prometheus.recordError('validation', '/api/query/stream', 'VALIDATION_ERROR');
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Mode must be either "search" or "answer"'
+                }
+            });
+        }
+
+        if (invalidGuest(guest)) {
+            prometheus.recordError('validation', '/api/query/stream', 'VALIDATION_ERROR');
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Guest must be a non-empty string of at most 100 characters'
+                }
+            });
+        }
+
+        let context;
+        try {
+            context = await pipeline.resolveConversation(sessionId, query);
+        } catch (error) {
+            logger.error('Failed to load conversation:', error);
+            context = null;
+        }
+        if (!context) {
+            return sessionNotFound(res, sessionId);
+        }
+        const { searchQuery } = context;
+
+        let guestFilter;
+        try {
+            guestFilter = await pipeline.resolveGuest(guest);
+        } catch (error) {
+            logger.error('Failed to resolve guest:', error);
+            guestFilter = null;
+        }
+        if (!guestFilter) {
+            return guestNotFound(res, guest);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        let clientClosed = false;
+        req.on('close', () => {
+            clientClosed = true;
+        });
+
+        const sendEvent = (event, data) => {
+            if (!clientClosed) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        };
+
+        try {
+            const emergency = triage.assess(query, context.rewritten ? searchQuery : null);
+            if (emergency) {
+                const processingTime = Date.now() - startTime;
+                prometheus.recordQueryProcessing('triage', processingTime, true);
+
+                sendEvent('triage', emergency);
+                sendEvent('done', {
+                    totalResults: 0,
+                    processingTime,
+                    cost: 0,
+                    databaseConnected: database.isConnected
+                });
+                return;
+            }
+
+            logger.info(`Streaming query: "${searchQuery}"`);
+            prometheus.recordUserSession();
+
+            const { processedQuery, aiCost: analysisCost } = await pipeline.analyzeQuery(searchQuery);
+            let aiCost = analysisCost;
+            sendEvent('processed_query', {
+                query,
+                rewrittenQuery: context.rewritten ? searchQuery : null,
+                sessionId: context.session ? context.session.id : null,
+                guest: guestFilter.guest,
+                processedQuery
+            });
+
+            const advisory = triage.fromAnalysis(processedQuery);
+            if (advisory) {
+                sendEvent('triage', advisory);
+            }
+
+            let resultsSent = false;
+            const searchResults = await pipeline.searchForQuery(searchQuery, processedQuery, {
+                boostVideoIds: context.boostVideoIds,
+                videoIds: guestFilter.videoIds,
+                includeSponsored,
+                onProgress: (stage, payload) => {
+                    if (stage === 'results') {
+                        resultsSent = true;
+                    }
+                    sendEvent(stage, payload);
+                }
+            });
+
+            // Fallback search results arrive complete, timestamps included
+            if (!resultsSent) {
+                sendEvent('results', searchResults.slice(0, 5));
+            }
+
+            let answer = null;
+            if (mode === 'answer' && !clientClosed) {
+                answer = await pipeline.generateAnswer(searchQuery, searchResults, {
+                    onToken: token => sendEvent('answer_token', { token }),
+                    videoIds: guestFilter.videoIds,
+                    includeSponsored
+                });
+                aiCost += answer.cost;
+                sendEvent('answer', answer);
+            }
+
+            await pipeline.recordConversationTurn(context, query, searchResults, answer);
+
+            const processingTime = Date.now() - startTime;
+            prometheus.recordQueryProcessing('health_query_stream', processingTime, true);
+
+            sendEvent('done', {
+                totalResults: searchResults.length,
+                processingTime,
+                cost: aiCost,
+                databaseConnected: database.isConnected
+            });
+        } catch (error) {
+            logger.error('Streaming query error:', error);
+            prometheus.recordQueryProcessing('health_query_stream', Date.now() - startTime, false);
+            prometheus.recordError('processing', '/api/query/stream', 'PROCESSING_ERROR');
+
+            sendEvent('error', {
+                code: 'PROCESSING_ERROR',
+                message: 'An error occurred while processing your query',
+                details: error.message
+            });
+        } finally {
+            res.end();
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,215 @@
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from './databaseService.js';
+import { OpenRouterService } from './openRouterService.js';
+import { HybridRetriever } from './hybridRetriever.js';
+import { splitIntoSentences, countTokens } from './passageChunker.js';
+
+const logger = createLogger('AnswerService');
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'what',
+  'how', 'can', 'does', 'should', 'about', 'from', 'have', 'has', 'was', 'were', 'will', 'why'
+]);
+
+const queryTerms = (query) => query
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+/**
+ * Answers a health question from the top transcript passages. Every claim in
+ * the answer cites one or more passages, and every citation resolves to a
+ * YouTube video and start time the frontend can link to.
+ */
+class AnswerService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.openRouter = options.openRouter || new OpenRouterService();
+    this.retriever = options.retriever || new HybridRetriever({ db: this.db });
+    this.useLLM = options.useLLM ?? this.openRouter.isConfigured;
+    this.maxPassages = options.maxPassages || parseInt(process.env.ANSWER_MAX_PASSAGES) || 6;
+    this.maxClaims = options.maxClaims || 5;
+  }
+
+  /**
+   * @param {string} query
+   * @param {Object} options
+   * @param {Array} [options.passages] - Pre-fetched passages; skips retrieval when provided
+   * @param {Function} [options.onToken] - Streams the answer text as it is generated
+   * @param {Array<string>} [options.videoIds] - Restrict retrieval to these videos
+   * @param {boolean} [options.includeSponsored] - Also cite passages flagged as sponsor reads
+   */
+  async answer(query, options = {}) {
+    const { onToken } = options;
+    const passages = (options.passages || await this.retrievePassages(query, options)).slice(0, this.maxPassages);
+
+    if (passages.length === 0) {
+      return this.buildAnswer([], [], 'none', 0);
+    }
+
+    if (this.useLLM) {
+      const claims = [];
+      let cost = 0;
+
+      if (onToken) {
+        const streamed = await this.openRouter.streamGroundedAnswer(query, passages, onToken);
+        if (streamed) {
+          claims.push(...this.validateClaims(this.parseCitedText(streamed.text), passages.length));
+          cost = streamed.cost;
+        }
+      } else {
+        const generated = await this.openRouter.generateGroundedAnswer(query, passages);
+        if (generated) {
+          claims.push(...this.validateClaims(generated.claims, passages.length));
+          cost = generated.cost;
+        }
+      }
+
+      if (claims.length > 0) {
+        return this.buildAnswer(claims, passages, 'llm', cost);
+      }
+
+      logger.warn('LLM answer had no supported claims, using extractive answer');
+    }
+
+    const answer = this.buildAnswer(this.extractClaims(query, passages), passages, 'extractive', 0);
+    if (onToken) {
+      onToken(answer.text);
+    }
+    return answer;
+  }
+
+  async retrievePassages(query, { videoIds = null, includeSponsored = false } = {}) {
+    if (!this.db.isConnected) {
+      return [];
+    }
+
+    try {
+      return await this.retriever.retrievePassages(query, { limit: this.maxPassages, videoIds, includeSponsored });
+    } catch (error) {
+      logger.error('Failed to retrieve answer passages:', error);
+      return [];
+    }
+  }
+
+  // Keep claims whose citations point at passages we actually supplied
+  validateClaims(claims, passageCount) {
+    if (!Array.isArray(claims)) {
+      return [];
+    }
+
+    return claims
+      .filter(claim => claim && typeof claim.text === 'string' && claim.text.trim())
+      .map(claim => ({
+        text: claim.text.trim(),
+        citations: [...new Set((claim.citations || [])
+          .map(Number)
+          .filter(index => Number.isInteger(index) && index >= 1 && index <= passageCount))]
+      }))
+      .filter(claim => claim.citations.length > 0)
+      .slice(0, this.maxClaims);
+  }
+
+  // Streamed answers are prose with [n] markers; each sentence becomes a claim
+  parseCitedText(text) {
+    return text
+      .split(/(?<=[.!?](?:\s*\[[\d,\s]+\])*)\s+(?![\s[])/)
+      .map(sentence => ({
+        text: sentence.replace(/\s*\[[\d,\s]+\]/g, '').trim(),
+        citations: [...sentence.matchAll(/\[([\d,\s]+)\]/g)]
+          .flatMap(match => match[1].split(','))
+      }));
+  }
+
+  /**
+   * Extractive fallback: the best query-matching sentence from each of the
+   * top passages, cited to that passage.
+   */
+  extractClaims(query, passages) {
+    const terms = queryTerms(query);
+    const seen = new Set();
+
+    const candidates = passages.map((passage, index) => {
+      const sentences = splitIntoSentences([{ text: passage.text, startTime: passage.startTime, endTime: passage.endTime }]);
+      const scored = sentences
+        .filter(sentence => sentence.tokenCount >= 5)
+        .map(sentence => {
+          const lower = sentence.text.toLowerCase();
+          return { text: sentence.text, score: terms.filter(term => lower.includes(term)).length };
+        })
+        .sort((a, b) => b.score - a.score);
+
+      return { ...(scored[0] || { text: passage.text, score: 0 }), citation: index + 1 };
+    });
+
+    const matching = candidates.filter(candidate => candidate.score > 0);
+
+    return (matching.length > 0 ? matching : candidates.slice(0, 1))
+      .filter(candidate => {
+        const key = candidate.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxClaims)
+      .map(candidate => ({
+        text: countTokens(candidate.text) > 60
+          ? candidate.text.split(/\s+/).slice(0, 60).join(' ') + '...'
+          : candidate.text,
+        citations: [candidate.citation]
+      }));
+  }
+
+  buildAnswer(claims, passages, method, cost) {
+    // Only return the passages that are cited, renumbered in order of first use
+    const usedIndexes = [...new Set(claims.flatMap(claim => claim.citations))];
+    const renumber = new Map(usedIndexes.map((index, i) => [index, i + 1]));
+
+    const citations = usedIndexes.map(index => this.formatCitation(passages[index - 1], renumber.get(index)));
+
+    const mappedClaims = claims.map(claim => ({
+      text: claim.text,
+      citations: claim.citations.map(index => renumber.get(index))
+    }));
+
+    return {
+      text: mappedClaims.length > 0
+        ? mappedClaims.map(claim => `${claim.text} ${claim.citations.map(id => `[${id}]`).join('')}`).join(' ')
+        : 'No transcript passages were found that answer this question.',
+      claims: mappedClaims,
+      citations,
+      method,
+      cost
+    };
+  }
+
+  // A cited passage as a link to its video at the passage start time
+  formatCitation(passage, id) {
+    const startTime = Math.floor(passage.startTime || 0);
+
+    return {
+      id,
+      videoId: passage.videoId,
+      youtube_id: passage.youtube_id,
+      title: passage.title,
+      startTime,
+      endTime: passage.endTime,
+      label: this.formatTime(startTime),
+      url: `https://www.youtube.com/watch?v=${passage.youtube_id}&t=${startTime}s`,
+      quote: passage.text.length > 200 ? passage.text.substring(0, 200) + '...' : passage.text
+    };
+  }
+
+  formatTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+
+    if (hours > 0) {
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  }
+}
+
+export { AnswerService };
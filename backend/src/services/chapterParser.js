@@ -0,0 +1,62 @@
+/**
+ * Chapter parser
+ * Reads the chapter list YouTube descriptions carry ("00:00 Introduction",
+ * "1:02:15 - Tools for Better Sleep"), one chapter per line. Like YouTube, a
+ * list only counts as chapters when it starts at 0:00, has at least three
+ * entries and its timestamps increase.
+ */
+
+// Timestamp at the start of a line, optionally in brackets, then the title
+const CHAPTER_LINE = /^\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|]\s*)?(.+?)\s*$/;
+
+const MIN_CHAPTERS = 3;
+
+function parseTimestamp(timestamp) {
+  return timestamp.split(':').reduce((seconds, part) => seconds * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Chapters as [{ position, title, startTime, endTime }]; the last chapter ends
+ * at `durationSeconds` (null when unknown). Returns [] when the description
+ * has no valid chapter list.
+ */
+function parseChapters(description = '', durationSeconds = null) {
+  const entries = [];
+
+  for (const line of (description || '').split(/\r?\n/)) {
+    const match = line.match(CHAPTER_LINE);
+    if (match && match[2].length > 0) {
+      entries.push({ startTime: parseTimestamp(match[1]), title: match[2].substring(0, 500) });
+    }
+  }
+
+  if (entries.length < MIN_CHAPTERS || entries[0].startTime !== 0) {
+    return [];
+  }
+  if (entries.some((entry, index) => index > 0 && entry.startTime <= entries[index - 1].startTime)) {
+    return [];
+  }
+
+  return entries.map((entry, index) => ({
+    position: index + 1,
+    title: entry.title,
+    startTime: entry.startTime,
+    endTime: index < entries.length - 1 ? entries[index + 1].startTime : (durationSeconds || null)
+  }));
+}
+
+/**
+ * The chapter playing at `time` seconds, or null
+ */
+function findChapter(chapters, time) {
+  let current = null;
+  for (const chapter of chapters) {
+    if (chapter.startTime > time) {
+      break;
+    }
+    current = chapter;
+  }
+  return current;
+}
+
+export { parseChapters, findChapter, parseTimestamp };
@@ -0,0 +1,210 @@
+/**
+ * Citation extraction
+ * Finds the studies an episode cites, from two sources:
+ * - transcript mentions: sentences that refer to a study, paper or trial
+ *   ("a 2017 study from Stanford published in Cell"), scored by how specific
+ *   they are (year, institution, journal, authors);
+ * - description references: links to papers (PubMed, DOI, journal sites) or
+ *   links under an "Articles" / "References" heading.
+ * A description reference is placed at the passage that discusses it when its
+ * title words appear there, and merged with a transcript mention in that
+ * passage.
+ */
+
+import { SOCIAL_DOMAINS, URL_PATTERN, splitSentences } from '../utils/text.js';
+
+const MIN_CONFIDENCE = 0.35;
+const MAX_RAW_TEXT_LENGTH = 300;
+
+const STUDY_MENTION = /\b(?:a|an|the|this|that|one|another|recent|new|classic|beautiful|landmark|\d{4})\s+(?:(?:recent|new|classic|beautiful|landmark|large|small|randomized|controlled|clinical|longitudinal|published|peer[- ]reviewed|\d{4})\s+)*(?:study|studies|paper|papers|trial|meta-analysis|experiment|review)\b/i;
+const RESEARCH_CUE = /\b(?:researchers?|scientists?|laboratory|lab of|published|et al|colleagues)\b/i;
+const YEAR = /\b(19[5-9]\d|20[0-4]\d)\b/;
+const INSTITUTION = /\b(?:University of [A-Z][a-z]+(?: [A-Z][a-z]+)?|[A-Z][a-z]+ University|Stanford|Harvard|MIT|Yale|Princeton|Caltech|Berkeley|UCLA|UCSF|UC San Diego|Oxford|Cambridge|Karolinska|Salk|Rockefeller|Johns Hopkins|Mayo Clinic|NIH|Max Planck)\b/;
+const JOURNAL = /\b(?:Nature(?: [A-Z][a-z]+)?|Science|Cell|PNAS|JAMA|The Lancet|Lancet|New England Journal of Medicine|NEJM|BMJ|Neuron|eLife|Journal of [A-Z][a-z]+(?: [A-Z][a-z]+)*)\b/;
+const METHOD_CUE = /\b(?:randomized|placebo|double[- ]blind|controlled|meta-analysis|cohort|peer[- ]reviewed|et al|subjects|participants)\b/i;
+const FINDING_CUE = /\b(?:showed|shows|found|finds|demonstrated|reported|observed|revealed)\b/i;
+
+// Links that point at a paper rather than a product or social profile
+const SCHOLARLY_DOMAINS = /(?:pubmed|ncbi\.nlm\.nih\.gov|doi\.org|nature\.com|science\.org|sciencemag\.org|cell\.com|sciencedirect\.com|springer|wiley\.com|jamanetwork\.com|nejm\.org|thelancet\.com|bmj\.com|frontiersin\.org|plos|biorxiv\.org|medrxiv\.org|academic\.oup\.com|pnas\.org|journals\.|arxiv\.org|elifesciences\.org)/i;
+const REFERENCE_HEADER = /\b(articles?|studies|references|papers|publications|research|sources)\b/i;
+
+const TITLE_STOPWORDS = new Set([
+  'about', 'after', 'among', 'between', 'effect', 'effects', 'their', 'there', 'these', 'those', 'which', 'while',
+  'study', 'studies', 'human', 'humans', 'review', 'journal', 'article', 'during', 'through', 'versus', 'within'
+]);
+
+function clip(text) {
+  const trimmed = text.replace(/\s+/g, ' ').trim();
+  return trimmed.length > MAX_RAW_TEXT_LENGTH ? `${trimmed.slice(0, MAX_RAW_TEXT_LENGTH - 1)}…` : trimmed;
+}
+
+// Unpunctuated captions: keep the words around the cue instead of the whole passage
+function cueWindow(sentence, cue) {
+  if (sentence.length <= MAX_RAW_TEXT_LENGTH) {
+    return sentence;
+  }
+  const start = Math.max(0, cue.index - 100);
+  return sentence.slice(start, start + MAX_RAW_TEXT_LENGTH).replace(/^\S*\s/, '').replace(/\s\S*$/, '');
+}
+
+/**
+ * Confidence (0-1) that a sentence cites a specific study, or 0 when it does
+ * not mention research at all
+ */
+function scoreMention(sentence) {
+  const mention = STUDY_MENTION.test(sentence);
+  const year = YEAR.test(sentence);
+  const institution = INSTITUTION.test(sentence);
+  const journal = JOURNAL.test(sentence);
+
+  if (!mention && !(RESEARCH_CUE.test(sentence) && (year || institution || journal))) {
+    return 0;
+  }
+
+  let score = mention ? 0.3 : 0.2;
+  if (year) score += 0.25;
+  if (institution) score += 0.2;
+  if (journal) score += 0.2;
+  if (METHOD_CUE.test(sentence)) score += 0.1;
+  if (FINDING_CUE.test(sentence)) score += 0.1;
+  if (RESEARCH_CUE.test(sentence)) score += 0.05;
+  return Math.min(1, Math.round(score * 100) / 100);
+}
+
+/**
+ * Study mentions in transcript passages ({ id, startTime, endTime, text }) as
+ * [{ source: 'transcript', rawText, url: null, year, passageId, startTime,
+ * endTime, confidence }]. Overlapping passages repeat sentences; each is kept
+ * once, at its first passage.
+ */
+function findStudyMentions(passages) {
+  const mentions = [];
+  const seen = new Set();
+
+  for (const passage of passages) {
+    for (const sentence of splitSentences(passage.text)) {
+      const confidence = scoreMention(sentence);
+      if (confidence < MIN_CONFIDENCE) {
+        continue;
+      }
+
+      const cue = sentence.match(STUDY_MENTION) || sentence.match(RESEARCH_CUE);
+      const rawText = clip(cueWindow(sentence, cue));
+      const key = rawText.toLowerCase();
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const year = rawText.match(YEAR);
+      mentions.push({
+        source: 'transcript',
+        rawText,
+        url: null,
+        year: year ? parseInt(year[1], 10) : null,
+        passageId: passage.id,
+        startTime: passage.startTime,
+        endTime: passage.endTime,
+        confidence
+      });
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Paper links in a description as [{ source: 'description', rawText, url,
+ * year, confidence }]; rawText is the link's label, or the URL without one
+ */
+function extractReferenceLinks(description = '') {
+  const references = [];
+  const seen = new Set();
+  let inReferenceBlock = false;
+
+  for (const line of (description || '').split(/\r?\n/)) {
+    const url = line.match(URL_PATTERN);
+
+    if (!url) {
+      inReferenceBlock = line.trim().length > 0 && line.trim().length <= 60 && REFERENCE_HEADER.test(line);
+      continue;
+    }
+
+    // Affiliate links (".../huberman") are sponsors, see sponsorDetector.js
+    const scholarly = SCHOLARLY_DOMAINS.test(url[0]);
+    const affiliate = /^\/huberman\b/i.test(url[2] || '');
+    if ((!scholarly && !inReferenceBlock) || affiliate || SOCIAL_DOMAINS.test(url[1]) || seen.has(url[0])) {
+      continue;
+    }
+    seen.add(url[0]);
+
+    const label = line.slice(0, url.index).replace(/^[\s\-–—•*]+|[\s:\-–—|]+$/g, '');
+    const year = label.match(YEAR);
+    references.push({
+      source: 'description',
+      rawText: clip(label || url[0]),
+      url: url[0].replace(/[).,]+$/, ''),
+      year: year ? parseInt(year[1], 10) : null,
+      confidence: scholarly ? 0.9 : 0.6
+    });
+  }
+
+  return references;
+}
+
+function titleWords(text) {
+  return new Set(
+    text.toLowerCase()
+      .split(/[^a-z0-9-]+/)
+      .filter(word => word.length >= 5 && !TITLE_STOPWORDS.has(word))
+  );
+}
+
+// The passage sharing the most title words with a reference label (two or more)
+function findDiscussingPassage(reference, passages) {
+  const words = titleWords(reference.rawText);
+  let best = null;
+  let bestOverlap = 1;
+
+  for (const passage of passages) {
+    const passageWords = titleWords(passage.text);
+    const overlap = [...words].filter(word => passageWords.has(word)).length;
+    if (overlap > bestOverlap) {
+      best = passage;
+      bestOverlap = overlap;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * All citations of an episode, transcript mentions first in time order, then
+ * description references that could not be placed in the transcript
+ */
+function extractCitations({ description = '', passages = [] } = {}) {
+  const mentions = findStudyMentions(passages);
+  const unplaced = [];
+
+  for (const reference of extractReferenceLinks(description)) {
+    const passage = findDiscussingPassage(reference, passages);
+    if (!passage) {
+      unplaced.push({ ...reference, passageId: null, startTime: null, endTime: null });
+      continue;
+    }
+
+    const mention = mentions.find(m => m.passageId === passage.id && m.url === null);
+    if (mention) {
+      mention.url = reference.url;
+      mention.year = mention.year ?? reference.year;
+      mention.confidence = Math.min(1, Math.round((Math.max(mention.confidence, reference.confidence) + 0.1) * 100) / 100);
+      continue;
+    }
+
+    mentions.push({ ...reference, passageId: passage.id, startTime: passage.startTime, endTime: passage.endTime });
+  }
+
+  return [...mentions.sort((a, b) => a.startTime - b.startTime), ...unplaced];
+}
+
+export { extractCitations, findStudyMentions, extractReferenceLinks, scoreMention };
@@ -0,0 +1,215 @@
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from './databaseService.js';
+import { OpenRouterService } from './openRouterService.js';
+import { HybridRetriever } from './hybridRetriever.js';
+import { AnswerService } from './answerService.js';
+
+const logger = createLogger('ComparisonService');
+
+const STOPWORDS = new Set([
+  'about', 'actually', 'after', 'again', 'also', 'because', 'before', 'being', 'could', 'really',
+  'going', 'their', 'there', 'these', 'thing', 'things', 'think', 'those', 'which', 'while', 'would',
+  'people', 'something', 'where', 'other', 'right', 'just', 'know', 'want', 'very', 'when', 'what'
+]);
+
+/**
+ * Compares two or more concepts ("cold exposure" vs "heat exposure") side by
+ * side: the top passages for each concept, a cited summary per concept, and
+ * the points where they agree and differ. Citations resolve to a YouTube video
+ * and start time, as in AnswerService.
+ */
+class ComparisonService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.openRouter = options.openRouter || new OpenRouterService();
+    this.retriever = options.retriever || new HybridRetriever({ db: this.db });
+    this.useLLM = options.useLLM ?? this.openRouter.isConfigured;
+    this.passagesPerConcept = options.passagesPerConcept || 4;
+    // Extractive fallback and citation formatting
+    this.answers = new AnswerService({ db: this.db, openRouter: this.openRouter, retriever: this.retriever, useLLM: false });
+  }
+
+  /**
+   * @param {string} query - The original question
+   * @param {Array<string>} concepts - Two to four concepts to compare
+   * @param {Object} options
+   * @param {string} [options.aspect] - Shared aspect added to each concept's retrieval query ("sleep")
+   * @param {Array<Array>} [options.passagesByConcept] - Pre-fetched passages per concept; skips retrieval
+   * @param {Array<string>} [options.videoIds] - Restrict retrieval to these videos
+   * @param {boolean} [options.includeSponsored] - Also use passages flagged as sponsor reads
+   */
+  async compare(query, concepts, options = {}) {
+    const { aspect = null } = options;
+
+    const groups = await Promise.all(concepts.map(async (concept, i) => {
+      const searchQuery = aspect ? `${concept} ${aspect}` : concept;
+      const passages = options.passagesByConcept
+        ? options.passagesByConcept[i] || []
+        : await this.retrievePassages(searchQuery, options);
+      return { concept, query: searchQuery, passages: passages.slice(0, this.passagesPerConcept) };
+    }));
+
+    if (groups.every(group => group.passages.length === 0)) {
+      return this.buildComparison(groups, { concepts: [], agreements: [], differences: [] }, 'none', 0);
+    }
+
+    if (this.useLLM) {
+      const generated = await this.openRouter.compareConcepts(query, groups.filter(group => group.passages.length > 0));
+      if (generated) {
+        // Concept numbers refer to the groups that were sent
+        const sent = groups.filter(group => group.passages.length > 0);
+        return this.buildComparison(groups, {
+          ...generated,
+          concepts: generated.concepts.map(entry => ({ ...entry, concept: groups.indexOf(sent[entry.concept - 1]) + 1 }))
+        }, 'llm', generated.cost, sent);
+      }
+      logger.warn('LLM comparison unavailable, using extractive comparison');
+    }
+
+    return this.buildComparison(groups, this.extractComparison(groups), 'extractive', 0);
+  }
+
+  async retrievePassages(query, { videoIds = null, includeSponsored = false } = {}) {
+    if (!this.db.isConnected) {
+      return [];
+    }
+
+    try {
+      return await this.retriever.retrievePassages(query, { limit: this.passagesPerConcept, videoIds, includeSponsored });
+    } catch (error) {
+      logger.error(`Failed to retrieve comparison passages for "${query}":`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Extractive fallback: each concept's best sentences as its summary; episodes
+   * that cover every concept as agreements; the words only one concept's
+   * passages use as differences. Citations are numbered across groups.
+   */
+  extractComparison(groups) {
+    const offsets = this.groupOffsets(groups);
+
+    const concepts = groups
+      .map((group, i) => {
+        const claims = this.answers.extractClaims(group.query, group.passages).slice(0, 2);
+        return {
+          concept: i + 1,
+          summary: claims.map(claim => claim.text).join(' '),
+          citations: claims.flatMap(claim => claim.citations).map(index => index + offsets[i])
+        };
+      })
+      .filter(entry => entry.citations.length > 0);
+
+    const covered = groups.filter(group => group.passages.length > 0);
+    const agreements = [];
+    if (covered.length === groups.length) {
+      const sharedVideos = [...new Set(groups[0].passages.map(passage => passage.videoId))]
+        .filter(videoId => groups.every(group => group.passages.some(passage => passage.videoId === videoId)));
+
+      for (const videoId of sharedVideos.slice(0, 3)) {
+        const citations = groups.map((group, i) => group.passages.findIndex(passage => passage.videoId === videoId) + 1 + offsets[i]);
+        const title = groups[0].passages.find(passage => passage.videoId === videoId).title;
+        agreements.push({ text: `${this.joinConcepts(groups)} are discussed together in "${title}".`, citations });
+      }
+    }
+
+    const termsByGroup = groups.map(group => this.topTerms(group));
+    const differences = groups
+      .map((group, i) => {
+        const others = new Set(termsByGroup.filter((terms, j) => j !== i).flat());
+        const distinctive = termsByGroup[i].filter(term => !others.has(term)).slice(0, 3);
+        return distinctive.length > 0 && group.passages.length > 0
+          ? {
+            text: `Passages on ${group.concept} focus on ${distinctive.join(', ')}.`,
+            citations: group.passages.map((passage, index) => index + 1 + offsets[i])
+          }
+          : null;
+      })
+      .filter(Boolean);
+
+    return { concepts, agreements, differences };
+  }
+
+  // Most frequent content words in a group's passages, excluding the concept itself
+  topTerms(group) {
+    const conceptWords = new Set(group.query.toLowerCase().split(/[^a-z0-9]+/));
+    const counts = new Map();
+
+    for (const passage of group.passages) {
+      for (const word of passage.text.toLowerCase().split(/[^a-z0-9-]+/)) {
+        if (word.length >= 5 && !STOPWORDS.has(word) && !conceptWords.has(word)) {
+          counts.set(word, (counts.get(word) || 0) + 1);
+        }
+      }
+    }
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 8)
+      .map(([word]) => word);
+  }
+
+  joinConcepts(groups) {
+    const names = groups.map(group => group.concept);
+    return names.length === 2 ? `${names[0]} and ${names[1]}` : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  // Passage numbers start after the passages of earlier groups
+  groupOffsets(groups) {
+    const offsets = [];
+    let total = 0;
+    for (const group of groups) {
+      offsets.push(total);
+      total += group.passages.length;
+    }
+    return offsets;
+  }
+
+  /**
+   * Side-by-side result: one entry per concept (summary may be null when no
+   * passages were found), agreements and differences, and the cited passages
+   * renumbered in order of first use. `numbered` are the groups whose passages
+   * the citation numbers refer to (the LLM only sees groups with passages).
+   */
+  buildComparison(groups, comparison, method, cost, numbered = groups) {
+    const passages = numbered.flatMap(group => group.passages.map(passage => ({ ...passage, concept: group.concept })));
+    const valid = (citations) => [...new Set(citations)].filter(index => index >= 1 && index <= passages.length);
+
+    const usedIndexes = [...new Set([
+      ...comparison.concepts.flatMap(entry => valid(entry.citations)),
+      ...comparison.agreements.flatMap(point => valid(point.citations)),
+      ...comparison.differences.flatMap(point => valid(point.citations))
+    ])];
+    const renumber = new Map(usedIndexes.map((index, i) => [index, i + 1]));
+    const mapCitations = (citations) => valid(citations).map(index => renumber.get(index));
+    const mapPoints = (points) => points
+      .map(point => ({ text: point.text, citations: mapCitations(point.citations) }))
+      .filter(point => point.citations.length > 0);
+
+    const citations = usedIndexes.map(index => ({
+      ...this.answers.formatCitation(passages[index - 1], renumber.get(index)),
+      concept: passages[index - 1].concept
+    }));
+
+    return {
+      concepts: groups.map((group, i) => {
+        const entry = comparison.concepts.find(candidate => candidate.concept === i + 1);
+        return {
+          concept: group.concept,
+          query: group.query,
+          passageCount: group.passages.length,
+          summary: entry ? entry.summary : null,
+          citations: entry ? mapCitations(entry.citations) : []
+        };
+      }),
+      agreements: mapPoints(comparison.agreements),
+      differences: mapPoints(comparison.differences),
+      citations,
+      method,
+      cost
+    };
+  }
+}
+
+export { ComparisonService };
@@ -0,0 +1,181 @@
+import { randomUUID } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from './databaseService.js';
+import { OpenRouterService } from './openRouterService.js';
+
+const logger = createLogger('ConversationService');
+
+// Openers and references that only make sense relative to an earlier question
+const FOLLOW_UP_PREFIX = /^(what|how)\s+about\b|^and\b|^also\b|^but\b|^what if\b/i;
+const FOLLOW_UP_REFERENCE = /\b(it|that|this|those|these|they|them|same)\b/i;
+
+/**
+ * Session store used when the database is not connected, so conversations
+ * still work (per process) in the in-memory fallback mode.
+ */
+class InMemoryConversationStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async createSession({ userId = null, title = null } = {}) {
+    const now = new Date().toISOString();
+    const session = { id: randomUUID(), userId, title, createdAt: now, updatedAt: now, turns: [] };
+    this.sessions.set(session.id, session);
+    return this.toSession(session);
+  }
+
+  async listSessions({ userId = null, limit = 20 } = {}) {
+    return [...this.sessions.values()]
+      .filter(session => !userId || session.userId === userId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit)
+      .map(session => this.toSession(session));
+  }
+
+  async getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? this.toSession(session) : null;
+  }
+
+  async updateSessionTitle(sessionId, title) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    session.title = title;
+    return this.toSession(session);
+  }
+
+  async deleteSession(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  async addConversationTurn(sessionId, turn) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const stored = {
+      turnIndex: session.turns.length,
+      query: turn.query,
+      rewrittenQuery: turn.rewrittenQuery,
+      answer: turn.answer,
+      citedVideoIds: turn.citedVideoIds || [],
+      createdAt: new Date().toISOString()
+    };
+    session.turns.push(stored);
+    session.updatedAt = stored.createdAt;
+    return stored;
+  }
+
+  async getConversationTurns(sessionId) {
+    return this.sessions.get(sessionId)?.turns || [];
+  }
+
+  toSession({ turns, ...session }) {
+    return { ...session, turnCount: turns.length };
+  }
+}
+
+/**
+ * Multi-turn conversations: session CRUD, follow-up query rewriting against
+ * earlier turns, and the list of videos already cited in a conversation.
+ */
+class ConversationService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.openRouter = options.openRouter || new OpenRouterService();
+    this.memoryStore = new InMemoryConversationStore();
+    this.useLLM = options.useLLM ?? this.openRouter.isConfigured;
+    this.historyTurns = options.historyTurns || 5;
+  }
+
+  get store() {
+    return this.db.isConnected ? this.db : this.memoryStore;
+  }
+
+  async createSession(options = {}) {
+    const session = await this.store.createSession(options);
+    if (!session) {
+      throw new Error('Failed to create session');
+    }
+    logger.info(`Created conversation session ${session.id}`);
+    return session;
+  }
+
+  async listSessions(options = {}) {
+    return this.store.listSessions(options);
+  }
+
+  async getSession(sessionId) {
+    const session = await this.store.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    return { ...session, turns: await this.store.getConversationTurns(sessionId) };
+  }
+
+  async deleteSession(sessionId) {
+    return this.store.deleteSession(sessionId);
+  }
+
+  /**
+   * Resolve a follow-up ("what about for shift workers?") into a standalone
+   * query using earlier turns. Uses the LLM when available and falls back to
+   * prefixing the previous question's topic.
+   */
+  async rewriteQuery(query, turns) {
+    if (turns.length === 0) {
+      return { query, rewritten: false };
+    }
+
+    const history = turns.slice(-this.historyTurns);
+
+    if (this.useLLM) {
+      const rewritten = await this.openRouter.rewriteFollowUpQuery(query, history);
+      if (rewritten) {
+        return { query: rewritten, rewritten: rewritten.toLowerCase() !== query.toLowerCase() };
+      }
+    }
+
+    if (!this.isFollowUp(query)) {
+      return { query, rewritten: false };
+    }
+
+    const previous = history[history.length - 1];
+    const topic = (previous.rewrittenQuery || previous.query).replace(/[?.!]+$/, '');
+    const addition = query.replace(FOLLOW_UP_PREFIX, '').replace(/[?.!]+$/, '').trim();
+
+    return { query: `${topic} ${addition}`.trim(), rewritten: true };
+  }
+
+  isFollowUp(query) {
+    const words = query.trim().split(/\s+/);
+    return FOLLOW_UP_PREFIX.test(query.trim()) || (words.length <= 6 && FOLLOW_UP_REFERENCE.test(query));
+  }
+
+  // Most recently cited first, so retrieval can bias toward them
+  getCitedVideoIds(turns) {
+    return [...new Set([...turns].reverse().flatMap(turn => turn.citedVideoIds))];
+  }
+
+  async recordTurn(sessionId, { query, rewrittenQuery, answer = null, citedVideoIds = [] }) {
+    const turn = await this.store.addConversationTurn(sessionId, {
+      query,
+      rewrittenQuery,
+      answer,
+      citedVideoIds
+    });
+
+    // Name untitled sessions after their first question
+    if (turn && turn.turnIndex === 0) {
+      const session = await this.store.getSession(sessionId);
+      if (session && !session.title) {
+        await this.store.updateSessionTitle(sessionId, query.substring(0, 80));
+      }
+    }
+
+    return turn;
+  }
+}
+
+export { ConversationService, InMemoryConversationStore };
@@ -0,0 +1,189 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CostLedger');
+
+// USD per 1M tokens. Keys are matched with and without the provider prefix
+// ("openai/gpt-4o-mini" and "gpt-4o-mini"); extend or override with LLM_PRICING.
+const MODEL_PRICING = {
+  'gpt-3.5-turbo': { prompt: 1.5, completion: 2 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'claude-3.5-sonnet': { prompt: 3, completion: 15 },
+  'llama-3.1-8b-instruct': { prompt: 0.05, completion: 0.08 },
+  'mock-llm': { prompt: 0, completion: 0 }
+};
+
+// Unknown models are priced like gpt-3.5-turbo so budgets still apply
+const DEFAULT_PRICING = MODEL_PRICING['gpt-3.5-turbo'];
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+class BudgetExceededError extends Error {
+  constructor(task) {
+    super(`AI budget exhausted, skipping ${task} call`);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+function loadPricing() {
+  if (!process.env.LLM_PRICING) {
+    return MODEL_PRICING;
+  }
+
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (error) {
+    logger.warn('Ignoring invalid LLM_PRICING JSON');
+    return MODEL_PRICING;
+  }
+}
+
+function parseBudget(value, fallback) {
+  const budget = parseFloat(value);
+  return Number.isFinite(budget) ? budget : fallback;
+}
+
+/**
+ * Per-call record of LLM spend with daily and monthly budgets. Entries are
+ * persisted to `ai_usage_ledger` when the database is connected, so spend
+ * survives restarts and is shared between the API and MCP server; totals are
+ * cached in memory and re-read from the database periodically.
+ */
+class CostLedger {
+  constructor(options = {}) {
+    this.db = options.db || null;
+    this.pricing = options.pricing || loadPricing();
+    // 0 disables a budget
+    this.dailyBudget = options.dailyBudget ?? parseBudget(process.env.LLM_DAILY_BUDGET_USD, 0);
+    this.monthlyBudget = options.monthlyBudget ?? parseBudget(process.env.LLM_MONTHLY_BUDGET_USD, 2);
+    this.now = options.now || (() => new Date());
+
+    this.spend = { daily: 0, monthly: 0 };
+    this.period = this.currentPeriod();
+    this.lastRefresh = 0;
+    this.warnedModels = new Set();
+  }
+
+  getPricing(model) {
+    const pricing = this.pricing[model] || this.pricing[model.split('/').pop()];
+    if (pricing) {
+      return pricing;
+    }
+
+    if (!this.warnedModels.has(model)) {
+      this.warnedModels.add(model);
+      logger.warn(`No pricing for model ${model}, using default rates`);
+    }
+    return DEFAULT_PRICING;
+  }
+
+  calculateCost(model, usage) {
+    if (!usage) return 0;
+
+    const pricing = this.getPricing(model);
+    const promptCost = (usage.prompt_tokens || 0) * pricing.prompt / 1000000;
+    const completionCost = (usage.completion_tokens || 0) * pricing.completion / 1000000;
+
+    return promptCost + completionCost;
+  }
+
+  async record({ task, provider, model, usage }) {
+    const cost = this.calculateCost(model, usage);
+
+    this.rollOver();
+    this.spend.daily += cost;
+    this.spend.monthly += cost;
+
+    if (this.db && this.db.isConnected) {
+      await this.db.recordAIUsage({
+        task,
+        provider,
+        model,
+        promptTokens: usage?.prompt_tokens,
+        completionTokens: usage?.completion_tokens,
+        cost
+      });
+    }
+
+    if (this.isExhausted()) {
+      logger.warn(`AI budget exhausted (daily $${this.spend.daily.toFixed(4)}, monthly $${this.spend.monthly.toFixed(4)}); switching to non-LLM mode`);
+    }
+
+    return cost;
+  }
+
+  /**
+   * Re-reads totals from the database when they are stale, so spend from
+   * other processes and previous runs counts toward the budget
+   */
+  async refresh({ force = false } = {}) {
+    this.rollOver();
+
+    if (!this.db || !this.db.isConnected) {
+      return this.spend;
+    }
+    if (!force && this.now().getTime() - this.lastRefresh < REFRESH_INTERVAL_MS) {
+      return this.spend;
+    }
+
+    const spend = await this.db.getAISpend(this.period);
+    if (spend) {
+      this.spend = spend;
+      this.lastRefresh = this.now().getTime();
+    }
+    return this.spend;
+  }
+
+  async checkBudget() {
+    await this.refresh();
+    return !this.isExhausted();
+  }
+
+  isExhausted() {
+    return (this.dailyBudget > 0 && this.spend.daily >= this.dailyBudget) ||
+      (this.monthlyBudget > 0 && this.spend.monthly >= this.monthlyBudget);
+  }
+
+  getStats() {
+    this.rollOver();
+
+    const remaining = [
+      this.dailyBudget > 0 ? this.dailyBudget - this.spend.daily : Infinity,
+      this.monthlyBudget > 0 ? this.monthlyBudget - this.spend.monthly : Infinity
+    ];
+    const remainingBudget = Math.max(Math.min(...remaining), 0);
+
+    return {
+      dailySpend: this.spend.daily,
+      monthlySpend: this.spend.monthly,
+      dailyBudget: this.dailyBudget || null,
+      monthlyBudget: this.monthlyBudget || null,
+      remainingBudget: Number.isFinite(remainingBudget) ? remainingBudget : null,
+      degraded: this.isExhausted()
+    };
+  }
+
+  // Budget windows are calendar days and months in UTC
+  currentPeriod() {
+    const now = this.now();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return { dayStart: dayStart.toISOString(), monthStart: monthStart.toISOString() };
+  }
+
+  rollOver() {
+    const period = this.currentPeriod();
+    if (period.monthStart !== this.period.monthStart) {
+      this.spend = { daily: 0, monthly: 0 };
+      this.lastRefresh = 0;
+    } else if (period.dayStart !== this.period.dayStart) {
+      this.spend = { ...this.spend, daily: 0 };
+      this.lastRefresh = 0;
+    }
+    this.period = period;
+  }
+}
+
+export { CostLedger, BudgetExceededError, MODEL_PRICING };
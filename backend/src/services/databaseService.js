@@ -1,9 +1,24 @@
 import pg from 'pg';
+import pgvector from 'pgvector/pg';
 import { createLogger } from '../utils/logger.js';
+import { buildPassages } from './passageChunker.js';
+import { extractGuests, slugify } from './guestExtractor.js';
+import { attributeSpeakers } from './speakerAttribution.js';
+import { parseChapters } from './chapterParser.js';
+import { markSponsoredSegments } from './sponsorDetector.js';
 
 const { Pool } = pg;
 const logger = createLogger('DatabaseService');
 
+// Session IDs arrive from clients; anything else cannot match a uuid column
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Tables that carry a vector(1536) embedding column
+const EMBEDDING_TABLES = {
+  segments: 'transcript_segments',
+  passages: 'transcript_passages'
+};
+
 class DatabaseService {
   constructor() {
     this.pool = null;
@@ -73,6 +88,8 @@ class DatabaseService {
 
       const result = await this.pool.query(query, values);
       logger.info(`Stored video: ${videoData.title}`);
+      await this.storeVideoGuests(result.rows[0].id, extractGuests(videoData));
+      await this.storeChapters(result.rows[0].id, parseChapters(videoData.description, result.rows[0].duration_seconds));
       return result.rows[0];
     } catch (error) {
       logger.error('Failed to store video:', error);
@@ -88,7 +105,7 @@ class DatabaseService {
 
     try {
       // Find the video by URL or ID
-      const videoQuery = 'SELECT id FROM videos WHERE youtube_id = $1 OR raw_data->\'url\' = $2';
+      const videoQuery = 'SELECT id, description FROM videos WHERE youtube_id = $1 OR raw_data->\'url\' = $2';
       const videoResult = await this.pool.query(videoQuery, [
         transcriptData.videoId,
         transcriptData.videoUrl
@@ -125,29 +142,39 @@ class DatabaseService {
       // Delete existing segments
       await this.pool.query('DELETE FROM transcript_segments WHERE video_id = $1', [videoId]);
 
+      const timedSegments = segments.map(segment => {
+        const startTime = parseFloat(segment.start || 0);
+        const duration = parseFloat(segment.dur || segment.duration || 0);
+        return { ...segment, text: segment.text || '', startTime, endTime: startTime + duration };
+      });
+
+      // Attribute speakers from ">>" caption markers and turn-taking, then flag sponsor reads
+      const guests = await this.getVideoGuests(videoId);
+      const attributedSegments = markSponsoredSegments(attributeSpeakers(timedSegments, guests), {
+        description: videoResult.rows[0].description,
+        chapters: await this.getVideoChapters(videoId)
+      });
+
       const storedSegments = [];
-      for (const segment of segments) {
+      for (const segment of attributedSegments) {
         const segmentQuery = `
           INSERT INTO transcript_segments (
             id, transcript_id, video_id, start_time, end_time, text, 
-            speaker, confidence_score, created_at
+            speaker, is_sponsored, confidence_score, created_at
           ) VALUES (
-            gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, NOW()
+            gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, NOW()
           )
           RETURNING *
         `;
 
-        const startTime = parseFloat(segment.start || 0);
-        const duration = parseFloat(segment.dur || segment.duration || 0);
-        const endTime = startTime + duration;
-
         const segmentValues = [
           transcriptId,
           videoId,
-          startTime,
-          endTime,
-          segment.text || '',
-          'Host',
+          segment.startTime,
+          segment.endTime,
+          segment.text,
+          segment.speaker,
+          segment.isSponsored,
           0.95
         ];
 
@@ -156,6 +183,15 @@ class DatabaseService {
       }
 
       logger.info(`Stored ${storedSegments.length} transcript segments for video ${videoId}`);
+
+      // Merge caption fragments into retrievable passages
+      await this.storePassages(videoId, buildPassages(storedSegments.map((segment, index) => ({
+        startTime: parseFloat(segment.start_time),
+        endTime: parseFloat(segment.end_time),
+        text: segment.text,
+        segmentIndex: index
+      }))));
+
       return storedSegments;
     } catch (error) {
       logger.error('Failed to store transcript:', error);
@@ -237,6 +273,138 @@ class DatabaseService {
     }
   }
 
+  async getHealthTopicByName(name) {
+    if (!this.isConnected) {
+      const topics = await this.getHealthTopics();
+      return topics.find(topic => topic.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    try {
+      const result = await this.pool.query('SELECT * FROM health_topics WHERE LOWER(name) = LOWER($1)', [name]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get health topic by name:', error);
+      return null;
+    }
+  }
+
+  async getHealthTopicById(topicId) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query('SELECT * FROM health_topics WHERE id = $1', [topicId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get health topic by ID:', error);
+      return null;
+    }
+  }
+
+  // Full-text search over topic names, descriptions and keywords, best match first
+  async searchHealthTopics(searchTerm, limit = 10) {
+    if (!this.isConnected) {
+      const words = searchTerm.toLowerCase().split(/\s+/);
+      const topics = await this.getHealthTopics();
+      return topics
+        .filter(topic => words.some(word => `${topic.name} ${topic.description}`.toLowerCase().includes(word)))
+        .slice(0, limit);
+    }
+
+    try {
+      const query = `
+        SELECT *,
+               ts_rank(to_tsvector('english', name || ' ' || COALESCE(description, '') || ' ' || array_to_string(keywords, ' ')),
+                       plainto_tsquery('english', $1)) AS rank
+        FROM health_topics
+        WHERE to_tsvector('english', name || ' ' || COALESCE(description, '') || ' ' || array_to_string(keywords, ' '))
+              @@ plainto_tsquery('english', $1)
+        ORDER BY rank DESC, name
+        LIMIT $2
+      `;
+
+      const result = await this.pool.query(query, [searchTerm, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to search health topics:', error);
+      return [];
+    }
+  }
+
+  // Topic and tag counts with the most-tagged topics
+  async getTopicStats() {
+    if (!this.isConnected) {
+      const topics = await this.getHealthTopics();
+      return {
+        topics: { total: topics.length, categories: new Set(topics.map(topic => topic.category)).size },
+        videoTopics: { total: 0, averageRelevance: 0 },
+        popularTopics: []
+      };
+    }
+
+    try {
+      const [topicStats, videoTopicStats, popularTopics] = await Promise.all([
+        this.pool.query('SELECT COUNT(*) AS total_topics, COUNT(DISTINCT category) AS total_categories FROM health_topics'),
+        this.pool.query('SELECT COUNT(*) AS total_video_topics, AVG(relevance_score) AS avg_relevance_score FROM video_topics'),
+        this.pool.query(`
+          SELECT ht.name, ht.category, COUNT(vt.video_id)::int AS video_count
+          FROM health_topics ht
+          LEFT JOIN video_topics vt ON ht.id = vt.topic_id
+          GROUP BY ht.id, ht.name, ht.category
+          ORDER BY video_count DESC
+          LIMIT 10
+        `)
+      ]);
+
+      return {
+        topics: {
+          total: parseInt(topicStats.rows[0].total_topics),
+          categories: parseInt(topicStats.rows[0].total_categories)
+        },
+        videoTopics: {
+          total: parseInt(videoTopicStats.rows[0].total_video_topics),
+          averageRelevance: parseFloat(videoTopicStats.rows[0].avg_relevance_score || 0)
+        },
+        popularTopics: popularTopics.rows
+      };
+    } catch (error) {
+      logger.error('Failed to get topic stats:', error);
+      return {
+        topics: { total: 0, categories: 0 },
+        videoTopics: { total: 0, averageRelevance: 0 },
+        popularTopics: []
+      };
+    }
+  }
+
+  // Videos tagged with a topic by the topic tagging job, most relevant first
+  async getTopicVideos(topicId, { limit = 50, offset = 0 } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT v.id, v.youtube_id, v.title, v.published_at, v.duration_seconds, vt.relevance_score
+        FROM video_topics vt
+        JOIN videos v ON v.id = vt.video_id
+        WHERE vt.topic_id = $1
+        ORDER BY vt.relevance_score DESC, v.published_at DESC
+        LIMIT $2 OFFSET $3
+      `;
+
+      const result = await this.pool.query(query, [topicId, limit, offset]);
+      return result.rows.map(row => ({
+        ...row,
+        relevance_score: parseFloat(row.relevance_score)
+      }));
+    } catch (error) {
+      logger.error('Failed to get topic videos:', error);
+      return [];
+    }
+  }
+
   async getVideoSegments(videoId) {
     if (!this.isConnected) {
       // Return mock segments
@@ -251,19 +419,29 @@ class DatabaseService {
     }
 
     try {
+      // Segments are labelled with the description chapter they fall in
       const query = `
-        SELECT start_time, end_time, text, id
-        FROM transcript_segments
-        WHERE video_id = $1
-        ORDER BY start_time
+        SELECT ts.start_time, ts.end_time, ts.text, ts.id, ts.speaker, ts.is_sponsored, c.title AS chapter_title
+        FROM transcript_segments ts
+        LEFT JOIN LATERAL (
+          SELECT title FROM chapters
+          WHERE video_id = ts.video_id AND start_time <= ts.start_time
+          ORDER BY start_time DESC
+          LIMIT 1
+        ) c ON true
+        WHERE ts.video_id = $1
+        ORDER BY ts.start_time
       `;
 
       const result = await this.pool.query(query, [videoId]);
       return result.rows.map((row, index) => ({
+        id: row.id,
+        speaker: row.speaker,
+        isSponsored: row.is_sponsored,
         startTime: parseFloat(row.start_time),
         endTime: parseFloat(row.end_time),
         text: row.text,
-        label: `Segment ${index + 1}`
+        label: row.chapter_title || `Segment ${index + 1}`
       }));
     } catch (error) {
       logger.error('Failed to get video segments:', error);
@@ -271,7 +449,7 @@ class DatabaseService {
     }
   }
 
-  async searchVideos(query, limit = 10) {
+  async searchVideos(query, limit = 10, { videoIds = null } = {}) {
     if (!this.isConnected) {
       // Return mock search results
       return [
@@ -291,11 +469,12 @@ class DatabaseService {
                ts_rank(to_tsvector('english', title || ' ' || description), plainto_tsquery('english', $1)) as relevance_score
         FROM videos
         WHERE to_tsvector('english', title || ' ' || description) @@ plainto_tsquery('english', $1)
+          AND ($3::uuid[] IS NULL OR id = ANY($3))
         ORDER BY relevance_score DESC
         LIMIT $2
       `;
 
-      const result = await this.pool.query(searchQuery, [query, limit]);
+      const result = await this.pool.query(searchQuery, [query, limit, videoIds]);
       return result.rows;
     } catch (error) {
       logger.error('Failed to search videos:', error);
@@ -317,6 +496,1291 @@ class DatabaseService {
       return null;
     }
   }
+
+  async getVideoByYoutubeId(youtubeId) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query('SELECT * FROM videos WHERE youtube_id = $1', [youtubeId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get video by YouTube ID:', error);
+      return null;
+    }
+  }
+
+  async getVideosByIds(videoIds) {
+    if (!this.isConnected || videoIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query('SELECT * FROM videos WHERE id = ANY($1::uuid[])', [videoIds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get videos by IDs:', error);
+      return [];
+    }
+  }
+
+  // The rebuild runs in one transaction: deleting passages cascades to their
+  // topic tags and entity mentions, so a half-written set must not be kept
+  async storePassages(videoId, passages) {
+    if (!this.isConnected) {
+      logger.warn('Database not connected, skipping passage storage');
+      return [];
+    }
+
+    const client = await this.pool.connect();
+    let storedPassages;
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM transcript_passages WHERE video_id = $1', [videoId]);
+
+      const query = `
+        INSERT INTO transcript_passages (
+          video_id, passage_index, start_time, end_time, text,
+          token_count, segment_start_index, segment_end_index
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+      `;
+
+      storedPassages = [];
+      for (const passage of passages) {
+        const result = await client.query(query, [
+          videoId,
+          passage.passageIndex,
+          passage.startTime,
+          passage.endTime,
+          passage.text,
+          passage.tokenCount,
+          passage.segmentStartIndex,
+          passage.segmentEndIndex
+        ]);
+        storedPassages.push({ ...passage, id: result.rows[0].id });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to store passages:', error);
+      return [];
+    } finally {
+      client.release();
+    }
+
+    await this.refreshPassageSponsorFlags(videoId);
+
+    logger.info(`Stored ${storedPassages.length} transcript passages for video ${videoId}`);
+    return storedPassages;
+  }
+
+  /**
+   * A passage is sponsored when most of its caption time is; run after segment
+   * or passage flags change
+   */
+  async refreshPassageSponsorFlags(videoId) {
+    if (!this.isConnected) {
+      return 0;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE transcript_passages tp
+        SET is_sponsored = COALESCE((
+          SELECT SUM(ts.end_time - ts.start_time) FILTER (WHERE ts.is_sponsored) > SUM(ts.end_time - ts.start_time) / 2
+          FROM transcript_segments ts
+          WHERE ts.video_id = tp.video_id
+            AND ts.start_time >= tp.start_time
+            AND ts.start_time < tp.end_time
+        ), false)
+        WHERE tp.video_id = $1
+      `, [videoId]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to refresh passage sponsor flags:', error);
+      return 0;
+    }
+  }
+
+  async updateSegmentSponsorFlags(videoId, updates) {
+    if (!this.isConnected) {
+      return 0;
+    }
+
+    try {
+      for (const { id, isSponsored } of updates) {
+        await this.pool.query('UPDATE transcript_segments SET is_sponsored = $2 WHERE id = $1', [id, isSponsored]);
+      }
+      await this.refreshPassageSponsorFlags(videoId);
+      return updates.length;
+    } catch (error) {
+      logger.error('Failed to update segment sponsor flags:', error);
+      return 0;
+    }
+  }
+
+  async getVideoPassages(videoId) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT id, passage_index, start_time, end_time, text, token_count, is_sponsored
+        FROM transcript_passages
+        WHERE video_id = $1
+        ORDER BY passage_index
+      `;
+
+      const result = await this.pool.query(query, [videoId]);
+      return result.rows.map(row => ({
+        id: row.id,
+        passageIndex: row.passage_index,
+        startTime: parseFloat(row.start_time),
+        endTime: parseFloat(row.end_time),
+        text: row.text,
+        tokenCount: row.token_count,
+        isSponsored: row.is_sponsored
+      }));
+    } catch (error) {
+      logger.error('Failed to get video passages:', error);
+      return [];
+    }
+  }
+
+  async getVideosMissingPassages(limit = 50) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT v.id, v.youtube_id
+        FROM videos v
+        WHERE EXISTS (SELECT 1 FROM transcript_segments ts WHERE ts.video_id = v.id)
+          AND NOT EXISTS (SELECT 1 FROM transcript_passages tp WHERE tp.video_id = v.id)
+        LIMIT $1
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get videos missing passages:', error);
+      return [];
+    }
+  }
+
+  async getVideosMissingSummaries(limit = 50) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT v.id, v.youtube_id, v.title
+        FROM videos v
+        WHERE EXISTS (SELECT 1 FROM transcript_passages tp WHERE tp.video_id = v.id)
+          AND NOT EXISTS (SELECT 1 FROM episode_summaries es WHERE es.video_id = v.id)
+        ORDER BY v.published_at DESC NULLS LAST
+        LIMIT $1
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get videos missing summaries:', error);
+      return [];
+    }
+  }
+
+  async storeEpisodeSummary(videoId, summary) {
+    if (!this.isConnected) {
+      logger.warn('Database not connected, skipping episode summary storage');
+      return null;
+    }
+
+    try {
+      const query = `
+        INSERT INTO episode_summaries (video_id, summary, takeaways, chapters, model, section_count)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (video_id) DO UPDATE SET
+          summary = EXCLUDED.summary,
+          takeaways = EXCLUDED.takeaways,
+          chapters = EXCLUDED.chapters,
+          model = EXCLUDED.model,
+          section_count = EXCLUDED.section_count
+        RETURNING video_id
+      `;
+
+      const result = await this.pool.query(query, [
+        videoId,
+        summary.summary,
+        JSON.stringify(summary.takeaways),
+        JSON.stringify(summary.chapters),
+        summary.model,
+        summary.sectionCount
+      ]);
+
+      return result.rows[0].video_id;
+    } catch (error) {
+      logger.error('Failed to store episode summary:', error);
+      return null;
+    }
+  }
+
+  async getEpisodeSummary(videoId) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query('SELECT * FROM episode_summaries WHERE video_id = $1', [videoId]);
+      return result.rows[0] ? this.mapEpisodeSummary(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get episode summary:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Replaces the description chapters of a video
+   */
+  async storeChapters(videoId, chapters) {
+    if (!this.isConnected) {
+      return 0;
+    }
+
+    try {
+      await this.pool.query('DELETE FROM chapters WHERE video_id = $1', [videoId]);
+
+      for (const chapter of chapters) {
+        await this.pool.query(
+          'INSERT INTO chapters (video_id, position, title, start_time, end_time) VALUES ($1, $2, $3, $4, $5)',
+          [videoId, chapter.position, chapter.title, chapter.startTime, chapter.endTime]
+        );
+      }
+
+      return chapters.length;
+    } catch (error) {
+      logger.error('Failed to store chapters:', error);
+      return 0;
+    }
+  }
+
+  async getVideoChapters(videoId) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM chapters WHERE video_id = $1 ORDER BY position',
+        [videoId]
+      );
+      return result.rows.map(row => this.mapChapter(row));
+    } catch (error) {
+      logger.error('Failed to get chapters:', error);
+      return [];
+    }
+  }
+
+  async getVideosMissingProtocols(limit = 50) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT v.id, v.youtube_id, v.title
+        FROM videos v
+        WHERE EXISTS (SELECT 1 FROM transcript_passages tp WHERE tp.video_id = v.id)
+          AND NOT EXISTS (SELECT 1 FROM protocol_extractions pe WHERE pe.video_id = v.id)
+        ORDER BY v.published_at DESC NULLS LAST
+        LIMIT $1
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get videos missing protocols:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Replaces a video's protocols and marks it as processed, even when no
+   * protocols were found, so the extraction job does not revisit it
+   */
+  async storeProtocols(videoId, protocols, { model = null } = {}) {
+    if (!this.isConnected) {
+      logger.warn('Database not connected, skipping protocol storage');
+      return null;
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM protocols WHERE video_id = $1', [videoId]);
+
+      const query = `
+        INSERT INTO protocols (video_id, passage_id, topic, action, dose, timing, caveats, start_time, end_time)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `;
+
+      for (const protocol of protocols) {
+        await client.query(query, [
+          videoId,
+          protocol.passageId || null,
+          protocol.topic,
+          protocol.action,
+          protocol.dose,
+          protocol.timing,
+          JSON.stringify(protocol.caveats),
+          protocol.startTime,
+          protocol.endTime
+        ]);
+      }
+
+      await client.query(`
+        INSERT INTO protocol_extractions (video_id, protocol_count, model)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (video_id) DO UPDATE SET
+          protocol_count = EXCLUDED.protocol_count,
+          model = EXCLUDED.model,
+          created_at = NOW()
+      `, [videoId, protocols.length, model]);
+
+      await client.query('COMMIT');
+      logger.info(`Stored ${protocols.length} protocols for video ${videoId}`);
+      return protocols.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to store protocols:', error);
+      return null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Protocols whose topic contains the search term or whose topic/action
+   * match it as full text; exact topic matches first
+   */
+  async searchProtocols({ topic = null, limit = 20 } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT p.*, v.youtube_id, v.title
+        FROM protocols p
+        JOIN videos v ON v.id = p.video_id
+        WHERE $1::text IS NULL
+          OR p.topic ILIKE '%' || $1 || '%'
+          OR to_tsvector('english', p.topic || ' ' || p.action) @@ plainto_tsquery('english', $1)
+        ORDER BY (lower(p.topic) = lower($1)) DESC NULLS LAST, v.published_at DESC NULLS LAST, p.start_time
+        LIMIT $2
+      `;
+
+      const result = await this.pool.query(query, [topic, limit]);
+      return result.rows.map(row => this.mapProtocol(row));
+    } catch (error) {
+      logger.error('Failed to search protocols:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Replaces a video's citations; returns how many were stored, or null when
+   * storing failed
+   */
+  async storeCitations(videoId, citations) {
+    if (!this.isConnected) {
+      logger.warn('Database not connected, skipping citation storage');
+      return null;
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM citations WHERE video_id = $1', [videoId]);
+
+      const query = `
+        INSERT INTO citations (video_id, passage_id, source, raw_text, url, year, confidence, start_time, end_time)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `;
+
+      for (const citation of citations) {
+        await client.query(query, [
+          videoId,
+          citation.passageId || null,
+          citation.source,
+          citation.rawText,
+          citation.url,
+          citation.year,
+          citation.confidence,
+          citation.startTime,
+          citation.endTime
+        ]);
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Stored ${citations.length} citations for video ${videoId}`);
+      return citations.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to store citations:', error);
+      return null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getVideoCitations(videoId) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT c.*, v.youtube_id, v.title
+        FROM citations c
+        JOIN videos v ON v.id = c.video_id
+        WHERE c.video_id = $1
+        ORDER BY c.start_time NULLS LAST, c.confidence DESC
+      `;
+
+      const result = await this.pool.query(query, [videoId]);
+      return result.rows.map(row => this.mapCitation(row));
+    } catch (error) {
+      logger.error('Failed to get video citations:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Citations across episodes whose text or URL matches the search term,
+   * most confident first
+   */
+  async searchCitations({ query = null, year = null, minConfidence = 0, limit = 20, offset = 0 } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const sql = `
+        SELECT c.*, v.youtube_id, v.title
+        FROM citations c
+        JOIN videos v ON v.id = c.video_id
+        WHERE ($1::text IS NULL
+            OR to_tsvector('english', c.raw_text) @@ plainto_tsquery('english', $1)
+            OR c.raw_text ILIKE '%' || $1 || '%'
+            OR c.url ILIKE '%' || $1 || '%')
+          AND ($2::integer IS NULL OR c.year = $2)
+          AND c.confidence >= $3
+        ORDER BY c.confidence DESC, v.published_at DESC NULLS LAST, c.start_time NULLS LAST
+        LIMIT $4 OFFSET $5
+      `;
+
+      const result = await this.pool.query(sql, [query, year, minConfidence, limit, offset]);
+      return result.rows.map(row => this.mapCitation(row));
+    } catch (error) {
+      logger.error('Failed to search citations:', error);
+      return [];
+    }
+  }
+
+  async listVideoMetadata(limit = 50, offset = 0) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(
+        'SELECT id, youtube_id, title, description FROM videos ORDER BY id LIMIT $1 OFFSET $2',
+        [limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to list video metadata:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Cosine similarity between each embedded passage of a video and one vector,
+   * as a Map of passage id -> similarity
+   */
+  async getPassageSimilarities(videoId, embedding) {
+    if (!this.isConnected) {
+      return new Map();
+    }
+
+    try {
+      const query = `
+        SELECT id, 1 - (embedding <=> $2) AS similarity
+        FROM transcript_passages
+        WHERE video_id = $1 AND embedding IS NOT NULL
+      `;
+
+      const result = await this.pool.query(query, [videoId, pgvector.toSql(embedding)]);
+      return new Map(result.rows.map(row => [row.id, parseFloat(row.similarity)]));
+    } catch (error) {
+      logger.error('Failed to get passage similarities:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Replaces a video's topic tags and the tags of its passages
+   */
+  async storeVideoTopics(videoId, { videoTopics, passageTopics }) {
+    if (!this.isConnected) {
+      logger.warn('Database not connected, skipping topic tag storage');
+      return false;
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM video_topics WHERE video_id = $1', [videoId]);
+      await client.query(
+        'DELETE FROM passage_topics WHERE passage_id IN (SELECT id FROM transcript_passages WHERE video_id = $1)',
+        [videoId]
+      );
+
+      for (const tag of videoTopics) {
+        await client.query(
+          `INSERT INTO video_topics (video_id, topic_id, relevance_score, matched_keywords, passage_count)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [videoId, tag.topicId, tag.relevanceScore, tag.matchedKeywords, tag.passageCount]
+        );
+      }
+
+      for (const tag of passageTopics) {
+        await client.query(
+          'INSERT INTO passage_topics (passage_id, topic_id, relevance_score) VALUES ($1, $2, $3)',
+          [tag.passageId, tag.topicId, tag.relevanceScore]
+        );
+      }
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to store video topics:', error);
+      return false;
+    } finally {
+      client.release();
+    }
+  }
+
+  async refreshTopicVideoCounts() {
+    if (!this.isConnected) {
+      return 0;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE health_topics ht
+        SET video_count = (SELECT COUNT(*) FROM video_topics vt WHERE vt.topic_id = ht.id)
+      `);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to refresh topic video counts:', error);
+      return 0;
+    }
+  }
+
+  async searchPassagesByText(query, limit = 20, { videoIds = null, includeSponsored = false } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      // OR the query lexemes together so passages matching most terms still rank
+      const searchQuery = `
+        WITH q AS (
+          SELECT NULLIF(replace(plainto_tsquery('english', $1)::text, '&', '|'), '')::tsquery AS query
+        )
+        SELECT tp.id, tp.video_id, tp.start_time, tp.end_time, tp.text,
+               v.youtube_id, v.title,
+               ts_rank(to_tsvector('english', tp.text), q.query) as rank
+        FROM transcript_passages tp
+        JOIN videos v ON v.id = tp.video_id
+        CROSS JOIN q
+        WHERE to_tsvector('english', tp.text) @@ q.query
+          AND ($3::uuid[] IS NULL OR tp.video_id = ANY($3))
+          AND ($4::boolean OR NOT tp.is_sponsored)
+        ORDER BY rank DESC
+        LIMIT $2
+      `;
+
+      const result = await this.pool.query(searchQuery, [query, limit, videoIds, includeSponsored]);
+      return result.rows.map(row => ({
+        ...this.mapTranscriptHit(row),
+        rank: parseFloat(row.rank)
+      }));
+    } catch (error) {
+      logger.error('Failed to search passages by text:', error);
+      return [];
+    }
+  }
+
+  async getRowsMissingEmbeddings(target, limit = 100) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT id, text
+        FROM ${this.embeddingTable(target)}
+        WHERE embedding IS NULL AND length(trim(text)) > 0
+        ORDER BY video_id, start_time
+        LIMIT $1
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Failed to get ${target} missing embeddings:`, error);
+      return [];
+    }
+  }
+
+  async updateEmbeddings(target, updates) {
+    if (!this.isConnected) {
+      logger.warn('Database not connected, skipping embedding storage');
+      return 0;
+    }
+
+    try {
+      const query = `UPDATE ${this.embeddingTable(target)} SET embedding = $2 WHERE id = $1`;
+
+      for (const { id, embedding } of updates) {
+        await this.pool.query(query, [id, pgvector.toSql(embedding)]);
+      }
+
+      return updates.length;
+    } catch (error) {
+      logger.error(`Failed to update ${target} embeddings:`, error);
+      return 0;
+    }
+  }
+
+  async ensureEmbeddingIndex(target) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    try {
+      const table = this.embeddingTable(target);
+
+      // ivfflat needs rows to build its lists, so this runs after embeddings are populated
+      await this.pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_${table}_embedding
+        ON ${table} USING ivfflat (embedding vector_cosine_ops)
+        WITH (lists = 100)
+      `);
+      return true;
+    } catch (error) {
+      logger.error('Failed to create embedding index:', error);
+      return false;
+    }
+  }
+
+  async searchPassagesByEmbedding(embedding, limit = 20, options = {}) {
+    return this.searchByEmbedding('passages', embedding, limit, options);
+  }
+
+  async searchByEmbedding(target, embedding, limit, { videoIds = null, includeSponsored = false } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT t.id, t.video_id, t.start_time, t.end_time, t.text,
+               v.youtube_id, v.title,
+               1 - (t.embedding <=> $1) as similarity
+        FROM ${this.embeddingTable(target)} t
+        JOIN videos v ON v.id = t.video_id
+        WHERE t.embedding IS NOT NULL
+          AND ($3::uuid[] IS NULL OR t.video_id = ANY($3))
+          AND ($4::boolean OR NOT t.is_sponsored)
+        ORDER BY t.embedding <=> $1
+        LIMIT $2
+      `;
+
+      const result = await this.pool.query(query, [pgvector.toSql(embedding), limit, videoIds, includeSponsored]);
+      return result.rows.map(row => ({
+        ...this.mapTranscriptHit(row),
+        similarity: parseFloat(row.similarity)
+      }));
+    } catch (error) {
+      logger.error(`Failed to search ${target} by embedding:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Upserts the guests of a video (by slug) and replaces its guest links
+   */
+  async storeVideoGuests(videoId, guests) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      await this.pool.query('DELETE FROM video_guests WHERE video_id = $1', [videoId]);
+
+      const stored = [];
+      for (const guest of guests) {
+        const result = await this.pool.query(`
+          INSERT INTO guests (name, slug, credentials)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (slug) DO UPDATE SET
+            credentials = COALESCE(EXCLUDED.credentials, guests.credentials)
+          RETURNING *
+        `, [guest.name, guest.slug, guest.credentials]);
+
+        await this.pool.query(
+          'INSERT INTO video_guests (video_id, guest_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [videoId, result.rows[0].id]
+        );
+        stored.push(this.mapGuest(result.rows[0]));
+      }
+
+      return stored;
+    } catch (error) {
+      logger.error('Failed to store video guests:', error);
+      return [];
+    }
+  }
+
+  async getVideoGuests(videoId) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(`
+        SELECT g.*
+        FROM guests g
+        JOIN video_guests vg ON vg.guest_id = g.id
+        WHERE vg.video_id = $1
+        ORDER BY g.name
+      `, [videoId]);
+      return result.rows.map(row => this.mapGuest(row));
+    } catch (error) {
+      logger.error('Failed to get video guests:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Guest directory: guests with their episodes, most frequent guests first
+   */
+  async listGuests({ search = null, limit = 50, offset = 0 } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT g.*,
+               json_agg(json_build_object(
+                 'id', v.id, 'youtube_id', v.youtube_id, 'title', v.title, 'published_at', v.published_at
+               ) ORDER BY v.published_at DESC) AS episodes
+        FROM guests g
+        JOIN video_guests vg ON vg.guest_id = g.id
+        JOIN videos v ON v.id = vg.video_id
+        WHERE $1::text IS NULL OR g.name ILIKE '%' || $1 || '%'
+        GROUP BY g.id
+        ORDER BY COUNT(v.id) DESC, g.name
+        LIMIT $2 OFFSET $3
+      `;
+
+      const result = await this.pool.query(query, [search, limit, offset]);
+      return result.rows.map(row => this.mapGuest(row));
+    } catch (error) {
+      logger.error('Failed to list guests:', error);
+      return [];
+    }
+  }
+
+  async getGuestBySlug(slug) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT g.*,
+               COALESCE(json_agg(json_build_object(
+                 'id', v.id, 'youtube_id', v.youtube_id, 'title', v.title, 'published_at', v.published_at
+               ) ORDER BY v.published_at DESC) FILTER (WHERE v.id IS NOT NULL), '[]') AS episodes
+        FROM guests g
+        LEFT JOIN video_guests vg ON vg.guest_id = g.id
+        LEFT JOIN videos v ON v.id = vg.video_id
+        WHERE g.slug = $1
+        GROUP BY g.id
+      `;
+
+      const result = await this.pool.query(query, [slug]);
+      return result.rows[0] ? this.mapGuest(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get guest:', error);
+      return null;
+    }
+  }
+
+  async updateSegmentSpeakers(updates) {
+    if (!this.isConnected) {
+      return 0;
+    }
+
+    try {
+      for (const { id, speaker } of updates) {
+        await this.pool.query('UPDATE transcript_segments SET speaker = $2 WHERE id = $1', [id, speaker]);
+      }
+      return updates.length;
+    } catch (error) {
+      logger.error('Failed to update segment speakers:', error);
+      return 0;
+    }
+  }
+
+  // Looks an entity up by slug, name or alias (case-insensitive)
+  async getEntity(name) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT *
+        FROM entities
+        WHERE slug = $1 OR LOWER(name) = LOWER($2) OR LOWER($2) = ANY(aliases)
+        ORDER BY (slug = $1) DESC, mention_count DESC
+        LIMIT 1
+      `;
+
+      const result = await this.pool.query(query, [slugify(name), name.trim()]);
+      return result.rows[0] ? this.mapEntity(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get entity:', error);
+      return null;
+    }
+  }
+
+  // Mentions of an entity with the episode and timestamp to cite
+  async getEntityMentions(entityId, { limit = 20 } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT em.*, v.youtube_id, v.title
+        FROM entity_mentions em
+        JOIN videos v ON v.id = em.video_id
+        WHERE em.entity_id = $1
+        ORDER BY v.published_at DESC NULLS LAST, em.start_time
+        LIMIT $2
+      `;
+
+      const result = await this.pool.query(query, [entityId, limit]);
+      return result.rows.map(row => this.mapEntityMention(row));
+    } catch (error) {
+      logger.error('Failed to get entity mentions:', error);
+      return [];
+    }
+  }
+
+  // Entities mentioned in the same passages, most shared passages first
+  async getCoMentionedEntities(entityId, { limit = 10 } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT e.*,
+               COUNT(DISTINCT other.passage_id) AS shared_passages,
+               COUNT(DISTINCT other.video_id) AS shared_videos
+        FROM entity_mentions own
+        JOIN entity_mentions other ON other.passage_id = own.passage_id AND other.entity_id <> own.entity_id
+        JOIN entities e ON e.id = other.entity_id
+        WHERE own.entity_id = $1
+        GROUP BY e.id
+        ORDER BY shared_passages DESC, shared_videos DESC, e.name
+        LIMIT $2
+      `;
+
+      const result = await this.pool.query(query, [entityId, limit]);
+      return result.rows.map(row => ({
+        ...this.mapEntity(row),
+        sharedPassages: parseInt(row.shared_passages, 10),
+        sharedVideos: parseInt(row.shared_videos, 10)
+      }));
+    } catch (error) {
+      logger.error('Failed to get co-mentioned entities:', error);
+      return [];
+    }
+  }
+
+  async createSession({ userId = null, title = null } = {}) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(
+        'INSERT INTO conversation_sessions (user_id, title) VALUES ($1, $2) RETURNING *',
+        [userId, title]
+      );
+      return this.mapSession(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to create session:', error);
+      return null;
+    }
+  }
+
+  async listSessions({ userId = null, limit = 20 } = {}) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT s.*, COUNT(t.id)::int AS turn_count
+        FROM conversation_sessions s
+        LEFT JOIN conversation_turns t ON t.session_id = s.id
+        WHERE $1::varchar IS NULL OR s.user_id = $1
+        GROUP BY s.id
+        ORDER BY s.updated_at DESC
+        LIMIT $2
+      `;
+
+      const result = await this.pool.query(query, [userId, limit]);
+      return result.rows.map(row => this.mapSession(row));
+    } catch (error) {
+      logger.error('Failed to list sessions:', error);
+      return [];
+    }
+  }
+
+  async getSession(sessionId) {
+    if (!this.isConnected || !UUID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query('SELECT * FROM conversation_sessions WHERE id = $1', [sessionId]);
+      return result.rows[0] ? this.mapSession(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get session:', error);
+      return null;
+    }
+  }
+
+  async updateSessionTitle(sessionId, title) {
+    if (!this.isConnected || !UUID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(
+        'UPDATE conversation_sessions SET title = $2 WHERE id = $1 RETURNING *',
+        [sessionId, title]
+      );
+      return result.rows[0] ? this.mapSession(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to update session title:', error);
+      return null;
+    }
+  }
+
+  async deleteSession(sessionId) {
+    if (!this.isConnected || !UUID_PATTERN.test(sessionId)) {
+      return false;
+    }
+
+    try {
+      const result = await this.pool.query('DELETE FROM conversation_sessions WHERE id = $1', [sessionId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to delete session:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Appends a turn. The session row is locked while the next turn_index is
+   * chosen, so concurrent turns queue instead of colliding on
+   * UNIQUE(session_id, turn_index). Failures are thrown, not swallowed.
+   */
+  async addConversationTurn(sessionId, turn) {
+    if (!this.isConnected || !UUID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const session = await client.query('SELECT id FROM conversation_sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+      if (session.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const query = `
+        INSERT INTO conversation_turns (session_id, turn_index, query, rewritten_query, answer, cited_video_ids)
+        SELECT $1, COALESCE(MAX(turn_index) + 1, 0), $2, $3, $4, $5
+        FROM conversation_turns WHERE session_id = $1
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        sessionId,
+        turn.query,
+        turn.rewrittenQuery,
+        turn.answer,
+        turn.citedVideoIds || []
+      ]);
+
+      // Touch the session so recently used conversations sort first
+      await client.query('UPDATE conversation_sessions SET updated_at = NOW() WHERE id = $1', [sessionId]);
+
+      await client.query('COMMIT');
+      return this.mapTurn(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to add conversation turn:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getConversationTurns(sessionId) {
+    if (!this.isConnected || !UUID_PATTERN.test(sessionId)) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM conversation_turns WHERE session_id = $1 ORDER BY turn_index',
+        [sessionId]
+      );
+      return result.rows.map(row => this.mapTurn(row));
+    } catch (error) {
+      logger.error('Failed to get conversation turns:', error);
+      return [];
+    }
+  }
+
+  async recordAIUsage(entry) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const query = `
+        INSERT INTO ai_usage_ledger (task, provider, model, prompt_tokens, completion_tokens, cost_usd)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `;
+
+      const result = await this.pool.query(query, [
+        entry.task,
+        entry.provider,
+        entry.model,
+        entry.promptTokens || 0,
+        entry.completionTokens || 0,
+        entry.cost
+      ]);
+
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Failed to record AI usage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Total LLM spend since the start of the given day and month
+   */
+  async getAISpend({ dayStart, monthStart }) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT
+          COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= $1), 0) AS daily,
+          COALESCE(SUM(cost_usd), 0) AS monthly
+        FROM ai_usage_ledger
+        WHERE created_at >= $2
+      `;
+
+      const result = await this.pool.query(query, [dayStart, monthStart]);
+      return {
+        daily: parseFloat(result.rows[0].daily),
+        monthly: parseFloat(result.rows[0].monthly)
+      };
+    } catch (error) {
+      logger.error('Failed to get AI spend:', error);
+      return null;
+    }
+  }
+
+  mapGuest(row) {
+    const guest = {
+      id: row.id,
+      name: row.name,
+      slug: row.slug,
+      credentials: row.credentials
+    };
+    if (row.episodes) {
+      guest.episodes = row.episodes;
+      guest.episodeCount = row.episodes.length;
+    }
+    return guest;
+  }
+
+  mapCitation(row) {
+    const startTime = row.start_time === null ? null : parseFloat(row.start_time);
+    return {
+      id: row.id,
+      videoId: row.video_id,
+      youtube_id: row.youtube_id,
+      title: row.title,
+      source: row.source,
+      rawText: row.raw_text,
+      url: row.url,
+      year: row.year,
+      confidence: parseFloat(row.confidence),
+      startTime,
+      endTime: row.end_time === null ? null : parseFloat(row.end_time),
+      videoUrl: startTime === null
+        ? `https://www.youtube.com/watch?v=${row.youtube_id}`
+        : `https://www.youtube.com/watch?v=${row.youtube_id}&t=${Math.floor(startTime)}s`
+    };
+  }
+
+  mapEntity(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      slug: row.slug,
+      type: row.type,
+      aliases: row.aliases || [],
+      mentionCount: row.mention_count
+    };
+  }
+
+  mapEntityMention(row) {
+    const startTime = parseFloat(row.start_time);
+    return {
+      videoId: row.video_id,
+      youtube_id: row.youtube_id,
+      title: row.title,
+      passageId: row.passage_id,
+      startTime,
+      endTime: parseFloat(row.end_time),
+      mentionCount: row.mention_count,
+      context: row.context,
+      url: `https://www.youtube.com/watch?v=${row.youtube_id}&t=${Math.floor(startTime)}s`
+    };
+  }
+
+  mapSession(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      title: row.title,
+      turnCount: row.turn_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  mapTurn(row) {
+    return {
+      turnIndex: row.turn_index,
+      query: row.query,
+      rewrittenQuery: row.rewritten_query,
+      answer: row.answer,
+      citedVideoIds: row.cited_video_ids || [],
+      createdAt: row.created_at
+    };
+  }
+
+  mapEpisodeSummary(row) {
+    return {
+      summary: row.summary,
+      takeaways: row.takeaways || [],
+      chapters: row.chapters || [],
+      model: row.model,
+      generatedAt: row.updated_at
+    };
+  }
+
+  mapChapter(row) {
+    return {
+      position: row.position,
+      title: row.title,
+      startTime: parseFloat(row.start_time),
+      endTime: row.end_time === null ? null : parseFloat(row.end_time)
+    };
+  }
+
+  mapProtocol(row) {
+    const startTime = parseFloat(row.start_time);
+    return {
+      id: row.id,
+      videoId: row.video_id,
+      youtube_id: row.youtube_id,
+      title: row.title,
+      topic: row.topic,
+      action: row.action,
+      dose: row.dose,
+      timing: row.timing,
+      caveats: row.caveats || [],
+      startTime,
+      endTime: row.end_time === null ? null : parseFloat(row.end_time),
+      url: `https://www.youtube.com/watch?v=${row.youtube_id}&t=${Math.floor(startTime)}s`
+    };
+  }
+
+  embeddingTable(target) {
+    const table = EMBEDDING_TABLES[target];
+    if (!table) {
+      throw new Error(`Unknown embedding target: ${target}`);
+    }
+    return table;
+  }
+
+  mapTranscriptHit(row) {
+    return {
+      id: row.id,
+      videoId: row.video_id,
+      youtube_id: row.youtube_id,
+      title: row.title,
+      startTime: parseFloat(row.start_time),
+      endTime: parseFloat(row.end_time),
+      text: row.text
+    };
+  }
 }
 
 export { DatabaseService };
\ No newline at end of file
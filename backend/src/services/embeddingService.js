@@ -0,0 +1,152 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('EmbeddingService');
+
+// Must match the vector(1536) columns in database/init.sql
+const DEFAULT_DIMENSIONS = 1536;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to',
+  'was', 'we', 'were', 'what', 'when', 'which', 'with', 'you', 'your'
+]);
+
+/**
+ * Deterministic, dependency-free embedding provider for offline use and tests.
+ * Uses feature hashing over unigrams and bigrams, so identical text always
+ * produces an identical vector and texts sharing vocabulary land close together.
+ */
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = 'local-hash-v1';
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = this.tokenize(text);
+    const features = [...tokens];
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+      features.push(`${tokens[i]}_${tokens[i + 1]}`);
+    }
+
+    const counts = new Map();
+    features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+    counts.forEach((count, feature) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32BE(0) % this.dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+  }
+}
+
+/**
+ * Embedding provider for any endpoint implementing the OpenAI /embeddings API
+ */
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || 'text-embedding-3-small';
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+    this.client = axios.create({
+      baseURL: options.baseURL || 'https://api.openai.com/v1',
+      headers: {
+        'Authorization': `Bearer ${options.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async embed(texts) {
+    const response = await this.client.post('/embeddings', {
+      model: this.model,
+      input: texts,
+      dimensions: this.dimensions
+    });
+
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER) {
+  const apiKey = process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+  const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS;
+  const providerName = name || (apiKey ? 'openai' : 'local');
+
+  switch (providerName) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider({
+        baseURL: process.env.EMBEDDING_BASE_URL,
+        apiKey,
+        model: process.env.EMBEDDING_MODEL,
+        dimensions
+      });
+
+    case 'local':
+      return new LocalEmbeddingProvider({ dimensions });
+
+    default:
+      throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+}
+
+class EmbeddingService {
+  constructor(options = {}) {
+    this.provider = options.provider || createEmbeddingProvider();
+    this.batchSize = options.batchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64;
+
+    logger.info(`Using ${this.provider.name} embedding provider (${this.provider.model})`);
+  }
+
+  get dimensions() {
+    return this.provider.dimensions;
+  }
+
+  async embedTexts(texts) {
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const batchEmbeddings = await this.provider.embed(batch);
+
+      batchEmbeddings.forEach(embedding => {
+        if (embedding.length !== this.dimensions) {
+          throw new Error(`Embedding has ${embedding.length} dimensions, expected ${this.dimensions}`);
+        }
+      });
+
+      embeddings.push(...batchEmbeddings);
+    }
+
+    return embeddings;
+  }
+
+  async embedQuery(query) {
+    const [embedding] = await this.embedTexts([query]);
+    return embedding;
+  }
+}
+
+export { EmbeddingService, LocalEmbeddingProvider, OpenAIEmbeddingProvider, createEmbeddingProvider };
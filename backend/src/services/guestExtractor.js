@@ -0,0 +1,138 @@
+/**
+ * Guest extraction
+ * Finds podcast guests in video titles ("Dr. Matthew Walker: The Biology of
+ * Sleep | Huberman Lab Guest Series") and descriptions ("My guest is
+ * Dr. Matthew Walker, Ph.D., professor of ..."). Solo episodes return no guests.
+ */
+
+const HOST_NAME = 'Andrew Huberman';
+
+// Capitalized words or initials, with an optional honorific and name particles
+const NAME_PART = "(?:\\p{Lu}[\\p{L}'’-]+|\\p{Lu}\\.)";
+const PARTICLE = '(?:(?:de|van|von|der|da|di|du|la|le)\\s+){0,2}';
+const HONORIFIC = '(?:(?:Dr|Prof|Professor)\\.?\\s+)';
+const NAME = `${HONORIFIC}?${NAME_PART}(?:\\s+${PARTICLE}${NAME_PART}){1,3}`;
+
+const FULL_NAME = new RegExp(`^${NAME}$`, 'u');
+const LEADING_NAME = new RegExp(`^${NAME}`, 'u');
+const ADDITIONAL_GUEST = new RegExp(`\\s(?:and|&)\\s+(${HONORIFIC}${NAME_PART}(?:\\s+${PARTICLE}${NAME_PART}){1,3})`, 'u');
+
+// Capitalized title words that are not part of a person's name
+const NON_NAME_WORDS = new Set([
+  'huberman', 'lab', 'podcast', 'guest', 'series', 'essentials', 'episode', 'protocols', 'tools',
+  'science', 'ama', 'ask', 'anything', 'toolkit', 'journal', 'club', 'live', 'event', 'q&a',
+  'how', 'the', 'why', 'what', 'your', 'for', 'to', 'of'
+]);
+
+// Phrases that introduce the guest in a description
+const GUEST_INTRO = /\b(?:my guests? (?:today )?(?:is|are)|I(?:'m| am) joined by|I (?:interview|speak with|talk with|sit down with))\s+/gi;
+
+// Periods after these do not end a sentence
+const ABBREVIATIONS = /(?:\b(?:Dr|Prof|Mr|Mrs|Ms|Jr|Sr|St|vs|Ph\.D|M\.D|Ph|D)|\b[A-Z])$/;
+
+function normalizeName(name) {
+  return name
+    .replace(new RegExp(`^${HONORIFIC}`), '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function slugify(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function isPersonName(candidate) {
+  const name = normalizeName(candidate);
+  if (!FULL_NAME.test(candidate.trim()) || name === HOST_NAME) {
+    return false;
+  }
+  return !name.toLowerCase().split(/\s+/).some(word => NON_NAME_WORDS.has(word));
+}
+
+function firstSentence(text) {
+  const sentenceEnd = /[.!?](?=\s+[A-Z]|\s*$)/g;
+  let match;
+  while ((match = sentenceEnd.exec(text)) !== null) {
+    if (!ABBREVIATIONS.test(text.slice(0, match.index))) {
+      return text.slice(0, match.index + 1);
+    }
+  }
+  return text;
+}
+
+/**
+ * Guests named before the colon of the episode title
+ */
+function extractGuestsFromTitle(title = '') {
+  const section = title.split('|').map(part => part.trim()).find(part => part.includes(':'));
+  if (!section) {
+    return [];
+  }
+
+  return section
+    .slice(0, section.indexOf(':'))
+    .split(/\s*(?:,|&|\band\b)\s*/)
+    .filter(isPersonName)
+    .map(name => normalizeName(name));
+}
+
+/**
+ * Guests introduced in the description, with the credentials that follow the
+ * first name (", Ph.D., professor of neuroscience at ...")
+ */
+function extractGuestsFromDescription(description = '') {
+  const guests = [];
+
+  for (const intro of description.matchAll(GUEST_INTRO)) {
+    const sentence = firstSentence(description.slice(intro.index + intro[0].length));
+    const first = sentence.match(LEADING_NAME);
+    if (!first || !isPersonName(first[0])) {
+      continue;
+    }
+
+    const rest = sentence.slice(first[0].length);
+    const additional = rest.match(ADDITIONAL_GUEST);
+    const credentials = (additional ? rest.slice(0, additional.index) : rest)
+      .replace(/^\s*,\s*/, '')
+      .replace(/[.,\s]+$/, '')
+      .trim();
+
+    guests.push({ name: normalizeName(first[0]), credentials: credentials ? credentials.substring(0, 200) : null });
+
+    if (additional && isPersonName(additional[1])) {
+      guests.push({ name: normalizeName(additional[1]), credentials: null });
+    }
+  }
+
+  return guests;
+}
+
+/**
+ * Guests of one video as [{ name, slug, credentials }], title guests first
+ */
+function extractGuests({ title, description } = {}) {
+  const guests = new Map();
+
+  for (const name of extractGuestsFromTitle(title)) {
+    guests.set(slugify(name), { name, slug: slugify(name), credentials: null });
+  }
+
+  for (const { name, credentials } of extractGuestsFromDescription(description)) {
+    const slug = slugify(name);
+    const existing = guests.get(slug);
+    if (existing) {
+      existing.credentials = existing.credentials || credentials;
+    } else {
+      guests.set(slug, { name, slug, credentials });
+    }
+  }
+
+  return [...guests.values()];
+}
+
+export { HOST_NAME, extractGuests, extractGuestsFromTitle, extractGuestsFromDescription, slugify };
@@ -3,6 +3,11 @@ import { DatabaseManager } from '../utils/database.js';
 
 const logger = createLogger('HealthQueryProcessor');
 
+// Comparison sides that are pronouns, the asker's own state or a point in
+// time rather than something discussed on the podcast ("is it better than
+// nothing", "compare my sleep to last week")
+const NON_CONCEPTS = /^(?:it|this|that|these|those|they|them|me|you|one|nothing|anything|something|everything|none|before|now|usual|normal|yesterday|today|tonight|(?:my|your|our|his|her|their) .+|(?:last|next|this|previous) (?:night|week|month|year|time))$/;
+
 export class HealthQueryProcessor {
     constructor() {
         this.db = new DatabaseManager();
@@ -89,9 +94,12 @@ export class HealthQueryProcessor {
             processedQuery.healthTopics = identifiedTopics;
 
             // Determine query type and confidence
-            const queryAnalysis = this.analyzeQueryType(cleanedQuery, healthTerms);
+            const queryAnalysis = this.analyzeQueryType(cleanedQuery, healthTerms, query);
             processedQuery.queryType = queryAnalysis.type;
             processedQuery.confidence = queryAnalysis.confidence;
+            if (queryAnalysis.concepts) {
+                processedQuery.comparison = { concepts: queryAnalysis.concepts, aspect: queryAnalysis.aspect };
+            }
 
             // Generate suggested filters
             processedQuery.suggestedFilters = this.generateFilters(identifiedTopics, healthTerms);
@@ -205,7 +213,8 @@ export class HealthQueryProcessor {
         }
     }
 
-    analyzeQueryType(cleanedQuery, healthTerms) {
+    // originalQuery keeps the commas of lists ("caffeine, nicotine and alpha-GPC")
+    analyzeQueryType(cleanedQuery, healthTerms, originalQuery = cleanedQuery) {
         let confidence = 0;
         let type = 'general';
 
@@ -236,13 +245,88 @@ export class HealthQueryProcessor {
             confidence += 0.2;
         }
 
+        // Comparison queries ("cold vs heat exposure", "difference between x and y")
+        const comparison = this.extractComparison(originalQuery);
+        if (comparison) {
+            type = 'comparison';
+            confidence += 0.5;
+        }
+
         // Boost confidence based on health terms found
         confidence += Math.min(healthTerms.length * 0.1, 0.4);
 
-        return {
+        const analysis = {
             type,
             confidence: Math.min(confidence, 1.0)
         };
+        if (comparison) {
+            analysis.concepts = comparison.concepts;
+            analysis.aspect = comparison.aspect;
+        }
+        return analysis;
+    }
+
+    /**
+     * Concepts being compared in a query, with the shared aspect ("for sleep")
+     * when one follows the last concept. Returns null unless the query
+     * compares two to four concepts.
+     */
+    extractComparison(query) {
+        const normalized = query
+            .toLowerCase()
+            .replace(/\s*[,;/]\s*/g, ' and ')
+            .replace(/[^\w\s-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const patterns = [
+            /\bdifferences? between (.+)/,
+            /(.+?) (?:compares?|stacks? up) (?:to|with|against) (.+)/,
+            /\b(?:compare|comparing|comparison of|contrast|contrasting) (.+)/,
+            /\bis (.+?) better than (.+)/,
+            /(.+?) (?:vs|versus) (.+)/
+        ];
+
+        let listed = null;
+        for (const pattern of patterns) {
+            const match = normalized.match(pattern);
+            if (match) {
+                listed = match.slice(1).join(' vs ');
+                break;
+            }
+        }
+        if (!listed) {
+            return null;
+        }
+
+        let aspect = null;
+        const parts = listed.split(/ (?:vs|versus|and|or|with|to|against|than) /);
+        const last = parts[parts.length - 1].match(/^(.+?) (?:for|on|in terms of|when it comes to|regarding) (.+)$/);
+        if (last) {
+            parts[parts.length - 1] = last[1];
+            aspect = last[2];
+        }
+
+        const fillers = /^(?:how does (?:he|huberman) compare|how (?:does|do|did)|what does (?:he|huberman) say about|the|a|an|using|doing|taking|between) /;
+        const concepts = [...new Set(parts
+            .map(part => {
+                let concept = part.trim();
+                while (fillers.test(concept)) {
+                    concept = concept.replace(fillers, '');
+                }
+                return concept.replace(/ (?:better|best|more effective|exposure compared)$/, '').trim();
+            })
+            .filter(concept => concept.length >= 2))];
+
+        if (concepts.length < 2 || concepts.length > 4 || concepts.some(concept => NON_CONCEPTS.test(concept))) {
+            return null;
+        }
+
+        // "cold vs heat exposure": single-word concepts share the last one's head noun
+        const headNoun = concepts[concepts.length - 1].match(/ (exposure|therapy|training|supplementation|breathing|fasting|protocols?)$/);
+        if (headNoun && concepts.slice(0, -1).every(concept => !concept.includes(' '))) {
+            return { concepts: concepts.map((concept, i) => (i < concepts.length - 1 ? `${concept}${headNoun[0]}` : concept)), aspect };
+        }
+        return { concepts, aspect };
     }
 
     generateFilters(topics, healthTerms) {
@@ -0,0 +1,141 @@
+import { createLogger } from '../utils/logger.js';
+import { DatabaseService } from './databaseService.js';
+import { EmbeddingService } from './embeddingService.js';
+
+const logger = createLogger('HybridRetriever');
+
+const parseWeight = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Reciprocal rank fusion: every list contributes weight / (k + rank) for each
+ * item it contains. Scores are also normalised against the best possible
+ * score (rank 1 in every list) so callers get a stable 0-1 relevance value.
+ */
+function reciprocalRankFusion(rankedLists, { k = 60, getKey = item => item.id } = {}) {
+  const fused = new Map();
+  const activeLists = rankedLists.filter(list => list.weight > 0 && list.items.length > 0);
+  const maxScore = activeLists.reduce((sum, list) => sum + list.weight / (k + 1), 0);
+
+  activeLists.forEach(list => {
+    list.items.forEach((item, index) => {
+      const key = getKey(item);
+      const rank = index + 1;
+      const entry = fused.get(key) || { item, score: 0, ranks: {} };
+
+      entry.score += list.weight / (k + rank);
+      entry.ranks[list.name] = rank;
+      fused.set(key, entry);
+    });
+  });
+
+  return [...fused.values()]
+    .map(entry => ({
+      ...entry.item,
+      fusedScore: entry.score,
+      relevanceScore: maxScore > 0 ? entry.score / maxScore : 0,
+      ranks: entry.ranks
+    }))
+    .sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Combines full-text search over transcript passages with pgvector
+ * nearest-neighbour search, then ranks videos by fusing the passage
+ * ranking with title/description matches.
+ */
+class HybridRetriever {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.embeddings = options.embeddings || new EmbeddingService();
+    this.rrfK = options.rrfK || parseInt(process.env.HYBRID_RRF_K) || 60;
+    this.weights = {
+      lexical: parseWeight(process.env.HYBRID_LEXICAL_WEIGHT, 1),
+      vector: parseWeight(process.env.HYBRID_VECTOR_WEIGHT, 1),
+      metadata: parseWeight(process.env.HYBRID_METADATA_WEIGHT, 0.5),
+      session: parseWeight(process.env.HYBRID_SESSION_WEIGHT, 0.3),
+      ...options.weights
+    };
+  }
+
+  async retrievePassages(query, options = {}) {
+    const { limit = 20, videoIds = null, includeSponsored = false } = options;
+    const weights = { ...this.weights, ...options.weights };
+    const candidateLimit = limit * 3;
+
+    const [lexicalHits, vectorHits] = await Promise.all([
+      weights.lexical > 0 ? this.db.searchPassagesByText(query, candidateLimit, { videoIds, includeSponsored }) : [],
+      weights.vector > 0 ? this.vectorSearch(query, candidateLimit, { videoIds, includeSponsored }) : []
+    ]);
+
+    logger.info(`Passage candidates: ${lexicalHits.length} lexical, ${vectorHits.length} vector`);
+
+    return reciprocalRankFusion([
+      { name: 'lexical', weight: weights.lexical, items: lexicalHits },
+      { name: 'vector', weight: weights.vector, items: vectorHits }
+    ], { k: this.rrfK }).slice(0, limit);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.boostVideoIds] - Videos already cited in the conversation,
+   *   most recent first; they are boosted only when they also match the query
+   * @param {string[]} [options.videoIds] - Restrict retrieval to these videos (e.g. a guest's episodes)
+   * @param {boolean} [options.includeSponsored] - Also match passages flagged as sponsor reads
+   */
+  async retrieveVideos(query, options = {}) {
+    const { limit = 10, boostVideoIds = [], videoIds = null, includeSponsored = false } = options;
+    const weights = { ...this.weights, ...options.weights };
+
+    const [passages, metadataMatches] = await Promise.all([
+      this.retrievePassages(query, { limit: limit * 10, weights, videoIds, includeSponsored }),
+      weights.metadata > 0 ? this.db.searchVideos(query, limit * 2, { videoIds }) : []
+    ]);
+
+    // A video's transcript rank is the rank of its best-matching passage
+    const passagesByVideo = new Map();
+    passages.forEach(passage => {
+      if (!passagesByVideo.has(passage.videoId)) {
+        passagesByVideo.set(passage.videoId, []);
+      }
+      passagesByVideo.get(passage.videoId).push(passage);
+    });
+
+    const transcriptRanking = [...passagesByVideo.keys()].map(videoId => ({ id: videoId }));
+
+    const matchedIds = new Set([...passagesByVideo.keys(), ...metadataMatches.map(video => video.id)]);
+    const sessionRanking = boostVideoIds.filter(id => matchedIds.has(id)).map(id => ({ id }));
+
+    const fusedVideos = reciprocalRankFusion([
+      { name: 'transcript', weight: weights.lexical + weights.vector, items: transcriptRanking },
+      { name: 'metadata', weight: weights.metadata, items: metadataMatches },
+      { name: 'session', weight: weights.session, items: sessionRanking }
+    ], { k: this.rrfK }).slice(0, limit);
+
+    // Hydrate videos that only surfaced through transcript passages
+    const missingIds = fusedVideos.filter(video => !video.youtube_id).map(video => video.id);
+    const hydrated = new Map((await this.db.getVideosByIds(missingIds)).map(video => [video.id, video]));
+
+    return fusedVideos
+      .map(video => ({
+        ...(hydrated.get(video.id) || {}),
+        ...video,
+        matchingPassages: passagesByVideo.get(video.id) || []
+      }))
+      .filter(video => video.youtube_id);
+  }
+
+  async vectorSearch(query, limit, options = {}) {
+    try {
+      const embedding = await this.embeddings.embedQuery(query);
+      return await this.db.searchPassagesByEmbedding(embedding, limit, options);
+    } catch (error) {
+      logger.warn('Vector search unavailable, using lexical results only:', error.message);
+      return [];
+    }
+  }
+}
+
+export { HybridRetriever, reciprocalRankFusion };
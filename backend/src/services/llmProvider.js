@@ -0,0 +1,296 @@
+import axios from 'axios';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('LLMProvider');
+
+// Each LLM call belongs to one task so its model can be chosen independently
+const LLM_TASKS = ['analysis', 'ranking', 'insight', 'answer', 'summary', 'extraction'];
+
+/**
+ * Chat provider for any endpoint implementing the OpenAI /chat/completions API
+ * (vLLM, Ollama, LM Studio, llama.cpp server, OpenAI itself).
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai-compatible';
+    this.defaultModel = options.defaultModel || 'gpt-3.5-turbo';
+    // Local endpoints usually run without a key, so a base URL is enough
+    this.configured = Boolean(options.apiKey || options.baseURL);
+    this.client = axios.create({
+      baseURL: options.baseURL || 'http://localhost:11434/v1',
+      headers: {
+        ...(options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {}),
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+  }
+
+  async chat({ model, messages, maxTokens, temperature }) {
+    const response = await this.client.post('/chat/completions', {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return {
+      content: response.data.choices[0].message.content,
+      usage: response.data.usage || null
+    };
+  }
+
+  /**
+   * Streams a completion, calling onToken for every content delta.
+   * Resolves with the full text and the usage from the final chunk.
+   */
+  async streamChat({ model, messages, maxTokens, temperature }, onToken) {
+    const response = await this.client.post('/chat/completions', {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { responseType: 'stream' });
+
+    let content = '';
+    let usage = null;
+    let buffer = '';
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        // Skip keep-alive comments and blank separators
+        if (!line.startsWith('data: ')) continue;
+
+        const payload = line.slice(6).trim();
+        if (payload === '[DONE]') continue;
+
+        try {
+          const event = JSON.parse(payload);
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          if (event.usage) {
+            usage = event.usage;
+          }
+        } catch (parseError) {
+          logger.warn('Skipping malformed stream chunk');
+        }
+      }
+    }
+
+    return { content, usage };
+  }
+}
+
+/**
+ * OpenRouter is OpenAI-compatible; it only adds attribution headers and
+ * namespaced model ids
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openrouter',
+      baseURL: options.baseURL || 'https://openrouter.ai/api/v1',
+      apiKey: options.apiKey,
+      defaultModel: options.defaultModel || 'openai/gpt-3.5-turbo',
+      headers: {
+        'HTTP-Referer': 'http://localhost:3001',
+        'X-Title': 'Huberman Health AI Assistant'
+      }
+    });
+    this.configured = Boolean(options.apiKey);
+  }
+}
+
+/**
+ * Deterministic provider for offline development and tests. Returns canned,
+ * well-formed output for each task derived only from the prompt, so the same
+ * request always produces the same response. Pass `responses` to override a
+ * task with a function of the request.
+ */
+class MockLLMProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.defaultModel = 'mock-llm';
+    this.configured = true;
+    this.responses = options.responses || {};
+    this.requests = [];
+  }
+
+  async chat(request) {
+    this.requests.push(request);
+    const content = this.respond(request);
+    return { content, usage: this.estimateUsage(request, content) };
+  }
+
+  async streamChat(request, onToken) {
+    const { content, usage } = await this.chat({ ...request, stream: true });
+    // Emit word by word so callers exercise their incremental rendering
+    content.split(/(?<=\s)/).forEach(token => onToken(token));
+    return { content, usage };
+  }
+
+  respond(request) {
+    const override = this.responses[request.task];
+    if (override) {
+      return typeof override === 'function' ? override(request) : override;
+    }
+
+    const prompt = request.messages[request.messages.length - 1].content;
+
+    switch (request.task) {
+      case 'analysis': {
+        // Follow-up rewrites share the analysis model but expect {"query"}
+        const followUp = prompt.match(/Follow-up question: <user_query>([^<]*)<\/user_query>/);
+        if (followUp) {
+          return JSON.stringify({ query: followUp[1] });
+        }
+        return JSON.stringify({
+          healthTopics: ['general health'],
+          symptoms: [],
+          intent: 'information_seeking',
+          relevantAreas: ['health'],
+          urgency: 'low',
+          recommendations: []
+        });
+      }
+
+      case 'ranking': {
+        const documents = prompt.match(/^\s*\d+: /gm) || [];
+        return JSON.stringify({
+          results: documents.map((doc, index) => ({
+            index,
+            score: Math.round((1 - index / (documents.length + 1)) * 100) / 100,
+            reason: 'mock ranking preserves input order'
+          }))
+        });
+      }
+
+      case 'answer': {
+        // Comparisons list passages under "Concept n:" headings
+        const concepts = [...prompt.matchAll(/^\s*Concept (\d+): <user_query>/gm)];
+        if (concepts.length > 0) {
+          const groups = prompt.split(/^\s*Concept \d+: /m).slice(1)
+            .map(section => (section.match(/^\s*\[(\d+)\]/gm) || []).map(marker => parseInt(marker.replace(/[^\d]/g, ''))));
+          return JSON.stringify({
+            concepts: groups
+              .map((citations, index) => ({ concept: index + 1, summary: 'Mock summary of the passages for this concept.', citations }))
+              .filter(concept => concept.citations.length > 0),
+            agreements: [],
+            differences: []
+          });
+        }
+
+        const passage = prompt.match(/^\s*\[1\] <passage>\([^)]*\) ([^.!?<\n]+[.!?]?)/m);
+        if (!passage) {
+          return request.stream ? 'The passages do not answer this question.' : JSON.stringify({ claims: [] });
+        }
+        const sentence = passage[1].trim();
+        return request.stream
+          ? `${sentence} [1]`
+          : JSON.stringify({ claims: [{ text: sentence, citations: [1] }] });
+      }
+
+      case 'summary': {
+        // Reduce prompts list the numbered section summaries; map prompts carry one transcript section
+        const sections = prompt.match(/^\s*\d+\. <section_summary>/gm);
+        if (sections) {
+          return JSON.stringify({
+            summary: 'This episode covers the material outlined in the chapters below.',
+            takeaways: ['Mock takeaway drawn from the section summaries.'],
+            chapters: sections.map((section, index) => ({ section: index + 1, title: `Part ${index + 1}` }))
+          });
+        }
+        const transcript = prompt.match(/<transcript>([^<]*)<\/transcript>/);
+        const firstWords = (transcript ? transcript[1] : '').trim().split(/\s+/).slice(0, 6).join(' ');
+        return JSON.stringify({
+          title: firstWords || 'Untitled section',
+          summary: `This section discusses ${firstWords || 'the episode topic'}.`,
+          keyPoints: []
+        });
+      }
+
+      case 'extraction': {
+        // One protocol per numbered passage that mentions a duration
+        const passages = [...prompt.matchAll(/^\s*\[(\d+)\] <passage>([^<]*)<\/passage>/gm)];
+        return JSON.stringify({
+          protocols: passages
+            .map(([, number, text]) => ({ number: parseInt(number), text, dose: text.match(/\d+\s*(minutes?|min|seconds?|hours?)\b/i) }))
+            .filter(passage => passage.dose)
+            .map(passage => ({
+              passage: passage.number,
+              topic: 'general health',
+              action: passage.text.split(/(?<=[.!?])\s/)[0].trim(),
+              dose: passage.dose[0],
+              timing: null,
+              caveats: []
+            }))
+        });
+      }
+
+      case 'insight':
+      default:
+        return 'This video covers material relevant to your question.';
+    }
+  }
+
+  // Rough 4-characters-per-token estimate so usage accounting still runs
+  estimateUsage(request, content) {
+    const promptChars = request.messages.reduce((sum, message) => sum + message.content.length, 0);
+    return {
+      prompt_tokens: Math.ceil(promptChars / 4),
+      completion_tokens: Math.ceil(content.length / 4)
+    };
+  }
+}
+
+function createLLMProvider(name = process.env.LLM_PROVIDER) {
+  const providerName = name || 'openrouter';
+
+  switch (providerName) {
+    case 'openrouter':
+      return new OpenRouterProvider({
+        baseURL: process.env.OPENROUTER_BASE_URL,
+        apiKey: process.env.OPENROUTER_API_KEY
+      });
+
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({
+        baseURL: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY
+      });
+
+    case 'mock':
+      return new MockLLMProvider();
+
+    default:
+      throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+}
+
+/**
+ * Model per task: LLM_MODEL_<TASK>, then LLM_MODEL, then the provider default
+ */
+function resolveTaskModels(defaultModel, env = process.env) {
+  return Object.fromEntries(LLM_TASKS.map(task => [
+    task,
+    env[`LLM_MODEL_${task.toUpperCase()}`] || env.LLM_MODEL || defaultModel
+  ]));
+}
+
+export {
+  LLM_TASKS,
+  OpenAICompatibleProvider,
+  OpenRouterProvider,
+  MockLLMProvider,
+  createLLMProvider,
+  resolveTaskModels
+};
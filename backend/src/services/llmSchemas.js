@@ -0,0 +1,151 @@
+import { z } from 'zod/v4';
+
+// Expected shape of every LLM response, validated before anything downstream uses it.
+// Objects are strict: extra fields (e.g. injected instructions or flags) are rejected.
+
+const healthAnalysisSchema = z.strictObject({
+  healthTopics: z.array(z.string()).default([]),
+  symptoms: z.array(z.string()).default([]),
+  intent: z.enum(['health_improvement', 'information_seeking', 'symptom_relief', 'protocol_request']),
+  relevantAreas: z.array(z.string()).default([]),
+  urgency: z.enum(['low', 'medium', 'high']),
+  recommendations: z.array(z.string()).default([])
+});
+
+// Indexes must point at one of the documents that were sent
+function createRankingSchema(documentCount) {
+  return z.strictObject({
+    results: z.array(z.strictObject({
+      index: z.number().int().min(0).max(Math.max(documentCount - 1, 0)),
+      score: z.number().min(0).max(1),
+      reason: z.string().optional()
+    }))
+  });
+}
+
+const insightSchema = z.string().trim().min(1).max(1000);
+
+const groundedAnswerSchema = z.strictObject({
+  claims: z.array(z.strictObject({
+    text: z.string().trim().min(1),
+    citations: z.array(z.number().int().positive())
+  }))
+});
+
+const rewrittenQuerySchema = z.strictObject({
+  query: z.string().trim().min(1).max(500)
+});
+
+// Map step of episode summarization: one transcript section
+const sectionSummarySchema = z.strictObject({
+  title: z.string().trim().min(1).max(120),
+  summary: z.string().trim().min(1).max(1500),
+  keyPoints: z.array(z.string().trim().min(1)).max(8).default([])
+});
+
+// Reduce step: chapters point at section numbers so start times come from the
+// transcript rather than from the model
+function createEpisodeSummarySchema(sectionCount) {
+  return z.strictObject({
+    summary: z.string().trim().min(1).max(3000),
+    takeaways: z.array(z.string().trim().min(1)).min(1).max(10),
+    chapters: z.array(z.strictObject({
+      section: z.number().int().min(1).max(Math.max(sectionCount, 1)),
+      title: z.string().trim().min(1).max(120)
+    })).min(1)
+  });
+}
+
+// Protocols point at the passage they came from so the source timestamp is exact
+function createProtocolExtractionSchema(passageCount) {
+  return z.strictObject({
+    protocols: z.array(z.strictObject({
+      passage: z.number().int().min(1).max(Math.max(passageCount, 1)),
+      topic: z.string().trim().min(1).max(100),
+      action: z.string().trim().min(1).max(500),
+      dose: z.string().trim().min(1).max(200).nullable().default(null),
+      timing: z.string().trim().min(1).max(200).nullable().default(null),
+      caveats: z.array(z.string().trim().min(1)).max(5).default([])
+    })).max(20)
+  });
+}
+
+// Side-by-side comparison: concepts and citations point at the numbers they
+// were sent with, so every point resolves to a transcript timestamp
+function createComparisonSchema(conceptCount, passageCount) {
+  const citations = z.array(z.number().int().min(1).max(Math.max(passageCount, 1))).min(1);
+  const point = z.strictObject({
+    text: z.string().trim().min(1).max(500),
+    citations
+  });
+
+  return z.strictObject({
+    concepts: z.array(z.strictObject({
+      concept: z.number().int().min(1).max(Math.max(conceptCount, 1)),
+      summary: z.string().trim().min(1).max(1000),
+      citations
+    })).min(1).max(conceptCount),
+    agreements: z.array(point).max(5).default([]),
+    differences: z.array(point).max(5).default([])
+  });
+}
+
+class LLMOutputError extends Error {
+  constructor(response, issues) {
+    super(`Invalid ${response} output: ${issues}`);
+    this.name = 'LLMOutputError';
+    this.response = response;
+    this.issues = issues;
+  }
+}
+
+// Models often wrap JSON in prose or ``` fences; take the outermost object
+function extractJSON(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('no JSON object found');
+  }
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+function formatIssues(error) {
+  return error.issues
+    .map(issue => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+    .join('; ');
+}
+
+/**
+ * Parses raw model output and validates it against a schema.
+ * Returns { success: true, data } or { success: false, issues }.
+ */
+function parseLLMOutput(content, schema, format = 'json') {
+  let value = content;
+
+  if (format === 'json') {
+    try {
+      value = extractJSON(content || '');
+    } catch (error) {
+      return { success: false, issues: `response is not valid JSON (${error.message})` };
+    }
+  }
+
+  const result = schema.safeParse(value);
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, issues: formatIssues(result.error) };
+}
+
+export {
+  healthAnalysisSchema,
+  createRankingSchema,
+  insightSchema,
+  groundedAnswerSchema,
+  rewrittenQuerySchema,
+  sectionSummarySchema,
+  createEpisodeSummarySchema,
+  createProtocolExtractionSchema,
+  createComparisonSchema,
+  LLMOutputError,
+  parseLLMOutput
+};
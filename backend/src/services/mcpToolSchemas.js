@@ -0,0 +1,172 @@
+import { z } from 'zod/v4';
+
+// Arguments of every MCP tool. Each schema is both the validator for tool calls
+// and the source of the inputSchema advertised by tools/list, so the two cannot
+// drift. Objects are strict: unknown arguments are rejected, not ignored.
+
+const MAX_QUERY_LENGTH = 1000;
+
+const query = (description) => z.string().trim().min(1).max(MAX_QUERY_LENGTH).describe(description);
+
+const includeSponsored = z.boolean().default(false)
+  .describe('Also return sponsor/ad reads, which are excluded by default');
+
+const videoId = z.string().trim().min(1).max(100).describe('Video ID or YouTube ID, e.g. "SwQhKFMxmDY"');
+
+const cursor = z.string().min(1).max(200).optional()
+  .describe('nextCursor from the previous page; the first page when omitted');
+
+const TOOL_DEFINITIONS = [
+  {
+    name: 'process_health_query',
+    description: 'Process a health-related query and find relevant Huberman Lab content',
+    schema: z.strictObject({
+      query: query('The health query to process'),
+      userId: z.string().trim().min(1).max(100).optional().describe('Optional user ID for tracking'),
+      sessionId: z.uuid().optional()
+        .describe('Conversation session ID returned by a previous call; follow-up questions are resolved against earlier turns. A new session is started when omitted.'),
+      includeSponsored
+    })
+  },
+  {
+    name: 'semantic_search',
+    description: 'Perform semantic search across video transcripts',
+    schema: z.strictObject({
+      query: query('Search query'),
+      limit: z.number().int().min(1).max(50).default(10).describe('Maximum number of results'),
+      minRelevanceScore: z.number().min(0).max(1).default(0.1).describe('Minimum relevance score (0-1)'),
+      includeSponsored
+    })
+  },
+  {
+    name: 'extract_timestamps',
+    description: 'Extract relevant timestamps from a video based on query',
+    schema: z.strictObject({
+      videoId: z.string().trim().min(1).max(100).describe('Video ID to extract timestamps from'),
+      query: query('Query to find relevant timestamps for'),
+      includeSponsored
+    })
+  },
+  {
+    name: 'get_video_stats',
+    description: 'Get statistics about videos in the database',
+    schema: z.strictObject({})
+  },
+  {
+    name: 'scrape_huberman_videos',
+    description: 'Scrape videos from Huberman Lab YouTube channel',
+    schema: z.strictObject({
+      limit: z.number().int().min(1).max(500).default(50).describe('Maximum number of videos to scrape'),
+      includeTranscripts: z.boolean().default(true).describe('Whether to scrape transcripts as well')
+    })
+  },
+  {
+    name: 'get_protocols',
+    description: 'Find actionable protocols (action, dose or duration, timing, caveats) extracted from Huberman Lab transcripts, with the source video and timestamp',
+    schema: z.strictObject({
+      topic: z.string().trim().min(1).max(200).optional()
+        .describe('Topic to search for, e.g. "sleep" or "cold exposure"; all protocols when omitted'),
+      limit: z.number().int().min(1).max(100).default(20).describe('Maximum number of protocols')
+    })
+  },
+  {
+    name: 'compare_concepts',
+    description: 'Compare two to four concepts (e.g. "cold exposure" and "heat exposure") side by side: the top Huberman Lab passages for each, a cited summary per concept, and where they agree and differ',
+    schema: z.strictObject({
+      concepts: z.array(z.string().trim().min(1).max(200)).min(2).max(4).describe('The concepts to compare'),
+      aspect: z.string().trim().min(1).max(200).optional()
+        .describe('Optional shared aspect to compare them on, e.g. "sleep" or "recovery"'),
+      query: query('Optional original question; defaults to "<concept> vs <concept>"').optional(),
+      includeSponsored: z.boolean().default(false)
+        .describe('Also use sponsor/ad reads, which are excluded by default')
+    })
+  },
+  {
+    name: 'get_health_topics',
+    description: 'Get available health topics from the database',
+    schema: z.strictObject({
+      category: z.string().trim().min(1).max(100).optional().describe('Optional category filter')
+    })
+  },
+  {
+    name: 'get_transcript',
+    description: 'Read the timestamped transcript of a video between two times, widened by a context padding on each side, a page of segments at a time',
+    schema: z.strictObject({
+      videoId,
+      startTime: z.number().min(0).default(0).describe('Start of the range in seconds'),
+      endTime: z.number().min(0).optional().describe('End of the range in seconds; the end of the video when omitted'),
+      padding: z.number().min(0).max(600).default(0).describe('Seconds of context to add before and after the range'),
+      limit: z.number().int().min(1).max(500).default(100).describe('Maximum number of segments per page'),
+      cursor,
+      includeSponsored
+    }).refine(args => args.endTime === undefined || args.endTime > args.startTime, {
+      message: 'must be after startTime',
+      path: ['endTime']
+    })
+  },
+  {
+    name: 'find_similar_videos',
+    description: 'Find videos that cover similar ground to a given video, most similar first',
+    schema: z.strictObject({
+      videoId,
+      limit: z.number().int().min(1).max(20).default(5).describe('Maximum number of videos per page'),
+      cursor
+    })
+  },
+  {
+    name: 'get_video_details',
+    description: 'Get a video with its chapters, summary, guests and cited studies',
+    schema: z.strictObject({
+      videoId
+    })
+  },
+  {
+    name: 'get_topic_videos',
+    description: 'Get the videos tagged with a health topic, most relevant first; a topic that does not match by name is resolved to the closest suggestion',
+    schema: z.strictObject({
+      topic: z.string().trim().min(1).max(200).describe('Topic name or keywords, e.g. "Sleep" or "stress"'),
+      limit: z.number().int().min(1).max(50).default(10).describe('Maximum number of videos per page'),
+      cursor
+    })
+  }
+];
+
+/**
+ * Tools as advertised by tools/list. Defaults do not make an argument
+ * required, so the JSON Schema describes the input side of each schema.
+ */
+function listTools() {
+  return TOOL_DEFINITIONS.map(({ name, description, schema }) => {
+    const inputSchema = z.toJSONSchema(schema, { io: 'input' });
+    delete inputSchema.$schema;
+    return { name, description, inputSchema };
+  });
+}
+
+// "limit: Invalid input: expected number, received string; extra: unknown argument"
+function formatIssues(issues) {
+  return issues
+    .flatMap(issue => (issue.code === 'unrecognized_keys'
+      ? issue.keys.map(key => `${[...issue.path, key].join('.')}: unknown argument`)
+      : [`${issue.path.join('.') || 'arguments'}: ${issue.message}`]))
+    .join('; ');
+}
+
+/**
+ * Validates a tool call. Returns { success: true, data } with defaults
+ * applied, or { success: false, message } with one message per invalid field;
+ * null for an unknown tool.
+ */
+function validateToolArguments(name, args) {
+  const tool = TOOL_DEFINITIONS.find(candidate => candidate.name === name);
+  if (!tool) {
+    return null;
+  }
+
+  const result = tool.schema.safeParse(args ?? {});
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, message: formatIssues(result.error.issues) };
+}
+
+export { TOOL_DEFINITIONS, MAX_QUERY_LENGTH, listTools, validateToolArguments };
@@ -1,73 +1,220 @@
-import axios from 'axios';
 import { createLogger } from '../utils/logger.js';
+import { createLLMProvider, resolveTaskModels } from './llmProvider.js';
+import { CostLedger, BudgetExceededError } from './costLedger.js';
+import {
+  healthAnalysisSchema,
+  createRankingSchema,
+  insightSchema,
+  groundedAnswerSchema,
+  rewrittenQuerySchema,
+  sectionSummarySchema,
+  createEpisodeSummarySchema,
+  createProtocolExtractionSchema,
+  createComparisonSchema,
+  LLMOutputError,
+  parseLLMOutput
+} from './llmSchemas.js';
+import { UNTRUSTED_INPUT_RULES, detectInjection, wrapUntrusted } from './promptBuilder.js';
 
 const logger = createLogger('OpenRouterService');
 
+/**
+ * LLM tasks for the assistant: query analysis, ranking, insights, answers,
+ * and offline episode summaries and protocol extraction.
+ * Calls go through a pluggable provider (`LLM_PROVIDER`: openrouter,
+ * openai-compatible or mock) with the model chosen per task. Every call is
+ * priced and recorded in the cost ledger; once a budget is exhausted calls are
+ * refused and callers fall back to their non-LLM paths. Structured outputs
+ * are validated against the schemas in llmSchemas.js, and untrusted text is
+ * delimited through promptBuilder.js.
+ */
 class OpenRouterService {
-  constructor() {
-    this.client = axios.create({
-      baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'http://localhost:3001',
-        'X-Title': 'Huberman Health AI Assistant'
-      }
-    });
+  constructor(options = {}) {
+    this.provider = options.provider || createLLMProvider();
+    this.models = { ...resolveTaskModels(this.provider.defaultModel), ...options.models };
+    this.ledger = options.ledger || new CostLedger({ db: options.db });
+    // Optional PrometheusService for fallback and repair counters
+    this.metrics = options.metrics || null;
+    const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS);
+    this.maxRepairAttempts = options.maxRepairAttempts ?? (Number.isInteger(repairAttempts) ? Math.max(repairAttempts, 0) : 1);
+    this.fallbacks = {};
+    this.injectionAttempts = {};
 
     this.totalCost = 0;
     this.requestCount = 0;
+
+    logger.info(`Using ${this.provider.name} LLM provider (${Object.entries(this.models).map(([task, model]) => `${task}: ${model}`).join(', ')})`);
+  }
+
+  get isConfigured() {
+    return this.provider.configured;
+  }
+
+  // True while a daily or monthly budget is exhausted
+  get isDegraded() {
+    return this.ledger.isExhausted();
+  }
+
+  getModel(task) {
+    return this.models[task] || this.provider.defaultModel;
+  }
+
+  async complete(task, messages, { maxTokens, temperature }) {
+    await this.ensureBudget(task);
+
+    const model = this.getModel(task);
+    const { content, usage } = await this.provider.chat({
+      task,
+      model,
+      messages,
+      maxTokens,
+      temperature
+    });
+
+    return { content, cost: await this.recordUsage(task, model, usage) };
+  }
+
+  async stream(task, messages, { maxTokens, temperature }, onToken) {
+    await this.ensureBudget(task);
+
+    const model = this.getModel(task);
+    const { content, usage } = await this.provider.streamChat({
+      task,
+      model,
+      messages,
+      maxTokens,
+      temperature
+    }, onToken);
+
+    return { content, cost: await this.recordUsage(task, model, usage) };
+  }
+
+  async ensureBudget(task) {
+    if (!(await this.ledger.checkBudget())) {
+      throw new BudgetExceededError(task);
+    }
+  }
+
+  async recordUsage(task, model, usage) {
+    const cost = await this.ledger.record({ task, provider: this.provider.name, model, usage });
+    this.totalCost += cost;
+    this.requestCount++;
+    return cost;
+  }
+
+  /**
+   * Completes a task and validates the output against a schema. On a mismatch
+   * the model is shown its reply and the validation issues and asked again,
+   * up to maxRepairAttempts times; after that an LLMOutputError is thrown.
+   */
+  async completeValidated(task, response, schema, messages, options, format = 'json') {
+    let conversation = messages;
+    let totalCost = 0;
+
+    for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+      const { content, cost } = await this.complete(task, conversation, options);
+      totalCost += cost;
+
+      const parsed = parseLLMOutput(content, schema, format);
+      if (parsed.success) {
+        if (attempt > 0) {
+          this.metrics?.recordLLMRepair(response, 'repaired');
+        }
+        return { data: parsed.data, cost: totalCost };
+      }
+
+      logger.warn(`Invalid ${response} output (attempt ${attempt + 1}): ${parsed.issues}`);
+
+      if (attempt === this.maxRepairAttempts) {
+        if (attempt > 0) {
+          this.metrics?.recordLLMRepair(response, 'failed');
+        }
+        throw new LLMOutputError(response, parsed.issues);
+      }
+
+      conversation = [
+        ...messages,
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your previous reply was invalid: ${parsed.issues}. ${format === 'json'
+            ? 'Reply again with valid JSON only, in exactly the format requested.'
+            : 'Reply again with the requested text only.'}`
+        }
+      ];
+    }
+  }
+
+  /**
+   * Counts a fallback to a non-LLM path, by response type and reason
+   * (budget, invalid_output or error)
+   */
+  recordFallback(response, error) {
+    let reason = 'error';
+    if (error instanceof BudgetExceededError) {
+      reason = 'budget';
+    } else if (error instanceof LLMOutputError) {
+      reason = 'invalid_output';
+    }
+
+    const key = `${response}:${reason}`;
+    this.fallbacks[key] = (this.fallbacks[key] || 0) + 1;
+    this.metrics?.recordLLMFallback(response, reason);
+
+    return reason;
+  }
+
+  /**
+   * Wraps untrusted text for a prompt, logging and counting any injection
+   * patterns it contains. The text is still sent, but only as delimited data.
+   */
+  untrusted(source, tag, text, maxLength) {
+    const patterns = detectInjection(text);
+    if (patterns.length > 0) {
+      logger.warn(`Possible prompt injection in ${source}: ${patterns.join(', ')}`);
+      this.injectionAttempts[source] = (this.injectionAttempts[source] || 0) + 1;
+      patterns.forEach(pattern => this.metrics?.recordPromptInjection(source, pattern));
+    }
+
+    return wrapUntrusted(tag, text, maxLength);
   }
 
   async processHealthQuery(query) {
     logger.info(`Processing health query with AI: "${query}"`);
 
     try {
-      const response = await this.client.post('/chat/completions', {
-        model: 'openai/gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `You are a health information assistant specializing in Dr. Andrew Huberman's content. 
-            Analyze health queries and extract key information. Always respond with valid JSON only.
-            
-            Extract:
-            - healthTopics: relevant health topics (array)
-            - symptoms: any symptoms mentioned (array)
-            - intent: user's intent (health_improvement|information_seeking|symptom_relief|protocol_request)
-            - relevantAreas: relevant scientific areas (array)
-            - urgency: urgency level (low|medium|high)
-            - recommendations: brief recommendations (array)`
-          },
-          {
-            role: 'user',
-            content: `Analyze this health query: "${query}"`
-          }
-        ],
-        max_tokens: 300,
-        temperature: 0.3
-      });
-
-      const usage = response.data.usage;
-      const cost = this.calculateCost(usage);
-      this.totalCost += cost;
-      this.requestCount++;
+      const { data, cost } = await this.completeValidated('analysis', 'health_analysis', healthAnalysisSchema, [
+        {
+          role: 'system',
+          content: `You are a health information assistant specializing in Dr. Andrew Huberman's content. 
+          Analyze health queries and extract key information. Always respond with valid JSON only.
+          
+          Extract:
+          - healthTopics: relevant health topics (array)
+          - symptoms: any symptoms mentioned (array)
+          - intent: user's intent (health_improvement|information_seeking|symptom_relief|protocol_request)
+          - relevantAreas: relevant scientific areas (array)
+          - urgency: urgency level (low|medium|high)
+          - recommendations: brief recommendations (array)
+          
+          ${UNTRUSTED_INPUT_RULES}`
+        },
+        {
+          role: 'user',
+          content: `Analyze this health query: ${this.untrusted('query', 'user_query', query, 1000)}`
+        }
+      ], { maxTokens: 300, temperature: 0.3 });
 
       logger.info(`AI processing completed. Cost: $${cost.toFixed(6)}, Total: $${this.totalCost.toFixed(6)}`);
 
-      try {
-        const result = JSON.parse(response.data.choices[0].message.content);
-        return {
-          ...result,
-          processingCost: cost,
-          totalCost: this.totalCost
-        };
-      } catch (parseError) {
-        logger.warn('Failed to parse AI response, using fallback');
-        return this.getFallbackAnalysis(query, cost);
-      }
+      return {
+        ...data,
+        processingCost: cost,
+        totalCost: this.totalCost
+      };
     } catch (error) {
-      logger.error('OpenRouter API error:', error.message);
+      const reason = this.recordFallback('health_analysis', error);
+      logger.warn(`Health analysis fell back to keywords (${reason}): ${error.message}`);
       return this.getFallbackAnalysis(query, 0);
     }
   }
@@ -76,88 +223,284 @@ class OpenRouterService {
     logger.info(`Generating health insight for: "${videoResult.title}"`);
 
     try {
-      const response = await this.client.post('/chat/completions', {
-        model: 'openai/gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `You are Dr. Andrew Huberman's AI assistant. Generate a brief, helpful insight about how this video content relates to the user's health query. Be specific and actionable. Keep it under 100 words.`
-          },
-          {
-            role: 'user',
-            content: `Video: "${videoResult.title}" - ${videoResult.description}
-            
-            User Query: "${query}"
-            
-            Generate a helpful insight connecting this video to the user's query:`
-          }
-        ],
-        max_tokens: 150,
-        temperature: 0.4
-      });
-
-      const usage = response.data.usage;
-      const cost = this.calculateCost(usage);
-      this.totalCost += cost;
-
-      return response.data.choices[0].message.content.trim();
+      const { data } = await this.completeValidated('insight', 'insight', insightSchema, [
+        {
+          role: 'system',
+          content: `You are Dr. Andrew Huberman's AI assistant. Generate a brief, helpful insight about how this video content relates to the user's health query. Be specific and actionable. Keep it under 100 words.
+          ${UNTRUSTED_INPUT_RULES}`
+        },
+        {
+          role: 'user',
+          content: `Video: ${this.untrusted('document', 'video', `${videoResult.title} - ${videoResult.description}`, 1000)}
+          
+          User Query: ${this.untrusted('query', 'user_query', query, 1000)}
+          
+          Generate a helpful insight connecting this video to the user's query:`
+        }
+      ], { maxTokens: 150, temperature: 0.4 }, 'text');
+
+      return data;
     } catch (error) {
-      logger.error('Failed to generate health insight:', error);
+      const reason = this.recordFallback('insight', error);
+      logger.warn(`Health insight fell back to template (${reason}): ${error.message}`);
       return `This video discusses ${videoResult.title} which contains relevant information for your query about ${query}.`;
     }
   }
 
+  async generateGroundedAnswer(query, passages) {
+    logger.info(`Generating grounded answer from ${passages.length} passages for: "${query}"`);
+
+    try {
+      const { data, cost } = await this.completeValidated('answer', 'grounded_answer', groundedAnswerSchema, [
+        {
+          role: 'system',
+          content: `You answer health questions using ONLY the numbered transcript passages from Dr. Andrew Huberman's podcast that you are given.
+          Every claim must cite at least one passage number that directly supports it. Do not add facts that are not in the passages.
+          If the passages do not answer the question, return an empty claims array.
+          Return JSON only with format: {"claims": [{"text": "one sentence claim", "citations": [1, 3]}]}
+          ${UNTRUSTED_INPUT_RULES}`
+        },
+        {
+          role: 'user',
+          content: `Question: ${this.untrusted('query', 'user_query', query, 1000)}
+          
+          Passages:
+          ${this.formatPassages(passages)}
+          
+          Answer with cited claims:`
+        }
+      ], { maxTokens: 600, temperature: 0.2 });
+
+      return { claims: data.claims, cost };
+    } catch (error) {
+      const reason = this.recordFallback('grounded_answer', error);
+      logger.warn(`Grounded answer generation failed (${reason}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Streams a grounded answer as plain text with [n] passage markers,
+   * calling onToken for every content delta. Resolves with the full text.
+   */
+  async streamGroundedAnswer(query, passages, onToken) {
+    logger.info(`Streaming grounded answer from ${passages.length} passages for: "${query}"`);
+
+    try {
+      const { content, cost } = await this.stream('answer', [
+        {
+          role: 'system',
+          content: `You answer health questions using ONLY the numbered transcript passages from Dr. Andrew Huberman's podcast that you are given.
+          Write a short answer in plain sentences. End every sentence with the passage numbers that support it, like [1] or [2][3].
+          Do not add facts that are not in the passages. If the passages do not answer the question, say so in one sentence.
+          ${UNTRUSTED_INPUT_RULES}`
+        },
+        {
+          role: 'user',
+          content: `Question: ${this.untrusted('query', 'user_query', query, 1000)}
+          
+          Passages:
+          ${this.formatPassages(passages)}
+          
+          Answer:`
+        }
+      ], { maxTokens: 600, temperature: 0.2 }, onToken);
+
+      return { text: content, cost };
+    } catch (error) {
+      const reason = this.recordFallback('grounded_answer', error);
+      logger.warn(`Grounded answer stream failed (${reason}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Compares concepts side by side from numbered passages retrieved for each
+   * one. `groups` is [{ concept, passages }]; passages are numbered across
+   * groups in order. Returns null when the model output cannot be used.
+   */
+  async compareConcepts(query, groups) {
+    const passageCount = groups.reduce((sum, group) => sum + group.passages.length, 0);
+    logger.info(`Comparing ${groups.length} concepts from ${passageCount} passages for: "${query}"`);
+
+    let number = 0;
+    const sections = groups.map((group, i) => `Concept ${i + 1}: ${this.untrusted('query', 'user_query', group.concept, 200)}
+          ${group.passages.map(passage => `[${++number}] ${this.untrusted('passage', 'passage', `(${passage.title}) ${passage.text}`)}`).join('\n')}`);
+
+    try {
+      const { data, cost } = await this.completeValidated('answer', 'comparison', createComparisonSchema(groups.length, passageCount), [
+        {
+          role: 'system',
+          content: `You compare health concepts using ONLY the numbered transcript passages from Dr. Andrew Huberman's podcast that you are given.
+          For each concept, write a short summary of what the passages say about it. Then list where the concepts agree (shared effects, mechanisms or advice) and where they differ.
+          Every summary and point must cite the passage numbers that support it. Do not add facts that are not in the passages.
+          Return JSON only with format: {"concepts": [{"concept": 1, "summary": "...", "citations": [1, 2]}], "agreements": [{"text": "...", "citations": [1, 4]}], "differences": [{"text": "...", "citations": [2, 5]}]}
+          ${UNTRUSTED_INPUT_RULES}`
+        },
+        {
+          role: 'user',
+          content: `Question: ${this.untrusted('query', 'user_query', query, 1000)}
+
+          ${sections.join('\n\n          ')}
+
+          Comparison:`
+        }
+      ], { maxTokens: 900, temperature: 0.2 });
+
+      return { ...data, cost };
+    } catch (error) {
+      const reason = this.recordFallback('comparison', error);
+      logger.warn(`Comparison generation failed (${reason}): ${error.message}`);
+      return null;
+    }
+  }
+
+  formatPassages(passages) {
+    return passages
+      .map((passage, i) => `[${i + 1}] ${this.untrusted('passage', 'passage', `(${passage.title}) ${passage.text}`)}`)
+      .join('\n');
+  }
+
+  // Rewriting is a small query-understanding call, so it uses the analysis model
+  async rewriteFollowUpQuery(query, history) {
+    logger.info(`Rewriting follow-up query: "${query}"`);
+
+    try {
+      const { data } = await this.completeValidated('analysis', 'query_rewrite', rewrittenQuerySchema, [
+        {
+          role: 'system',
+          content: `You rewrite follow-up questions in a health conversation into standalone search queries.
+          Resolve pronouns and implied topics using the earlier questions. If the question is already standalone, return it unchanged.
+          Return JSON only with format: {"query": "standalone query"}
+          ${UNTRUSTED_INPUT_RULES}`
+        },
+        {
+          role: 'user',
+          content: `Earlier questions:
+          ${history.map((turn, i) => `${i + 1}. ${this.untrusted('history', 'earlier_question', turn.rewrittenQuery || turn.query, 1000)}`).join('\n')}
+          
+          Follow-up question: ${this.untrusted('query', 'user_query', query, 1000)}`
+        }
+      ], { maxTokens: 100, temperature: 0 });
+
+      return data.query;
+    } catch (error) {
+      const reason = this.recordFallback('query_rewrite', error);
+      logger.warn(`Query rewrite failed (${reason}): ${error.message}`);
+      return null;
+    }
+  }
+
   async semanticSearch(query, documents) {
     logger.info(`Performing semantic search for: "${query}"`);
 
     try {
       // Use AI to find semantic matches
-      const response = await this.client.post('/chat/completions', {
-        model: 'openai/gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `You are a semantic search engine. Given a query and a list of documents, rank them by relevance (0-1 score). Return JSON only with format: {"results": [{"index": 0, "score": 0.95, "reason": "explanation"}]}`
-          },
-          {
-            role: 'user',
-            content: `Query: "${query}"
-            
-            Documents:
-            ${documents.map((doc, i) => `${i}: ${doc.title} - ${doc.description?.substring(0, 200)}`).join('\n')}
-            
-            Rank by relevance:`
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.2
-      });
-
-      const usage = response.data.usage;
-      const cost = this.calculateCost(usage);
-      this.totalCost += cost;
-
-      try {
-        const result = JSON.parse(response.data.choices[0].message.content);
-        return result.results || [];
-      } catch (parseError) {
-        logger.warn('Failed to parse semantic search results');
-        return [];
-      }
+      const { data } = await this.completeValidated('ranking', 'ranking', createRankingSchema(documents.length), [
+        {
+          role: 'system',
+          content: `You are a semantic search engine. Given a query and a list of documents, rank them by relevance (0-1 score). Return JSON only with format: {"results": [{"index": 0, "score": 0.95, "reason": "explanation"}]}
+          ${UNTRUSTED_INPUT_RULES}`
+        },
+        {
+          role: 'user',
+          content: `Query: ${this.untrusted('query', 'user_query', query, 1000)}
+          
+          Documents:
+          ${documents.map((doc, i) => `${i}: ${this.untrusted('document', 'document', `${doc.title} - ${doc.description?.substring(0, 200) || ''}`)}`).join('\n')}
+          
+          Rank by relevance:`
+        }
+      ], { maxTokens: 500, temperature: 0.2 });
+
+      return data.results;
     } catch (error) {
-      logger.error('Semantic search failed:', error);
+      const reason = this.recordFallback('ranking', error);
+      logger.warn(`Semantic search fell back to fused ranking (${reason}): ${error.message}`);
       return [];
     }
   }
 
-  calculateCost(usage) {
-    if (!usage) return 0;
-    
-    // GPT-3.5-turbo pricing (approximate)
-    const promptCost = (usage.prompt_tokens || 0) * 0.0015 / 1000;
-    const completionCost = (usage.completion_tokens || 0) * 0.002 / 1000;
-    
-    return promptCost + completionCost;
+  /**
+   * Map step of episode summarization: summarizes one transcript section.
+   * Runs in the offline summary job, so failures are thrown rather than
+   * replaced with a fallback.
+   */
+  async summarizeTranscriptSection(videoTitle, section) {
+    const { data, cost } = await this.completeValidated('summary', 'section_summary', sectionSummarySchema, [
+      {
+        role: 'system',
+        content: `You summarize one section of a Huberman Lab podcast transcript.
+        Give the section a short chapter-style title, a summary of 2-4 sentences and up to 5 concrete key points (protocols, numbers, mechanisms).
+        Only use what the transcript says.
+        Return JSON only with format: {"title": "short title", "summary": "2-4 sentences", "keyPoints": ["point"]}
+        ${UNTRUSTED_INPUT_RULES}`
+      },
+      {
+        role: 'user',
+        content: `Episode: ${this.untrusted('transcript', 'video', videoTitle, 300)}
+
+        Transcript section:
+        ${this.untrusted('transcript', 'transcript', section.text, 12000)}`
+      }
+    ], { maxTokens: 400, temperature: 0.2 });
+
+    return { ...data, cost };
+  }
+
+  /**
+   * Reduce step: combines section summaries (in transcript order) into the
+   * episode summary, key takeaways and a chapter outline. Chapters reference
+   * section numbers; the caller maps them to start times.
+   */
+  async combineSectionSummaries(videoTitle, sectionSummaries) {
+    const { data, cost } = await this.completeValidated('summary', 'episode_summary', createEpisodeSummarySchema(sectionSummaries.length), [
+      {
+        role: 'system',
+        content: `You write the overview of a Huberman Lab podcast episode from summaries of its consecutive sections.
+        Write a summary of one or two paragraphs, 3-7 key takeaways a listener can act on, and a chapter outline.
+        Each chapter starts at one of the numbered sections; merge neighbouring sections on the same subject into one chapter.
+        Return JSON only with format: {"summary": "...", "takeaways": ["..."], "chapters": [{"section": 1, "title": "short title"}]}
+        ${UNTRUSTED_INPUT_RULES}`
+      },
+      {
+        role: 'user',
+        content: `Episode: ${this.untrusted('transcript', 'video', videoTitle, 300)}
+
+        Section summaries:
+        ${sectionSummaries.map((section, i) => `${i + 1}. ${this.untrusted('transcript', 'section_summary', `${section.title}: ${section.summary} ${section.keyPoints.join(' ')}`)}`).join('\n')}`
+      }
+    ], { maxTokens: 900, temperature: 0.2 });
+
+    return { ...data, cost };
+  }
+
+  /**
+   * Pulls actionable protocols out of consecutive transcript passages for the
+   * offline extraction job. Each protocol references the passage number it
+   * came from; failures are thrown rather than replaced with a fallback.
+   */
+  async extractProtocols(videoTitle, passages) {
+    const { data, cost } = await this.completeValidated('extraction', 'protocols', createProtocolExtractionSchema(passages.length), [
+      {
+        role: 'system',
+        content: `You extract actionable health protocols from numbered passages of a Huberman Lab podcast transcript.
+        A protocol is something a listener can do: an action with, where stated, a dose or duration, a timing, and caveats (who should not do it, risks, conditions).
+        Only extract protocols that are stated in the passages; use null for dose or timing when the passage does not give one. Skip anecdotes and mechanisms without an action.
+        Use a short lowercase topic such as "sleep", "cold exposure" or "focus".
+        Return JSON only with format: {"protocols": [{"passage": 1, "topic": "sleep", "action": "View morning sunlight", "dose": "10 minutes", "timing": "within an hour of waking", "caveats": ["Never look directly at the sun"]}]}
+        ${UNTRUSTED_INPUT_RULES}`
+      },
+      {
+        role: 'user',
+        content: `Episode: ${this.untrusted('transcript', 'video', videoTitle, 300)}
+
+        Passages:
+        ${passages.map((passage, i) => `[${i + 1}] ${this.untrusted('transcript', 'passage', passage.text)}`).join('\n')}`
+      }
+    ], { maxTokens: 900, temperature: 0 });
+
+    return { protocols: data.protocols, cost };
   }
 
   getFallbackAnalysis(query, cost) {
@@ -211,14 +554,18 @@ class OpenRouterService {
       totalCost: this.totalCost,
       requestCount: this.requestCount,
       averageCostPerRequest: this.requestCount > 0 ? this.totalCost / this.requestCount : 0,
-      remainingBudget: 2.0 - this.totalCost // Assuming $2 budget
+      ...this.ledger.getStats(),
+      fallbacks: { ...this.fallbacks },
+      promptInjections: { ...this.injectionAttempts }
     };
   }
 
   resetStats() {
     this.totalCost = 0;
     this.requestCount = 0;
-    logger.info('OpenRouter usage stats reset');
+    this.fallbacks = {};
+    this.injectionAttempts = {};
+    logger.info('LLM usage stats reset');
   }
 }
 
@@ -0,0 +1,146 @@
+/**
+ * Passage chunker
+ * Merges short caption fragments into overlapping, sentence-aligned passages
+ * that keep the start/end time of the caption lines they cover.
+ */
+
+const SENTENCE_END = /[.!?]+["')\]]*(?=\s|$)/g;
+
+// Run-on "sentences" longer than this are cut at the next caption boundary
+const MAX_SENTENCE_TOKENS = 60;
+
+const DEFAULT_OPTIONS = {
+  sizeBy: 'tokens', // 'tokens' | 'seconds'
+  targetSize: 120, // tokens or seconds per passage
+  maxSize: 180, // never grow a passage past this size by adding another sentence
+  overlap: 30 // tokens or seconds shared with the previous passage
+};
+
+// Whitespace-delimited words are a close enough token estimate for sizing windows
+function countTokens(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Split caption segments at sentence punctuation, interpolating times
+ * proportionally to character offsets inside each segment.
+ */
+function splitIntoSentences(segments) {
+  const sentences = [];
+  let current = null;
+
+  // Auto-generated captions often have no punctuation at all; in that case
+  // each caption line is treated as a sentence rather than one giant run-on
+  const nonEmpty = segments.filter(segment => (segment.text || '').trim());
+  const punctuated = nonEmpty.filter(segment => /[.!?]/.test(segment.text)).length >= nonEmpty.length * 0.2;
+
+  const append = (piece) => {
+    if (!current) {
+      current = { ...piece, parts: [] };
+    }
+    current.parts.push(piece.text);
+    current.endTime = piece.endTime;
+    current.segmentEndIndex = piece.segmentIndex;
+  };
+
+  const flush = () => {
+    if (current) {
+      const text = current.parts.join(' ').replace(/\s+/g, ' ').trim();
+      if (text) {
+        sentences.push({
+          text,
+          startTime: current.startTime,
+          endTime: current.endTime,
+          segmentStartIndex: current.segmentIndex,
+          segmentEndIndex: current.segmentEndIndex,
+          tokenCount: countTokens(text)
+        });
+      }
+      current = null;
+    }
+  };
+
+  segments.forEach((segment, segmentIndex) => {
+    const text = (segment.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+
+    const startTime = Number(segment.startTime);
+    const endTime = Math.max(Number(segment.endTime) || startTime, startTime);
+    const timeAt = (offset) => startTime + (endTime - startTime) * (offset / text.length);
+    const index = segment.segmentIndex ?? segmentIndex;
+
+    let offset = 0;
+    for (const match of text.matchAll(SENTENCE_END)) {
+      const cut = match.index + match[0].length;
+      append({ text: text.slice(offset, cut).trim(), startTime: timeAt(offset), endTime: timeAt(cut), segmentIndex: index });
+      flush();
+      offset = cut;
+    }
+
+    const rest = text.slice(offset).trim();
+    if (rest) {
+      append({ text: rest, startTime: timeAt(offset), endTime, segmentIndex: index });
+
+      if (!punctuated || countTokens(current.parts.join(' ')) >= MAX_SENTENCE_TOKENS) {
+        flush();
+      }
+    }
+  });
+
+  flush();
+  return sentences;
+}
+
+function buildPassages(segments, options = {}) {
+  const { sizeBy, targetSize, maxSize, overlap } = { ...DEFAULT_OPTIONS, ...options };
+  const sizeOf = sizeBy === 'seconds'
+    ? (sentence) => sentence.endTime - sentence.startTime
+    : (sentence) => sentence.tokenCount;
+
+  const sentences = splitIntoSentences(
+    [...segments].sort((a, b) => Number(a.startTime) - Number(b.startTime))
+  );
+  const passages = [];
+  let start = 0;
+
+  while (start < sentences.length) {
+    let end = start;
+    let size = sizeOf(sentences[start]);
+
+    // Grow the window one sentence at a time until the target is reached
+    while (end + 1 < sentences.length && size < targetSize && size + sizeOf(sentences[end + 1]) <= maxSize) {
+      end++;
+      size += sizeOf(sentences[end]);
+    }
+
+    const window = sentences.slice(start, end + 1);
+    const text = window.map(sentence => sentence.text).join(' ');
+
+    passages.push({
+      passageIndex: passages.length,
+      startTime: Math.round(window[0].startTime * 1000) / 1000,
+      endTime: Math.round(window[window.length - 1].endTime * 1000) / 1000,
+      text,
+      tokenCount: countTokens(text),
+      segmentStartIndex: window[0].segmentStartIndex,
+      segmentEndIndex: window[window.length - 1].segmentEndIndex
+    });
+
+    if (end + 1 >= sentences.length) {
+      break;
+    }
+
+    // Step back over trailing sentences to create the overlap, always moving forward
+    let next = end + 1;
+    let overlapSize = 0;
+    while (next - 1 > start && overlapSize + sizeOf(sentences[next - 1]) <= overlap) {
+      next--;
+      overlapSize += sizeOf(sentences[next]);
+    }
+    start = next;
+  }
+
+  return passages;
+}
+
+export { buildPassages, splitIntoSentences, countTokens };
@@ -45,6 +45,24 @@ class PrometheusService {
                 labelNames: ['model', 'type'] // type: prompt, completion
             }),
             
+            llmFallbacks: new prometheus.Counter({
+                name: 'huberman_llm_fallbacks_total',
+                help: 'LLM responses replaced by a non-LLM fallback',
+                labelNames: ['response', 'reason'] // reason: budget, invalid_output, error
+            }),
+            
+            llmRepairs: new prometheus.Counter({
+                name: 'huberman_llm_repairs_total',
+                help: 'Re-asks after an LLM response failed schema validation',
+                labelNames: ['response', 'outcome'] // outcome: repaired, failed
+            }),
+            
+            promptInjections: new prometheus.Counter({
+                name: 'huberman_prompt_injection_attempts_total',
+                help: 'Untrusted prompt inputs matching a known injection pattern',
+                labelNames: ['source', 'pattern'] // source: query, history, document, passage
+            }),
+            
             // Search result metrics
             searchResults: new prometheus.Histogram({
                 name: 'huberman_search_results_count',
@@ -165,6 +183,18 @@ class PrometheusService {
         }
     }
     
+    recordLLMFallback(response, reason) {
+        this.metrics.llmFallbacks.labels(response, reason).inc();
+    }
+    
+    recordLLMRepair(response, outcome) {
+        this.metrics.llmRepairs.labels(response, outcome).inc();
+    }
+    
+    recordPromptInjection(source, pattern) {
+        this.metrics.promptInjections.labels(source, pattern).inc();
+    }
+    
     // Search result metrics
     recordSearchResults(count, avgRelevanceScore = 0) {
         this.metrics.searchResults.observe(count);
@@ -1,45 +1,59 @@
 import { createLogger } from '../utils/logger.js';
 import { DatabaseService } from './databaseService.js';
 import { OpenRouterService } from './openRouterService.js';
+import { EmbeddingService } from './embeddingService.js';
+import { HybridRetriever } from './hybridRetriever.js';
+import { buildPassages } from './passageChunker.js';
+import { findChapter } from './chapterParser.js';
 
 const logger = createLogger('SemanticSearchService');
 
 class SemanticSearchService {
-  constructor() {
-    this.db = new DatabaseService();
-    this.openRouter = new OpenRouterService();
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseService();
+    this.openRouter = options.openRouter || new OpenRouterService();
+    this.embeddings = options.embeddings || new EmbeddingService();
+    this.retriever = new HybridRetriever({ db: this.db, embeddings: this.embeddings });
+
+    // LLM re-ranking is an optional final stage on top of rank fusion
+    this.rerankEnabled = process.env.SEARCH_LLM_RERANK === 'true';
+    const rerankWeight = parseFloat(process.env.SEARCH_RERANK_WEIGHT);
+    this.rerankWeight = Math.min(Math.max(Number.isFinite(rerankWeight) ? rerankWeight : 0.5, 0), 1);
   }
 
   async searchTranscripts(query, options = {}) {
     const {
       limit = 10,
       minRelevanceScore = 0.1,
-      includeTimestamps = true
+      includeTimestamps = true,
+      rerank = this.rerankEnabled,
+      weights,
+      boostVideoIds = [],
+      videoIds = null,
+      includeSponsored = false,
+      onProgress = () => {}
     } = options;
 
     logger.info(`Searching transcripts for: "${query}"`);
 
     try {
-      // Step 1: Get candidate videos from database
-      const candidateVideos = await this.db.searchVideos(query, limit * 2);
-      
+      // Step 1: Hybrid retrieval (passage full-text + vector similarity + title/description)
+      const candidateVideos = await this.retriever.retrieveVideos(query, {
+        limit: limit * 2,
+        weights,
+        boostVideoIds,
+        videoIds,
+        includeSponsored
+      });
+
       if (candidateVideos.length === 0) {
         logger.warn('No candidate videos found');
         return [];
       }
 
-      // Step 2: Use AI for semantic ranking
-      const semanticResults = await this.openRouter.semanticSearch(query, candidateVideos);
-      
-      // Step 3: Combine database and AI results
-      const combinedResults = candidateVideos.map((video, index) => {
-        const aiResult = semanticResults.find(r => r.index === index);
-        const dbScore = video.relevance_score || 0;
-        const aiScore = aiResult ? aiResult.score : 0;
-        
-        // Weighted combination of scores
-        const finalScore = (dbScore * 0.4) + (aiScore * 0.6);
-        
+      let results = candidateVideos.map(video => {
+        const bestPassage = video.matchingPassages[0];
+
         return {
           id: video.id,
           youtube_id: video.youtube_id,
@@ -47,23 +61,37 @@ class SemanticSearchService {
           description: video.description,
           duration: this.formatDuration(video.duration_seconds),
           views: this.formatViews(video.view_count),
-          relevanceScore: finalScore,
-          searchSnippet: aiResult ? aiResult.reason : `Relevant content for "${query}"`,
+          relevanceScore: video.relevanceScore,
+          retrievalRanks: video.ranks,
+          searchSnippet: bestPassage
+            ? bestPassage.text.substring(0, 200)
+            : `Relevant content for "${query}"`,
           publishedAt: video.published_at,
           thumbnailUrl: video.thumbnail_url
         };
       });
 
-      // Step 4: Filter by minimum relevance and sort
-      const filteredResults = combinedResults
+      onProgress('candidates', results.slice(0, limit));
+
+      // Step 2: Optional LLM re-rank of the fused candidates, skipped while the AI budget is exhausted
+      if (rerank && !this.openRouter.isDegraded) {
+        results = await this.rerankWithLLM(query, results);
+      }
+
+      // Step 3: Filter by minimum relevance and sort
+      const filteredResults = results
         .filter(result => result.relevanceScore >= minRelevanceScore)
         .sort((a, b) => b.relevanceScore - a.relevanceScore)
         .slice(0, limit);
 
-      // Step 5: Add timestamps if requested
+      onProgress('results', filteredResults);
+
+      // Step 4: Add timestamps (labelled with their chapter) and the chapter list if requested
       if (includeTimestamps) {
         for (const result of filteredResults) {
-          result.timestamps = await this.extractRelevantTimestamps(result.id, query);
+          result.chapters = await this.db.getVideoChapters(result.id);
+          result.timestamps = await this.extractRelevantTimestamps(result.id, query, result.chapters, { includeSponsored });
+          onProgress('timestamps', { id: result.id, timestamps: result.timestamps, chapters: result.chapters });
         }
       }
 
@@ -76,8 +104,32 @@ class SemanticSearchService {
     }
   }
 
+  async rerankWithLLM(query, results) {
+    const aiResults = await this.openRouter.semanticSearch(query, results);
+
+    // Keep the fused ranking untouched when the model gives us nothing usable
+    if (aiResults.length === 0) {
+      logger.warn('LLM re-rank returned no results, keeping fused ranking');
+      return results;
+    }
+
+    return results.map((result, index) => {
+      const aiResult = aiResults.find(r => r.index === index);
+      if (!aiResult) {
+        return result;
+      }
+
+      return {
+        ...result,
+        relevanceScore: (result.relevanceScore * (1 - this.rerankWeight)) + (aiResult.score * this.rerankWeight),
+        searchSnippet: aiResult.reason || result.searchSnippet,
+        reranked: true
+      };
+    });
+  }
+
   async findSimilarContent(videoId, options = {}) {
-    const { limit = 5 } = options;
+    const { limit = 5, includeTimestamps = true } = options;
 
     logger.info(`Finding similar content to video: ${videoId}`);
 
@@ -95,7 +147,8 @@ class SemanticSearchService {
       // Search for similar content
       const similarResults = await this.searchTranscripts(searchQuery, {
         limit: limit + 1, // +1 to exclude the source video
-        minRelevanceScore: 0.2
+        minRelevanceScore: 0.2,
+        includeTimestamps
       });
 
       // Remove the source video from results
@@ -109,56 +162,64 @@ class SemanticSearchService {
     }
   }
 
-  async extractRelevantTimestamps(videoId, query) {
+  // Sponsor reads are skipped unless includeSponsored is set
+  async extractRelevantTimestamps(videoId, query, chapters = null, { includeSponsored = false } = {}) {
     try {
-      const segments = await this.db.getVideoSegments(videoId);
+      const passages = await this.getPassages(videoId, { includeSponsored });
       
-      if (segments.length === 0) {
+      if (passages.length === 0) {
         return [];
       }
 
       // Enhanced keyword matching with scoring
       const queryWords = query.toLowerCase().split(' ').filter(word => word.length > 2);
       
-      const scoredSegments = segments.map(segment => {
-        const segmentText = segment.text.toLowerCase();
+      const scoredPassages = passages.map(passage => {
+        const passageText = passage.text.toLowerCase();
         let score = 0;
         
         // Count exact word matches
         queryWords.forEach(word => {
           const regex = new RegExp(`\\b${word}\\b`, 'gi');
-          const matches = segmentText.match(regex);
+          const matches = passageText.match(regex);
           if (matches) {
             score += matches.length;
           }
         });
         
         // Bonus for phrase matches
-        if (segmentText.includes(query.toLowerCase())) {
+        if (passageText.includes(query.toLowerCase())) {
           score += 5;
         }
         
-        return { ...segment, score };
+        return { ...passage, score };
       });
 
-      // Sort by relevance score and take top segments
-      const relevantSegments = scoredSegments
-        .filter(segment => segment.score > 0)
+      // Sort by relevance score and take top passages
+      const relevantPassages = scoredPassages
+        .filter(passage => passage.score > 0)
         .sort((a, b) => b.score - a.score)
         .slice(0, 5);
 
-      // If no matches, return segments with most content
-      const finalSegments = relevantSegments.length > 0 
-        ? relevantSegments 
-        : segments
+      // If no matches, return passages with most content
+      const finalPassages = relevantPassages.length > 0 
+        ? relevantPassages 
+        : passages
             .sort((a, b) => b.text.length - a.text.length)
             .slice(0, 3);
 
-      return finalSegments.map(segment => ({
-        time: segment.startTime,
-        label: `${this.formatTime(segment.startTime)} - Relevant Content`,
-        description: segment.text.substring(0, 120) + (segment.text.length > 120 ? '...' : '')
-      }));
+      const videoChapters = chapters || await this.db.getVideoChapters(videoId);
+
+      return finalPassages.map(passage => {
+        const chapter = findChapter(videoChapters, passage.startTime);
+        return {
+          time: passage.startTime,
+          endTime: passage.endTime,
+          label: `${this.formatTime(passage.startTime)} - ${this.formatTime(passage.endTime)} ${chapter ? chapter.title : 'Relevant Content'}`,
+          chapter: chapter ? chapter.title : null,
+          description: passage.text.substring(0, 200) + (passage.text.length > 200 ? '...' : '')
+        };
+      });
 
     } catch (error) {
       logger.error('Failed to extract timestamps:', error);
@@ -166,6 +227,18 @@ class SemanticSearchService {
     }
   }
 
+  // Stored passages are preferred; videos ingested before passages existed
+  // are chunked on the fly from their caption segments.
+  async getPassages(videoId, { includeSponsored = false } = {}) {
+    const passages = await this.db.getVideoPassages(videoId);
+    if (passages.length > 0) {
+      return passages.filter(passage => includeSponsored || !passage.isSponsored);
+    }
+
+    const segments = await this.db.getVideoSegments(videoId);
+    return buildPassages(segments.filter(segment => includeSponsored || !segment.isSponsored));
+  }
+
   async getTopicSuggestions(query) {
     logger.info(`Getting topic suggestions for: "${query}"`);
 
@@ -0,0 +1,84 @@
+/**
+ * Speaker attribution
+ * Heuristically assigns a speaker to each caption segment. YouTube captions
+ * mark a change of speaker with ">>"; between markers speakers alternate
+ * (turn-taking), corrected by phrases only the host or a guest would say.
+ * Without markers, only segments with such a phrase can be attributed.
+ */
+
+import { HOST_NAME } from './guestExtractor.js';
+
+const UNKNOWN_SPEAKER = 'Unknown';
+
+const SPEAKER_CHANGE = />>/;
+
+// Phrases that identify the speaker of a turn
+const HOST_CUES = [
+  /\bI'?m Andrew Huberman\b/i,
+  /\bwelcome to the Huberman Lab\b/i,
+  /\bmy guests? (today )?(is|are)\b/i,
+  /\bthank you (so much )?for (joining|coming)\b/i,
+  /\b(today'?s|this) episode is (also )?brought to you\b/i
+];
+const GUEST_CUES = [
+  /\bthanks? (you )?(so much )?for having me\b/i,
+  /\b(thanks|thank you),? Andrew\b/i,
+  /\b(great|happy|good) to be here\b/i
+];
+
+function cueSpeaker(text) {
+  if (HOST_CUES.some(cue => cue.test(text))) return 'host';
+  if (GUEST_CUES.some(cue => cue.test(text))) return 'guest';
+  return null;
+}
+
+function cleanText(text) {
+  return text.replace(/\s*>>\s*/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns the segments with `speaker` set and ">>" markers removed from `text`.
+ * `guests` are the video's guests ({ name }); with one guest, guest turns get
+ * their name, with several the generic 'Guest'.
+ */
+function attributeSpeakers(segments, guests = []) {
+  if (guests.length === 0) {
+    // Solo episode: everything is the host
+    return segments.map(segment => ({ ...segment, text: cleanText(segment.text || ''), speaker: HOST_NAME }));
+  }
+
+  const guestName = guests.length === 1 ? guests[0].name : 'Guest';
+  const nameFor = role => (role === 'host' ? HOST_NAME : role === 'guest' ? guestName : UNKNOWN_SPEAKER);
+  const hasMarkers = segments.some(segment => SPEAKER_CHANGE.test(segment.text || ''));
+
+  if (!hasMarkers) {
+    return segments.map(segment => ({
+      ...segment,
+      text: cleanText(segment.text || ''),
+      speaker: nameFor(cueSpeaker(segment.text || ''))
+    }));
+  }
+
+  // Split into turns at markers; the episode opens with the host's introduction
+  const turns = [];
+  segments.forEach((segment, index) => {
+    if (index === 0 || SPEAKER_CHANGE.test(segment.text || '')) {
+      turns.push([]);
+    }
+    turns[turns.length - 1].push(segment);
+  });
+
+  const attributed = [];
+  let previous = null;
+
+  for (const turn of turns) {
+    const cued = cueSpeaker(turn.map(segment => segment.text || '').join(' '));
+    const role = cued || (previous === null ? 'host' : previous === 'host' ? 'guest' : 'host');
+    turn.forEach(segment => attributed.push({ ...segment, text: cleanText(segment.text || ''), speaker: nameFor(role) }));
+    previous = role;
+  }
+
+  return attributed;
+}
+
+export { attributeSpeakers, UNKNOWN_SPEAKER };
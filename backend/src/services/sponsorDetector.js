@@ -0,0 +1,131 @@
+/**
+ * Sponsor detection
+ * Finds sponsor (ad) reads in a transcript so search can skip them. Signals:
+ * - chapters titled as sponsor reads ("Sponsors: AG1 & Eight Sleep") or naming
+ *   a sponsor from the description;
+ * - caption phrases: a read opens at "brought to you by" / "our sponsor" and
+ *   runs to the last promo line ("drinkag1.com/huberman", "use code") or brand
+ *   mention within two minutes, stopping where the episode resumes ("and now
+ *   for my discussion with");
+ * - first-chapter layout: reads in the opening chapter run to its end, since
+ *   the introduction closes with the sponsor reads.
+ */
+
+import { findChapter } from './chapterParser.js';
+import { SOCIAL_DOMAINS, URL_PATTERN, escapeRegExp } from '../utils/text.js';
+
+const READ_WINDOW_SECONDS = 120;
+
+const SPONSOR_HEADER = /\bsponsor/i;
+const SPONSOR_CHAPTER = /\b(sponsors?|sponsored|ads?|advertisements?|ad reads?|brought to you by)\b/i;
+const OPENING_CUES = /\b(brought to you by|(our|today'?s|this episode'?s) (first |next |final )?sponsors?|thank (our|the|my) sponsors?|sponsored by)\b/i;
+const PROMO_CUES = /(\.com\s*\/\s*huberman|dot com slash huberman|\buse (the )?(promo )?code\b|special offer|free (trial|month|supply|shipping)|\bdiscount\b|\d+\s*(%|percent) off)/i;
+const RESUME_CUES = /\b(and now for my (discussion|conversation|interview)|let'?s (get|jump) (started|in)|now let'?s talk about)\b/i;
+
+/**
+ * Sponsor brand names from the description: "Name: https://..." lines in a
+ * sponsor block, or any affiliate link ending in /huberman
+ */
+function extractSponsors(description = '') {
+  const sponsors = new Map();
+  let inSponsorBlock = false;
+
+  for (const line of (description || '').split(/\r?\n/)) {
+    const url = line.match(URL_PATTERN);
+
+    if (!url) {
+      inSponsorBlock = line.trim().length === 0 ? false : SPONSOR_HEADER.test(line);
+      continue;
+    }
+
+    const isAffiliate = /^\/huberman\b/i.test(url[2] || '');
+    if ((!inSponsorBlock && !isAffiliate) || SOCIAL_DOMAINS.test(url[1])) {
+      continue;
+    }
+
+    const name = line.slice(0, url.index).replace(/[\s:\-–—|]+$/, '').trim();
+    const domainName = url[1].split('.')[0].replace(/^(drink|try|get|go)(?=\w{3,})/i, '');
+    for (const sponsor of [name, domainName]) {
+      if (sponsor.length >= 2 && sponsor.length <= 40 && !sponsors.has(sponsor.toLowerCase())) {
+        sponsors.set(sponsor.toLowerCase(), sponsor);
+      }
+    }
+  }
+
+  return [...sponsors.values()];
+}
+
+function buildBrandPattern(sponsors) {
+  if (sponsors.length === 0) {
+    return null;
+  }
+  return new RegExp(`\\b(${sponsors.map(escapeRegExp).join('|')})\\b`, 'i');
+}
+
+/**
+ * Sponsored time ranges as [{ startTime, endTime, source }], where source is
+ * 'chapter' or 'captions'. `segments` are caption segments ({ startTime,
+ * endTime, text }) sorted by time.
+ */
+function findSponsorRanges(segments, { description = '', chapters = [] } = {}) {
+  const brands = buildBrandPattern(extractSponsors(description));
+  const ranges = [];
+
+  for (const chapter of chapters) {
+    if (SPONSOR_CHAPTER.test(chapter.title) || (brands && brands.test(chapter.title))) {
+      ranges.push({ startTime: chapter.startTime, endTime: chapter.endTime ?? Infinity, source: 'chapter' });
+    }
+  }
+
+  for (let i = 0; i < segments.length; i++) {
+    if (!OPENING_CUES.test(segments[i].text || '')) {
+      continue;
+    }
+
+    const startTime = segments[i].startTime;
+    let endTime = segments[i].endTime;
+    let last = i;
+
+    for (let j = i + 1; j < segments.length && segments[j].startTime <= startTime + READ_WINDOW_SECONDS; j++) {
+      const text = segments[j].text || '';
+      if (RESUME_CUES.test(text)) {
+        break;
+      }
+      if (OPENING_CUES.test(text) || PROMO_CUES.test(text) || (brands && brands.test(text))) {
+        endTime = segments[j].endTime;
+        last = j;
+      }
+    }
+
+    // Opening chapter: the reads close the introduction
+    const chapter = findChapter(chapters, startTime);
+    if (chapter && chapter.position === 1 && chapter.endTime !== null && chapter.endTime > endTime) {
+      const resume = segments.slice(last + 1).find(segment =>
+        segment.startTime < chapter.endTime && RESUME_CUES.test(segment.text || '')
+      );
+      endTime = resume ? resume.startTime : chapter.endTime;
+    }
+
+    ranges.push({ startTime, endTime, source: 'captions' });
+    while (i + 1 < segments.length && segments[i + 1].startTime < endTime) {
+      i++;
+    }
+  }
+
+  return ranges.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Returns the segments with `isSponsored` set: true when the middle of a
+ * segment falls inside a sponsored range
+ */
+function markSponsoredSegments(segments, context = {}) {
+  const ranges = findSponsorRanges(segments, context);
+
+  return segments.map(segment => {
+    const middle = (segment.startTime + segment.endTime) / 2;
+    return { ...segment, isSponsored: ranges.some(range => middle >= range.startTime && middle < range.endTime) };
+  });
+}
+
+export { findSponsorRanges, markSponsoredSegments, extractSponsors };
@@ -0,0 +1,115 @@
+/**
+ * Topic tagger
+ * Scores videos and their transcript passages against the health_topics
+ * keywords, optionally blending in embedding similarity between each passage
+ * and the topic description.
+ */
+
+import { escapeRegExp } from '../utils/text.js';
+
+const DEFAULT_OPTIONS = {
+  passageThreshold: 0.35, // minimum score for a passage tag
+  videoThreshold: 0.3, // minimum score for a video tag
+  embeddingWeight: 0.5, // share of a passage score taken from embedding similarity, when available
+  similarityFloor: 0.2 // cosine similarity treated as "unrelated"
+};
+
+// Topic name and keywords as whole-word, plural-tolerant patterns
+function buildTopicMatchers(topic) {
+  const terms = [...new Set([topic.name, ...(topic.keywords || [])].map(term => term.toLowerCase().trim()).filter(Boolean))];
+  return terms.map(term => ({
+    term,
+    pattern: new RegExp(`\\b${escapeRegExp(term).replace(/\s+/g, '[\\s-]+')}(s|es)?\\b`, 'gi')
+  }));
+}
+
+/**
+ * Keyword score in [0, 1]: each distinct term counts more than repeats of one term
+ */
+function scoreKeywords(text, matchers) {
+  const matchedKeywords = [];
+  let totalHits = 0;
+
+  for (const { term, pattern } of matchers) {
+    const hits = (text.match(pattern) || []).length;
+    if (hits > 0) {
+      matchedKeywords.push(term);
+      totalHits += hits;
+    }
+  }
+
+  const score = Math.min(1, matchedKeywords.length * 0.35 + (totalHits - matchedKeywords.length) * 0.1);
+  return { score, matchedKeywords };
+}
+
+function round(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Scores one video against every topic.
+ *
+ * `similarities` optionally maps topic id -> Map(passage id -> cosine similarity).
+ * Returns { videoTopics: [{ topicId, relevanceScore, matchedKeywords, passageCount }],
+ *           passageTopics: [{ passageId, topicId, relevanceScore }] }
+ */
+function tagVideo(video, passages, topics, { similarities = null, ...options } = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const metadataText = `${video.title || ''}\n${video.description || ''}`;
+  const videoTopics = [];
+  const passageTopics = [];
+
+  for (const topic of topics) {
+    const matchers = buildTopicMatchers(topic);
+    const topicSimilarities = similarities?.get(topic.id);
+    const metadata = scoreKeywords(metadataText, matchers);
+    const matchedKeywords = new Set(metadata.matchedKeywords);
+    const passageScores = [];
+
+    for (const passage of passages) {
+      const keywords = scoreKeywords(passage.text, matchers);
+      let score = keywords.score;
+
+      const similarity = topicSimilarities?.get(passage.id);
+      if (similarity !== undefined) {
+        const semantic = Math.max(0, (similarity - config.similarityFloor) / (1 - config.similarityFloor));
+        score = (1 - config.embeddingWeight) * score + config.embeddingWeight * semantic;
+      }
+
+      if (score >= config.passageThreshold) {
+        passageScores.push(score);
+        keywords.matchedKeywords.forEach(term => matchedKeywords.add(term));
+        passageTopics.push({ passageId: passage.id, topicId: topic.id, relevanceScore: round(score) });
+      }
+    }
+
+    let relevanceScore = metadata.score;
+    if (passages.length > 0) {
+      // Strength of the best passages plus how much of the episode is on topic;
+      // a fifth of the passages counts as full coverage
+      const strongest = [...passageScores].sort((a, b) => b - a).slice(0, 3);
+      const strength = strongest.length > 0 ? strongest.reduce((sum, score) => sum + score, 0) / strongest.length : 0;
+      const coverage = Math.min(1, (passageScores.length / passages.length) * 5);
+      relevanceScore = 0.3 * metadata.score + 0.7 * (0.5 * strength + 0.5 * coverage);
+    }
+
+    if (relevanceScore >= config.videoThreshold) {
+      videoTopics.push({
+        topicId: topic.id,
+        relevanceScore: round(relevanceScore),
+        matchedKeywords: [...matchedKeywords],
+        passageCount: passageScores.length
+      });
+    }
+  }
+
+  videoTopics.sort((a, b) => b.relevanceScore - a.relevanceScore);
+  return { videoTopics, passageTopics };
+}
+
+// Text embedded for a topic when embedding similarity is enabled
+function topicEmbeddingText(topic) {
+  return `${topic.name}: ${topic.description || ''} ${(topic.keywords || []).join(', ')}`.trim();
+}
+
+export { tagVideo, scoreKeywords, buildTopicMatchers, topicEmbeddingText };
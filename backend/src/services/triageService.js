@@ -0,0 +1,214 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('TriageService');
+
+const EMERGENCY_SERVICES = {
+  name: 'Emergency services',
+  contact: 'Call 911 (US) or your local emergency number',
+  description: 'For any symptom that could be life-threatening'
+};
+
+const CRISIS_RESOURCES = [
+  {
+    name: '988 Suicide & Crisis Lifeline',
+    contact: 'Call or text 988 (US)',
+    description: 'Free, confidential support 24/7'
+  },
+  {
+    name: 'Crisis Text Line',
+    contact: 'Text HOME to 741741 (US, UK, Canada, Ireland)',
+    description: 'Text with a trained crisis counselor'
+  },
+  {
+    name: 'Find a Helpline',
+    contact: 'https://findahelpline.com',
+    description: 'Crisis lines in other countries'
+  }
+];
+
+// Red-flag phrases that should never be answered with podcast protocols.
+// `patterns` describe something happening now and always match. `topicPatterns`
+// name a condition and match unless the question is framed as general
+// information ("how to reduce stroke risk"). Matching stays broad on purpose:
+// a false positive costs a detour, a miss could cost a life.
+const RED_FLAG_RULES = [
+  {
+    id: 'suicidal_ideation',
+    category: 'mental_health_crisis',
+    label: 'Thoughts of suicide or self-harm',
+    patterns: [
+      /\bsuicidal\b/i,
+      /\bkill(ing)? my ?self\b/i,
+      /\bend(ing)? (my|it all|my own) life\b/i,
+      /\b(want|wanting|wish) to die\b/i,
+      /\b(hurt|harm|cut)(ing)? my ?self\b/i,
+      /\bno reason to live\b/i
+    ],
+    topicPatterns: [/\bsuicide\b/i, /\bself[- ]harm(ing)?\b/i]
+  },
+  {
+    id: 'chest_pain',
+    category: 'cardiac',
+    label: 'Chest pain or possible heart attack',
+    patterns: [
+      /\bchest (pain|pressure|tightness|discomfort)\b/i,
+      /\b(pain|pressure|tightness) in (my|the) chest\b/i,
+      /\b(having|think i'?m having) a heart attack\b/i,
+      /\bpain (spreading|radiating|going) (down|to|into) (my )?(left )?(arm|jaw)\b/i
+    ],
+    topicPatterns: [/\bheart attack\b/i]
+  },
+  {
+    id: 'stroke',
+    category: 'neurological',
+    label: 'Possible stroke symptoms',
+    patterns: [
+      /\b(having|think i'?m having) a stroke\b/i,
+      /\bface (is )?(drooping|droops|numb)\b/i,
+      /\bslurred speech\b|\bslurring (my )?words\b/i,
+      /\bsudden(ly)? (weakness|numbness|confusion|vision loss|loss of vision|trouble (speaking|walking|seeing))\b/i,
+      /\b(numb|weak|can'?t move)\b[^.]{0,30}\bone side\b/i,
+      /\bworst headache\b/i
+    ],
+    // Heat stroke and sunstroke are overheating, not a brain attack
+    topicPatterns: [/(?<!\b(heat|sun)[- ]?)\bstroke\b/i]
+  },
+  {
+    id: 'breathing',
+    category: 'respiratory',
+    label: 'Severe difficulty breathing',
+    patterns: [
+      /\b(can'?t|cannot|unable to|struggling to) breathe\b/i,
+      /\b(severe|sudden) (shortness of breath|difficulty breathing)\b/i,
+      /\b(is|am|i'?m) choking\b/i,
+      /\blips? (are |is |turning )?blue\b/i
+    ],
+    topicPatterns: []
+  },
+  {
+    id: 'anaphylaxis',
+    category: 'allergic',
+    label: 'Severe allergic reaction',
+    patterns: [
+      /\b(throat|tongue) (is )?(swelling|closing|swollen)\b/i,
+      /\bsevere allergic reaction\b/i
+    ],
+    topicPatterns: [/\banaphyla(xis|ctic)\b/i]
+  },
+  {
+    id: 'bleeding',
+    category: 'bleeding',
+    label: 'Severe or unexplained bleeding',
+    patterns: [
+      /\b(severe|heavy|uncontrollable) bleeding\b/i,
+      /\bbleeding (that )?(won'?t|will not|doesn'?t) stop\b/i,
+      /\b(coughing|vomiting|throwing) up blood\b/i
+    ],
+    topicPatterns: []
+  },
+  {
+    id: 'overdose',
+    category: 'poisoning',
+    label: 'Possible overdose or poisoning',
+    patterns: [
+      /\boverdosed\b|\b(i'?m|am|is) overdosing\b/i,
+      /\btook too (many|much)\b/i,
+      /\b(i|we|he|she|they) (was|were|got|have been|has been) poisoned\b/i
+    ],
+    topicPatterns: [/\boverdose\b/i, /\bpoisoning\b/i]
+  },
+  {
+    id: 'loss_of_consciousness',
+    category: 'neurological',
+    label: 'Seizure or loss of consciousness',
+    patterns: [
+      /\b(having|had) a seizure\b/i,
+      /\b(passed|passing|blacked|blacking) out\b/i,
+      /\b(is|was) unconscious\b/i,
+      /\b(won'?t|can'?t|not) wak(e|ing) up\b/i
+    ],
+    topicPatterns: [/\bseizures?\b/i]
+  }
+];
+
+// Questions about a condition in general rather than something happening now
+const INFORMATIONAL_FRAME = /\b(risks?|prevent(s|ion|ing)?|reduc(e|es|ing)|lower(s|ing)?|research|stud(y|ies)|statistics|rates?|linked|associated|causes?|recover(y|ing)?|after a|history of|what is|signs of|symptoms of)\b/i;
+
+/**
+ * Rule-based triage that runs before any search or LLM call. Red-flag
+ * phrases produce an emergency guidance block that replaces podcast results;
+ * a model-assessed high urgency produces an advisory shown alongside them.
+ */
+class TriageService {
+  constructor(options = {}) {
+    this.rules = options.rules || RED_FLAG_RULES;
+  }
+
+  /**
+   * Checks one or more texts (e.g. the raw and rewritten query) for red flags.
+   * Returns an emergency triage block, or null when nothing matches.
+   */
+  assess(...texts) {
+    const text = texts.filter(Boolean).join('\n');
+    const informational = INFORMATIONAL_FRAME.test(text);
+    const flags = this.rules
+      .filter(rule => rule.patterns.some(pattern => pattern.test(text)) ||
+        (!informational && rule.topicPatterns.some(pattern => pattern.test(text))))
+      .map(({ id, category, label }) => ({ id, category, label }));
+
+    if (flags.length === 0) {
+      return null;
+    }
+
+    logger.warn(`Red-flag symptoms detected: ${flags.map(flag => flag.id).join(', ')}`);
+    return this.buildEmergencyGuidance(flags);
+  }
+
+  buildEmergencyGuidance(flags) {
+    const crisis = flags.some(flag => flag.category === 'mental_health_crisis');
+    const physical = flags.some(flag => flag.category !== 'mental_health_crisis');
+
+    const actions = [];
+    if (physical) {
+      actions.push('Call emergency services now, or have someone take you to the nearest emergency department.');
+      actions.push('Do not drive yourself and do not wait to see if symptoms pass.');
+    }
+    if (crisis) {
+      actions.push('You deserve support right now. Call or text a crisis line, or call emergency services if you are in immediate danger.');
+      actions.push('If you can, reach out to someone you trust and tell them how you are feeling.');
+    }
+
+    return {
+      level: 'emergency',
+      flags,
+      title: crisis && !physical ? 'Please reach out for support now' : 'This may be a medical emergency',
+      message: 'What you describe can be serious and needs immediate professional help. Podcast content is not a substitute for emergency care, so no protocols are shown for this question.',
+      actions,
+      resources: [
+        ...(crisis ? CRISIS_RESOURCES : []),
+        EMERGENCY_SERVICES
+      ]
+    };
+  }
+
+  /**
+   * Acts on the urgency the query analysis reports. Only 'high' produces an
+   * advisory; the keyword fallback marks any symptom as 'medium'.
+   */
+  fromAnalysis(processedQuery) {
+    if (!processedQuery || processedQuery.urgency !== 'high') {
+      return null;
+    }
+
+    return {
+      level: 'advisory',
+      flags: [],
+      title: 'Consider speaking with a clinician',
+      message: 'Your question describes symptoms that may need medical attention. Use the content below for education only, and contact a healthcare professional about your symptoms.',
+      actions: ['If symptoms are severe, worsening or sudden, call emergency services.'],
+      resources: [EMERGENCY_SERVICES]
+    };
+  }
+}
+
+export { TriageService, RED_FLAG_RULES };
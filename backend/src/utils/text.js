@@ -0,0 +1,21 @@
+/**
+ * Text helpers shared by the transcript and description extractors
+ */
+
+// Description links to social profiles, podcast apps and the show's own
+// sites, which are neither sponsors nor references
+export const SOCIAL_DOMAINS = /(youtube|youtu\.be|twitter|x\.com|instagram|facebook|tiktok|linkedin|threads|patreon|spotify|apple|hubermanlab|substack)\./i;
+
+// Captures the host (without www.) and the path
+export const URL_PATTERN = /https?:\/\/(?:www\.)?([^/\s]+)(\/\S*)?/i;
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function splitSentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
@@ -2,6 +2,9 @@
 
 /**
  * Start the Huberman Health MCP Server
+ *
+ * Usage: node start-mcp-server.js [--transport stdio|http] [--port 3002]
+ * Defaults come from MCP_TRANSPORT (stdio) and MCP_SERVER_PORT (3002).
  */
 
 import { HubermanHealthMCPServer } from './src/mcp-server.js';
@@ -9,12 +12,25 @@ import { createLogger } from './src/utils/logger.js';
 
 const logger = createLogger('MCPServerStarter');
 
+// Value of "--name value" or "--name=value", or undefined
+function getArg(name) {
+  const args = process.argv.slice(2);
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) {
+    return undefined;
+  }
+  return args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+}
+
 async function startMCPServer() {
   try {
     logger.info('🚀 Starting Huberman Health MCP Server...');
     
+    const transport = getArg('transport') || process.env.MCP_TRANSPORT || 'stdio';
+    const port = parseInt(getArg('port') || process.env.MCP_SERVER_PORT) || 3002;
+
     const server = new HubermanHealthMCPServer();
-    await server.start();
+    await server.start({ transport, port });
     
     logger.info('✅ MCP Server started successfully');
     logger.info('📡 Server ready to handle MCP requests');
@@ -0,0 +1,108 @@
+/**
+ * Tests for grounded answers with timestamp citations
+ */
+
+import { AnswerService } from '../src/services/answerService.js';
+
+const passages = [
+  {
+    videoId: 'v1',
+    youtube_id: 'SwQhKFMxmDY',
+    title: 'Master Your Sleep',
+    startTime: 1205.4,
+    endTime: 1285,
+    text: 'Viewing morning sunlight sets your circadian rhythm for better sleep. It also improves alertness.'
+  },
+  {
+    videoId: 'v2',
+    youtube_id: 'nm1TxQj9IsQ',
+    title: 'Using Deliberate Cold Exposure',
+    startTime: 300,
+    endTime: 360,
+    text: 'Cold exposure raises dopamine levels for several hours after the bath ends.'
+  }
+];
+
+const createService = (generateGroundedAnswer) => new AnswerService({
+  db: { isConnected: false },
+  openRouter: { generateGroundedAnswer },
+  retriever: {},
+  useLLM: Boolean(generateGroundedAnswer)
+});
+
+describe('AnswerService', () => {
+  test('should map LLM claims to timestamp citations', async () => {
+    const service = createService(async () => ({
+      claims: [{ text: 'Morning sunlight improves sleep.', citations: [1] }],
+      cost: 0.001
+    }));
+
+    const answer = await service.answer('how do I sleep better', { passages });
+
+    expect(answer.method).toBe('llm');
+    expect(answer.claims).toEqual([{ text: 'Morning sunlight improves sleep.', citations: [1] }]);
+    expect(answer.citations[0]).toMatchObject({
+      id: 1,
+      youtube_id: 'SwQhKFMxmDY',
+      startTime: 1205,
+      label: '20:05',
+      url: 'https://www.youtube.com/watch?v=SwQhKFMxmDY&t=1205s'
+    });
+  });
+
+  test('should drop claims citing passages that were not supplied', async () => {
+    const service = createService(async () => ({
+      claims: [
+        { text: 'Unsupported claim.', citations: [7] },
+        { text: 'Cold raises dopamine.', citations: [2] }
+      ],
+      cost: 0
+    }));
+
+    const answer = await service.answer('cold dopamine', { passages });
+
+    expect(answer.claims).toEqual([{ text: 'Cold raises dopamine.', citations: [1] }]);
+    expect(answer.citations.map(c => c.youtube_id)).toEqual(['nm1TxQj9IsQ']);
+  });
+
+  test('should fall back to extractive claims when the LLM fails', async () => {
+    const service = createService(async () => null);
+
+    const answer = await service.answer('sunlight circadian', { passages });
+
+    expect(answer.method).toBe('extractive');
+    expect(answer.claims[0].text).toContain('morning sunlight');
+    expect(answer.citations[0].youtube_id).toBe('SwQhKFMxmDY');
+  });
+
+  test('should stream tokens and parse [n] markers into claims', async () => {
+    const tokens = [];
+    const service = new AnswerService({
+      db: { isConnected: false },
+      openRouter: {
+        streamGroundedAnswer: async (query, passages, onToken) => {
+          ['Cold raises dopamine ', '[2]. Light helps sleep. [1]'].forEach(onToken);
+          return { text: 'Cold raises dopamine [2]. Light helps sleep. [1]', cost: 0 };
+        }
+      },
+      retriever: {},
+      useLLM: true
+    });
+
+    const answer = await service.answer('cold', { passages, onToken: token => tokens.push(token) });
+
+    expect(tokens.join('')).toBe('Cold raises dopamine [2]. Light helps sleep. [1]');
+    expect(answer.claims).toEqual([
+      { text: 'Cold raises dopamine.', citations: [1] },
+      { text: 'Light helps sleep.', citations: [2] }
+    ]);
+    expect(answer.citations.map(c => c.youtube_id)).toEqual(['nm1TxQj9IsQ', 'SwQhKFMxmDY']);
+  });
+
+  test('should report when there are no passages', async () => {
+    const answer = await createService().answer('sleep', { passages: [] });
+
+    expect(answer.method).toBe('none');
+    expect(answer.citations).toEqual([]);
+  });
+});
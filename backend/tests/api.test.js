@@ -53,10 +53,10 @@ describe('Huberman Health AI Backend Tests', () => {
       ];
 
       validQueries.forEach(query => {
-        const isValid = query && 
+        const isValid = Boolean(query && 
                         typeof query === 'string' && 
                         query.trim().length >= 2 && 
-                        query.length <= 1000;
+                        query.length <= 1000);
         expect(isValid).toBe(true);
       });
     });
@@ -71,10 +71,10 @@ describe('Huberman Health AI Backend Tests', () => {
       ];
 
       invalidQueries.forEach(query => {
-        const isValid = query && 
+        const isValid = Boolean(query && 
                         typeof query === 'string' && 
                         query.trim().length >= 2 && 
-                        query.length <= 1000;
+                        query.length <= 1000);
         expect(isValid).toBe(false);
       });
     });
@@ -83,11 +83,11 @@ describe('Huberman Health AI Backend Tests', () => {
       const validVideoIds = ['SwQhKFMxmDY', 'nm1TxQj9IsQ', 'abcdefghijk'];
       
       validVideoIds.forEach(id => {
-        const isValid = id && 
+        const isValid = Boolean(id && 
                         typeof id === 'string' && 
                         id.length >= 3 && 
                         id.length <= 20 &&
-                        /^[a-zA-Z0-9_-]+$/.test(id);
+                        /^[a-zA-Z0-9_-]+$/.test(id));
         expect(isValid).toBe(true);
       });
     });
@@ -96,11 +96,11 @@ describe('Huberman Health AI Backend Tests', () => {
       const invalidVideoIds = ['', 'ab', 'toolongvideoidthatexceedslimit', null];
       
       invalidVideoIds.forEach(id => {
-        const isValid = id && 
+        const isValid = Boolean(id && 
                         typeof id === 'string' && 
                         id.length >= 3 && 
                         id.length <= 20 &&
-                        /^[a-zA-Z0-9_-]+$/.test(id);
+                        /^[a-zA-Z0-9_-]+$/.test(id));
         expect(isValid).toBe(false);
       });
     });
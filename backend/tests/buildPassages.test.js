@@ -0,0 +1,50 @@
+/**
+ * Tests for the passage backfill job
+ */
+
+import { PassageBuildJob } from '../src/jobs/buildPassages.js';
+
+const segment = (index, text) => ({ startTime: index * 4, endTime: index * 4 + 4, text });
+
+function createFakeDb(videos, { failStore = false } = {}) {
+  return {
+    stored: {},
+    fetches: 0,
+    async getVideosMissingPassages(limit) {
+      this.fetches++;
+      return videos.filter(video => !this.stored[video.id]).slice(0, limit);
+    },
+    async getVideoSegments(videoId) {
+      return videos.find(video => video.id === videoId).segments;
+    },
+    async storePassages(videoId, passages) {
+      if (failStore) {
+        return [];
+      }
+      this.stored[videoId] = passages;
+      return passages.map((passage, index) => ({ ...passage, id: `${videoId}-p${index}` }));
+    }
+  };
+}
+
+describe('PassageBuildJob', () => {
+  test('should skip a video whose captions are all blank and finish', async () => {
+    const db = createFakeDb([
+      { id: 'v1', youtube_id: 'blank', segments: [segment(0, ' '), segment(1, '')] },
+      { id: 'v2', youtube_id: 'abc', segments: [segment(0, 'Morning light sets the clock.'), segment(1, 'Get outside early.')] }
+    ]);
+
+    const result = await new PassageBuildJob({ db }).run();
+
+    expect(result).toMatchObject({ videosProcessed: 1, videosSkipped: 1 });
+    expect(result.passagesStored).toBeGreaterThan(0);
+    expect(Object.keys(db.stored)).toEqual(['v2']);
+    expect(db.fetches).toBe(2);
+  });
+
+  test('should abort when passages cannot be stored', async () => {
+    const db = createFakeDb([{ id: 'v1', youtube_id: 'abc', segments: [segment(0, 'Morning light sets the clock.')] }], { failStore: true });
+
+    await expect(new PassageBuildJob({ db }).run()).rejects.toThrow('Failed to store passages for video abc, aborting');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Tests for description chapter parsing
+ */
+
+import { parseChapters, findChapter } from '../src/services/chapterParser.js';
+
+const description = [
+  'In this episode, I discuss the biology of sleep.',
+  '',
+  'Timestamps',
+  '00:00 Introduction',
+  '02:15 Sponsors: AG1 & Eight Sleep',
+  '(12:40) - Light & Circadian Rhythm',
+  '1:05:30 Tools for Better Sleep',
+  '',
+  'Disclaimer: The Huberman Lab podcast is for general information only.'
+].join('\n');
+
+describe('parseChapters', () => {
+  test('should parse timestamp lines into consecutive chapters', () => {
+    expect(parseChapters(description, 8130)).toEqual([
+      { position: 1, title: 'Introduction', startTime: 0, endTime: 135 },
+      { position: 2, title: 'Sponsors: AG1 & Eight Sleep', startTime: 135, endTime: 760 },
+      { position: 3, title: 'Light & Circadian Rhythm', startTime: 760, endTime: 3930 },
+      { position: 4, title: 'Tools for Better Sleep', startTime: 3930, endTime: 8130 }
+    ]);
+  });
+
+  test('should leave the last chapter open when the duration is unknown', () => {
+    expect(parseChapters(description).at(-1).endTime).toBeNull();
+  });
+
+  test('should reject lists YouTube would not treat as chapters', () => {
+    expect(parseChapters('01:00 Intro\n02:00 Sleep\n03:00 Light')).toEqual([]);
+    expect(parseChapters('00:00 Intro\n05:00 Sleep')).toEqual([]);
+    expect(parseChapters('00:00 Intro\n05:00 Sleep\n04:00 Light')).toEqual([]);
+    expect(parseChapters('00:00 Intro 02:15 Sponsors 12:40 Light')).toEqual([]);
+  });
+});
+
+describe('findChapter', () => {
+  const chapters = parseChapters(description, 8130);
+
+  test('should return the chapter playing at a time', () => {
+    expect(findChapter(chapters, 800).title).toBe('Light & Circadian Rhythm');
+    expect(findChapter(chapters, 135).title).toBe('Sponsors: AG1 & Eight Sleep');
+    expect(findChapter([], 800)).toBeNull();
+  });
+});
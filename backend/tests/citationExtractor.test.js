@@ -0,0 +1,93 @@
+/**
+ * Tests for study citation extraction
+ */
+
+import { extractCitations, extractReferenceLinks, findStudyMentions, scoreMention } from '../src/services/citationExtractor.js';
+import { CitationExtractionJob } from '../src/jobs/extractCitations.js';
+
+const description = [
+  'In this episode, I discuss caffeine and sleep.',
+  '',
+  'Articles',
+  'Caffeine delays adenosine-mediated sleep pressure: https://pubmed.ncbi.nlm.nih.gov/123456/',
+  'Morning sunlight entrains circadian clocks (2019): https://www.nature.com/articles/s41586',
+  'Lab website: https://example.org/sleep-lab',
+  '',
+  'Thank you to our sponsors',
+  'AG1: https://drinkag1.com/huberman',
+  'Instagram: https://www.instagram.com/hubermanlab'
+].join('\n');
+
+const passages = [
+  { id: 'p1', startTime: 100, endTime: 160, text: 'There was a beautiful 2017 study from Stanford published in Cell. I love coffee.' },
+  { id: 'p2', startTime: 300, endTime: 360, text: 'Caffeine delays sleep pressure by blocking adenosine-mediated signaling. A recent study showed that clearly.' },
+  { id: 'p3', startTime: 500, endTime: 560, text: 'I did a study of my own habits. Let me tell you about light.' }
+];
+
+describe('scoreMention', () => {
+  test('should score specific studies above vague ones', () => {
+    expect(scoreMention('A 2017 study from Stanford published in Cell.')).toBeGreaterThan(0.9);
+    expect(scoreMention('A recent study showed that cold water helps.')).toBe(0.4);
+    expect(scoreMention('I did a study of my own habits.')).toBe(0.3);
+    expect(scoreMention('Let me tell you about sleep.')).toBe(0);
+  });
+});
+
+describe('findStudyMentions', () => {
+  test('should keep confident mentions once with their passage time', () => {
+    const mentions = findStudyMentions([...passages, { ...passages[0], id: 'p1b', startTime: 130 }]);
+
+    expect(mentions.map(m => [m.passageId, m.startTime, m.year, m.confidence])).toEqual([
+      ['p1', 100, 2017, 1],
+      ['p2', 300, null, 0.4]
+    ]);
+    expect(mentions[0].rawText).toBe('There was a beautiful 2017 study from Stanford published in Cell.');
+  });
+});
+
+describe('extractReferenceLinks', () => {
+  test('should read paper links and reference sections but skip sponsors and socials', () => {
+    expect(extractReferenceLinks(description)).toEqual([
+      { source: 'description', rawText: 'Caffeine delays adenosine-mediated sleep pressure', url: 'https://pubmed.ncbi.nlm.nih.gov/123456/', year: null, confidence: 0.9 },
+      { source: 'description', rawText: 'Morning sunlight entrains circadian clocks (2019)', url: 'https://www.nature.com/articles/s41586', year: 2019, confidence: 0.9 },
+      { source: 'description', rawText: 'Lab website', url: 'https://example.org/sleep-lab', year: null, confidence: 0.6 }
+    ]);
+  });
+});
+
+describe('extractCitations', () => {
+  test('should attach description links to the passage that discusses them', () => {
+    const citations = extractCitations({ description, passages });
+
+    expect(citations.map(c => [c.source, c.passageId, c.startTime, c.url, c.confidence])).toEqual([
+      ['transcript', 'p1', 100, null, 1],
+      ['transcript', 'p2', 300, 'https://pubmed.ncbi.nlm.nih.gov/123456/', 1],
+      ['description', null, null, 'https://www.nature.com/articles/s41586', 0.9],
+      ['description', null, null, 'https://example.org/sleep-lab', 0.6]
+    ]);
+  });
+});
+
+describe('CitationExtractionJob', () => {
+  test('should store citations from non-sponsored passages', async () => {
+    const stored = {};
+    const db = {
+      listVideoMetadata: async (limit, offset) => (offset === 0
+        ? [{ id: 'v1', youtube_id: 'abc', title: 'Caffeine', description: '' }]
+        : []),
+      getVideoPassages: async () => [
+        ...passages,
+        { id: 'p4', startTime: 60, endTime: 90, text: 'A 2020 study from Harvard found AG1 works.', isSponsored: true }
+      ],
+      storeCitations: async (videoId, citations) => {
+        stored[videoId] = citations;
+        return citations.length;
+      }
+    };
+
+    const result = await new CitationExtractionJob({ db }).run();
+
+    expect(result).toEqual({ videosProcessed: 1, citationsStored: 2 });
+    expect(stored.v1.map(c => c.passageId)).toEqual(['p1', 'p2']);
+  });
+});
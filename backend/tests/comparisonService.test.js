@@ -0,0 +1,147 @@
+/**
+ * Tests for comparison queries ("cold vs heat exposure")
+ */
+
+import { ComparisonService } from '../src/services/comparisonService.js';
+import { HealthQueryProcessor } from '../src/services/healthQueryProcessor.js';
+
+const passage = (videoId, title, startTime, text) => ({
+  videoId,
+  youtube_id: `yt-${videoId}`,
+  title,
+  startTime,
+  endTime: startTime + 60,
+  text
+});
+
+const cold = [
+  passage('v1', 'Using Deliberate Cold Exposure', 100, 'Deliberate cold exposure increases dopamine and norepinephrine for hours after the plunge.'),
+  passage('v2', 'Heat and Cold for Health', 200, 'Cold exposure right after training can blunt hypertrophy adaptations in muscle.')
+];
+const heat = [
+  passage('v2', 'Heat and Cold for Health', 500, 'Sauna heat exposure increases growth hormone and improves cardiovascular health.'),
+  passage('v3', 'The Science of Sauna', 50, 'Heat exposure in the sauna for twenty minutes lowers cortisol and improves sleep.')
+];
+
+const createService = (compareConcepts) => new ComparisonService({
+  db: { isConnected: false },
+  openRouter: { compareConcepts },
+  retriever: {},
+  useLLM: Boolean(compareConcepts)
+});
+
+describe('HealthQueryProcessor comparison intent', () => {
+  const processor = new HealthQueryProcessor();
+  const analyze = (query) => processor.analyzeQueryType(processor.cleanQuery(query), [], query);
+
+  test('should detect comparisons and share the head noun', () => {
+    expect(analyze('how does he compare cold vs heat exposure?')).toMatchObject({
+      type: 'comparison',
+      concepts: ['cold exposure', 'heat exposure'],
+      aspect: null
+    });
+  });
+
+  test('should read lists and a shared aspect', () => {
+    expect(analyze('Compare caffeine, nicotine and alpha-GPC for focus')).toMatchObject({
+      type: 'comparison',
+      concepts: ['caffeine', 'nicotine', 'alpha-gpc'],
+      aspect: 'focus'
+    });
+    expect(analyze('what is the difference between sauna and cold plunge for recovery')).toMatchObject({
+      concepts: ['sauna', 'cold plunge'],
+      aspect: 'recovery'
+    });
+  });
+
+  test('should read "X compares to Y" questions', () => {
+    expect(analyze('How does alcohol compare to cannabis for sleep?')).toMatchObject({
+      type: 'comparison',
+      concepts: ['alcohol', 'cannabis'],
+      aspect: 'sleep'
+    });
+    expect(analyze('how does caffeine stack up against nicotine')).toMatchObject({
+      concepts: ['caffeine', 'nicotine'],
+      aspect: null
+    });
+  });
+
+  test('should leave other queries alone', () => {
+    expect(analyze('how to improve sleep').type).toBe('protocol');
+    expect(analyze('tell me about caffeine and adenosine').type).toBe('information');
+  });
+
+  test('should not compare pronouns, the asker\'s own state or points in time', () => {
+    expect(processor.extractComparison('Is it better than nothing?')).toBeNull();
+    expect(processor.extractComparison('compare my sleep to last week')).toBeNull();
+    expect(processor.extractComparison('how does my focus compare to yesterday')).toBeNull();
+  });
+});
+
+describe('ComparisonService', () => {
+  test('should build an extractive side-by-side comparison', async () => {
+    const comparison = await createService().compare('cold vs heat exposure', ['cold exposure', 'heat exposure'], {
+      passagesByConcept: [cold, heat]
+    });
+
+    expect(comparison.method).toBe('extractive');
+    expect(comparison.concepts.map(entry => [entry.concept, entry.passageCount, entry.citations])).toEqual([
+      ['cold exposure', 2, [1, 2]],
+      ['heat exposure', 2, [3, 4]]
+    ]);
+    expect(comparison.agreements).toEqual([
+      { text: 'cold exposure and heat exposure are discussed together in "Heat and Cold for Health".', citations: [2, 3] }
+    ]);
+    expect(comparison.differences.map(point => point.citations)).toEqual([[1, 2], [3, 4]]);
+    expect(comparison.citations.map(citation => [citation.id, citation.concept, citation.url])).toEqual([
+      [1, 'cold exposure', 'https://www.youtube.com/watch?v=yt-v1&t=100s'],
+      [2, 'cold exposure', 'https://www.youtube.com/watch?v=yt-v2&t=200s'],
+      [3, 'heat exposure', 'https://www.youtube.com/watch?v=yt-v2&t=500s'],
+      [4, 'heat exposure', 'https://www.youtube.com/watch?v=yt-v3&t=50s']
+    ]);
+  });
+
+  test('should map LLM concept numbers past concepts without passages', async () => {
+    let sent;
+    const service = createService(async (query, groups) => {
+      sent = groups.map(group => group.concept);
+      return {
+        concepts: [{ concept: 2, summary: 'Sauna raises growth hormone.', citations: [3] }],
+        agreements: [],
+        differences: [{ text: 'Cold raises dopamine; heat raises growth hormone.', citations: [1, 3, 9] }],
+        cost: 0.002
+      };
+    });
+
+    const comparison = await service.compare('cold vs nothing vs heat', ['cold exposure', 'nothing', 'heat exposure'], {
+      passagesByConcept: [cold, [], heat]
+    });
+
+    expect(sent).toEqual(['cold exposure', 'heat exposure']);
+    expect(comparison.method).toBe('llm');
+    expect(comparison.cost).toBe(0.002);
+    expect(comparison.concepts.map(entry => [entry.concept, entry.summary, entry.citations])).toEqual([
+      ['cold exposure', null, []],
+      ['nothing', null, []],
+      ['heat exposure', 'Sauna raises growth hormone.', [1]]
+    ]);
+    expect(comparison.differences).toEqual([{ text: 'Cold raises dopamine; heat raises growth hormone.', citations: [2, 1] }]);
+    expect(comparison.citations.map(citation => [citation.id, citation.youtube_id])).toEqual([[1, 'yt-v2'], [2, 'yt-v1']]);
+  });
+
+  test('should fall back to extractive when the LLM fails', async () => {
+    const comparison = await createService(async () => null).compare('cold vs heat', ['cold exposure', 'heat exposure'], {
+      passagesByConcept: [cold, heat]
+    });
+
+    expect(comparison.method).toBe('extractive');
+  });
+
+  test('should return empty concepts when nothing is found', async () => {
+    const comparison = await createService().compare('a vs b', ['a', 'b']);
+
+    expect(comparison.method).toBe('none');
+    expect(comparison.concepts.map(entry => entry.passageCount)).toEqual([0, 0]);
+    expect(comparison.citations).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for conversation sessions and follow-up rewriting
+ */
+
+import { ConversationService } from '../src/services/conversationService.js';
+
+const createService = (rewriteFollowUpQuery) => new ConversationService({
+  db: { isConnected: false },
+  openRouter: { rewriteFollowUpQuery },
+  useLLM: Boolean(rewriteFollowUpQuery)
+});
+
+describe('ConversationService', () => {
+  test('should create, resume, list and delete sessions in memory', async () => {
+    const service = createService();
+    const session = await service.createSession({ userId: 'u1' });
+
+    await service.recordTurn(session.id, {
+      query: 'How can I improve my sleep?',
+      rewrittenQuery: 'How can I improve my sleep?',
+      citedVideoIds: ['v1']
+    });
+
+    const resumed = await service.getSession(session.id);
+    expect(resumed.title).toBe('How can I improve my sleep?');
+    expect(resumed.turns).toHaveLength(1);
+
+    expect((await service.listSessions({ userId: 'u1' })).map(s => s.id)).toEqual([session.id]);
+    expect(await service.listSessions({ userId: 'u2' })).toEqual([]);
+
+    expect(await service.deleteSession(session.id)).toBe(true);
+    expect(await service.getSession(session.id)).toBeNull();
+  });
+
+  test('should resolve follow-ups against the previous question', async () => {
+    const service = createService();
+    const turns = [{ query: 'How can I improve my sleep?', rewrittenQuery: 'How can I improve my sleep?', citedVideoIds: [] }];
+
+    expect(await service.rewriteQuery('what about for shift workers?', turns)).toEqual({
+      query: 'How can I improve my sleep for shift workers',
+      rewritten: true
+    });
+  });
+
+  test('should leave standalone questions unchanged', async () => {
+    const service = createService();
+    const turns = [{ query: 'sleep', rewrittenQuery: 'sleep', citedVideoIds: [] }];
+
+    expect(await service.rewriteQuery('What are the benefits of deliberate cold exposure?', turns)).toEqual({
+      query: 'What are the benefits of deliberate cold exposure?',
+      rewritten: false
+    });
+  });
+
+  test('should prefer the LLM rewrite and fall back when it fails', async () => {
+    const turns = [{ query: 'sleep tips', rewrittenQuery: 'sleep tips', citedVideoIds: [] }];
+
+    const llmService = createService(async () => 'sleep tips for night shift workers');
+    expect((await llmService.rewriteQuery('and for shift work?', turns)).query).toBe('sleep tips for night shift workers');
+
+    const failingService = createService(async () => null);
+    expect((await failingService.rewriteQuery('and for shift work?', turns)).query).toBe('sleep tips for shift work');
+  });
+
+  test('should list cited videos most recent first without duplicates', () => {
+    const service = createService();
+
+    expect(service.getCitedVideoIds([
+      { citedVideoIds: ['v1', 'v2'] },
+      { citedVideoIds: ['v3', 'v1'] }
+    ])).toEqual(['v3', 'v1', 'v2']);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for per-model pricing, the persisted cost ledger and budget degradation
+ */
+
+import { CostLedger } from '../src/services/costLedger.js';
+import { MockLLMProvider } from '../src/services/llmProvider.js';
+import { OpenRouterService } from '../src/services/openRouterService.js';
+
+const usage = { prompt_tokens: 1000000, completion_tokens: 1000000 };
+
+describe('CostLedger', () => {
+  test('should price usage per model, with or without the provider prefix', () => {
+    const ledger = new CostLedger({ dailyBudget: 0, monthlyBudget: 0 });
+
+    expect(ledger.calculateCost('openai/gpt-4o-mini', usage)).toBeCloseTo(0.75);
+    expect(ledger.calculateCost('gpt-4o', usage)).toBeCloseTo(12.5);
+    expect(ledger.calculateCost('mock-llm', usage)).toBe(0);
+    expect(ledger.calculateCost('gpt-4o', null)).toBe(0);
+  });
+
+  test('should persist entries and load spend from the database', async () => {
+    const recorded = [];
+    const db = {
+      isConnected: true,
+      recordAIUsage: async (entry) => recorded.push(entry),
+      getAISpend: async () => ({ daily: 0.4, monthly: 1.5 })
+    };
+    const ledger = new CostLedger({ db, dailyBudget: 1, monthlyBudget: 2 });
+
+    await ledger.refresh();
+    await ledger.record({ task: 'answer', provider: 'openrouter', model: 'gpt-4o-mini', usage });
+
+    expect(recorded).toEqual([{
+      task: 'answer',
+      provider: 'openrouter',
+      model: 'gpt-4o-mini',
+      promptTokens: 1000000,
+      completionTokens: 1000000,
+      cost: 0.75
+    }]);
+    expect(ledger.getStats()).toMatchObject({ dailySpend: 1.15, monthlySpend: 2.25, degraded: true });
+  });
+
+  test('should reset daily spend on a new day but keep the monthly total', async () => {
+    let now = new Date('2026-03-10T23:00:00Z');
+    const ledger = new CostLedger({ dailyBudget: 0.5, monthlyBudget: 10, now: () => now });
+
+    await ledger.record({ task: 'analysis', provider: 'openrouter', model: 'gpt-4o-mini', usage });
+    expect(ledger.isExhausted()).toBe(true);
+
+    now = new Date('2026-03-11T01:00:00Z');
+    expect(await ledger.checkBudget()).toBe(true);
+    expect(ledger.getStats()).toMatchObject({ dailySpend: 0, monthlySpend: 0.75 });
+  });
+
+  test('should stop calling the LLM and fall back once the budget is exhausted', async () => {
+    const provider = new MockLLMProvider();
+    const ledger = new CostLedger({ monthlyBudget: 0.01, pricing: { 'mock-llm': { prompt: 100000, completion: 100000 } } });
+    const service = new OpenRouterService({ provider, ledger });
+
+    const first = await service.processHealthQuery('how do I sleep better');
+    expect(first.fallback).toBeUndefined();
+    expect(service.isDegraded).toBe(true);
+
+    const second = await service.processHealthQuery('how do I sleep better');
+    expect(second.fallback).toBe(true);
+    expect(await service.generateGroundedAnswer('sleep', [])).toBeNull();
+    expect(provider.requests).toHaveLength(1);
+    expect(service.getUsageStats()).toMatchObject({ remainingBudget: 0, degraded: true });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for DatabaseService writes, against a fake pg pool that records its queries
+ */
+
+import { DatabaseService } from '../src/services/databaseService.js';
+
+// respond(sql, params) returns the query result or throws to fail the query
+const createDb = (respond = () => ({ rows: [], rowCount: 0 })) => {
+  const queries = [];
+  const run = async (sql, params) => {
+    queries.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+    return respond(sql, params);
+  };
+
+  const db = new DatabaseService();
+  db.isConnected = true;
+  db.pool = { query: run, connect: async () => ({ query: run, release: () => queries.push('release') }) };
+  return { db, queries };
+};
+
+const passage = (passageIndex) => ({
+  passageIndex,
+  startTime: passageIndex * 60,
+  endTime: passageIndex * 60 + 60,
+  text: `Passage ${passageIndex}`,
+  tokenCount: 12,
+  segmentStartIndex: passageIndex,
+  segmentEndIndex: passageIndex
+});
+
+describe('storePassages', () => {
+  test('should rebuild passages in one transaction', async () => {
+    let id = 0;
+    const { db, queries } = createDb(sql => ({ rows: sql.includes('RETURNING id') ? [{ id: `p${++id}` }] : [], rowCount: 0 }));
+
+    const stored = await db.storePassages('v1', [passage(0), passage(1)]);
+
+    expect(stored.map(p => p.id)).toEqual(['p1', 'p2']);
+    expect(queries).toEqual([
+      'BEGIN',
+      'DELETE FROM transcript_passages',
+      'INSERT INTO transcript_passages',
+      'INSERT INTO transcript_passages',
+      'COMMIT',
+      'release',
+      'UPDATE transcript_passages tp'
+    ]);
+  });
+
+  test('should roll back and keep the old passages when an insert fails', async () => {
+    let inserts = 0;
+    const { db, queries } = createDb((sql) => {
+      if (sql.includes('INSERT') && ++inserts === 2) {
+        throw new Error('connection reset');
+      }
+      return { rows: [{ id: 'p1' }], rowCount: 0 };
+    });
+
+    expect(await db.storePassages('v1', [passage(0), passage(1)])).toEqual([]);
+    expect(queries.slice(-2)).toEqual(['ROLLBACK', 'release']);
+    expect(queries).not.toContain('COMMIT');
+  });
+});
+
+describe('conversation turns', () => {
+  const sessionId = '6b1c8a52-0d5c-4b8e-9d4c-3f1e2a7b9c10';
+  const turn = { query: 'How much sunlight?', rewrittenQuery: 'How much sunlight?', answer: null, citedVideoIds: [] };
+  const turnRow = { turn_index: 1, query: turn.query, rewritten_query: turn.rewrittenQuery, answer: null, cited_video_ids: [], created_at: null };
+
+  test('should pick the next turn index while holding the session lock', async () => {
+    const { db, queries } = createDb(sql => ({
+      rows: sql.includes('FOR UPDATE') ? [{ id: sessionId }] : sql.includes('RETURNING') ? [turnRow] : [],
+      rowCount: 1
+    }));
+
+    const stored = await db.addConversationTurn(sessionId, turn);
+
+    expect(stored.turnIndex).toBe(1);
+    expect(queries).toEqual([
+      'BEGIN',
+      'SELECT id FROM',
+      'INSERT INTO conversation_turns',
+      'UPDATE conversation_sessions SET',
+      'COMMIT',
+      'release'
+    ]);
+  });
+
+  test('should roll back and throw when the turn cannot be stored', async () => {
+    const { db, queries } = createDb((sql) => {
+      if (sql.includes('INSERT')) {
+        throw new Error('duplicate key value violates unique constraint');
+      }
+      return { rows: [{ id: sessionId }], rowCount: 1 };
+    });
+
+    await expect(db.addConversationTurn(sessionId, turn)).rejects.toThrow(/duplicate key/);
+    expect(queries.slice(-2)).toEqual(['ROLLBACK', 'release']);
+  });
+
+  test('should not query for session IDs that are not UUIDs', async () => {
+    const { db, queries } = createDb();
+
+    expect(await db.getSession('not-a-uuid')).toBeNull();
+    expect(await db.getConversationTurns('1 OR 1=1')).toEqual([]);
+    expect(await db.addConversationTurn('abc', turn)).toBeNull();
+    expect(queries).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the embedding provider layer
+ */
+
+import { EmbeddingService, LocalEmbeddingProvider } from '../src/services/embeddingService.js';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('LocalEmbeddingProvider', () => {
+  const provider = new LocalEmbeddingProvider();
+
+  test('should produce 1536-dimensional unit vectors', async () => {
+    const [vector] = await provider.embed(['Morning sunlight sets your circadian clock']);
+    expect(vector).toHaveLength(1536);
+    expect(cosine(vector, vector)).toBeCloseTo(1, 6);
+  });
+
+  test('should be deterministic', async () => {
+    const [first] = await provider.embed(['cold exposure and brown fat']);
+    const [second] = await provider.embed(['cold exposure and brown fat']);
+    expect(first).toEqual(second);
+  });
+
+  test('should place related texts closer than unrelated ones', async () => {
+    const [query, related, unrelated] = await provider.embed([
+      'how does caffeine affect sleep',
+      'caffeine late in the day disrupts deep sleep',
+      'deliberate cold exposure increases dopamine'
+    ]);
+
+    expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+  });
+});
+
+describe('EmbeddingService', () => {
+  test('should batch requests through the provider', async () => {
+    const calls = [];
+    const provider = {
+      name: 'stub',
+      model: 'stub',
+      dimensions: 3,
+      embed: async (texts) => {
+        calls.push(texts.length);
+        return texts.map(() => [1, 0, 0]);
+      }
+    };
+
+    const service = new EmbeddingService({ provider, batchSize: 2 });
+    const vectors = await service.embedTexts(['a', 'b', 'c']);
+
+    expect(vectors).toHaveLength(3);
+    expect(calls).toEqual([2, 1]);
+  });
+
+  test('should reject vectors with the wrong dimension', async () => {
+    const provider = { name: 'stub', model: 'stub', dimensions: 4, embed: async (texts) => texts.map(() => [1]) };
+    const service = new EmbeddingService({ provider });
+
+    await expect(service.embedQuery('sleep')).rejects.toThrow('expected 4');
+  });
+});
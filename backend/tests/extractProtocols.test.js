@@ -0,0 +1,78 @@
+/**
+ * Tests for protocol extraction from transcript passages
+ */
+
+import { ProtocolExtractionJob, isCandidatePassage } from '../src/jobs/extractProtocols.js';
+import { MockLLMProvider } from '../src/services/llmProvider.js';
+import { OpenRouterService } from '../src/services/openRouterService.js';
+
+const passage = (index, text) => ({ id: `p${index}`, passageIndex: index, startTime: index * 45, endTime: index * 45 + 50, text, tokenCount: 40 });
+
+function createFakeDb(videos) {
+  return {
+    stored: {},
+    async getVideosMissingProtocols(limit) {
+      return videos.filter(video => !this.stored[video.id]).slice(0, limit);
+    },
+    async getVideoPassages(videoId) {
+      return videos.find(video => video.id === videoId).passages;
+    },
+    async storeProtocols(videoId, protocols, { model }) {
+      this.stored[videoId] = { protocols, model };
+      return protocols.length;
+    }
+  };
+}
+
+describe('isCandidatePassage', () => {
+  test('should keep passages with doses, durations or instructions', () => {
+    expect(isCandidatePassage({ text: 'Get 10 minutes of sunlight in your eyes.' })).toBe(true);
+    expect(isCandidatePassage({ text: 'Take 200 mg of magnesium threonate before bed.' })).toBe(true);
+    expect(isCandidatePassage({ text: 'Dopamine is a neuromodulator released by the brain.' })).toBe(false);
+  });
+});
+
+describe('ProtocolExtractionJob', () => {
+  test('should store deduplicated protocols with the source passage timestamp', async () => {
+    const provider = new MockLLMProvider();
+    const db = createFakeDb([{
+      id: 'v1',
+      youtube_id: 'abc',
+      title: 'Master Your Sleep',
+      passages: [
+        passage(0, 'Dopamine is a neuromodulator released by the brain.'),
+        passage(1, 'View sunlight for 10 minutes after waking. It sets your clock.'),
+        passage(2, 'View sunlight for 10 minutes after waking. It sets your clock.'),
+        passage(3, 'Deliberate cold exposure for 11 minutes per week is enough.')
+      ]
+    }]);
+    const job = new ProtocolExtractionJob({ db, openRouter: new OpenRouterService({ provider }), batchSize: 2 });
+
+    expect(await job.run()).toEqual({ videosProcessed: 1, protocolsStored: 2, videosFailed: 0 });
+    expect(provider.requests).toHaveLength(2);
+    expect(db.stored.v1.model).toBe('mock-llm');
+    expect(db.stored.v1.protocols).toEqual([
+      {
+        passageId: 'p1',
+        topic: 'general health',
+        action: 'View sunlight for 10 minutes after waking.',
+        dose: '10 minutes',
+        timing: null,
+        caveats: [],
+        startTime: 45,
+        endTime: 95
+      },
+      expect.objectContaining({ passageId: 'p3', dose: '11 minutes', startTime: 135 })
+    ]);
+  });
+
+  test('should reject protocols that point at a passage that was not sent', async () => {
+    const provider = new MockLLMProvider({
+      responses: { extraction: JSON.stringify({ protocols: [{ passage: 5, topic: 'sleep', action: 'Sleep more' }] }) }
+    });
+    const db = createFakeDb([{ id: 'v1', youtube_id: 'abc', title: 'One', passages: [passage(0, 'Sleep 8 hours a night.')] }]);
+    const job = new ProtocolExtractionJob({ db, openRouter: new OpenRouterService({ provider, maxRepairAttempts: 0 }) });
+
+    expect(await job.run()).toEqual({ videosProcessed: 0, protocolsStored: 0, videosFailed: 1 });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for guest extraction and the guest backfill job
+ */
+
+import { extractGuests, extractGuestsFromTitle, slugify, HOST_NAME } from '../src/services/guestExtractor.js';
+import { GuestDetectionJob } from '../src/jobs/detectGuests.js';
+
+const segment = (id, text) => ({ id, text, startTime: 0, endTime: 5 });
+
+describe('extractGuests', () => {
+  test('should find the guest in the title and credentials in the description', () => {
+    const guests = extractGuests({
+      title: 'Dr. Matthew Walker: The Biology of Sleep & Your Unconscious Mind | Huberman Lab Guest Series',
+      description: 'My guest is Dr. Matthew Walker, Ph.D., professor of neuroscience and psychology at UC Berkeley. We discuss sleep.'
+    });
+
+    expect(guests).toEqual([{
+      name: 'Matthew Walker',
+      slug: 'matthew-walker',
+      credentials: 'Ph.D., professor of neuroscience and psychology at UC Berkeley'
+    }]);
+  });
+
+  test('should find several guests and names with particles or accents', () => {
+    expect(extractGuestsFromTitle('Dr. Peter Attia & Dr. Layne Norton: Nutrition Myths')).toEqual(['Peter Attia', 'Layne Norton']);
+    expect(extractGuestsFromTitle('Dr. Marcos de la Peña: Ancient Genes')).toEqual(['Marcos de la Peña']);
+    expect(slugify('Marcos de la Peña')).toBe('marcos-de-la-pena');
+  });
+
+  test('should return no guests for solo episodes', () => {
+    expect(extractGuests({
+      title: 'Master Your Sleep & Be More Alert When Awake',
+      description: 'In this episode, I discuss the biology of sleep.'
+    })).toEqual([]);
+    expect(extractGuests({ title: 'Essentials: Tools for Better Sleep | Huberman Lab Podcast', description: '' })).toEqual([]);
+  });
+});
+
+describe('GuestDetectionJob', () => {
+  test('should store guests and update changed segment speakers', async () => {
+    const storedGuests = {};
+    const speakerUpdates = [];
+    const db = {
+      listVideoMetadata: async (limit, offset) => (offset === 0
+        ? [{ id: 'v1', youtube_id: 'abc', title: 'Dr. Matthew Walker: Sleep', description: '' }]
+        : []),
+      storeVideoGuests: async (videoId, guests) => {
+        storedGuests[videoId] = guests;
+        return guests.map(guest => ({ id: 'g1', ...guest }));
+      },
+      getVideoSegments: async () => [
+        { ...segment('s1', 'Welcome to the Huberman Lab podcast.'), speaker: HOST_NAME },
+        { ...segment('s2', '>> Great to be here.'), speaker: null }
+      ],
+      updateSegmentSpeakers: async (updates) => {
+        speakerUpdates.push(...updates);
+        return updates.length;
+      }
+    };
+
+    const result = await new GuestDetectionJob({ db }).run();
+
+    expect(result).toEqual({ videosProcessed: 1, guestLinks: 1, segmentsAttributed: 1 });
+    expect(storedGuests.v1.map(guest => guest.slug)).toEqual(['matthew-walker']);
+    expect(speakerUpdates).toEqual([{ id: 's2', speaker: 'Matthew Walker' }]);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the health topic routes on the shared DatabaseService
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { createHealthRoutes } from '../src/routes/health.js';
+import { DatabaseService } from '../src/services/databaseService.js';
+
+const createApp = (database) => {
+  const app = express();
+  app.use('/api/health', createHealthRoutes(database));
+  return app;
+};
+
+describe('health topic routes', () => {
+  test('should answer from the in-memory fallback when the database is not connected', async () => {
+    const app = createApp(new DatabaseService());
+
+    const topics = await request(app).get('/api/health/topics?category=health');
+    expect(topics.status).toBe(200);
+    expect(topics.body.topics.map(topic => topic.name)).toEqual(['Nutrition', 'Stress Management']);
+
+    const search = await request(app).get('/api/health/topics/search?q=circadian');
+    expect(search.status).toBe(200);
+    expect(search.body.topics.map(topic => topic.name)).toEqual(['Sleep']);
+    expect(search.body.count).toBe(1);
+
+    const videos = await request(app).get('/api/health/topics/6b1c8a52-0d5c-4b8e-9d4c-3f1e2a7b9c10/videos');
+    expect(videos.body).toEqual({ videos: [], total: 0, limit: 10, offset: 0 });
+
+    const stats = await request(app).get('/api/health/stats');
+    expect(stats.body.topics).toEqual({ total: 4, categories: 4 });
+  });
+
+  test('should validate topic IDs and report missing topics', async () => {
+    const app = createApp({ getHealthTopicById: async () => null });
+
+    expect((await request(app).get('/api/health/topics/not-a-uuid')).status).toBe(400);
+
+    const missing = await request(app).get('/api/health/topics/6b1c8a52-0d5c-4b8e-9d4c-3f1e2a7b9c10');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('TOPIC_NOT_FOUND');
+  });
+
+  test('should report the total topic count, not the page size', async () => {
+    const app = createApp(new DatabaseService());
+
+    const response = await request(app).get('/api/health/topics?limit=1&offset=1');
+
+    expect(response.body.topics).toHaveLength(1);
+    expect(response.body.total).toBe(4);
+  });
+
+  test('should page topic videos through the shared database', async () => {
+    const calls = [];
+    const app = createApp({
+      getTopicVideos: async (topicId, options) => {
+        calls.push([topicId, options]);
+        return [{ id: 'v1', youtube_id: 'SwQhKFMxmDY', relevance_score: 0.8 }];
+      }
+    });
+
+    const response = await request(app).get('/api/health/topics/6b1c8a52-0d5c-4b8e-9d4c-3f1e2a7b9c10/videos?limit=500&offset=20');
+
+    expect(response.body.total).toBe(1);
+    expect(calls).toEqual([['6b1c8a52-0d5c-4b8e-9d4c-3f1e2a7b9c10', { limit: 50, offset: 20 }]]);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Shared harness for the MCP server suites: a sample episode and topics, a
+ * fake DatabaseService over them, and a client connected in memory
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { HubermanHealthMCPServer } from '../../src/mcp-server.js';
+
+export const video = {
+  id: '6b1c8a52-0d5c-4b8e-9d4c-3f1e2a7b9c10',
+  youtube_id: 'SwQhKFMxmDY',
+  title: 'Master Your Sleep',
+  description: 'Sleep episode'
+};
+
+export const topics = [
+  { id: 't1', name: 'Sleep', category: 'Neuroscience', description: 'Sleep quality and circadian rhythms' },
+  { id: 't2', name: 'Stress Management', category: 'Mental Health', description: 'Stress reduction and sleep hygiene' }
+];
+
+// Reads of the sample episode and topics; overrides replace single methods
+export const createDb = (overrides = {}) => ({
+  getVideoById: async (id) => (id === video.id ? video : null),
+  getVideoByYoutubeId: async (youtubeId) => (youtubeId === video.youtube_id ? video : null),
+  listVideoMetadata: async (limit, offset) => [video].slice(offset, offset + limit),
+  getVideoChapters: async () => [],
+  getVideoSegments: async () => [],
+  getEpisodeSummary: async () => null,
+  getVideoGuests: async () => [],
+  getVideoCitations: async () => [],
+  getHealthTopics: async () => topics,
+  getHealthTopicByName: async (name) => topics.find(topic => topic.name.toLowerCase() === name.toLowerCase()) || null,
+  getTopicVideos: async () => [],
+  ...overrides
+});
+
+// A server reading from db, with a client connected over an in-memory transport
+export const connect = async (db = createDb()) => {
+  const mcp = new HubermanHealthMCPServer();
+  mcp.db = db;
+  mcp.semanticSearch.db = db;
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, { capabilities: {} });
+  await Promise.all([client.connect(clientTransport), mcp.server.connect(serverTransport)]);
+  return { mcp, client };
+};
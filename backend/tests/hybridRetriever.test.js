@@ -0,0 +1,115 @@
+/**
+ * Tests for hybrid lexical + vector retrieval
+ */
+
+import { HybridRetriever, reciprocalRankFusion } from '../src/services/hybridRetriever.js';
+import { SemanticSearchService } from '../src/services/semanticSearchService.js';
+
+describe('reciprocalRankFusion', () => {
+  test('should favour items ranked highly in several lists', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 1, items: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] },
+      { name: 'vector', weight: 1, items: [{ id: 'b' }, { id: 'd' }] }
+    ], { k: 60 });
+
+    expect(fused[0].id).toBe('b');
+    expect(fused[0].ranks).toEqual({ lexical: 2, vector: 1 });
+  });
+
+  test('should normalise scores to the 0-1 range', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 1, items: [{ id: 'a' }] },
+      { name: 'vector', weight: 1, items: [{ id: 'a' }] }
+    ]);
+
+    expect(fused[0].relevanceScore).toBeCloseTo(1, 6);
+  });
+
+  test('should respect list weights', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 0.2, items: [{ id: 'a' }] },
+      { name: 'vector', weight: 1, items: [{ id: 'b' }] }
+    ]);
+
+    expect(fused.map(item => item.id)).toEqual(['b', 'a']);
+  });
+
+  test('should ignore lists with zero weight', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 0, items: [{ id: 'a' }] },
+      { name: 'vector', weight: 1, items: [{ id: 'b' }] }
+    ]);
+
+    expect(fused.map(item => item.id)).toEqual(['b']);
+    expect(fused[0].relevanceScore).toBeCloseTo(1, 6);
+  });
+});
+
+describe('HybridRetriever', () => {
+  const passage = (id, videoId) => ({ id, videoId, youtube_id: `yt_${videoId}`, title: videoId, text: id });
+
+  const createRetriever = (weights) => new HybridRetriever({
+    weights,
+    embeddings: { embedQuery: async () => [0, 1] },
+    db: {
+      searchPassagesByText: async () => [passage('p1', 'v1'), passage('p2', 'v2')],
+      searchPassagesByEmbedding: async () => [passage('p3', 'v2'), passage('p1', 'v1')],
+      searchVideos: async () => [],
+      getVideosByIds: async (ids) => ids.map(id => ({ id, youtube_id: `yt_${id}`, title: id }))
+    }
+  });
+
+  test('should rank videos by their fused passages', async () => {
+    const videos = await createRetriever().retrieveVideos('sleep', { limit: 5 });
+
+    expect(videos.map(video => video.id)).toEqual(['v1', 'v2']);
+    expect(videos[0].matchingPassages[0].id).toBe('p1');
+  });
+
+  test('should boost videos already cited in the conversation', async () => {
+    const videos = await createRetriever({ session: 5 }).retrieveVideos('sleep', { limit: 5, boostVideoIds: ['v2', 'v9'] });
+
+    expect(videos.map(video => video.id)).toEqual(['v2', 'v1']);
+  });
+
+  test('should fall back to lexical results when vector search fails', async () => {
+    const retriever = createRetriever();
+    retriever.embeddings = { embedQuery: async () => { throw new Error('offline'); } };
+
+    const passages = await retriever.retrievePassages('sleep');
+    expect(passages.map(p => p.id)).toEqual(['p1', 'p2']);
+  });
+});
+
+describe('SemanticSearchService re-rank weight', () => {
+  const original = process.env.SEARCH_RERANK_WEIGHT;
+  const weightFor = (value) => {
+    process.env.SEARCH_RERANK_WEIGHT = value;
+    return new SemanticSearchService({ db: {}, openRouter: {} }).rerankWeight;
+  };
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.SEARCH_RERANK_WEIGHT;
+    } else {
+      process.env.SEARCH_RERANK_WEIGHT = original;
+    }
+  });
+
+  test('should keep a configured weight of zero and clamp out-of-range weights', () => {
+    expect(weightFor('0')).toBe(0);
+    expect(weightFor('0.8')).toBe(0.8);
+    expect(weightFor('3')).toBe(1);
+    expect(weightFor('abc')).toBe(0.5);
+  });
+});
+
+describe('SemanticSearchService embeddings', () => {
+  test('should hand the given embedding provider to the retriever', () => {
+    const embeddings = { embedQuery: async () => [1, 0] };
+    const service = new SemanticSearchService({ db: {}, openRouter: {}, embeddings });
+
+    expect(service.embeddings).toBe(embeddings);
+    expect(service.retriever.embeddings).toBe(embeddings);
+  });
+});
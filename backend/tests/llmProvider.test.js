@@ -0,0 +1,81 @@
+/**
+ * Tests for the LLM provider layer and per-task model selection
+ */
+
+import { MockLLMProvider, resolveTaskModels, createLLMProvider } from '../src/services/llmProvider.js';
+import { OpenRouterService } from '../src/services/openRouterService.js';
+import { AnswerService } from '../src/services/answerService.js';
+
+const passages = [
+  {
+    videoId: 'v1',
+    youtube_id: 'SwQhKFMxmDY',
+    title: 'Master Your Sleep',
+    startTime: 1205,
+    endTime: 1285,
+    text: 'Viewing morning sunlight sets your circadian rhythm. It also improves alertness.'
+  }
+];
+
+describe('LLM provider layer', () => {
+  test('should resolve task models from task overrides, then LLM_MODEL, then the default', () => {
+    expect(resolveTaskModels('base', { LLM_MODEL: 'shared', LLM_MODEL_ANSWER: 'big' })).toEqual({
+      analysis: 'shared',
+      ranking: 'shared',
+      insight: 'shared',
+      answer: 'big',
+      summary: 'shared',
+      extraction: 'shared'
+    });
+    expect(resolveTaskModels('base', {}).ranking).toBe('base');
+  });
+
+  test('should send each task to its configured model', async () => {
+    const provider = new MockLLMProvider();
+    const service = new OpenRouterService({ provider, models: { analysis: 'small-model', answer: 'large-model' } });
+
+    await service.processHealthQuery('how do I sleep better');
+    await service.generateGroundedAnswer('sleep', passages);
+
+    expect(provider.requests.map(request => [request.task, request.model])).toEqual([
+      ['analysis', 'small-model'],
+      ['answer', 'large-model']
+    ]);
+    expect(service.getUsageStats().requestCount).toBe(2);
+  });
+
+  test('should return deterministic, well-formed mock output offline', async () => {
+    const service = new OpenRouterService({ provider: new MockLLMProvider() });
+
+    const analysis = await service.processHealthQuery('how do I sleep better');
+    expect(analysis.intent).toBe('information_seeking');
+    expect(analysis.fallback).toBeUndefined();
+
+    expect(await service.semanticSearch('sleep', [{ title: 'A' }, { title: 'B' }])).toHaveLength(2);
+    expect(await service.rewriteFollowUpQuery('and for kids?', [{ query: 'sleep' }])).toBe('and for kids?');
+
+    const first = await service.generateGroundedAnswer('sleep', passages);
+    const second = await service.generateGroundedAnswer('sleep', passages);
+    expect(first.claims).toEqual([{ text: 'Viewing morning sunlight sets your circadian rhythm.', citations: [1] }]);
+    expect(second.claims).toEqual(first.claims);
+  });
+
+  test('should stream a cited answer through AnswerService with the mock provider', async () => {
+    const tokens = [];
+    const service = new AnswerService({
+      db: { isConnected: false },
+      openRouter: new OpenRouterService({ provider: new MockLLMProvider() }),
+      retriever: {}
+    });
+
+    const answer = await service.answer('sunlight', { passages, onToken: token => tokens.push(token) });
+
+    expect(answer.method).toBe('llm');
+    expect(tokens.join('')).toBe('Viewing morning sunlight sets your circadian rhythm. [1]');
+    expect(answer.citations[0].youtube_id).toBe('SwQhKFMxmDY');
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createLLMProvider('nope')).toThrow('Unknown LLM provider: nope');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for schema-validated LLM outputs, repair re-asks and fallback counters
+ */
+
+import { parseLLMOutput, healthAnalysisSchema, createRankingSchema } from '../src/services/llmSchemas.js';
+import { MockLLMProvider } from '../src/services/llmProvider.js';
+import { OpenRouterService } from '../src/services/openRouterService.js';
+
+const validAnalysis = JSON.stringify({
+  healthTopics: ['sleep'],
+  symptoms: [],
+  intent: 'health_improvement',
+  relevantAreas: ['circadian biology'],
+  urgency: 'low',
+  recommendations: []
+});
+
+// Replies with each canned response in turn, repeating the last one
+const sequence = (...replies) => {
+  let call = 0;
+  return () => replies[Math.min(call++, replies.length - 1)];
+};
+
+const createService = (responses, options = {}) => {
+  const events = [];
+  const metrics = {
+    recordLLMFallback: (response, reason) => events.push(['fallback', response, reason]),
+    recordLLMRepair: (response, outcome) => events.push(['repair', response, outcome])
+  };
+  const provider = new MockLLMProvider({ responses });
+  const service = new OpenRouterService({ provider, metrics, maxRepairAttempts: 1, ...options });
+  return { service, provider, events };
+};
+
+describe('LLM output schemas', () => {
+  test('should accept JSON wrapped in prose or code fences', () => {
+    const parsed = parseLLMOutput('Here you go:\n```json\n' + validAnalysis + '\n```', healthAnalysisSchema);
+    expect(parsed.success).toBe(true);
+    expect(parsed.data.healthTopics).toEqual(['sleep']);
+  });
+
+  test('should report field-level issues', () => {
+    expect(parseLLMOutput('{"intent": "diagnosis", "urgency": "low"}', healthAnalysisSchema)).toEqual({
+      success: false,
+      issues: expect.stringContaining('intent:')
+    });
+    expect(parseLLMOutput('not json', healthAnalysisSchema).issues).toContain('not valid JSON');
+    expect(parseLLMOutput('{"results": [{"index": 5, "score": 0.9}]}', createRankingSchema(2)).success).toBe(false);
+  });
+
+  test('should re-ask with the validation issues and use the repaired output', async () => {
+    const { service, provider, events } = createService({ analysis: sequence('{"intent": "diagnosis"}', validAnalysis) });
+
+    const result = await service.processHealthQuery('how do I sleep better');
+
+    expect(result.intent).toBe('health_improvement');
+    expect(result.fallback).toBeUndefined();
+    expect(provider.requests).toHaveLength(2);
+    expect(provider.requests[1].messages.at(-1).content).toContain('Your previous reply was invalid');
+    expect(events).toEqual([['repair', 'health_analysis', 'repaired']]);
+  });
+
+  test('should fall back and count it once repairs are exhausted', async () => {
+    const { service, provider, events } = createService({ ranking: '{"results": [{"index": 9, "score": 2}]}' });
+
+    expect(await service.semanticSearch('sleep', [{ title: 'A' }, { title: 'B' }])).toEqual([]);
+    expect(provider.requests).toHaveLength(2);
+    expect(events).toEqual([
+      ['repair', 'ranking', 'failed'],
+      ['fallback', 'ranking', 'invalid_output']
+    ]);
+    expect(service.getUsageStats().fallbacks).toEqual({ 'ranking:invalid_output': 1 });
+  });
+
+  test('should count provider errors separately from invalid output', async () => {
+    const { service, events } = createService({ insight: () => { throw new Error('timeout'); } });
+
+    const insight = await service.generateHealthInsight({ title: 'Master Your Sleep', description: '' }, 'sleep');
+
+    expect(insight).toContain('Master Your Sleep');
+    expect(events).toEqual([['fallback', 'insight', 'error']]);
+  });
+});
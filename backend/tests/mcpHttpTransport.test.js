@@ -0,0 +1,155 @@
+/**
+ * Tests for the MCP HTTP (SSE) transport with concurrent sessions
+ */
+
+import http from 'node:http';
+import { HubermanHealthMCPServer } from '../src/mcp-server.js';
+
+// Opens GET /sse and resolves once the endpoint event names the session's POST URL
+const openSession = (port, headers = {}) => new Promise((resolve, reject) => {
+  const queue = [];
+  const waiting = [];
+
+  const req = http.get({ host: '127.0.0.1', port, path: '/sse', headers }, (res) => {
+    if (res.statusCode !== 200) {
+      resolve({ status: res.statusCode });
+      res.resume();
+      return;
+    }
+
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const event = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const type = event.match(/^event: (.*)$/m)?.[1];
+        const data = event.match(/^data: (.*)$/m)?.[1];
+
+        if (type === 'endpoint') {
+          resolve({
+            status: 200,
+            endpoint: data,
+            sessionId: new URL(data, 'http://localhost').searchParams.get('sessionId'),
+            next: () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(done => waiting.push(done))),
+            close: () => req.destroy()
+          });
+        } else if (waiting.length > 0) {
+          waiting.shift()(JSON.parse(data));
+        } else {
+          queue.push(JSON.parse(data));
+        }
+      }
+    });
+  });
+  req.on('error', reject);
+});
+
+const post = (port, endpoint, message, headers = {}) => fetch(`http://127.0.0.1:${port}${endpoint}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(message)
+});
+
+const initialize = (id) => ({
+  jsonrpc: '2.0',
+  id,
+  method: 'initialize',
+  params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test-client', version: '1.0.0' } }
+});
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('MCP HTTP transport', () => {
+  let mcp;
+  let port;
+
+  const start = async (options = {}) => {
+    mcp = new HubermanHealthMCPServer();
+    mcp.db = { close: async () => {}, getHealthTopics: async () => [], listVideoMetadata: async () => [] };
+    await mcp.listen(0, { maxSessions: 2, authToken: '', ...options });
+    port = mcp.httpServer.address().port;
+  };
+
+  beforeEach(async () => {
+    await start();
+  });
+
+  afterEach(async () => {
+    await mcp.cleanup();
+  });
+
+  test('should serve concurrent sessions independently', async () => {
+    const first = await openSession(port);
+    const second = await openSession(port);
+    expect(first.sessionId).not.toBe(second.sessionId);
+
+    expect((await post(port, first.endpoint, initialize(1))).status).toBe(202);
+    expect((await post(port, second.endpoint, initialize(7))).status).toBe(202);
+
+    const [firstInit, secondInit] = await Promise.all([first.next(), second.next()]);
+    expect(firstInit).toMatchObject({ id: 1, result: { serverInfo: { name: 'huberman-health-ai' } } });
+    expect(secondInit.id).toBe(7);
+    expect(Object.keys(firstInit.result.capabilities).sort()).toEqual(['prompts', 'resources', 'tools']);
+
+    await post(port, first.endpoint, { jsonrpc: '2.0', method: 'notifications/initialized' });
+    await post(port, first.endpoint, { jsonrpc: '2.0', id: 2, method: 'resources/list' });
+    expect(await first.next()).toEqual({ jsonrpc: '2.0', id: 2, result: { resources: [] } });
+
+    const health = await (await fetch(`http://127.0.0.1:${port}/health`)).json();
+    expect(health).toEqual({ status: 'healthy', transport: 'http', sessions: 2 });
+
+    first.close();
+    second.close();
+  });
+
+  test('should reject unknown sessions and sessions over the limit', async () => {
+    const response = await post(port, '/messages?sessionId=missing', initialize(1));
+    expect(response.status).toBe(404);
+    expect((await response.json()).error.code).toBe('SESSION_NOT_FOUND');
+
+    const sessions = [await openSession(port), await openSession(port)];
+    expect((await openSession(port)).status).toBe(503);
+
+    sessions[0].close();
+    await waitFor(() => mcp.sessions.size === 1);
+    expect(mcp.sessions.size).toBe(1);
+
+    const replacement = await openSession(port);
+    expect(replacement.status).toBe(200);
+
+    sessions[1].close();
+    replacement.close();
+  });
+
+  test('should require the bearer token on sessions and messages when one is set', async () => {
+    await mcp.cleanup();
+    await start({ authToken: 'secret-token' });
+    const auth = { Authorization: 'Bearer secret-token' };
+
+    expect((await openSession(port)).status).toBe(401);
+    expect((await openSession(port, { Authorization: 'Bearer wrong' })).status).toBe(401);
+
+    const session = await openSession(port, auth);
+    expect(session.status).toBe(200);
+    expect((await post(port, session.endpoint, initialize(1))).status).toBe(401);
+    expect((await post(port, session.endpoint, initialize(1), auth)).status).toBe(202);
+    expect((await session.next()).id).toBe(1);
+
+    expect((await fetch(`http://127.0.0.1:${port}/health`)).status).toBe(200);
+    session.close();
+  });
+
+  test('should refuse to listen beyond loopback without a token', async () => {
+    const exposed = new HubermanHealthMCPServer();
+
+    await expect(exposed.listen(0, { host: '0.0.0.0', authToken: '' })).rejects.toThrow(/MCP_AUTH_TOKEN is required/);
+    expect(exposed.httpServer).toBeNull();
+  });
+});
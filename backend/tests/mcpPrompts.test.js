@@ -0,0 +1,91 @@
+/**
+ * Tests for the MCP prompts capability
+ */
+
+import { connect, createDb, video } from './helpers/mcpHarness.js';
+
+const passage = (text, startTime) => ({ videoId: video.id, youtube_id: video.youtube_id, title: video.title, startTime, endTime: startTime + 60, text });
+
+const db = createDb({
+  searchProtocols: async ({ topic }) => (topic === 'better sleep'
+    ? [{
+      action: 'View morning sunlight.',
+      dose: '10 minutes',
+      timing: 'within an hour of waking',
+      caveats: ['never look directly at the sun'],
+      title: video.title,
+      url: 'https://www.youtube.com/watch?v=SwQhKFMxmDY&t=1205s'
+    }]
+    : []),
+  searchPassagesByText: async (query) => (query.includes('cold')
+    ? [passage('Cold exposure raises dopamine for hours.', 300.6)]
+    : query.includes('sleep') ? [passage('Morning light sets your circadian clock.', 1205)] : []),
+  getVideoSegments: async () => [
+    { startTime: 0, endTime: 60, text: 'Welcome to the podcast.', speaker: null, isSponsored: false }
+  ]
+});
+
+describe('MCP prompts', () => {
+  test('should list the templates with their arguments', async () => {
+    const { client } = await connect(db);
+
+    const { prompts } = await client.listPrompts();
+
+    expect(prompts.map(prompt => [prompt.name, prompt.arguments.map(argument => argument.name)])).toEqual([
+      ['build_protocol', ['goal']],
+      ['summarize_episode', ['youtubeId']],
+      ['compare', ['a', 'b', 'aspect']]
+    ]);
+    await client.close();
+  });
+
+  test('should expand a protocol prompt with tool calls, protocols and excerpts', async () => {
+    const { client } = await connect(db);
+
+    const { messages } = await client.getPrompt({ name: 'build_protocol', arguments: { goal: 'better sleep' } });
+    const [instructions, protocols, excerpts] = messages.map(message => message.content.text);
+
+    expect(instructions).toContain('get_protocols {"topic":"better sleep","limit":20}');
+    expect(protocols).toContain('- View morning sunlight (10 minutes, within an hour of waking). Caveats: never look directly at the sun.');
+    expect(excerpts).toContain('"Master Your Sleep" at 20:05 (https://www.youtube.com/watch?v=SwQhKFMxmDY&t=1205s): Morning light sets your circadian clock.');
+    await client.close();
+  });
+
+  test('should embed the episode transcript as a resource', async () => {
+    const { client } = await connect(db);
+
+    const { messages } = await client.getPrompt({ name: 'summarize_episode', arguments: { youtubeId: 'SwQhKFMxmDY' } });
+
+    expect(messages[0].content.text).toContain(`extract_timestamps {"videoId":"${video.id}","query":"<subtopic>"}`);
+    expect(messages[1].content).toEqual({
+      type: 'resource',
+      resource: {
+        uri: 'huberman://transcript/SwQhKFMxmDY',
+        mimeType: 'text/plain',
+        text: 'Master Your Sleep\nhttps://www.youtube.com/watch?v=SwQhKFMxmDY\n[0:00] Welcome to the podcast.'
+      }
+    });
+    await expect(client.getPrompt({ name: 'summarize_episode', arguments: { youtubeId: 'missing' } }))
+      .rejects.toThrow(/Episode not found/);
+    await client.close();
+  });
+
+  test('should expand a comparison with the compare_concepts call and excerpts per side', async () => {
+    const { client } = await connect(db);
+
+    const { messages } = await client.getPrompt({ name: 'compare', arguments: { a: 'cold exposure', b: 'sauna', aspect: 'recovery' } });
+
+    expect(messages[0].content.text).toContain('compare_concepts {"concepts":["cold exposure","sauna"],"aspect":"recovery"}');
+    expect(messages[1].content.text).toContain('at 5:00 (https://www.youtube.com/watch?v=SwQhKFMxmDY&t=300s): Cold exposure raises dopamine');
+    expect(messages[2].content.text).toContain('No matching transcript passages');
+    await client.close();
+  });
+
+  test('should reject unknown prompts and missing arguments', async () => {
+    const { client } = await connect(db);
+
+    await expect(client.getPrompt({ name: 'nope' })).rejects.toThrow(/Unknown prompt/);
+    await expect(client.getPrompt({ name: 'compare', arguments: { a: 'cold' } })).rejects.toThrow(/Missing required argument: b/);
+    await client.close();
+  });
+});
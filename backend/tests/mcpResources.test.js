@@ -0,0 +1,118 @@
+/**
+ * Tests for the MCP resources capability (videos, transcripts and topics)
+ */
+
+import { connect, createDb, video } from './helpers/mcpHarness.js';
+
+const createResourceDb = (videoCount = 1) => {
+  const videos = Array.from({ length: videoCount }, (_, i) => (i === 0 ? video : { ...video, id: `v${i + 1}`, youtube_id: `yt${i + 1}` }));
+
+  return createDb({
+    listVideoMetadata: async (limit, offset) => videos.slice(offset, offset + limit),
+    getVideoByYoutubeId: async (youtubeId) => videos.find(v => v.youtube_id === youtubeId) || null,
+    getVideoChapters: async () => [{ position: 1, title: 'Morning Light', startTime: 60, endTime: null }],
+    getVideoSegments: async () => [
+      { startTime: 0, endTime: 60, text: 'Welcome to the podcast.', speaker: null, isSponsored: false },
+      { startTime: 30.5, endTime: 60, text: 'This episode is brought to you by AG1.', speaker: null, isSponsored: true },
+      { startTime: 75.2, endTime: 120, text: 'View sunlight early in the day.', speaker: 'Andrew Huberman', isSponsored: false }
+    ],
+    getTopicVideos: async () => [{ id: video.id, youtube_id: 'SwQhKFMxmDY', title: 'Master Your Sleep', relevance_score: 0.82 }]
+  });
+};
+
+describe('MCP resources', () => {
+  test('should advertise the URI templates', async () => {
+    const { client } = await connect(createResourceDb());
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+      'huberman://video/{youtubeId}',
+      'huberman://transcript/{youtubeId}',
+      'huberman://topic/{name}'
+    ]);
+    await client.close();
+  });
+
+  test('should list topics, then a video and transcript per video, a page at a time', async () => {
+    const { client } = await connect(createResourceDb(60));
+
+    const first = await client.listResources();
+    expect(first.resources.slice(0, 4).map(resource => resource.uri)).toEqual([
+      'huberman://topic/Sleep',
+      'huberman://topic/Stress%20Management',
+      'huberman://video/SwQhKFMxmDY',
+      'huberman://transcript/SwQhKFMxmDY'
+    ]);
+    expect(first.resources).toHaveLength(2 + 48 * 2);
+    expect(first.nextCursor).toBeDefined();
+
+    const second = await client.listResources({ cursor: first.nextCursor });
+    expect(second.resources).toHaveLength(12 * 2);
+    expect(second.resources[0].uri).toBe('huberman://video/yt49');
+    expect(second.nextCursor).toBeUndefined();
+
+    await expect(client.listResources({ cursor: 'not-a-cursor' })).rejects.toThrow(/Invalid cursor/);
+    await client.close();
+  });
+
+  test('should page through topics when there are no videos', async () => {
+    const manyTopics = Array.from({ length: 120 }, (_, i) => ({ id: `t${i}`, name: `Topic ${i}` }));
+    const { client } = await connect({ ...createResourceDb(0), getHealthTopics: async () => manyTopics });
+
+    const pages = [];
+    let cursor;
+    do {
+      const page = await client.listResources(cursor ? { cursor } : {});
+      pages.push(page.resources.length);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(pages).toEqual([50, 50, 20]);
+    await client.close();
+  });
+
+  test('should read a timestamped transcript with chapters and sponsor reads marked', async () => {
+    const { client } = await connect(createResourceDb());
+
+    const { contents } = await client.readResource({ uri: 'huberman://transcript/SwQhKFMxmDY' });
+
+    expect(contents[0]).toMatchObject({ uri: 'huberman://transcript/SwQhKFMxmDY', mimeType: 'text/plain' });
+    expect(contents[0].text.split('\n')).toEqual([
+      'Master Your Sleep',
+      'https://www.youtube.com/watch?v=SwQhKFMxmDY',
+      '[0:00] Welcome to the podcast.',
+      '[0:30] [sponsor read] This episode is brought to you by AG1.',
+      '',
+      '## Morning Light',
+      '[1:15] Andrew Huberman: View sunlight early in the day.'
+    ]);
+    await client.close();
+  });
+
+  test('should read videos and topics as JSON', async () => {
+    const { client } = await connect(createResourceDb());
+
+    const videoResource = await client.readResource({ uri: 'huberman://video/SwQhKFMxmDY' });
+    expect(JSON.parse(videoResource.contents[0].text)).toMatchObject({
+      youtube_id: 'SwQhKFMxmDY',
+      url: 'https://www.youtube.com/watch?v=SwQhKFMxmDY',
+      transcriptUri: 'huberman://transcript/SwQhKFMxmDY',
+      chapters: [{ title: 'Morning Light', startTime: 60 }]
+    });
+
+    const topicResource = await client.readResource({ uri: 'huberman://topic/stress%20management' });
+    const topic = JSON.parse(topicResource.contents[0].text);
+    expect(topic.topic.name).toBe('Stress Management');
+    expect(topic.videos[0].uri).toBe('huberman://video/SwQhKFMxmDY');
+    await client.close();
+  });
+
+  test('should reject unknown and missing resources', async () => {
+    const { client } = await connect(createResourceDb());
+
+    await expect(client.readResource({ uri: 'huberman://video/missing' })).rejects.toThrow(/Resource not found/);
+    await expect(client.readResource({ uri: 'https://example.com' })).rejects.toThrow(/Unknown resource URI/);
+    await client.close();
+  });
+});
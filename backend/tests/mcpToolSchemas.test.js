@@ -0,0 +1,85 @@
+/**
+ * Tests for MCP tool argument validation
+ */
+
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { listTools, validateToolArguments } from '../src/services/mcpToolSchemas.js';
+import { connect } from './helpers/mcpHarness.js';
+
+describe('listTools', () => {
+  test('should generate each inputSchema from its zod schema', () => {
+    const search = listTools().find(tool => tool.name === 'semantic_search');
+
+    expect(search.inputSchema).toEqual({
+      type: 'object',
+      properties: {
+        query: { description: 'Search query', type: 'string', minLength: 1, maxLength: 1000 },
+        limit: { description: 'Maximum number of results', default: 10, type: 'integer', minimum: 1, maximum: 50 },
+        minRelevanceScore: { description: 'Minimum relevance score (0-1)', default: 0.1, type: 'number', minimum: 0, maximum: 1 },
+        includeSponsored: { description: 'Also return sponsor/ad reads, which are excluded by default', default: false, type: 'boolean' }
+      },
+      required: ['query'],
+      additionalProperties: false
+    });
+  });
+
+  test('should only require arguments without defaults', () => {
+    const required = Object.fromEntries(listTools().map(tool => [tool.name, tool.inputSchema.required || []]));
+
+    expect(required.extract_timestamps).toEqual(['videoId', 'query']);
+    expect(required.compare_concepts).toEqual(['concepts']);
+    expect(required.get_protocols).toEqual([]);
+  });
+});
+
+describe('validateToolArguments', () => {
+  test('should apply defaults and trim strings', () => {
+    expect(validateToolArguments('semantic_search', { query: '  sleep  ' })).toEqual({
+      success: true,
+      data: { query: 'sleep', limit: 10, minRelevanceScore: 0.1, includeSponsored: false }
+    });
+    expect(validateToolArguments('get_video_stats', undefined)).toEqual({ success: true, data: {} });
+  });
+
+  test('should report every invalid field', () => {
+    const result = validateToolArguments('semantic_search', { query: 'x'.repeat(10001), limit: 'abc', extra: true });
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe([
+      'query: Too big: expected string to have <=1000 characters',
+      'limit: Invalid input: expected number, received string',
+      'extra: unknown argument'
+    ].join('; '));
+  });
+
+  test('should reject missing and malformed identifiers', () => {
+    expect(validateToolArguments('extract_timestamps', { query: 'sleep' }).message)
+      .toBe('videoId: Invalid input: expected string, received undefined');
+    expect(validateToolArguments('process_health_query', { query: 'sleep', sessionId: 'abc' }).message)
+      .toBe('sessionId: Invalid UUID');
+    expect(validateToolArguments('compare_concepts', { concepts: ['cold'] }).message)
+      .toBe('concepts: Too small: expected array to have >=2 items');
+  });
+
+  test('should return null for unknown tools', () => {
+    expect(validateToolArguments('drop_tables', {})).toBeNull();
+  });
+});
+
+describe('MCP tool calls', () => {
+  test('should answer invalid calls with InvalidParams before running the tool', async () => {
+    const { mcp, client } = await connect();
+    let searched = false;
+    mcp.semanticSearch = { searchTranscripts: async () => { searched = true; return []; } };
+
+    await expect(client.callTool({ name: 'semantic_search', arguments: { query: 'sleep', limit: 'abc' } }))
+      .rejects.toMatchObject({ code: ErrorCode.InvalidParams, message: expect.stringContaining('limit: Invalid input') });
+    await expect(client.callTool({ name: 'no_such_tool', arguments: {} }))
+      .rejects.toMatchObject({ code: ErrorCode.MethodNotFound });
+    expect(searched).toBe(false);
+
+    await client.callTool({ name: 'semantic_search', arguments: { query: 'sleep' } });
+    expect(searched).toBe(true);
+    await client.close();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the MCP transcript, similar video, video details and topic video tools
+ */
+
+import { connect, createDb, video } from './helpers/mcpHarness.js';
+
+const topicVideos = Array.from({ length: 12 }, (_, i) => ({ id: `v${i}`, youtube_id: `yt${i}`, title: `Episode ${i}`, relevance_score: 1 - i / 100 }));
+
+const db = createDb({
+  getVideoChapters: async () => [
+    { position: 1, title: 'Introduction', startTime: 0, endTime: 60 },
+    { position: 2, title: 'Morning Light', startTime: 60, endTime: null }
+  ],
+  getVideoSegments: async () => [
+    { startTime: 0, endTime: 30, text: 'Welcome to the podcast.', speaker: 'Andrew Huberman', isSponsored: false },
+    { startTime: 30, endTime: 60, text: 'This episode is brought to you by AG1.', speaker: null, isSponsored: true },
+    { startTime: 60, endTime: 90, text: 'View sunlight early in the day.', speaker: 'Andrew Huberman', isSponsored: false },
+    { startTime: 90, endTime: 120, text: 'Ten minutes on a clear day.', speaker: 'Andrew Huberman', isSponsored: false },
+    { startTime: 120, endTime: 150, text: 'Avoid bright light at night.', speaker: 'Andrew Huberman', isSponsored: false }
+  ],
+  getEpisodeSummary: async () => ({ summary: 'How light sets the circadian clock.' }),
+  getTopicVideos: async (topicId, { limit, offset }) => (topicId === 't1' ? topicVideos.slice(offset, offset + limit) : [])
+});
+
+const call = async (client, name, args) => {
+  const result = await client.callTool({ name, arguments: args });
+  return JSON.parse(result.content[0].text);
+};
+
+describe('MCP video tools', () => {
+  test('should read a padded transcript window without sponsor reads, a page at a time', async () => {
+    const { client } = await connect(db);
+
+    const first = await call(client, 'get_transcript', { videoId: 'SwQhKFMxmDY', startTime: 70, endTime: 100, padding: 10, limit: 1 });
+    expect(first.data).toMatchObject({ videoId: video.id, range: { startTime: 60, endTime: 110 }, totalSegments: 2 });
+    expect(first.data.segments).toEqual([{
+      startTime: 60,
+      endTime: 90,
+      label: '1:00',
+      speaker: 'Andrew Huberman',
+      chapter: 'Morning Light',
+      isSponsored: false,
+      text: 'View sunlight early in the day.',
+      url: 'https://www.youtube.com/watch?v=SwQhKFMxmDY&t=60s'
+    }]);
+
+    const second = await call(client, 'get_transcript', { videoId: video.id, startTime: 70, endTime: 100, padding: 10, limit: 1, cursor: first.data.nextCursor });
+    expect(second.data.segments.map(segment => segment.text)).toEqual(['Ten minutes on a clear day.']);
+    expect(second.data.nextCursor).toBeNull();
+
+    const all = await call(client, 'get_transcript', { videoId: video.id, endTime: 60 });
+    expect(all.data.segments.map(segment => segment.startTime)).toEqual([0]);
+    const withSponsors = await call(client, 'get_transcript', { videoId: video.id, endTime: 60, includeSponsored: true });
+    expect(withSponsors.data.segments[1]).toMatchObject({ isSponsored: true, chapter: 'Introduction' });
+    await client.close();
+  });
+
+  test('should page through similar videos', async () => {
+    const { mcp, client } = await connect(db);
+    const similar = Array.from({ length: 7 }, (_, i) => ({ id: `v${i}`, title: `Episode ${i}` }));
+    const requested = [];
+    mcp.semanticSearch.findSimilarContent = async (videoId, options) => {
+      requested.push([videoId, options]);
+      return similar.slice(0, options.limit);
+    };
+
+    const first = await call(client, 'find_similar_videos', { videoId: 'SwQhKFMxmDY', limit: 4 });
+    expect(first.data.videos.map(v => v.id)).toEqual(['v0', 'v1', 'v2', 'v3']);
+    const second = await call(client, 'find_similar_videos', { videoId: 'SwQhKFMxmDY', limit: 4, cursor: first.data.nextCursor });
+    expect(second.data.videos.map(v => v.id)).toEqual(['v4', 'v5', 'v6']);
+    expect(second.data.nextCursor).toBeNull();
+    expect(requested).toEqual([
+      [video.id, { limit: 50, includeTimestamps: false }],
+      [video.id, { limit: 50, includeTimestamps: false }]
+    ]);
+    await client.close();
+  });
+
+  test('should return video details and report unknown videos', async () => {
+    const { client } = await connect(db);
+
+    const details = await call(client, 'get_video_details', { videoId: 'SwQhKFMxmDY' });
+    expect(details.data).toMatchObject({
+      id: video.id,
+      url: 'https://www.youtube.com/watch?v=SwQhKFMxmDY',
+      transcriptUri: 'huberman://transcript/SwQhKFMxmDY',
+      summary: { summary: 'How light sets the circadian clock.' }
+    });
+    expect(details.data.chapters).toHaveLength(2);
+
+    const missing = await call(client, 'get_video_details', { videoId: 'missing' });
+    expect(missing).toEqual({ success: false, error: { code: 'VIDEO_NOT_FOUND', message: 'Video not found: missing' } });
+    await client.close();
+  });
+
+  test('should list topic videos by name or closest suggestion, with cursors', async () => {
+    const { client } = await connect(db);
+
+    const first = await call(client, 'get_topic_videos', { topic: 'sleep' });
+    expect(first.data.topic.name).toBe('Sleep');
+    expect(first.data.suggestions).toEqual([{ name: 'Stress Management', relevanceScore: 1 }]);
+    expect(first.data.videos).toHaveLength(10);
+    expect(first.data.videos[0]).toMatchObject({ youtube_id: 'yt0', uri: 'huberman://video/yt0' });
+
+    const second = await call(client, 'get_topic_videos', { topic: 'sleep', cursor: first.data.nextCursor });
+    expect(second.data.videos.map(v => v.youtube_id)).toEqual(['yt10', 'yt11']);
+    expect(second.data.nextCursor).toBeNull();
+
+    const suggested = await call(client, 'get_topic_videos', { topic: 'circadian rhythms' });
+    expect(suggested.data.topic.name).toBe('Sleep');
+
+    expect((await call(client, 'get_topic_videos', { topic: 'astrophysics' })).error.code).toBe('TOPIC_NOT_FOUND');
+    await expect(client.callTool({ name: 'get_topic_videos', arguments: { topic: 'sleep', cursor: 'bogus' } }))
+      .rejects.toThrow(/Invalid cursor/);
+    await client.close();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for merging caption segments into passages
+ */
+
+import { buildPassages, splitIntoSentences, countTokens } from '../src/services/passageChunker.js';
+
+const captions = (texts, duration = 3) => texts.map((text, index) => ({
+  text,
+  startTime: index * duration,
+  endTime: (index + 1) * duration,
+  segmentIndex: index
+}));
+
+describe('splitIntoSentences', () => {
+  test('should join fragments that belong to one sentence', () => {
+    const sentences = splitIntoSentences(captions([
+      'Morning sunlight helps',
+      'set your circadian rhythm.',
+      'Try it daily.'
+    ]));
+
+    expect(sentences.map(s => s.text)).toEqual([
+      'Morning sunlight helps set your circadian rhythm.',
+      'Try it daily.'
+    ]);
+    expect(sentences[0]).toMatchObject({ startTime: 0, endTime: 6, segmentStartIndex: 0, segmentEndIndex: 1 });
+  });
+
+  test('should split inside a segment and interpolate times', () => {
+    const sentences = splitIntoSentences(captions(['Get light. Then move']));
+
+    expect(sentences.map(s => s.text)).toEqual(['Get light.', 'Then move']);
+    expect(sentences[0].endTime).toBeGreaterThan(0);
+    expect(sentences[0].endTime).toBeLessThan(3);
+    expect(sentences[1].startTime).toBe(sentences[0].endTime);
+  });
+
+  test('should treat caption lines as sentences when the transcript has no punctuation', () => {
+    const sentences = splitIntoSentences(captions(['so dopamine is', 'a molecule of motivation', 'and craving']));
+
+    expect(sentences).toHaveLength(3);
+  });
+});
+
+describe('buildPassages', () => {
+  const transcript = captions(
+    Array.from({ length: 40 }, (_, i) => `Sentence number ${i} covers one small idea.`)
+  );
+
+  test('should return no passages for an empty transcript', () => {
+    expect(buildPassages([])).toEqual([]);
+  });
+
+  test('should build overlapping windows near the token target', () => {
+    const passages = buildPassages(transcript, { targetSize: 40, maxSize: 60, overlap: 10 });
+
+    expect(passages.length).toBeGreaterThan(1);
+    passages.forEach((passage, index) => {
+      expect(passage.passageIndex).toBe(index);
+      expect(passage.tokenCount).toBe(countTokens(passage.text));
+      expect(passage.tokenCount).toBeLessThanOrEqual(60);
+      expect(passage.text).toMatch(/\.$/);
+    });
+
+    expect(passages[1].startTime).toBeLessThan(passages[0].endTime);
+    expect(passages[passages.length - 1].endTime).toBe(transcript[transcript.length - 1].endTime);
+  });
+
+  test('should size windows by seconds', () => {
+    const passages = buildPassages(transcript, { sizeBy: 'seconds', targetSize: 30, maxSize: 45, overlap: 6 });
+
+    passages.forEach(passage => {
+      expect(passage.endTime - passage.startTime).toBeLessThanOrEqual(45);
+    });
+    expect(passages[0].endTime - passages[0].startTime).toBeGreaterThanOrEqual(30);
+  });
+
+  test('should always make progress when overlap exceeds the target', () => {
+    const passages = buildPassages(transcript, { targetSize: 10, overlap: 50 });
+
+    for (let i = 1; i < passages.length; i++) {
+      expect(passages[i].segmentStartIndex).toBeGreaterThan(passages[i - 1].segmentStartIndex);
+    }
+  });
+});
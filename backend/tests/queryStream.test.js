@@ -0,0 +1,112 @@
+/**
+ * Tests for the /api/query/stream Server-Sent Events route
+ */
+
+import http from 'http';
+import express from 'express';
+import request from 'supertest';
+import { createQueryStreamRoutes } from '../src/routes/queryStream.js';
+
+const results = [{ id: 'v1', title: 'Master Your Sleep', timestamps: [] }];
+
+// Pipeline stages that report progress the way searchForQuery and generateAnswer do
+const createPipeline = (overrides = {}) => ({
+  resolveConversation: async (sessionId, query) => ({ session: null, searchQuery: query, rewritten: false, boostVideoIds: [] }),
+  resolveGuest: async () => ({ guest: null, videoIds: null }),
+  analyzeQuery: async () => ({ processedQuery: { intent: 'protocol' }, aiCost: 0 }),
+  searchForQuery: async (query, processedQuery, { onProgress }) => {
+    onProgress('candidates', results);
+    onProgress('results', results);
+    onProgress('timestamps', { videoId: 'v1', timestamps: [] });
+    return results;
+  },
+  generateAnswer: async (query, searchResults, { onToken }) => {
+    onToken('Get ');
+    onToken('morning light.');
+    return { text: 'Get morning light.', citations: [], cost: 0 };
+  },
+  recordConversationTurn: async () => {},
+  ...overrides
+});
+
+const createApp = (pipeline) => {
+  const app = express();
+  app.use('/api/query/stream', createQueryStreamRoutes({
+    pipeline,
+    triage: { assess: () => null, fromAnalysis: () => null },
+    prometheus: { recordError: () => {}, recordQueryProcessing: () => {}, recordUserSession: () => {} },
+    database: { isConnected: false }
+  }));
+  return app;
+};
+
+const eventNames = (body) => body
+  .split('\n')
+  .filter(line => line.startsWith('event: '))
+  .map(line => line.slice('event: '.length));
+
+describe('query stream route', () => {
+  test('should emit the pipeline stages in order', async () => {
+    const response = await request(createApp(createPipeline())).get('/api/query/stream?query=sleep');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(eventNames(response.text)).toEqual([
+      'processed_query',
+      'candidates',
+      'results',
+      'timestamps',
+      'answer_token',
+      'answer_token',
+      'answer',
+      'done'
+    ]);
+  });
+
+  test('should reject an invalid mode before streaming', async () => {
+    const response = await request(createApp(createPipeline())).get('/api/query/stream?query=sleep&mode=chat');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('should stop generating once the client disconnects', async () => {
+    let disconnect;
+    const disconnected = new Promise(resolve => { disconnect = resolve; });
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+    let answersGenerated = 0;
+
+    const pipeline = createPipeline({
+      // Hold the search open until the client has gone away
+      searchForQuery: async (query, processedQuery, { onProgress }) => {
+        onProgress('candidates', results);
+        await disconnected;
+        onProgress('results', results);
+        return results;
+      },
+      generateAnswer: async () => {
+        answersGenerated++;
+        return { text: '', citations: [], cost: 0 };
+      },
+      recordConversationTurn: async () => finish()
+    });
+
+    const server = http.createServer(createApp(pipeline));
+    // Resume the search once the server has seen the connection drop
+    server.on('connection', socket => socket.on('close', () => setImmediate(disconnect)));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const req = http.get(`http://127.0.0.1:${server.address().port}/api/query/stream?query=sleep`, res => {
+        res.once('data', () => req.destroy());
+      });
+      req.on('error', () => {});
+
+      await finished;
+      expect(answersGenerated).toBe(0);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for speaker attribution, at ingest and in the guest backfill job
+ */
+
+import { attributeSpeakers, UNKNOWN_SPEAKER } from '../src/services/speakerAttribution.js';
+import { HOST_NAME } from '../src/services/guestExtractor.js';
+import { DatabaseService } from '../src/services/databaseService.js';
+import { GuestDetectionJob } from '../src/jobs/detectGuests.js';
+
+const segment = (id, text) => ({ id, text, startTime: 0, endTime: 5 });
+
+describe('attributeSpeakers', () => {
+  const guests = [{ name: 'Matthew Walker' }];
+
+  test('should alternate speakers at ">>" markers and strip the markers', () => {
+    const attributed = attributeSpeakers([
+      segment('s1', "Welcome to the Huberman Lab podcast. I'm Andrew Huberman."),
+      segment('s2', 'and my guest today is Dr. Matthew Walker.'),
+      segment('s3', '>> Thanks for having me, Andrew.'),
+      segment('s4', 'Sleep is the foundation.'),
+      segment('s5', '>> So how much should we sleep?')
+    ], guests);
+
+    expect(attributed.map(s => s.speaker)).toEqual([HOST_NAME, HOST_NAME, 'Matthew Walker', 'Matthew Walker', HOST_NAME]);
+    expect(attributed[2].text).toBe('Thanks for having me, Andrew.');
+  });
+
+  test('should only attribute cued segments without markers', () => {
+    const attributed = attributeSpeakers([
+      segment('s1', "I'm Andrew Huberman, and I'm a professor of neurobiology."),
+      segment('s2', 'Sleep is the foundation.')
+    ], guests);
+
+    expect(attributed.map(s => s.speaker)).toEqual([HOST_NAME, UNKNOWN_SPEAKER]);
+  });
+
+  test('should attribute solo episodes to the host', () => {
+    expect(attributeSpeakers([segment('s1', 'Today we talk about light.')], []))
+      .toEqual([expect.objectContaining({ speaker: HOST_NAME })]);
+  });
+});
+
+describe('ingest then backfill', () => {
+  const video = { id: 'v1', youtube_id: 'abc', title: 'Dr. Matthew Walker: Sleep', description: '' };
+  const captions = [
+    { start: 0, dur: 5, text: "Welcome to the Huberman Lab podcast. I'm Andrew Huberman." },
+    { start: 5, dur: 5, text: 'My guest today is Dr. Matthew Walker.' },
+    { start: 10, dur: 5, text: '>> Thanks for having me.' },
+    { start: 15, dur: 5, text: 'Sleep is the foundation of health.' },
+    { start: 20, dur: 5, text: '>> How much should we sleep?' }
+  ];
+
+  // Runs storeTranscript against a fake pool and returns the segment rows it inserted
+  const ingest = async () => {
+    const rows = [];
+    const query = async (sql, params) => {
+      if (sql.includes('FROM videos')) return { rows: [{ id: video.id, description: '' }] };
+      if (sql.includes('INSERT INTO transcripts')) return { rows: [{ id: 't1' }] };
+      if (sql.includes('FROM guests')) return { rows: [{ id: 'g1', name: 'Matthew Walker', slug: 'matthew-walker' }] };
+      if (sql.includes('INSERT INTO transcript_segments')) {
+        const [, , startTime, endTime, text, speaker, isSponsored] = params;
+        const row = { id: `s${rows.length + 1}`, start_time: startTime, end_time: endTime, text, speaker, is_sponsored: isSponsored };
+        rows.push(row);
+        return { rows: [row] };
+      }
+      return { rows: [], rowCount: 0 };
+    };
+
+    const db = new DatabaseService();
+    db.isConnected = true;
+    db.pool = { query, connect: async () => ({ query, release: () => {} }) };
+    await db.storeTranscript({ videoId: video.youtube_id, transcript: captions });
+    return rows;
+  };
+
+  test('should keep the speakers attributed at ingest when the backfill runs again', async () => {
+    const rows = await ingest();
+    expect(rows.map(row => row.speaker)).toEqual([HOST_NAME, HOST_NAME, 'Matthew Walker', 'Matthew Walker', HOST_NAME]);
+    expect(rows.some(row => row.text.includes('>>'))).toBe(false);
+
+    const speakerUpdates = [];
+    const db = {
+      listVideoMetadata: async (limit, offset) => (offset === 0 ? [video] : []),
+      storeVideoGuests: async (videoId, guests) => guests.map(guest => ({ id: 'g1', ...guest })),
+      getVideoSegments: async () => rows.map(row => ({
+        id: row.id,
+        speaker: row.speaker,
+        isSponsored: row.is_sponsored,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        text: row.text
+      })),
+      updateSegmentSpeakers: async (updates) => {
+        speakerUpdates.push(...updates);
+        return updates.length;
+      }
+    };
+
+    const result = await new GuestDetectionJob({ db }).run();
+
+    expect(result.segmentsAttributed).toBe(0);
+    expect(speakerUpdates).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for sponsor read detection
+ */
+
+import { extractSponsors, findSponsorRanges, markSponsoredSegments } from '../src/services/sponsorDetector.js';
+import { parseChapters } from '../src/services/chapterParser.js';
+import { SponsorDetectionJob } from '../src/jobs/detectSponsors.js';
+
+const description = [
+  'My guest is Dr. Matthew Walker.',
+  '',
+  'Thank you to our sponsors',
+  'AG1: https://drinkag1.com/huberman',
+  'Eight Sleep: https://eightsleep.com/huberman',
+  '',
+  'Social & Podcast',
+  'Instagram: https://www.instagram.com/hubermanlab',
+  '',
+  'Timestamps',
+  '00:00 Dr. Matthew Walker',
+  '03:00 Sleep Pressure',
+  '45:00 Sponsor: AG1',
+  '47:00 Caffeine & Adenosine'
+].join('\n');
+
+const segment = (startTime, text) => ({ id: `s${startTime}`, startTime, endTime: startTime + 5, text });
+
+const segments = [
+  segment(0, 'Welcome to the Huberman Lab podcast.'),
+  segment(30, 'My guest today is Dr. Matthew Walker.'),
+  segment(60, "Before we begin, today's episode is brought to you by AG1."),
+  segment(70, 'AG1 is a vitamin, mineral, probiotic drink.'),
+  segment(120, 'Go to drinkag1.com/huberman to claim a special offer.'),
+  segment(150, 'And now for my discussion with Dr. Matthew Walker.'),
+  segment(180, 'Sleep pressure builds with adenosine.'),
+  segment(2705, 'I take AG1 once a day.'),
+  segment(2900, 'Caffeine blocks adenosine receptors.')
+];
+
+describe('extractSponsors', () => {
+  test('should read sponsor names and link domains but skip social links', () => {
+    expect(extractSponsors(description)).toEqual(['AG1', 'Eight Sleep', 'eightsleep']);
+  });
+});
+
+describe('findSponsorRanges', () => {
+  test('should combine sponsor chapters with caption reads', () => {
+    expect(findSponsorRanges(segments, { description, chapters: parseChapters(description, 5000) })).toEqual([
+      { startTime: 60, endTime: 150, source: 'captions' },
+      { startTime: 2700, endTime: 2820, source: 'chapter' }
+    ]);
+  });
+
+  test('should end a caption read at its last promo line without chapters', () => {
+    expect(findSponsorRanges(segments)).toEqual([{ startTime: 60, endTime: 125, source: 'captions' }]);
+  });
+});
+
+describe('markSponsoredSegments', () => {
+  test('should flag only the sponsor reads', () => {
+    const marked = markSponsoredSegments(segments, { description, chapters: parseChapters(description, 5000) });
+
+    expect(marked.filter(s => s.isSponsored).map(s => s.startTime)).toEqual([60, 70, 120, 2705]);
+  });
+});
+
+describe('SponsorDetectionJob', () => {
+  test('should update segments whose flag changed', async () => {
+    const updates = [];
+    const db = {
+      listVideoMetadata: async (limit, offset) => (offset === 0
+        ? [{ id: 'v1', youtube_id: 'abc', title: 'Sleep', description }]
+        : []),
+      getVideoSegments: async () => segments.map(s => ({ ...s, isSponsored: s.startTime === 70 })),
+      getVideoChapters: async () => [],
+      updateSegmentSponsorFlags: async (videoId, changed) => {
+        updates.push(...changed);
+        return changed.length;
+      }
+    };
+
+    const result = await new SponsorDetectionJob({ db }).run();
+
+    expect(result).toEqual({ videosProcessed: 1, segmentsFlagged: 3, segmentsUpdated: 2 });
+    expect(updates).toEqual([{ id: 's60', isSponsored: true }, { id: 's120', isSponsored: true }]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the map-reduce episode summary job
+ */
+
+import { EpisodeSummaryJob, groupPassagesIntoSections } from '../src/jobs/summarizeEpisodes.js';
+import { MockLLMProvider } from '../src/services/llmProvider.js';
+import { OpenRouterService } from '../src/services/openRouterService.js';
+import { BudgetExceededError } from '../src/services/costLedger.js';
+
+const passages = (count, tokenCount = 100) => Array.from({ length: count }, (_, index) => ({
+  passageIndex: index,
+  startTime: index * 60.5,
+  endTime: (index + 1) * 60.5,
+  text: `Passage ${index} about morning light.`,
+  tokenCount
+}));
+
+function createFakeDb(videos) {
+  return {
+    stored: {},
+    async getVideosMissingSummaries(limit) {
+      return videos.filter(video => !this.stored[video.id]).slice(0, limit);
+    },
+    async getVideoPassages(videoId) {
+      return videos.find(video => video.id === videoId).passages;
+    },
+    async storeEpisodeSummary(videoId, summary) {
+      this.stored[videoId] = summary;
+      return videoId;
+    }
+  };
+}
+
+describe('groupPassagesIntoSections', () => {
+  test('should cut sections at the token limit and keep their time range', () => {
+    const sections = groupPassagesIntoSections(passages(5), 250);
+
+    expect(sections).toHaveLength(3);
+    expect(sections[0]).toMatchObject({ startTime: 0, endTime: 121, tokenCount: 200 });
+    expect(sections[0].text).toBe('Passage 0 about morning light. Passage 1 about morning light.');
+    expect(sections[2]).toMatchObject({ startTime: 242, endTime: 302.5, tokenCount: 100 });
+  });
+});
+
+describe('EpisodeSummaryJob', () => {
+  test('should summarize each section, combine them and map chapters to start times', async () => {
+    const provider = new MockLLMProvider();
+    const db = createFakeDb([{ id: 'v1', youtube_id: 'abc', title: 'Master Your Sleep', passages: passages(4) }]);
+    const job = new EpisodeSummaryJob({ db, openRouter: new OpenRouterService({ provider }), sectionTokens: 200 });
+
+    const result = await job.run();
+
+    expect(result).toEqual({ videosSummarized: 1, videosFailed: 0 });
+    expect(provider.requests.map(request => request.task)).toEqual(['summary', 'summary', 'summary']);
+    expect(db.stored.v1).toMatchObject({
+      takeaways: ['Mock takeaway drawn from the section summaries.'],
+      chapters: [{ title: 'Part 1', startTime: 0 }, { title: 'Part 2', startTime: 121 }],
+      model: 'mock-llm',
+      sectionCount: 2
+    });
+  });
+
+  test('should skip videos whose output stays invalid and carry on', async () => {
+    const provider = new MockLLMProvider({ responses: { summary: '{"title": ""}' } });
+    const db = createFakeDb([
+      { id: 'v1', youtube_id: 'abc', title: 'One', passages: passages(1) },
+      { id: 'v2', youtube_id: 'def', title: 'Two', passages: passages(1) }
+    ]);
+    const job = new EpisodeSummaryJob({ db, openRouter: new OpenRouterService({ provider, maxRepairAttempts: 0 }) });
+
+    expect(await job.run()).toEqual({ videosSummarized: 0, videosFailed: 2 });
+    expect(db.stored).toEqual({});
+  });
+
+  test('should stop when the LLM budget is exhausted', async () => {
+    const db = createFakeDb([{ id: 'v1', youtube_id: 'abc', title: 'One', passages: passages(1) }]);
+    const openRouter = new OpenRouterService({ provider: new MockLLMProvider() });
+    openRouter.ensureBudget = async () => {
+      throw new BudgetExceededError('summary');
+    };
+
+    await expect(new EpisodeSummaryJob({ db, openRouter }).run()).rejects.toThrow(BudgetExceededError);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for keyword and embedding topic tagging
+ */
+
+import { tagVideo, scoreKeywords, buildTopicMatchers } from '../src/services/topicTagger.js';
+import { TopicTaggingJob } from '../src/jobs/tagTopics.js';
+
+const topics = [
+  { id: 'sleep', name: 'Sleep', keywords: ['sleep', 'circadian', 'melatonin', 'sleep hygiene'] },
+  { id: 'cold', name: 'Cold Exposure', keywords: ['cold', 'ice bath', 'brown fat'] }
+];
+
+const passage = (id, text) => ({ id, text });
+
+describe('scoreKeywords', () => {
+  test('should match whole words, plurals and multi-word keywords', () => {
+    const matchers = buildTopicMatchers(topics[1]);
+
+    expect(scoreKeywords('Two ice baths a week', matchers).matchedKeywords).toEqual(['ice bath']);
+    expect(scoreKeywords('A cold plunge activates brown-fat thermogenesis', matchers).matchedKeywords).toEqual(['cold', 'brown fat']);
+    expect(scoreKeywords('The scaffolding was colder', matchers).matchedKeywords).toEqual([]);
+  });
+});
+
+describe('tagVideo', () => {
+  const video = { title: 'Master Your Sleep', description: 'Tools for better sleep and circadian health.' };
+  const passages = [
+    passage('p1', 'Sleep is driven by your circadian clock and melatonin release.'),
+    passage('p2', 'Get morning light to anchor your sleep schedule.'),
+    passage('p3', 'Caffeine has a long half-life.')
+  ];
+
+  test('should tag the video and the on-topic passages only', () => {
+    const { videoTopics, passageTopics } = tagVideo(video, passages, topics);
+
+    expect(videoTopics).toHaveLength(1);
+    expect(videoTopics[0]).toMatchObject({ topicId: 'sleep', passageCount: 2 });
+    expect(videoTopics[0].matchedKeywords).toEqual(expect.arrayContaining(['sleep', 'circadian', 'melatonin']));
+    expect(passageTopics.map(tag => tag.passageId)).toEqual(['p1', 'p2']);
+  });
+
+  test('should let embedding similarity tag passages without keyword hits', () => {
+    const similarities = new Map([['cold', new Map([['p3', 0.95]])], ['sleep', new Map()]]);
+    const { passageTopics } = tagVideo(video, passages, topics, { similarities });
+
+    expect(passageTopics).toContainEqual({ passageId: 'p3', topicId: 'cold', relevanceScore: 0.469 });
+  });
+});
+
+describe('TopicTaggingJob', () => {
+  test('should store tags for every video and refresh topic video counts', async () => {
+    const stored = {};
+    let countsRefreshed = false;
+    const db = {
+      getHealthTopics: async () => topics,
+      listVideoMetadata: async (limit, offset) => (offset === 0
+        ? [{ id: 'v1', youtube_id: 'abc', title: 'Cold Exposure for Health', description: '' }]
+        : []),
+      getVideoPassages: async () => [passage('p1', 'Deliberate cold exposure, such as an ice bath, raises dopamine.')],
+      storeVideoTopics: async (videoId, tags) => {
+        stored[videoId] = tags;
+        return true;
+      },
+      refreshTopicVideoCounts: async () => {
+        countsRefreshed = true;
+        return topics.length;
+      }
+    };
+
+    const result = await new TopicTaggingJob({ db }).run();
+
+    expect(result).toEqual({ videosTagged: 1, videoTags: 1, passageTags: 1 });
+    expect(stored.v1.videoTopics[0].topicId).toBe('cold');
+    expect(countsRefreshed).toBe(true);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for rule-based urgent-symptom triage
+ */
+
+import { TriageService } from '../src/services/triageService.js';
+
+const triage = new TriageService();
+const flagIds = (...texts) => triage.assess(...texts)?.flags.map(flag => flag.id) || [];
+
+describe('TriageService', () => {
+  test('should flag red-flag symptoms without the LLM', () => {
+    expect(flagIds('I have crushing chest pain spreading to my left arm')).toEqual(['chest_pain']);
+    expect(flagIds('my dad\'s face is drooping and he has slurred speech')).toEqual(['stroke']);
+    expect(flagIds('I feel suicidal and can\'t sleep')).toEqual(['suicidal_ideation']);
+    expect(flagIds('my throat is swelling after eating peanuts')).toEqual(['anaphylaxis']);
+  });
+
+  test('should not flag general questions about a condition', () => {
+    expect(flagIds('How can I reduce my stroke risk with exercise?')).toEqual([]);
+    expect(flagIds('What does Huberman say about heart attack prevention?')).toEqual([]);
+    expect(flagIds('How do I improve my sleep?')).toEqual([]);
+  });
+
+  test('should not read heat stroke as a stroke', () => {
+    expect(flagIds('heat stroke prevention in the sauna')).toEqual([]);
+    expect(flagIds('Can I get heat-stroke or sunstroke from a long hot sauna?')).toEqual([]);
+    expect(flagIds('I think my mom just had a stroke')).toEqual(['stroke']);
+  });
+
+  test('should check the rewritten follow-up as well as the raw query', () => {
+    expect(flagIds('what if it spreads to my jaw?', 'chest pain what if it spreads to my jaw')).toEqual(['chest_pain']);
+  });
+
+  test('should return crisis resources for mental health emergencies', () => {
+    const result = triage.assess('I want to die');
+
+    expect(result.level).toBe('emergency');
+    expect(result.title).toBe('Please reach out for support now');
+    expect(result.resources.map(resource => resource.name)).toContain('988 Suicide & Crisis Lifeline');
+  });
+
+  test('should turn high model-assessed urgency into an advisory only', () => {
+    expect(triage.fromAnalysis({ urgency: 'high' }).level).toBe('advisory');
+    expect(triage.fromAnalysis({ urgency: 'medium' })).toBeNull();
+    expect(triage.fromAnalysis(null)).toBeNull();
+  });
+});
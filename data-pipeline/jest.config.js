@@ -0,0 +1,8 @@
+export default {
+    testEnvironment: 'node',
+    transform: {},
+    testMatch: [
+        '**/tests/**/*.test.js'
+    ],
+    testTimeout: 10000
+};
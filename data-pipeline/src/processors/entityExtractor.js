@@ -0,0 +1,139 @@
+/**
+ * Entity extractor
+ * Finds named compounds, supplements, hormones, neurotransmitters and brain
+ * regions in transcript text. Two passes:
+ * - lexicon: every spelling in entityLexicon.js, matched on word boundaries
+ *   (plurals and "omega 3" / "omega-3" variants included);
+ * - discovery: compromise finds what follows a dose ("300 milligrams of
+ *   apigenin"), so supplements missing from the lexicon still enter the graph.
+ */
+
+import nlp from 'compromise';
+import natural from 'natural';
+import { slugify } from 'huberman-health-ai-backend/src/services/guestExtractor.js';
+import { escapeRegExp, splitSentences } from 'huberman-health-ai-backend/src/utils/text.js';
+import { ENTITY_LEXICON } from './entityLexicon.js';
+
+const inflector = new natural.NounInflector();
+
+const DOSE_PATTERN = '#Value+ (mg|milligram|milligrams|gram|grams|g|microgram|micrograms|mcg|iu|units) of [(#Noun|#Adjective|#Acronym|#Value)+]';
+
+// Dose phrases that name food or vague amounts rather than a substance
+const DISCOVERY_STOPWORDS = new Set([
+    'it', 'this', 'that', 'them', 'those', 'these', 'something', 'stuff', 'each', 'either',
+    'food', 'water', 'sugar', 'salt', 'protein', 'carbohydrate', 'carb', 'fat', 'fiber', 'meat', 'fish',
+    'body', 'weight', 'bodyweight', 'day', 'dose', 'supplement', 'powder', 'capsule', 'pill', 'tablet'
+]);
+
+// Timing words compromise keeps at the end of a dose phrase ("2 grams of
+// omega-3 fatty acids daily", "... per day")
+const TRAILING_TIMING = /(?:\s+(?:daily|nightly|weekly|once|twice|today|(?:a|per|each|every)\s+(?:day|night|week|morning|evening)))+$/;
+
+const MAX_DISCOVERED_WORDS = 4;
+
+// Unpunctuated captions can make a whole passage one sentence
+const MAX_CONTEXT_LENGTH = 300;
+
+// Lowercase, single-spaced and singular, without trailing timing words, so
+// "Omega-3s" and "omega 3 daily" compare equal
+function normalizeTerm(term) {
+    const words = term
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s-]/g, ' ')
+        .replace(/-/g, ' ')
+        .trim()
+        .replace(TRAILING_TIMING, '')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    const last = words.at(-1) ?? '';
+    if (/\ds$/.test(last)) {
+        words[words.length - 1] = last.slice(0, -1);
+    } else if (/[a-z]{4,}s$/.test(last) && !/(?:ss|is|us)$/.test(last)) {
+        // Latin names ("fadogia agrestis", "lactobacillus") are not plurals
+        words[words.length - 1] = inflector.singularize(last);
+    }
+    return words.join(' ');
+}
+
+function titleCase(term) {
+    return term.replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
+
+// One pattern per entity, longest spelling first, so "magnesium threonate"
+// counts once rather than also as "magnesium"
+function buildEntityPattern(aliases) {
+    const bodies = [...aliases]
+        .sort((a, b) => b.length - a.length)
+        .map(alias => alias.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]?'));
+    return new RegExp(`\\b(?:${bodies.join('|')})(?:s|es)?\\b`, 'gi');
+}
+
+/**
+ * Extractor over a lexicon of { name, type, aliases }. `extract(text)` returns
+ * [{ name, slug, type, aliases, count, context }] for every entity in the
+ * text, where context is the first sentence mentioning it.
+ */
+class EntityExtractor {
+    constructor(lexicon = ENTITY_LEXICON) {
+        this.entities = lexicon.map(entry => ({
+            name: entry.name,
+            slug: slugify(entry.name),
+            type: entry.type,
+            aliases: entry.aliases,
+            pattern: buildEntityPattern(entry.aliases)
+        }));
+    }
+
+    extract(text = '') {
+        const found = new Map();
+        const add = (entity, count, context) => {
+            const mention = found.get(entity.slug);
+            if (mention) {
+                mention.count += count;
+            } else {
+                found.set(entity.slug, { name: entity.name, slug: entity.slug, type: entity.type, aliases: entity.aliases, count, context });
+            }
+        };
+
+        // Sentences are split first: captions like "vitamin C. 10 grams"
+        // otherwise read as one sentence to compromise
+        for (const sentence of splitSentences(text || '')) {
+            for (const entity of this.entities) {
+                const count = (sentence.match(entity.pattern) || []).length;
+                if (count > 0) {
+                    add(entity, count, sentence.slice(0, MAX_CONTEXT_LENGTH));
+                }
+            }
+
+            for (const term of this.discover(sentence)) {
+                if (this.entities.some(entity => term.match(entity.pattern))) {
+                    continue; // already counted by the lexicon pass
+                }
+                add({ name: titleCase(term), slug: slugify(term), type: 'supplement', aliases: [term] }, 1, sentence.slice(0, MAX_CONTEXT_LENGTH));
+            }
+        }
+
+        return [...found.values()];
+    }
+
+    // Normalized names that follow a dose in a sentence
+    discover(sentence) {
+        return nlp(sentence)
+            .match(DOSE_PATTERN)
+            .groups(0)
+            .out('array')
+            .map(normalizeTerm)
+            .filter(term => {
+                const words = term.split(' ');
+                return term.length >= 3 &&
+                    words.length <= MAX_DISCOVERED_WORDS &&
+                    !/^\d/.test(term) &&
+                    !words.every(word => DISCOVERY_STOPWORDS.has(word));
+            });
+    }
+}
+
+export { EntityExtractor, normalizeTerm };
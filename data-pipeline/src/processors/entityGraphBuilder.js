@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Entity graph builder
+ * Runs the entity extractor over every stored transcript passage (sponsor
+ * reads skipped) and stores the results as entity–episode–timestamp edges in
+ * entities / entity_mentions. Re-running rebuilds each video's edges, so
+ * lexicon changes apply to the whole archive.
+ *
+ * Usage: node src/processors/entityGraphBuilder.js
+ */
+
+import dotenv from 'dotenv';
+import { DatabaseManager } from '../utils/database.js';
+import { createLogger } from '../utils/logger.js';
+import { EntityExtractor } from './entityExtractor.js';
+
+dotenv.config();
+
+const logger = createLogger('EntityGraphBuilder');
+
+const BATCH_SIZE = 50;
+
+class EntityGraphBuilder {
+    constructor(options = {}) {
+        this.db = options.db || new DatabaseManager();
+        this.extractor = options.extractor || new EntityExtractor();
+    }
+
+    // One mention per entity per passage
+    extractMentions(passages) {
+        return passages.flatMap(passage =>
+            this.extractor.extract(passage.text).map(({ count, context, ...entity }) => ({
+                entity,
+                passageId: passage.id,
+                startTime: Number(passage.start_time),
+                endTime: Number(passage.end_time),
+                count,
+                context
+            }))
+        );
+    }
+
+    async buildGraph() {
+        let videosProcessed = 0;
+        let mentionsStored = 0;
+
+        for (let offset = 0; ; offset += BATCH_SIZE) {
+            const videos = await this.db.getVideosWithPassages(BATCH_SIZE, offset);
+            if (videos.length === 0) {
+                break;
+            }
+
+            for (const video of videos) {
+                const mentions = this.extractMentions(await this.db.getVideoPassages(video.id));
+                await this.db.replaceEntityMentions(video.id, mentions);
+
+                videosProcessed++;
+                mentionsStored += mentions.length;
+                logger.info(`Found ${mentions.length} entity mentions in ${video.youtube_id}`);
+            }
+        }
+
+        const entitiesRemoved = await this.db.refreshEntityCounts();
+        logger.info(`Entity graph built: ${mentionsStored} mentions across ${videosProcessed} videos (${entitiesRemoved} unused entities removed)`);
+
+        return { videosProcessed, mentionsStored };
+    }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const builder = new EntityGraphBuilder();
+
+    builder.buildGraph()
+        .then(({ videosProcessed, mentionsStored }) => {
+            console.log(`✅ Stored ${mentionsStored} entity mentions across ${videosProcessed} videos`);
+            return builder.db.close();
+        })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Entity extraction failed:', error.message);
+            process.exit(1);
+        });
+}
+
+export { EntityGraphBuilder };
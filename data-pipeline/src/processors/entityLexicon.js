@@ -0,0 +1,92 @@
+/**
+ * Named entities discussed on the podcast, by type, with the spellings that
+ * appear in captions. Entities found only through dose phrases ("300 mg of
+ * ...") are added to the graph as supplements without being listed here.
+ */
+
+export const ENTITY_TYPES = ['compound', 'supplement', 'hormone', 'neurotransmitter', 'brain_region'];
+
+export const ENTITY_LEXICON = [
+    // Hormones
+    { name: 'Cortisol', type: 'hormone', aliases: ['cortisol'] },
+    { name: 'Melatonin', type: 'hormone', aliases: ['melatonin'] },
+    { name: 'Testosterone', type: 'hormone', aliases: ['testosterone'] },
+    { name: 'Estrogen', type: 'hormone', aliases: ['estrogen', 'estradiol', 'oestrogen'] },
+    { name: 'Progesterone', type: 'hormone', aliases: ['progesterone'] },
+    { name: 'Growth Hormone', type: 'hormone', aliases: ['growth hormone', 'hgh'] },
+    { name: 'Insulin', type: 'hormone', aliases: ['insulin'] },
+    { name: 'Thyroid Hormone', type: 'hormone', aliases: ['thyroid hormone', 'thyroxine', 't3', 't4'] },
+    { name: 'Oxytocin', type: 'hormone', aliases: ['oxytocin'] },
+    { name: 'Prolactin', type: 'hormone', aliases: ['prolactin'] },
+    { name: 'Ghrelin', type: 'hormone', aliases: ['ghrelin'] },
+    { name: 'Leptin', type: 'hormone', aliases: ['leptin'] },
+    { name: 'Luteinizing Hormone', type: 'hormone', aliases: ['luteinizing hormone'] },
+    { name: 'DHT', type: 'hormone', aliases: ['dht', 'dihydrotestosterone'] },
+    { name: 'Adrenaline', type: 'hormone', aliases: ['adrenaline', 'epinephrine'] },
+
+    // Neurotransmitters and neuromodulators
+    { name: 'Dopamine', type: 'neurotransmitter', aliases: ['dopamine'] },
+    { name: 'Serotonin', type: 'neurotransmitter', aliases: ['serotonin'] },
+    { name: 'Norepinephrine', type: 'neurotransmitter', aliases: ['norepinephrine', 'noradrenaline'] },
+    { name: 'Acetylcholine', type: 'neurotransmitter', aliases: ['acetylcholine'] },
+    { name: 'GABA', type: 'neurotransmitter', aliases: ['gaba'] },
+    { name: 'Glutamate', type: 'neurotransmitter', aliases: ['glutamate'] },
+    { name: 'Adenosine', type: 'neurotransmitter', aliases: ['adenosine'] },
+    { name: 'Orexin', type: 'neurotransmitter', aliases: ['orexin', 'hypocretin'] },
+    { name: 'Endorphins', type: 'neurotransmitter', aliases: ['endorphin', 'beta-endorphin'] },
+
+    // Compounds and drugs
+    { name: 'Caffeine', type: 'compound', aliases: ['caffeine'] },
+    { name: 'Alcohol', type: 'compound', aliases: ['alcohol', 'ethanol'] },
+    { name: 'Nicotine', type: 'compound', aliases: ['nicotine'] },
+    { name: 'Cannabis', type: 'compound', aliases: ['cannabis', 'thc', 'cbd', 'marijuana'] },
+    { name: 'Psilocybin', type: 'compound', aliases: ['psilocybin'] },
+    { name: 'MDMA', type: 'compound', aliases: ['mdma'] },
+    { name: 'Ketamine', type: 'compound', aliases: ['ketamine'] },
+    { name: 'Metformin', type: 'compound', aliases: ['metformin'] },
+    { name: 'SSRIs', type: 'compound', aliases: ['ssri', 'selective serotonin reuptake inhibitor'] },
+    { name: 'Ketones', type: 'compound', aliases: ['ketone', 'beta-hydroxybutyrate'] },
+    { name: 'Glucose', type: 'compound', aliases: ['glucose', 'blood sugar'] },
+    { name: 'Lactate', type: 'compound', aliases: ['lactate', 'lactic acid'] },
+
+    // Supplements
+    { name: 'Magnesium', type: 'supplement', aliases: ['magnesium', 'magnesium threonate', 'magnesium bisglycinate', 'magnesium glycinate'] },
+    { name: 'L-Theanine', type: 'supplement', aliases: ['l-theanine', 'theanine'] },
+    { name: 'Apigenin', type: 'supplement', aliases: ['apigenin'] },
+    { name: 'Creatine', type: 'supplement', aliases: ['creatine', 'creatine monohydrate'] },
+    { name: 'Omega-3 Fatty Acids', type: 'supplement', aliases: ['omega-3', 'omega 3', 'fish oil', 'epa', 'dha'] },
+    { name: 'Vitamin D', type: 'supplement', aliases: ['vitamin d', 'vitamin d3'] },
+    { name: 'Zinc', type: 'supplement', aliases: ['zinc'] },
+    { name: 'Ashwagandha', type: 'supplement', aliases: ['ashwagandha'] },
+    { name: 'Tongkat Ali', type: 'supplement', aliases: ['tongkat ali', 'tongkat'] },
+    { name: 'Fadogia Agrestis', type: 'supplement', aliases: ['fadogia agrestis', 'fadogia'] },
+    { name: 'Alpha-GPC', type: 'supplement', aliases: ['alpha-gpc', 'alpha gpc'] },
+    { name: 'L-Tyrosine', type: 'supplement', aliases: ['l-tyrosine', 'tyrosine'] },
+    { name: 'Inositol', type: 'supplement', aliases: ['inositol', 'myo-inositol'] },
+    { name: 'Glycine', type: 'supplement', aliases: ['glycine'] },
+    { name: 'NMN', type: 'supplement', aliases: ['nmn', 'nicotinamide mononucleotide'] },
+    { name: 'Probiotics', type: 'supplement', aliases: ['probiotic'] },
+    { name: 'Electrolytes', type: 'supplement', aliases: ['electrolyte'] },
+    { name: 'Berberine', type: 'supplement', aliases: ['berberine'] },
+    { name: 'Curcumin', type: 'supplement', aliases: ['curcumin', 'turmeric'] },
+    { name: 'Rhodiola', type: 'supplement', aliases: ['rhodiola', 'rhodiola rosea'] },
+
+    // Brain regions and neural structures
+    { name: 'Prefrontal Cortex', type: 'brain_region', aliases: ['prefrontal cortex', 'pfc'] },
+    { name: 'Amygdala', type: 'brain_region', aliases: ['amygdala'] },
+    { name: 'Hippocampus', type: 'brain_region', aliases: ['hippocampus'] },
+    { name: 'Hypothalamus', type: 'brain_region', aliases: ['hypothalamus'] },
+    { name: 'Suprachiasmatic Nucleus', type: 'brain_region', aliases: ['suprachiasmatic nucleus', 'scn'] },
+    { name: 'Nucleus Accumbens', type: 'brain_region', aliases: ['nucleus accumbens'] },
+    { name: 'Ventral Tegmental Area', type: 'brain_region', aliases: ['ventral tegmental area', 'vta'] },
+    { name: 'Insula', type: 'brain_region', aliases: ['insula', 'insular cortex'] },
+    { name: 'Anterior Cingulate Cortex', type: 'brain_region', aliases: ['anterior cingulate cortex', 'anterior cingulate'] },
+    { name: 'Cerebellum', type: 'brain_region', aliases: ['cerebellum'] },
+    { name: 'Basal Ganglia', type: 'brain_region', aliases: ['basal ganglia', 'striatum'] },
+    { name: 'Pineal Gland', type: 'brain_region', aliases: ['pineal gland', 'pineal'] },
+    { name: 'Pituitary Gland', type: 'brain_region', aliases: ['pituitary gland', 'pituitary'] },
+    { name: 'Locus Coeruleus', type: 'brain_region', aliases: ['locus coeruleus'] },
+    { name: 'Vagus Nerve', type: 'brain_region', aliases: ['vagus nerve', 'vagus'] },
+    { name: 'Brainstem', type: 'brain_region', aliases: ['brainstem', 'brain stem'] },
+    { name: 'Thalamus', type: 'brain_region', aliases: ['thalamus'] }
+];
@@ -2,6 +2,7 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import { createLogger } from '../utils/logger.js';
 import { DatabaseManager } from '../utils/database.js';
+import { parseChapters } from 'huberman-health-ai-backend/src/services/chapterParser.js';
 
 dotenv.config();
 
@@ -148,16 +149,28 @@ class YouTubeApiScraper {
                 tags: rawVideo.snippet.tags || []
             };
 
+            // Chapters need the description's line breaks, which cleanText removes
+            const chapters = parseChapters(rawVideo.snippet.description, videoData.duration_seconds);
+
             // Check if video already exists
             const existingVideo = await this.db.findVideoByYouTubeId(videoData.youtube_id);
             
+            let storedVideo;
             if (existingVideo) {
                 logger.info(`Video ${videoData.youtube_id} already exists, updating...`);
-                return await this.db.updateVideo(existingVideo.id, videoData);
+                storedVideo = await this.db.updateVideo(existingVideo.id, videoData);
             } else {
                 logger.info(`Storing new video: ${videoData.title}`);
-                return await this.db.createVideo(videoData);
+                storedVideo = await this.db.createVideo(videoData);
+            }
+
+            // The video row is stored by now; a chapter failure must not lose it
+            try {
+                await this.db.replaceChapters(storedVideo.id, chapters);
+            } catch (error) {
+                logger.warn(`Stored video ${videoData.youtube_id} without chapters: ${error.message}`);
             }
+            return storedVideo;
 
         } catch (error) {
             logger.error('Error processing single video:', error);
@@ -171,6 +171,108 @@ export class DatabaseManager {
         return result.rows;
     }
 
+    // Replaces a video's description chapters in one transaction
+    async replaceChapters(videoId, chapters) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM chapters WHERE video_id = $1', [videoId]);
+            for (const chapter of chapters) {
+                await client.query(
+                    'INSERT INTO chapters (video_id, position, title, start_time, end_time) VALUES ($1, $2, $3, $4, $5)',
+                    [videoId, chapter.position, chapter.title, chapter.startTime, chapter.endTime]
+                );
+            }
+            await client.query('COMMIT');
+            logger.info(`Stored ${chapters.length} chapters for video ${videoId}`);
+            return chapters.length;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Failed to store chapters:', { videoId, error: error.message });
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Entity graph methods
+    async getVideosWithPassages(limit = 50, offset = 0) {
+        const query = `
+            SELECT v.id, v.youtube_id, v.title
+            FROM videos v
+            WHERE EXISTS (SELECT 1 FROM transcript_passages tp WHERE tp.video_id = v.id)
+            ORDER BY v.published_at DESC NULLS LAST, v.id
+            LIMIT $1 OFFSET $2
+        `;
+        const result = await this.query(query, [limit, offset]);
+        return result.rows;
+    }
+
+    // Passages outside sponsor reads, in transcript order
+    async getVideoPassages(videoId) {
+        const query = `
+            SELECT id, passage_index, start_time, end_time, text
+            FROM transcript_passages
+            WHERE video_id = $1 AND NOT is_sponsored
+            ORDER BY passage_index
+        `;
+        const result = await this.query(query, [videoId]);
+        return result.rows;
+    }
+
+    // Replaces a video's entity mentions in one transaction, creating entities
+    // on first sight. Each mention is { entity: { name, slug, type, aliases },
+    // passageId, startTime, endTime, count, context }.
+    async replaceEntityMentions(videoId, mentions) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM entity_mentions WHERE video_id = $1', [videoId]);
+
+            const entityIds = new Map();
+            for (const mention of mentions) {
+                const { entity } = mention;
+                if (!entityIds.has(entity.slug)) {
+                    const result = await client.query(`
+                        INSERT INTO entities (name, slug, type, aliases)
+                        VALUES ($1, $2, $3, $4)
+                        ON CONFLICT (slug) DO UPDATE SET
+                            aliases = ARRAY(SELECT DISTINCT unnest(entities.aliases || EXCLUDED.aliases)),
+                            updated_at = NOW()
+                        RETURNING id
+                    `, [entity.name, entity.slug, entity.type, entity.aliases]);
+                    entityIds.set(entity.slug, result.rows[0].id);
+                }
+
+                await client.query(`
+                    INSERT INTO entity_mentions (entity_id, video_id, passage_id, start_time, end_time, mention_count, context)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [entityIds.get(entity.slug), videoId, mention.passageId, mention.startTime, mention.endTime, mention.count, mention.context]);
+            }
+
+            await client.query('COMMIT');
+            logger.info(`Stored ${mentions.length} entity mentions for video ${videoId}`);
+            return mentions.length;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Failed to store entity mentions:', { videoId, error: error.message });
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Recounts mentions per entity and drops entities no video mentions anymore
+    async refreshEntityCounts() {
+        await this.query(`
+            UPDATE entities e SET mention_count = COALESCE(
+                (SELECT SUM(em.mention_count) FROM entity_mentions em WHERE em.entity_id = e.id), 0
+            )
+        `);
+        const result = await this.query('DELETE FROM entities WHERE mention_count = 0');
+        return result.rowCount;
+    }
+
     // Transcript-related methods (for future use)
     async createTranscript(transcriptData) {
         const query = `
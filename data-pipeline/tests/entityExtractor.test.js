@@ -0,0 +1,78 @@
+/**
+ * Tests for the entity extractor's lexicon and dose discovery passes
+ */
+
+import { EntityExtractor, normalizeTerm } from '../src/processors/entityExtractor.js';
+
+const summarize = entities => entities.map(({ name, slug, type, count }) => ({ name, slug, type, count }));
+
+describe('EntityExtractor', () => {
+    const extractor = new EntityExtractor();
+
+    describe('lexicon pass', () => {
+        test('should count plural and hyphen variants as one entity', () => {
+            const entities = extractor.extract('Omega-3s matter. So do omega 3 and omega-3 fatty acids. Fish oil is one source.');
+
+            expect(summarize(entities)).toEqual([
+                { name: 'Omega-3 Fatty Acids', slug: 'omega-3-fatty-acids', type: 'supplement', count: 4 }
+            ]);
+            expect(entities[0].context).toBe('Omega-3s matter.');
+        });
+
+        test('should count the longest alias once rather than also its prefix', () => {
+            const [magnesium] = extractor.extract('Magnesium threonate before sleep.');
+
+            expect(magnesium).toMatchObject({ name: 'Magnesium', count: 1 });
+        });
+
+        test('should match on word boundaries', () => {
+            expect(extractor.extract('Decaffeinated coffee and insulinoma.')).toEqual([]);
+        });
+    });
+
+    describe('dose discovery', () => {
+        test('should add substances that follow a dose but are not in the lexicon', () => {
+            const entities = extractor.extract('Take 400 mg of tongkat ali daily. I take 300 milligrams of apigenin.');
+
+            expect(summarize(entities)).toEqual([
+                { name: 'Tongkat Ali', slug: 'tongkat-ali', type: 'supplement', count: 1 },
+                { name: 'Apigenin', slug: 'apigenin', type: 'supplement', count: 1 }
+            ]);
+        });
+
+        test('should trim the timing words and punctuation compromise keeps in the phrase', () => {
+            expect(extractor.discover('Take 2 grams of omega-3 fatty acids daily.')).toEqual(['omega 3 fatty acid']);
+            expect(extractor.discover('Use 200 mg of l-theanine every evening.')).toEqual(['l theanine']);
+            expect(extractor.discover('Take 3 grams of glycine a day.')).toEqual(['glycine']);
+        });
+
+        test('should not count a discovered lexicon entity twice', () => {
+            expect(summarize(extractor.extract('Take 2 grams of omega-3 fatty acids daily.'))).toEqual([
+                { name: 'Omega-3 Fatty Acids', slug: 'omega-3-fatty-acids', type: 'supplement', count: 1 }
+            ]);
+        });
+
+        test('should skip pronouns and foods', () => {
+            expect(extractor.discover('Take 2 grams of it. Eat 30 grams of protein.')).toEqual([]);
+        });
+
+        test('should slug accented names the way the backend looks them up', () => {
+            const [acai] = extractor.extract('Try 50 mg of Açaí extract.');
+
+            expect(acai).toMatchObject({ name: 'Acai Extract', slug: 'acai-extract' });
+        });
+    });
+});
+
+describe('normalizeTerm', () => {
+    test('should singularize the last word', () => {
+        expect(normalizeTerm('Omega-3s')).toBe('omega 3');
+        expect(normalizeTerm('Fatty  Acids')).toBe('fatty acid');
+    });
+
+    test('should leave Latin names and short words alone', () => {
+        expect(normalizeTerm('Fadogia agrestis')).toBe('fadogia agrestis');
+        expect(normalizeTerm('Lactobacillus')).toBe('lactobacillus');
+        expect(normalizeTerm('gas')).toBe('gas');
+    });
+});
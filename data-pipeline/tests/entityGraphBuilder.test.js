@@ -0,0 +1,40 @@
+/**
+ * Tests for turning transcript passages into entity mentions
+ */
+
+import { EntityGraphBuilder } from '../src/processors/entityGraphBuilder.js';
+
+describe('EntityGraphBuilder', () => {
+    const builder = new EntityGraphBuilder({ db: {} });
+
+    test('should record one mention per entity per passage, with its timestamps', () => {
+        const mentions = builder.extractMentions([
+            { id: 'p1', text: 'Caffeine blocks adenosine. Caffeine again.', start_time: '60.5', end_time: '90' },
+            { id: 'p2', text: 'Nothing to see here.', start_time: '90', end_time: '120' },
+            { id: 'p3', text: 'Adenosine builds up while awake.', start_time: '120', end_time: '150' }
+        ]);
+
+        expect(mentions.map(({ entity, passageId, startTime, endTime, count }) => [entity.slug, passageId, startTime, endTime, count])).toEqual([
+            ['adenosine', 'p1', 60.5, 90, 1],
+            ['caffeine', 'p1', 60.5, 90, 2],
+            ['adenosine', 'p3', 120, 150, 1]
+        ]);
+        expect(mentions[1]).toMatchObject({
+            entity: { name: 'Caffeine', type: 'compound', aliases: ['caffeine'] },
+            context: 'Caffeine blocks adenosine.'
+        });
+    });
+
+    test('should store each video\'s mentions and refresh entity counts', async () => {
+        const stored = [];
+        const db = {
+            getVideosWithPassages: async (limit, offset) => (offset === 0 ? [{ id: 'v1', youtube_id: 'SwQhKFMxmDY' }] : []),
+            getVideoPassages: async () => [{ id: 'p1', text: 'Melatonin at night.', start_time: 0, end_time: 30 }],
+            replaceEntityMentions: async (videoId, mentions) => stored.push([videoId, mentions.map(m => m.entity.slug)]),
+            refreshEntityCounts: async () => 0
+        };
+
+        expect(await new EntityGraphBuilder({ db }).buildGraph()).toEqual({ videosProcessed: 1, mentionsStored: 1 });
+        expect(stored).toEqual([['v1', ['melatonin']]]);
+    });
+});
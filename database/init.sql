@@ -28,6 +28,8 @@ CREATE TABLE IF NOT EXISTS transcript_segments (
     start_time DECIMAL(10,3) NOT NULL,
     end_time DECIMAL(10,3) NOT NULL,
     text TEXT NOT NULL,
+    speaker VARCHAR(255), -- heuristic attribution: host, guest name, 'Guest' or 'Unknown'
+    is_sponsored BOOLEAN NOT NULL DEFAULT false, -- sponsor/ad read, excluded from search by default
     segment_index INTEGER NOT NULL,
     confidence_score DECIMAL(3,2) DEFAULT 0.95,
     embedding vector(1536), -- OpenAI embedding dimension
@@ -35,6 +37,85 @@ CREATE TABLE IF NOT EXISTS transcript_segments (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create transcript passages table (overlapping windows of merged caption segments)
+CREATE TABLE IF NOT EXISTS transcript_passages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+    passage_index INTEGER NOT NULL,
+    start_time DECIMAL(10,3) NOT NULL,
+    end_time DECIMAL(10,3) NOT NULL,
+    text TEXT NOT NULL,
+    token_count INTEGER NOT NULL,
+    segment_start_index INTEGER NOT NULL,
+    segment_end_index INTEGER NOT NULL,
+    is_sponsored BOOLEAN NOT NULL DEFAULT false, -- most of its caption time is a sponsor read
+    embedding vector(1536),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(video_id, passage_index)
+);
+
+-- Create chapters table (chapter list parsed from the video description at ingest)
+CREATE TABLE IF NOT EXISTS chapters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    start_time DECIMAL(10,3) NOT NULL,
+    end_time DECIMAL(10,3), -- NULL for the last chapter when the duration is unknown
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(video_id, position)
+);
+
+-- Create episode summaries table (generated offline by the summary job, read without LLM calls)
+CREATE TABLE IF NOT EXISTS episode_summaries (
+    video_id UUID PRIMARY KEY REFERENCES videos(id) ON DELETE CASCADE,
+    summary TEXT NOT NULL,
+    takeaways JSONB NOT NULL DEFAULT '[]',
+    chapters JSONB NOT NULL DEFAULT '[]', -- [{"title": "...", "startTime": 0}]
+    model VARCHAR(200),
+    section_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create protocols table (actionable protocols extracted from transcript passages)
+CREATE TABLE IF NOT EXISTS protocols (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+    passage_id UUID REFERENCES transcript_passages(id) ON DELETE SET NULL,
+    topic VARCHAR(100) NOT NULL,
+    action TEXT NOT NULL,
+    dose TEXT,
+    timing TEXT,
+    caveats JSONB NOT NULL DEFAULT '[]',
+    start_time DECIMAL(10,3) NOT NULL,
+    end_time DECIMAL(10,3),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create protocol extractions table (one row per processed video, including videos with no protocols)
+CREATE TABLE IF NOT EXISTS protocol_extractions (
+    video_id UUID PRIMARY KEY REFERENCES videos(id) ON DELETE CASCADE,
+    protocol_count INTEGER NOT NULL DEFAULT 0,
+    model VARCHAR(200),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create citations table (studies cited in an episode, from transcript mentions and description links)
+CREATE TABLE IF NOT EXISTS citations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+    passage_id UUID REFERENCES transcript_passages(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL, -- 'transcript' or 'description'
+    raw_text TEXT NOT NULL,
+    url TEXT,
+    year INTEGER,
+    confidence DECIMAL(3,2) NOT NULL,
+    start_time DECIMAL(10,3), -- NULL for description links not placed in the transcript
+    end_time DECIMAL(10,3),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create health topics table
 CREATE TABLE IF NOT EXISTS health_topics (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -47,6 +128,90 @@ CREATE TABLE IF NOT EXISTS health_topics (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create video topics table (filled by the topic tagging job)
+CREATE TABLE IF NOT EXISTS video_topics (
+    video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+    topic_id UUID REFERENCES health_topics(id) ON DELETE CASCADE,
+    relevance_score DECIMAL(4,3) NOT NULL,
+    matched_keywords TEXT[],
+    passage_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (video_id, topic_id)
+);
+
+-- Create passage topics table (passage-level tags from the same job)
+CREATE TABLE IF NOT EXISTS passage_topics (
+    passage_id UUID REFERENCES transcript_passages(id) ON DELETE CASCADE,
+    topic_id UUID REFERENCES health_topics(id) ON DELETE CASCADE,
+    relevance_score DECIMAL(4,3) NOT NULL,
+    PRIMARY KEY (passage_id, topic_id)
+);
+
+-- Create guests table (extracted from video titles and descriptions)
+CREATE TABLE IF NOT EXISTS guests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) UNIQUE NOT NULL,
+    credentials TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create video guests table linking guests to their episodes
+CREATE TABLE IF NOT EXISTS video_guests (
+    video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+    guest_id UUID REFERENCES guests(id) ON DELETE CASCADE,
+    PRIMARY KEY (video_id, guest_id)
+);
+
+-- Create entities table (compounds, supplements, hormones and brain regions found in transcripts)
+CREATE TABLE IF NOT EXISTS entities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) UNIQUE NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    aliases TEXT[] DEFAULT '{}',
+    mention_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create entity mentions table (entity–episode–timestamp edges, one per passage)
+CREATE TABLE IF NOT EXISTS entity_mentions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID REFERENCES entities(id) ON DELETE CASCADE,
+    video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+    passage_id UUID REFERENCES transcript_passages(id) ON DELETE CASCADE,
+    start_time DECIMAL(10,3) NOT NULL,
+    end_time DECIMAL(10,3) NOT NULL,
+    mention_count INTEGER NOT NULL DEFAULT 1,
+    context TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(entity_id, passage_id)
+);
+
+-- Create conversation sessions table for multi-turn health questions
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id VARCHAR(255),
+    title TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create conversation turns table (one row per query in a session)
+CREATE TABLE IF NOT EXISTS conversation_turns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID REFERENCES conversation_sessions(id) ON DELETE CASCADE,
+    turn_index INTEGER NOT NULL,
+    query TEXT NOT NULL,
+    rewritten_query TEXT,
+    answer TEXT,
+    cited_video_ids TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(session_id, turn_index)
+);
+
 -- Create query logs table for analytics and cost tracking
 CREATE TABLE IF NOT EXISTS query_logs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -62,6 +227,18 @@ CREATE TABLE IF NOT EXISTS query_logs (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create AI usage ledger (one row per LLM call) for cost tracking and budget enforcement
+CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(200) NOT NULL,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    cost_usd DECIMAL(10,6) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create scraping jobs table for tracking data collection
 CREATE TABLE IF NOT EXISTS scraping_jobs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -85,15 +262,41 @@ CREATE INDEX IF NOT EXISTS idx_transcript_segments_video_id ON transcript_segmen
 CREATE INDEX IF NOT EXISTS idx_transcript_segments_time ON transcript_segments (video_id, start_time);
 CREATE INDEX IF NOT EXISTS idx_transcript_segments_text ON transcript_segments USING gin(to_tsvector('english', text));
 
--- Vector similarity search index (will be created after data is inserted)
+CREATE INDEX IF NOT EXISTS idx_transcript_passages_time ON transcript_passages (video_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_transcript_passages_text ON transcript_passages USING gin(to_tsvector('english', text));
+
+-- Vector similarity search indexes (created by `npm run embed:transcripts` once embeddings are populated)
+-- CREATE INDEX idx_transcript_passages_embedding ON transcript_passages USING ivfflat (embedding vector_cosine_ops);
 -- CREATE INDEX idx_transcript_segments_embedding ON transcript_segments USING ivfflat (embedding vector_cosine_ops);
 
+CREATE INDEX IF NOT EXISTS idx_chapters_video ON chapters (video_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_protocols_topic ON protocols (topic);
+CREATE INDEX IF NOT EXISTS idx_protocols_video ON protocols (video_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_protocols_text ON protocols USING gin(to_tsvector('english', topic || ' ' || action));
+
+CREATE INDEX IF NOT EXISTS idx_citations_video ON citations (video_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_citations_text ON citations USING gin(to_tsvector('english', raw_text));
+
 CREATE INDEX IF NOT EXISTS idx_health_topics_name ON health_topics (name);
 CREATE INDEX IF NOT EXISTS idx_health_topics_category ON health_topics (category);
 
+CREATE INDEX IF NOT EXISTS idx_video_topics_topic ON video_topics (topic_id, relevance_score DESC);
+CREATE INDEX IF NOT EXISTS idx_passage_topics_topic ON passage_topics (topic_id, relevance_score DESC);
+
+CREATE INDEX IF NOT EXISTS idx_video_guests_guest ON video_guests (guest_id);
+
+CREATE INDEX IF NOT EXISTS idx_entities_aliases ON entities USING gin(aliases);
+CREATE INDEX IF NOT EXISTS idx_entity_mentions_entity ON entity_mentions (entity_id, video_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_entity_mentions_passage ON entity_mentions (passage_id);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_user ON conversation_sessions (user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_turns_session ON conversation_turns (session_id, turn_index);
+
 CREATE INDEX IF NOT EXISTS idx_query_logs_created_at ON query_logs (created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_query_logs_success ON query_logs (success);
 
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_created_at ON ai_usage_ledger (created_at DESC);
+
 CREATE INDEX IF NOT EXISTS idx_scraping_jobs_status ON scraping_jobs (status);
 CREATE INDEX IF NOT EXISTS idx_scraping_jobs_created_at ON scraping_jobs (created_at DESC);
 
@@ -129,7 +332,10 @@ $$ language 'plpgsql';
 
 -- Create triggers to automatically update updated_at
 CREATE TRIGGER update_videos_updated_at BEFORE UPDATE ON videos FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_episode_summaries_updated_at BEFORE UPDATE ON episode_summaries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_guests_updated_at BEFORE UPDATE ON guests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_health_topics_updated_at BEFORE UPDATE ON health_topics FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_conversation_sessions_updated_at BEFORE UPDATE ON conversation_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Grant permissions
 GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA public TO huberman_user;
@@ -142,7 +348,7 @@ BEGIN
     RAISE NOTICE 'Database: huberman_health_ai';
     RAISE NOTICE 'User: huberman_user';
     RAISE NOTICE 'Extensions: vector (pgvector)';
-    RAISE NOTICE 'Tables created: videos, transcript_segments, health_topics, query_logs, scraping_jobs';
+    RAISE NOTICE 'Tables created: videos, transcript_segments, transcript_passages, chapters, episode_summaries, protocols, protocol_extractions, citations, health_topics, video_topics, passage_topics, guests, video_guests, entities, entity_mentions, conversation_sessions, conversation_turns, query_logs, ai_usage_ledger, scraping_jobs';
     RAISE NOTICE 'Sample data inserted: % health topics, % videos', 
         (SELECT COUNT(*) FROM health_topics),
         (SELECT COUNT(*) FROM videos);
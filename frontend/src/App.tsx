@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react'
 import VideoResult from './components/VideoResult'
 import HealthDisclaimer from './components/HealthDisclaimer'
-import { processQuery, checkHealth, type SearchResult } from './lib/api'
+import AnswerPanel from './components/AnswerPanel'
+import { checkHealth, type SearchResult } from './lib/api'
+import { useQueryStream, stageMessages } from './hooks/useQueryStream'
 
 // SearchResult interface is now imported from api.ts
 
@@ -16,8 +18,7 @@ function App() {
   // State management for navigation and search functionality
   const [currentPage, setCurrentPage] = useState('home')
   const [searchQuery, setSearchQuery] = useState('')
-  const [searchResults, setSearchResults] = useState<SearchResult[]>([])
-  const [isLoading, setIsLoading] = useState(false)
+  const stream = useQueryStream('answer')
   const [backendStatus, setBackendStatus] = useState<'checking' | 'connected' | 'disconnected'>('checking')
   const [error, setError] = useState<string | null>(null)
 
@@ -53,47 +54,35 @@ function App() {
     checkBackendHealth()
   }, [])
 
-  const handleSearch = async (query: string) => {
+  const handleSearch = (query: string) => {
     if (!query.trim()) return
 
-    setIsLoading(true)
     setSearchQuery(query)
     setCurrentPage('search')
     setError(null)
 
-    try {
-      console.log('Searching for:', query)
-      const response = await processQuery(query)
-      
-      if (response.success && response.data) {
-        // Map the backend response to our frontend interface
-        const mappedResults: SearchResult[] = response.data.results.map(result => ({
-          id: result.id,
-          youtube_id: result.youtube_id,
-          title: result.title,
-          description: result.description,
-          duration: result.duration,
-          views: result.views,
-          relevance_score: result.relevanceScore,
-          search_snippet: result.searchSnippet,
-          timestamps: result.timestamps
-        }))
-        
-        setSearchResults(mappedResults)
-        console.log('Search completed:', mappedResults.length, 'results found')
-      } else {
-        setError(response.error?.message || 'Search failed')
-        setSearchResults([])
-      }
-    } catch (error) {
-      console.error('Search error:', error)
-      setError('Failed to search. Please check your connection and try again.')
-      setSearchResults([])
-    } finally {
-      setIsLoading(false)
-    }
+    console.log('Searching for:', query)
+    stream.run(query)
   }
 
+  // Map the streamed results to the shape VideoResult expects
+  const searchResults = stream.results.map((result: SearchResult) => ({
+    id: result.id,
+    youtube_id: result.youtube_id,
+    title: result.title,
+    description: result.description,
+    duration: result.duration,
+    views: result.views,
+    relevance_score: result.relevanceScore,
+    search_snippet: result.searchSnippet,
+    timestamps: result.timestamps,
+    chapters: result.chapters
+  }))
+
+  // Only block on a spinner until the first results arrive
+  const isLoading = stream.isStreaming && searchResults.length === 0
+  const searchError = error || stream.error
+
   const HomePage = () => (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900">
       {/* Header */}
@@ -335,7 +324,7 @@ function App() {
                 }}
                 className="absolute right-2 top-2 bottom-2 px-6 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium"
               >
-                {isLoading ? 'Searching...' : 'Search'}
+                {stream.isStreaming ? 'Searching...' : 'Search'}
               </button>
             </div>
           </div>
@@ -344,23 +333,53 @@ function App() {
           {isLoading && (
             <div className="text-center py-12">
               <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
-              <p className="text-slate-400 mt-4">Searching through Dr. Huberman's content...</p>
+              <p className="text-slate-400 mt-4">{stageMessages[stream.stage] || "Searching through Dr. Huberman's content..."}</p>
             </div>
           )}
 
+          {/* Emergency guidance replaces results for red-flag symptoms */}
+          {stream.triage?.level === 'emergency' && (
+            <HealthDisclaimer variant="urgent" triage={stream.triage} className="mb-8" />
+          )}
+
           {!isLoading && searchResults.length > 0 && (
             <div className="space-y-8">
               <div className="flex items-center justify-between">
-                <h3 className="text-2xl font-bold text-white">
-                  Search Results for "{searchQuery}"
-                </h3>
-                <div className="text-slate-400 text-sm">
-                  {searchResults.length} video{searchResults.length !== 1 ? 's' : ''} found
+                <div>
+                  <h3 className="text-2xl font-bold text-white">
+                    Search Results for "{searchQuery}"
+                  </h3>
+                  {stream.rewrittenQuery && (
+                    <p className="text-slate-400 text-sm mt-1">Interpreted as "{stream.rewrittenQuery}"</p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-4 text-slate-400 text-sm">
+                  <span>
+                    {stream.isStreaming
+                      ? stageMessages[stream.stage]
+                      : `${searchResults.length} video${searchResults.length !== 1 ? 's' : ''} found`}
+                  </span>
+                  {stream.sessionId && (
+                    <button
+                      onClick={() => {
+                        stream.newConversation()
+                        setSearchQuery('')
+                      }}
+                      className="px-3 py-1 border border-slate-600 rounded-lg hover:border-blue-500 hover:text-white transition-colors"
+                    >
+                      New conversation
+                    </button>
+                  )}
                 </div>
               </div>
 
               {/* Health Disclaimer for Results */}
-              <HealthDisclaimer variant="inline" />
+              <HealthDisclaimer variant="inline" triage={stream.triage} />
+
+              {/* Cited Answer */}
+              {(stream.answer || stream.answerText) && (
+                <AnswerPanel answer={stream.answer} streamingText={stream.answerText} />
+              )}
 
               {/* Video Results */}
               <div className="space-y-6">
@@ -375,15 +394,18 @@ function App() {
             </div>
           )}
 
-          {!isLoading && error && (
+          {!isLoading && searchError && (
             <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-6 text-center">
               <svg className="w-12 h-12 text-red-400 mx-auto mb-4" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
               </svg>
               <h3 className="text-lg font-medium text-red-200 mb-2">Search Error</h3>
-              <p className="text-red-300">{error}</p>
+              <p className="text-red-300">{searchError}</p>
               <button
-                onClick={() => setError(null)}
+                onClick={() => {
+                  setError(null)
+                  stream.reset()
+                }}
                 className="mt-4 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
               >
                 Dismiss
@@ -391,7 +413,7 @@ function App() {
             </div>
           )}
 
-          {!isLoading && !error && searchQuery && searchResults.length === 0 && (
+          {!stream.isStreaming && !searchError && !stream.triage && searchQuery && searchResults.length === 0 && (
             <div className="text-center py-12">
               <p className="text-slate-400">No results found. Try a different search term.</p>
             </div>
@@ -0,0 +1,90 @@
+import type { Answer, AnswerCitation } from '../lib/api'
+
+interface AnswerPanelProps {
+  answer: Answer | null
+  // Raw text streamed so far, shown until the final cited answer arrives
+  streamingText?: string
+  className?: string
+}
+
+interface CitationChipProps {
+  citation: AnswerCitation
+}
+
+/**
+ * Clickable timestamp chip that opens the cited moment on YouTube
+ */
+export function CitationChip({ citation }: CitationChipProps) {
+  return (
+    <a
+      href={citation.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={`${citation.title} — "${citation.quote}"`}
+      className="inline-flex items-center space-x-1 mx-0.5 px-2 py-0.5 align-baseline bg-blue-600/20 border border-blue-500/40 rounded-full text-xs text-blue-300 hover:bg-blue-600/40 hover:text-white transition-colors"
+    >
+      <span className="font-semibold">{citation.id}</span>
+      <span>{citation.label}</span>
+    </a>
+  )
+}
+
+/**
+ * Synthesized answer where every claim is followed by its citation chips
+ */
+export default function AnswerPanel({ answer, streamingText = '', className = '' }: AnswerPanelProps) {
+  if (!answer) {
+    return (
+      <div className={`bg-slate-800/30 backdrop-blur-sm border border-slate-700 rounded-xl p-6 ${className}`}>
+        <h3 className="text-xl font-semibold text-white mb-4">Answer</h3>
+        <p className="text-slate-200 leading-relaxed">
+          {streamingText}
+          <span className="inline-block w-2 h-4 ml-1 align-middle bg-blue-400 animate-pulse" />
+        </p>
+      </div>
+    )
+  }
+
+  const citationsById = new Map(answer.citations.map(citation => [citation.id, citation]))
+
+  return (
+    <div className={`bg-slate-800/30 backdrop-blur-sm border border-slate-700 rounded-xl p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-white">Answer</h3>
+        {answer.method === 'extractive' && (
+          <span className="text-xs text-slate-400">Quoted directly from transcripts</span>
+        )}
+      </div>
+
+      {answer.claims.length === 0 ? (
+        <p className="text-slate-400">{answer.text}</p>
+      ) : (
+        <p className="text-slate-200 leading-relaxed">
+          {answer.claims.map((claim, index) => (
+            <span key={index}>
+              {claim.text}
+              {claim.citations.map(id => {
+                const citation = citationsById.get(id)
+                return citation ? <CitationChip key={id} citation={citation} /> : null
+              })}{' '}
+            </span>
+          ))}
+        </p>
+      )}
+
+      {answer.citations.length > 0 && (
+        <div className="mt-6 pt-4 border-t border-slate-700">
+          <h4 className="text-sm font-medium text-slate-400 mb-3">Sources</h4>
+          <ol className="space-y-2">
+            {answer.citations.map(citation => (
+              <li key={citation.id} className="flex items-start space-x-2 text-sm">
+                <CitationChip citation={citation} />
+                <span className="text-slate-300">{citation.title}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,14 +1,21 @@
 import { useState } from 'react'
+import type { Triage } from '../lib/api'
 
 interface HealthDisclaimerProps {
-  variant?: 'banner' | 'modal' | 'inline'
+  variant?: 'banner' | 'modal' | 'inline' | 'urgent'
+  // When present the disclaimer switches to the urgent variant with this guidance
+  triage?: Triage | null
   className?: string
 }
 
-export default function HealthDisclaimer({ variant = 'banner', className = '' }: HealthDisclaimerProps) {
+export default function HealthDisclaimer({ variant = 'banner', triage = null, className = '' }: HealthDisclaimerProps) {
   const [isVisible, setIsVisible] = useState(true)
   const [showFullDisclaimer, setShowFullDisclaimer] = useState(false)
 
+  if (triage || variant === 'urgent') {
+    return triage ? <UrgentDisclaimer triage={triage} className={className} /> : null
+  }
+
   if (!isVisible && variant === 'banner') return null
 
   const shortDisclaimer = "This content is for educational purposes only and is not medical advice."
@@ -112,3 +119,51 @@ export default function HealthDisclaimer({ variant = 'banner', className = '' }:
 
   return null
 }
+
+/**
+ * Prominent guidance shown when triage flags a query; not dismissible
+ */
+function UrgentDisclaimer({ triage, className = '' }: { triage: Triage; className?: string }) {
+  const isEmergency = triage.level === 'emergency'
+  const tone = isEmergency
+    ? { container: 'bg-red-900/40 border-2 border-red-500', icon: 'text-red-400', title: 'text-red-100', body: 'text-red-100' }
+    : { container: 'bg-orange-900/30 border border-orange-500/60', icon: 'text-orange-400', title: 'text-orange-100', body: 'text-orange-100' }
+
+  return (
+    <div role="alert" className={`${tone.container} rounded-xl p-6 ${className}`}>
+      <div className="flex items-start space-x-4">
+        <svg className={`w-8 h-8 flex-shrink-0 ${tone.icon}`} fill="currentColor" viewBox="0 0 20 20">
+          <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+        </svg>
+        <div className="flex-1">
+          <h3 className={`text-xl font-bold mb-2 ${tone.title}`}>{triage.title}</h3>
+          <p className={`mb-4 ${tone.body}`}>{triage.message}</p>
+
+          {triage.actions.length > 0 && (
+            <ul className={`list-disc list-inside space-y-1 mb-4 font-medium ${tone.body}`}>
+              {triage.actions.map(action => (
+                <li key={action}>{action}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            {triage.resources.map(resource => (
+              <div key={resource.name} className="bg-slate-900/60 border border-slate-600 rounded-lg p-3">
+                <p className="font-semibold text-white">{resource.name}</p>
+                {resource.contact.startsWith('http') ? (
+                  <a href={resource.contact} target="_blank" rel="noopener noreferrer" className="text-blue-300 underline">
+                    {resource.contact}
+                  </a>
+                ) : (
+                  <p className="text-white">{resource.contact}</p>
+                )}
+                <p className="text-slate-400 text-sm">{resource.description}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
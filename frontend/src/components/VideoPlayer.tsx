@@ -8,11 +8,22 @@ interface VideoPlayerProps {
     label: string
     description: string
   }>
+  chapters?: Array<{
+    title: string
+    startTime: number
+    endTime: number | null
+  }>
 }
 
-export default function VideoPlayer({ videoId, title, timestamps = [] }: VideoPlayerProps) {
+export default function VideoPlayer({ videoId, title, timestamps = [], chapters = [] }: VideoPlayerProps) {
   const [currentTime, setCurrentTime] = useState(0)
 
+  // Relevant timestamps are shown under the chapter they fall in
+  const timestampsIn = (chapter: { startTime: number; endTime: number | null }) =>
+    timestamps.filter(timestamp =>
+      timestamp.time >= chapter.startTime && (chapter.endTime === null || timestamp.time < chapter.endTime)
+    )
+
   const formatTime = (seconds: number): string => {
     const hours = Math.floor(seconds / 3600)
     const minutes = Math.floor((seconds % 3600) / 60)
@@ -52,8 +63,50 @@ export default function VideoPlayer({ videoId, title, timestamps = [] }: VideoPl
       <div className="p-6">
         <h3 className="text-xl font-semibold text-white mb-4">{title}</h3>
         
-        {/* Timestamp Navigation */}
-        {timestamps.length > 0 && (
+        {/* Chapter Navigation */}
+        {chapters.length > 0 && (
+          <div className="space-y-4">
+            <h4 className="text-lg font-medium text-white mb-3">Chapters</h4>
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {chapters.map((chapter) => {
+                const relevant = timestampsIn(chapter)
+                return (
+                  <button
+                    key={chapter.startTime}
+                    onClick={() => jumpToTimestamp(relevant.length > 0 ? Math.floor(relevant[0].time) : chapter.startTime)}
+                    className={`w-full text-left p-3 rounded-lg border transition-all duration-200 group ${
+                      relevant.length > 0
+                        ? 'bg-blue-500/10 border-blue-500/40 hover:border-blue-400'
+                        : 'bg-slate-700/30 hover:bg-slate-600/50 border-slate-600 hover:border-blue-500/50'
+                    }`}
+                  >
+                    <div className="flex items-start space-x-3">
+                      <span className="text-blue-400 font-mono text-sm bg-blue-500/10 px-2 py-1 rounded">
+                        {formatTime(chapter.startTime)}
+                      </span>
+                      <div className="flex-1">
+                        <div className="text-white font-medium group-hover:text-blue-300 transition-colors">
+                          {chapter.title}
+                        </div>
+                        {relevant.length > 0 && (
+                          <div className="text-slate-400 text-sm mt-1">
+                            {relevant[0].description}
+                          </div>
+                        )}
+                      </div>
+                      {relevant.length > 0 && (
+                        <span className="text-xs text-blue-300 bg-blue-500/20 px-2 py-1 rounded">Relevant</span>
+                      )}
+                    </div>
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Timestamp Navigation (videos without chapters) */}
+        {chapters.length === 0 && timestamps.length > 0 && (
           <div className="space-y-4">
             <h4 className="text-lg font-medium text-white mb-3">Key Timestamps</h4>
             <div className="space-y-2 max-h-64 overflow-y-auto">
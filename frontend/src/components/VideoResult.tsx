@@ -16,6 +16,11 @@ interface VideoResultProps {
       label: string
       description: string
     }>
+    chapters?: Array<{
+      title: string
+      startTime: number
+      endTime: number | null
+    }>
   }
   showPlayer?: boolean
 }
@@ -56,6 +61,7 @@ export default function VideoResult({ video, showPlayer = false }: VideoResultPr
             videoId={youtubeId}
             title={video.title}
             timestamps={video.timestamps || mockTimestamps}
+            chapters={video.chapters}
           />
         </div>
       )}
@@ -0,0 +1,147 @@
+import { useState, useRef, useCallback, useEffect } from 'react'
+import { createSession, streamQuery, type Answer, type QueryMode, type SearchResult, type Triage } from '../lib/api'
+
+export type QueryStage = 'idle' | 'analyzing' | 'searching' | 'ranking' | 'timestamps' | 'answering' | 'done' | 'error'
+
+export interface QueryStreamState {
+  stage: QueryStage
+  processedQuery: Record<string, unknown> | null
+  // Standalone form of a follow-up question, when the server rewrote it
+  rewrittenQuery: string | null
+  triage: Triage | null
+  results: SearchResult[]
+  // Results are provisional until the re-ranked list arrives
+  isProvisional: boolean
+  answerText: string
+  answer: Answer | null
+  processingTime: number | null
+  error: string | null
+}
+
+const initialState: QueryStreamState = {
+  stage: 'idle',
+  processedQuery: null,
+  rewrittenQuery: null,
+  triage: null,
+  results: [],
+  isProvisional: false,
+  answerText: '',
+  answer: null,
+  processingTime: null,
+  error: null
+}
+
+export const stageMessages: Record<QueryStage, string> = {
+  idle: '',
+  analyzing: 'Analyzing your question...',
+  searching: 'Searching transcripts...',
+  ranking: 'Ranking the best matches...',
+  timestamps: 'Finding relevant moments...',
+  answering: 'Writing an answer...',
+  done: '',
+  error: ''
+}
+
+/**
+ * Runs a query against the streaming endpoint and exposes state that updates
+ * as each pipeline stage completes, so results can render progressively.
+ * Queries share a conversation session so follow-ups resolve against earlier
+ * turns; newConversation() starts a fresh one.
+ */
+export function useQueryStream(mode: QueryMode = 'answer') {
+  const [state, setState] = useState<QueryStreamState>(initialState)
+  const [sessionId, setSessionId] = useState<string | null>(null)
+  const closeRef = useRef<(() => void) | null>(null)
+  // Created once and shared by every query until newConversation()
+  const sessionRef = useRef<Promise<string | null> | null>(null)
+  // Bumped by each run, reset and newConversation; superseded runs stop updating state
+  const runIdRef = useRef(0)
+
+  const supersede = () => {
+    runIdRef.current += 1
+    closeRef.current?.()
+    closeRef.current = null
+    return runIdRef.current
+  }
+
+  const getSession = () => {
+    if (!sessionRef.current) {
+      const session: Promise<string | null> = createSession()
+        .then(({ id }) => {
+          if (sessionRef.current === session) {
+            setSessionId(id)
+          }
+          return id
+        })
+        .catch((error) => {
+          // Still answer the question, just without follow-up context
+          console.warn('Failed to create conversation session:', error)
+          if (sessionRef.current === session) {
+            sessionRef.current = null
+          }
+          return null
+        })
+      sessionRef.current = session
+    }
+    return sessionRef.current
+  }
+
+  const run = useCallback(async (query: string) => {
+    const runId = supersede()
+    setState({ ...initialState, stage: 'analyzing' })
+
+    const activeSessionId = await getSession()
+    if (runId !== runIdRef.current) {
+      return
+    }
+
+    const update = (next: (prev: QueryStreamState) => QueryStreamState) => {
+      if (runId === runIdRef.current) {
+        setState(next)
+      }
+    }
+
+    closeRef.current = streamQuery(query, {
+      onProcessedQuery: (processedQuery, { rewrittenQuery }) =>
+        update(prev => ({ ...prev, processedQuery, rewrittenQuery, stage: 'searching' })),
+      onTriage: (triage) =>
+        update(prev => ({ ...prev, triage })),
+      onCandidates: (results) =>
+        update(prev => ({ ...prev, results, isProvisional: true, stage: 'ranking' })),
+      onResults: (results) =>
+        update(prev => ({ ...prev, results, isProvisional: false, stage: 'timestamps' })),
+      onTimestamps: ({ id, timestamps, chapters }) =>
+        update(prev => ({
+          ...prev,
+          results: prev.results.map(result => (result.id === id ? { ...result, timestamps, chapters } : result))
+        })),
+      onAnswerToken: (token) =>
+        update(prev => ({ ...prev, answerText: prev.answerText + token, stage: 'answering' })),
+      onAnswer: (answer) =>
+        update(prev => ({ ...prev, answer })),
+      onDone: ({ processingTime }) =>
+        update(prev => ({ ...prev, processingTime, stage: 'done' })),
+      onError: (error) =>
+        update(prev => ({ ...prev, error: error.message, stage: 'error' }))
+    }, { mode, sessionId: activeSessionId || undefined })
+  }, [mode])
+
+  const reset = useCallback(() => {
+    supersede()
+    setState(initialState)
+  }, [])
+
+  const newConversation = useCallback(() => {
+    supersede()
+    sessionRef.current = null
+    setSessionId(null)
+    setState(initialState)
+  }, [])
+
+  // Close any open stream on unmount
+  useEffect(() => () => closeRef.current?.(), [])
+
+  const isStreaming = !['idle', 'done', 'error'].includes(state.stage)
+
+  return { ...state, sessionId, isStreaming, run, reset, newConversation }
+}
@@ -5,6 +5,14 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
 
+// Chapter from the video description ("00:00 Introduction"), parsed at ingest
+export interface Chapter {
+  position: number;
+  title: string;
+  startTime: number;
+  endTime: number | null;
+}
+
 export interface SearchResult {
   id: string;
   youtube_id?: string;
@@ -18,16 +26,155 @@ export interface SearchResult {
   timestamps?: Array<{
     time: number;
     label: string;
+    chapter?: string | null;
     description: string;
   }>;
+  chapters?: Chapter[];
+}
+
+export interface AnswerCitation {
+  id: number;
+  videoId?: string;
+  youtube_id: string;
+  title: string;
+  startTime: number;
+  endTime?: number;
+  label: string;
+  url: string;
+  quote: string;
+}
+
+export interface Answer {
+  text: string;
+  claims: Array<{
+    text: string;
+    citations: number[];
+  }>;
+  citations: AnswerCitation[];
+  method: 'llm' | 'extractive' | 'none';
+  cost: number;
+}
+
+// Side-by-side result for comparison queries ("cold vs heat exposure")
+export interface Comparison {
+  concepts: Array<{
+    concept: string;
+    query: string;
+    passageCount: number;
+    summary: string | null;
+    citations: number[];
+  }>;
+  agreements: Array<{ text: string; citations: number[] }>;
+  differences: Array<{ text: string; citations: number[] }>;
+  citations: Array<AnswerCitation & { concept: string }>;
+  method: 'llm' | 'extractive' | 'none';
+  cost: number;
+}
+
+export type QueryMode = 'search' | 'answer';
+
+// Urgent-symptom triage: 'emergency' replaces results, 'advisory' accompanies them
+export interface Triage {
+  level: 'emergency' | 'advisory';
+  flags: Array<{ id: string; category: string; label: string }>;
+  title: string;
+  message: string;
+  actions: string[];
+  resources: Array<{ name: string; contact: string; description: string }>;
+}
+
+export interface ConversationTurn {
+  turnIndex: number;
+  query: string;
+  rewrittenQuery: string | null;
+  answer: string | null;
+  citedVideoIds: string[];
+  createdAt: string;
+}
+
+export interface ConversationSession {
+  id: string;
+  userId: string | null;
+  title: string | null;
+  turnCount?: number;
+  createdAt: string;
+  updatedAt: string;
+  turns?: ConversationTurn[];
+}
+
+export interface HealthTopic {
+  id: string;
+  name: string;
+  category: string | null;
+  description: string | null;
+  keywords: string[] | null;
+  // Maintained by the backend topic tagging job
+  video_count: number;
+}
+
+// Generated offline by the backend summary job; null until it has run
+export interface EpisodeSummary {
+  summary: string;
+  takeaways: string[];
+  chapters: Array<{ title: string; startTime: number }>;
+  model: string | null;
+  generatedAt: string;
+}
+
+export interface VideoDetails {
+  id: string;
+  youtube_id: string;
+  title: string;
+  description?: string;
+  url: string;
+  thumbnail_url?: string;
+  duration_seconds?: number;
+  view_count?: number;
+  like_count?: number;
+  published_at?: string;
+  healthTopics?: Array<{ id: string; name: string; category: string; relevance_score?: number }>;
+  chapters: Chapter[];
+  citations: Citation[];
+  summary: EpisodeSummary | null;
+}
+
+// Study cited in an episode, from a transcript mention or a description link
+export interface Citation {
+  videoId: string;
+  youtube_id: string;
+  title: string;
+  source: 'transcript' | 'description';
+  rawText: string;
+  url: string | null;
+  year: number | null;
+  confidence: number;
+  startTime: number | null;
+  endTime: number | null;
+  videoUrl: string;
+}
+
+// Podcast guest detected by the backend from video titles and descriptions
+export interface Guest {
+  id: string;
+  name: string;
+  slug: string;
+  credentials: string | null;
+  episodes?: Array<{ id: string; youtube_id: string; title: string; published_at: string | null }>;
+  episodeCount?: number;
 }
 
 export interface QueryResponse {
   success: boolean;
   data?: {
     query: string;
+    rewrittenQuery?: string | null;
+    sessionId?: string | null;
+    guest?: string | null;
     processedQuery: any;
+    triage?: Triage | null;
     results: SearchResult[];
+    answer?: Answer | null;
+    comparison?: Comparison | null;
     totalResults: number;
     processingTime: number;
     cost: number;
@@ -49,7 +196,7 @@ export interface HealthCheckResponse {
     services: {
       server: { status: string };
       database: { status: string; message?: string };
-      openrouter: { status: string; model?: string };
+      llm: { status: string; provider: string; models: Record<string, string> };
       apify: { status: string; actors?: string[] };
     };
     version: string;
@@ -78,16 +225,24 @@ export async function checkHealth(): Promise<HealthCheckResponse> {
 }
 
 /**
- * Processes a health query and returns relevant video results
+ * Processes a health query and returns relevant video results.
+ * In 'answer' mode the response also carries a cited answer. `guest` limits
+ * results to that guest's episodes; sponsor reads are left out unless
+ * `includeSponsored` is set.
  */
-export async function processQuery(query: string): Promise<QueryResponse> {
+export async function processQuery(
+  query: string,
+  mode: QueryMode = 'search',
+  sessionId?: string,
+  filters: { guest?: string; includeSponsored?: boolean } = {}
+): Promise<QueryResponse> {
   try {
     const response = await fetch(`${API_BASE_URL}/api/query`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ query }),
+      body: JSON.stringify({ query, mode, sessionId, ...filters }),
     });
 
     const data = await response.json();
@@ -109,6 +264,147 @@ export async function processQuery(query: string): Promise<QueryResponse> {
   }
 }
 
+export interface QueryStreamHandlers {
+  onProcessedQuery?: (
+    processedQuery: Record<string, unknown>,
+    context: { rewrittenQuery: string | null; sessionId: string | null }
+  ) => void;
+  onTriage?: (triage: Triage) => void;
+  onCandidates?: (results: SearchResult[]) => void;
+  onResults?: (results: SearchResult[]) => void;
+  onTimestamps?: (update: {
+    id: string;
+    timestamps: NonNullable<SearchResult['timestamps']>;
+    chapters?: Chapter[];
+  }) => void;
+  onAnswerToken?: (token: string) => void;
+  onAnswer?: (answer: Answer) => void;
+  onDone?: (summary: { totalResults: number; processingTime: number; cost: number }) => void;
+  onError?: (error: { code: string; message: string }) => void;
+}
+
+/**
+ * Streams a health query over Server-Sent Events, invoking a handler as each
+ * stage completes. Returns a function that closes the stream.
+ */
+export function streamQuery(
+  query: string,
+  handlers: QueryStreamHandlers,
+  options: { mode?: QueryMode; sessionId?: string; guest?: string; includeSponsored?: boolean } = {}
+): () => void {
+  const params = new URLSearchParams({ query, mode: options.mode || 'answer' });
+  if (options.sessionId) {
+    params.set('sessionId', options.sessionId);
+  }
+  if (options.guest) {
+    params.set('guest', options.guest);
+  }
+  if (options.includeSponsored) {
+    params.set('includeSponsored', 'true');
+  }
+  const source = new EventSource(`${API_BASE_URL}/api/query/stream?${params}`);
+  let finished = false;
+
+  const listen = <T>(event: string, handler?: (data: T) => void) => {
+    source.addEventListener(event, (e) => {
+      handler?.(JSON.parse((e as MessageEvent).data));
+    });
+  };
+
+  listen<{ processedQuery: Record<string, unknown>; rewrittenQuery: string | null; sessionId: string | null }>(
+    'processed_query',
+    (data) => handlers.onProcessedQuery?.(data.processedQuery, { rewrittenQuery: data.rewrittenQuery, sessionId: data.sessionId })
+  );
+  listen('triage', handlers.onTriage);
+  listen('candidates', handlers.onCandidates);
+  listen('results', handlers.onResults);
+  listen('timestamps', handlers.onTimestamps);
+  listen<{ token: string }>('answer_token', (data) => handlers.onAnswerToken?.(data.token));
+  listen('answer', handlers.onAnswer);
+  listen<{ totalResults: number; processingTime: number; cost: number }>('done', (data) => {
+    finished = true;
+    source.close();
+    handlers.onDone?.(data);
+  });
+
+  // Server-sent 'error' events carry a payload; connection failures do not
+  source.addEventListener('error', (e) => {
+    if (finished) return;
+    finished = true;
+    source.close();
+
+    const data = (e as MessageEvent).data;
+    handlers.onError?.(data ? JSON.parse(data) : {
+      code: 'NETWORK_ERROR',
+      message: 'Lost connection to the backend server'
+    });
+  });
+
+  return () => {
+    finished = true;
+    source.close();
+  };
+}
+
+/**
+ * Starts a conversation session; pass its id with follow-up queries
+ */
+export async function createSession(params?: { userId?: string; title?: string }): Promise<ConversationSession> {
+  const response = await fetch(`${API_BASE_URL}/api/sessions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(params || {}),
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error?.message || 'Failed to create session');
+  }
+  return data.data;
+}
+
+/**
+ * Lists recent conversation sessions, optionally for one user
+ */
+export async function listSessions(userId?: string): Promise<ConversationSession[]> {
+  const searchParams = new URLSearchParams();
+  if (userId) searchParams.set('userId', userId);
+
+  const response = await fetch(`${API_BASE_URL}/api/sessions?${searchParams}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error?.message || 'Failed to list sessions');
+  }
+  return data.data.sessions;
+}
+
+/**
+ * Loads a session with its turn history so the conversation can be resumed
+ */
+export async function getSession(sessionId: string): Promise<ConversationSession> {
+  const response = await fetch(`${API_BASE_URL}/api/sessions/${encodeURIComponent(sessionId)}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error?.message || 'Failed to load session');
+  }
+  return data.data;
+}
+
+/**
+ * Deletes a session and its history
+ */
+export async function deleteSession(sessionId: string): Promise<void> {
+  const response = await fetch(`${API_BASE_URL}/api/sessions/${encodeURIComponent(sessionId)}`, {
+    method: 'DELETE',
+  });
+  if (!response.ok) {
+    const data = await response.json();
+    throw new Error(data.error?.message || 'Failed to delete session');
+  }
+}
+
 /**
  * Fetches videos with optional pagination and search
  */
@@ -141,4 +437,63 @@ export async function getVideos(params?: {
       }
     };
   }
-}
\ No newline at end of file
+}
+/**
+ * Fetches one video with its stored episode summary
+ */
+export async function getVideo(id: string): Promise<VideoDetails> {
+  const response = await fetch(`${API_BASE_URL}/api/videos/${encodeURIComponent(id)}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error?.message || 'Failed to load video');
+  }
+  return data.data;
+}
+
+/**
+ * Fetches health topics with the number of videos tagged with each
+ */
+export async function getHealthTopics(): Promise<{ topics: HealthTopic[]; total: number; limit: number; offset: number }> {
+  const response = await fetch(`${API_BASE_URL}/api/health/topics`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error?.message || data.error || 'Failed to load health topics');
+  }
+  return data;
+}
+
+/**
+ * Lists podcast guests with their episodes, most frequent guests first
+ */
+export async function getGuests(params?: { search?: string; limit?: number; offset?: number }): Promise<Guest[]> {
+  const searchParams = new URLSearchParams();
+  if (params?.search) searchParams.set('search', params.search);
+  if (params?.limit) searchParams.set('limit', params.limit.toString());
+  if (params?.offset) searchParams.set('offset', params.offset.toString());
+
+  const response = await fetch(`${API_BASE_URL}/api/guests?${searchParams}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error?.message || 'Failed to load guests');
+  }
+  return data.data.guests;
+}
+
+/**
+ * Searches studies cited across episodes, most confident first
+ */
+export async function searchCitations(params?: { q?: string; year?: number; minConfidence?: number; limit?: number; offset?: number }): Promise<Citation[]> {
+  const searchParams = new URLSearchParams();
+  if (params?.q) searchParams.set('q', params.q);
+  if (params?.year) searchParams.set('year', params.year.toString());
+  if (params?.minConfidence) searchParams.set('minConfidence', params.minConfidence.toString());
+  if (params?.limit) searchParams.set('limit', params.limit.toString());
+  if (params?.offset) searchParams.set('offset', params.offset.toString());
+
+  const response = await fetch(`${API_BASE_URL}/api/citations?${searchParams}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error?.message || 'Failed to search citations');
+  }
+  return data.data.citations;
+}
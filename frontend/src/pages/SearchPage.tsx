@@ -1,45 +1,45 @@
 import { useState, useEffect } from 'react'
 import { useSearchParams } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
-import { useQuery } from '@tanstack/react-query'
 import { Search, Filter, SortAsc, Loader2, AlertCircle, Sparkles, Mic, X, Clock, TrendingUp } from 'lucide-react'
 
-import { healthQuery, semanticSearch } from '../lib/api.ts'
+import { useQueryStream, stageMessages } from '../hooks/useQueryStream.ts'
 import SearchInterface from '../components/SearchInterface.tsx'
-import VideoCard from '../components/VideoCard.tsx'
+import VideoResult from '../components/VideoResult.tsx'
+import AnswerPanel from '../components/AnswerPanel.tsx'
+import HealthDisclaimer from '../components/HealthDisclaimer.tsx'
 import LoadingSpinner from '../components/LoadingSpinner.tsx'
 
 const SearchPage: React.FC = () => {
   const [searchParams, setSearchParams] = useSearchParams()
   const [query, setQuery] = useState(searchParams.get('q') || '')
-  const [isSearching, setIsSearching] = useState(false)
   const [isListening, setIsListening] = useState(false)
   const [suggestions, setSuggestions] = useState<string[]>([])
   const [showSuggestions, setShowSuggestions] = useState(false)
 
-  // Get search results
-  const { data: searchResults, isLoading, error, refetch } = useQuery({
-    queryKey: ['healthQuery', query],
-    queryFn: () => healthQuery(query),
-    enabled: !!query,
-  })
+  // Search results stream in stage by stage
+  const stream = useQueryStream('answer')
 
+  const urlQuery = searchParams.get('q') || ''
+  const { run } = stream
+
+  // Run the query in the URL on first load and whenever the q param changes
   useEffect(() => {
-    const urlQuery = searchParams.get('q')
-    if (urlQuery && urlQuery !== query) {
+    if (urlQuery) {
       setQuery(urlQuery)
+      run(urlQuery)
     }
-  }, [searchParams])
+  }, [urlQuery, run])
+
+  const handleSearch = (newQuery: string) => {
+    if (!newQuery.trim()) return
 
-  const handleSearch = async (newQuery: string) => {
-    setIsSearching(true)
     setQuery(newQuery)
-    setSearchParams({ q: newQuery })
-    
-    try {
-      await refetch()
-    } finally {
-      setIsSearching(false)
+    if (newQuery === urlQuery) {
+      // The param is unchanged, so the effect above will not run it again
+      run(newQuery)
+    } else {
+      setSearchParams({ q: newQuery })
     }
   }
 
@@ -87,7 +87,8 @@ const SearchPage: React.FC = () => {
     'Intermittent fasting protocols'
   ]
 
-  const loading = isLoading || isSearching
+  const loading = stream.isStreaming
+  const healthTopics = (stream.processedQuery?.healthTopics as string[] | undefined) || []
 
   return (
     <div className="min-h-screen py-8 px-4 sm:px-6 lg:px-8">
@@ -202,16 +203,16 @@ const SearchPage: React.FC = () => {
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.5, delay: 0.2 }}
           >
-            {loading && (
+            {loading && stream.results.length === 0 && (
               <div className="flex items-center justify-center py-12">
                 <div className="text-center">
                   <Loader2 className="h-8 w-8 animate-spin text-primary-500 mx-auto mb-4" />
-                  <p className="text-white/70">Searching through 677+ hours of content...</p>
+                  <p className="text-white/70">{stageMessages[stream.stage] || 'Searching through 677+ hours of content...'}</p>
                 </div>
               </div>
             )}
 
-            {error && (
+            {stream.error && (
               <div className="card-premium text-center py-8">
                 <AlertCircle className="h-12 w-12 text-red-400 mx-auto mb-4" />
                 <h3 className="text-xl font-semibold text-white mb-2">Search Error</h3>
@@ -219,7 +220,7 @@ const SearchPage: React.FC = () => {
                   Sorry, we encountered an error while searching. Please try again.
                 </p>
                 <button
-                  onClick={() => refetch()}
+                  onClick={() => handleSearch(query)}
                   className="btn-primary"
                 >
                   Try Again
@@ -227,7 +228,12 @@ const SearchPage: React.FC = () => {
               </div>
             )}
 
-            {searchResults && !loading && (
+            {/* Urgent-symptom guidance: replaces results for emergencies, precedes them otherwise */}
+            {stream.triage && (
+              <HealthDisclaimer variant="urgent" triage={stream.triage} className="mb-8" />
+            )}
+
+            {(stream.processedQuery || stream.results.length > 0) && !stream.error && (
               <>
                 {/* Search Summary */}
                 <div className="card-premium mb-8">
@@ -241,27 +247,29 @@ const SearchPage: React.FC = () => {
                       </h3>
                       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-white/70">
                         <div>
-                          <span className="font-medium text-white">Results:</span> {searchResults.results.length}
+                          <span className="font-medium text-white">Results:</span> {stream.results.length}
+                          {stream.isProvisional && ' (ranking...)'}
                         </div>
                         <div>
-                          <span className="font-medium text-white">Processing Time:</span> {searchResults.metadata.processingTime}ms
+                          <span className="font-medium text-white">Processing Time:</span>{' '}
+                          {stream.processingTime !== null ? `${stream.processingTime}ms` : stageMessages[stream.stage]}
                         </div>
                         <div>
-                          <span className="font-medium text-white">Query Type:</span> {searchResults.processedQuery.queryType}
+                          <span className="font-medium text-white">Intent:</span> {String(stream.processedQuery?.intent || 'unknown')}
                         </div>
                       </div>
 
                       {/* Health Topics Identified */}
-                      {searchResults.processedQuery.healthTopics.length > 0 && (
+                      {healthTopics.length > 0 && (
                         <div className="mt-4">
                           <p className="text-sm font-medium text-white mb-2">Related Health Topics:</p>
                           <div className="flex flex-wrap gap-2">
-                            {searchResults.processedQuery.healthTopics.map((topic, index) => (
+                            {healthTopics.map((topic, index) => (
                               <span
                                 key={index}
                                 className="bg-primary-600/20 text-primary-300 px-3 py-1 rounded-full text-xs"
                               >
-                                {topic.name}
+                                {topic}
                               </span>
                             ))}
                           </div>
@@ -271,25 +279,33 @@ const SearchPage: React.FC = () => {
                   </div>
                 </div>
 
-                {/* Results Grid */}
-                {searchResults.results.length > 0 ? (
-                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                    {searchResults.results.map((video, index) => (
+                {/* Cited Answer */}
+                {(stream.answer || stream.answerText) && (
+                  <AnswerPanel answer={stream.answer} streamingText={stream.answerText} className="mb-8" />
+                )}
+
+                {/* Results */}
+                {stream.results.length > 0 ? (
+                  <div className={`space-y-6 transition-opacity duration-300 ${stream.isProvisional ? 'opacity-60' : ''}`}>
+                    {stream.results.map((video, index) => (
                       <motion.div
                         key={video.id}
                         initial={{ opacity: 0, y: 30 }}
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ duration: 0.5, delay: index * 0.1 }}
                       >
-                        <VideoCard
-                          video={video}
-                          showRelevanceScore={true}
-                          searchTerms={searchResults.processedQuery.searchTerms}
+                        <VideoResult
+                          video={{
+                            ...video,
+                            relevance_score: video.relevanceScore,
+                            search_snippet: video.searchSnippet
+                          }}
+                          showPlayer={index === 0}
                         />
                       </motion.div>
                     ))}
                   </div>
-                ) : (
+                ) : !loading && (
                   <div className="card-premium text-center py-12">
                     <Search className="h-12 w-12 text-white/40 mx-auto mb-4" />
                     <h3 className="text-xl font-semibold text-white mb-2">No Results Found</h3>
@@ -306,46 +322,6 @@ const SearchPage: React.FC = () => {
                     </div>
                   </div>
                 )}
-
-                {/* Recommendations */}
-                {searchResults.recommendations && searchResults.recommendations.length > 0 && (
-                  <motion.div
-                    initial={{ opacity: 0, y: 30 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ duration: 0.5, delay: 0.5 }}
-                    className="mt-12"
-                  >
-                    <h2 className="text-2xl font-bold text-white mb-6">You Might Also Like</h2>
-                    <div className="space-y-6">
-                      {searchResults.recommendations.map((recommendation, index) => (
-                        <div key={index} className="card-premium">
-                          <h3 className="text-lg font-semibold text-white mb-4">
-                            {recommendation.title}
-                          </h3>
-                          {recommendation.items && recommendation.items.length > 0 && (
-                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                              {recommendation.items.slice(0, 3).map((item, itemIndex) => (
-                                <div
-                                  key={itemIndex}
-                                  className="bg-white/5 rounded-lg p-4 hover:bg-white/10 transition-colors duration-200"
-                                >
-                                  <h4 className="font-medium text-white mb-2">
-                                    {item.title || item.name}
-                                  </h4>
-                                  {item.view_count && (
-                                    <p className="text-sm text-white/60">
-                                      {item.view_count.toLocaleString()} views
-                                    </p>
-                                  )}
-                                </div>
-                              ))}
-                            </div>
-                          )}
-                        </div>
-                      ))}
-                    </div>
-                  </motion.div>
-                )}
               </>
             )}
           </motion.div>
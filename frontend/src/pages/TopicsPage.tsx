@@ -176,7 +176,11 @@ const TopicsPage: React.FC = () => {
                         <span>Click to search</span>
                         <div className="flex items-center space-x-1">
                           <Play className="h-3 w-3" />
-                          <span>Find videos</span>
+                          <span>
+                            {topic.video_count > 0
+                              ? `${topic.video_count} ${topic.video_count === 1 ? 'video' : 'videos'}`
+                              : 'Find videos'}
+                          </span>
                         </div>
                       </div>
                     </Link>
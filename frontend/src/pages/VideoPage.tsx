@@ -1,7 +1,7 @@
 import { useParams, Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { useQuery } from '@tanstack/react-query'
-import { ArrowLeft, Play, Clock, Eye, ThumbsUp, Calendar, ExternalLink, Share2 } from 'lucide-react'
+import { ArrowLeft, Play, Clock, Eye, ThumbsUp, Calendar, ExternalLink, Share2, ListOrdered, Lightbulb } from 'lucide-react'
 
 import { getVideo } from '../lib/api.ts'
 import { formatDuration, formatNumber, formatDate } from '../lib/utils.ts'
@@ -162,6 +162,44 @@ const VideoPage: React.FC = () => {
                 </div>
               </div>
             </motion.div>
+
+            {/* Episode Summary (generated offline, absent until the summary job has run) */}
+            {video.summary && (
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.5, delay: 0.1 }}
+                className="card-premium mt-8 space-y-6"
+              >
+                <div>
+                  <h2 className="text-xl font-semibold text-white mb-3">Episode Summary</h2>
+                  <p className="text-white/80 leading-relaxed whitespace-pre-wrap">
+                    {video.summary.summary}
+                  </p>
+                </div>
+
+                {video.summary.takeaways.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-white mb-3 flex items-center space-x-2">
+                      <Lightbulb className="h-5 w-5 text-primary-400" />
+                      <span>Key Takeaways</span>
+                    </h3>
+                    <ul className="space-y-2">
+                      {video.summary.takeaways.map((takeaway, index) => (
+                        <li key={index} className="flex items-start space-x-3 text-white/80">
+                          <span className="text-primary-400 font-semibold">{index + 1}.</span>
+                          <span>{takeaway}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <p className="text-xs text-white/40">
+                  AI-generated from the episode transcript. Not medical advice.
+                </p>
+              </motion.div>
+            )}
           </div>
 
           {/* Sidebar */}
@@ -172,6 +210,32 @@ const VideoPage: React.FC = () => {
               transition={{ duration: 0.5, delay: 0.2 }}
               className="space-y-6"
             >
+              {/* Chapters */}
+              {video.summary && video.summary.chapters.length > 0 && (
+                <div className="card-premium">
+                  <h3 className="text-lg font-semibold text-white mb-4 flex items-center space-x-2">
+                    <ListOrdered className="h-5 w-5" />
+                    <span>Chapters</span>
+                  </h3>
+                  <div className="space-y-1">
+                    {video.summary.chapters.map((chapter) => (
+                      <a
+                        key={chapter.startTime}
+                        href={`${video.url}&t=${chapter.startTime}s`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-start space-x-3 rounded-lg p-2 hover:bg-white/10 transition-colors duration-200"
+                      >
+                        <span className="text-sm font-mono text-primary-400 shrink-0">
+                          {formatDuration(chapter.startTime)}
+                        </span>
+                        <span className="text-sm text-white/80">{chapter.title}</span>
+                      </a>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Health Topics */}
               {video.healthTopics && video.healthTopics.length > 0 && (
                 <div className="card-premium">